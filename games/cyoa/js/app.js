@@ -4,9 +4,12 @@
  *
  * Bootstrap responsibilities:
  * - Resolve and validate the main app container (`#app`)
- * - Register route handlers for home, story, and admin pages
+ * - Register route handlers for home, story, endings, and admin pages
  * - Mount shared header once at startup
  * - Render the active route and re-render on hash changes
+ * - Ask before leaving the admin editor with unsaved edits
+ * - Redraw the active route when the language changes
+ * - Register the offline service worker (`sw.js`)
  *
  * Data-loading responsibilities:
  * - Delegated to page-level `load` stages
@@ -23,6 +26,7 @@ import { createHeader } from "./components/header.js";
 import { ENABLE_APP_STATE_DEBUG } from "./appConfig.js";
 import { getAppState, subscribeToAppState } from "./state/appStore.js";
 import { createLazyPage } from "./utils/lazyPage.js";
+import { withBasePath } from "./utils/pathResolver.js";
 
 function createAppRouter() {
   const homePage = createLazyPage(
@@ -33,17 +37,35 @@ function createAppRouter() {
     () => import("./pages/story.page.js"),
     "storyPage",
   );
+  const endingsPage = createLazyPage(
+    () => import("./pages/endings.page.js"),
+    "endingsPage",
+  );
   const adminPage = createLazyPage(
     () => import("./pages/admin.page.js"),
     "adminPage",
   );
 
-  return createRouter({
-    "/": homePage,
-    "/story/:storyId/:chapterId": storyPage,
-    "/story/:storyId": storyPage,
-    "/admin": adminPage,
-  });
+  return createRouter(
+    {
+      "/": homePage,
+      "/story/:storyId/:chapterId": storyPage,
+      "/story/:storyId": { redirect: "/story/:storyId/1" },
+      "/endings/:storyId": endingsPage,
+      "/admin": adminPage,
+    },
+    { beforeEach: confirmLeavingAdmin },
+  );
+}
+
+/** @type {import("./types.js").NavigationGuard} */
+async function confirmLeavingAdmin(to, from) {
+  if (from?.route !== "/admin" || to.route === "/admin") {
+    return true;
+  }
+
+  const { confirmLeaveAdminPage } = await import("./pages/admin.page.js");
+  return confirmLeaveAdminPage();
 }
 
 function resolveAppContainer() {
@@ -87,6 +109,18 @@ function warmAppDataCaches() {
   }, 0);
 }
 
+function registerOfflineServiceWorker() {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(withBasePath("/sw.js")).catch((error) => {
+      console.warn("[offline] Service worker registration failed:", error);
+    });
+  });
+}
+
 function bootstrapApp() {
   const appContainer = resolveAppContainer();
   if (!appContainer) {
@@ -105,7 +139,15 @@ function bootstrapApp() {
   header.mount();
   window.addEventListener("hashchange", renderPage);
   renderPage();
+
+  let currentLanguage = getAppState().language;
+  subscribeToAppState((state) => {
+    if (state.language === currentLanguage) return;
+    currentLanguage = state.language;
+    void router.render(appContainer, { fullRender: true });
+  });
   warmAppDataCaches();
+  registerOfflineServiceWorker();
 }
 
 bootstrapApp();
@@ -1,5 +1,10 @@
 import { findMusicTracksInFolder } from "../utils/audioResolver.js";
 import { setAppState } from "../state/appStore.js";
+import { fadeAudioVolume } from "../utils/audioFade.js";
+
+export const DUCKED_VOLUME_RATIO = 0.25;
+export const DUCK_FADE_MS = 300;
+const CUE_FADE_MS = 1200;
 
 export function createAudioController() {
   let isPlaying = false;
@@ -11,18 +16,86 @@ export function createAudioController() {
   let selectedAudioIndex = 0;
   let audioButton = null;
   let audioTrackSelect = null;
+  let ducked = false;
+  // True while a story soundtrack cue replaces the selected track.
+  let cueActive = false;
 
   const syncAudioStore = () => {
     setAppState({
       audio: {
         muted,
         isPlaying,
+        ducked,
         selectedTrackIndex: selectedAudioIndex,
         trackCount: availableAudioSources.length,
       },
     });
   };
 
+  const getMainVolume = () => (ducked ? DUCKED_VOLUME_RATIO : 1);
+
+  const fadeMainAudioToVolume = () => {
+    const mainAudio = document.getElementById("main-audio");
+    if (!mainAudio || cueActive) return;
+
+    fadeAudioVolume(mainAudio, getMainVolume(), DUCK_FADE_MS);
+  };
+
+  // Lowers the background music while something else (narration) is speaking.
+  const duckMusic = () => {
+    if (ducked) return;
+
+    ducked = true;
+    fadeMainAudioToVolume();
+    syncAudioStore();
+  };
+
+  const restoreMusic = () => {
+    if (!ducked) return;
+
+    ducked = false;
+    fadeMainAudioToVolume();
+    syncAudioStore();
+  };
+
+  const playMainAudio = (mainAudio, warning) => {
+    mainAudio.play().catch((error) => {
+      console.warn(warning, error);
+    });
+  };
+
+  /**
+   * Fades the selected track out while a story soundtrack cue plays, and back
+   * in (unless muted) once the cue is cleared.
+   *
+   * @param {boolean} active
+   */
+  const setCueActive = (active) => {
+    if (cueActive === active) return;
+
+    cueActive = active;
+    const mainAudio = document.getElementById("main-audio");
+    if (!mainAudio) return;
+
+    if (active) {
+      fadeAudioVolume(mainAudio, 0, CUE_FADE_MS).then((completed) => {
+        if (!completed || !cueActive) return;
+        mainAudio.pause();
+        isPlaying = false;
+        syncAudioStore();
+      });
+      return;
+    }
+
+    if (!muted && mainAudio.src) {
+      mainAudio.volume = 0;
+      playMainAudio(mainAudio, "[audio] Unable to resume music after cue.");
+      fadeAudioVolume(mainAudio, getMainVolume(), CUE_FADE_MS);
+      isPlaying = true;
+      syncAudioStore();
+    }
+  };
+
   const stopAllAudio = () => {
     const mainAudio = document.getElementById("main-audio");
 
@@ -147,13 +220,12 @@ export function createAudioController() {
     if (audioElement) {
       if (muted) {
         audioElement.pause();
-      } else {
-        audioElement.play().catch((error) => {
-          console.warn(
-            "[audio] Unable to play music. Check that an MP3 exists in /assets/music and the file is accessible.",
-            error,
-          );
-        });
+      } else if (!cueActive) {
+        audioElement.volume = getMainVolume();
+        playMainAudio(
+          audioElement,
+          "[audio] Unable to play music. Check that an MP3 exists in /assets/music and the file is accessible.",
+        );
       }
     }
 
@@ -181,13 +253,11 @@ export function createAudioController() {
     syncAudioStore();
 
     const mainAudio = document.getElementById("main-audio");
-    if (mainAudio && !muted) {
-      mainAudio.play().catch((error) => {
-        console.warn(
-          "[audio] Unable to play selected track. Check that MP3 files are accessible.",
-          error,
-        );
-      });
+    if (mainAudio && !muted && !cueActive) {
+      playMainAudio(
+        mainAudio,
+        "[audio] Unable to play selected track. Check that MP3 files are accessible.",
+      );
     }
   };
 
@@ -223,6 +293,9 @@ export function createAudioController() {
     muteAndStopAll,
     stopAudioWithoutMuting,
     toggleAudio,
+    duckMusic,
+    restoreMusic,
+    setCueActive,
     updateAudioButton,
   };
 }
@@ -4,8 +4,14 @@
 
 import { createAudioController } from "./audioController.js";
 import { createFontController } from "./fontController.js";
+import { createLanguageController } from "./languageController.js";
+import { createNarrationController } from "./narrationController.js";
+import { createReaderSettingsController } from "./readerSettingsController.js";
+import { createSoundtrackController } from "./soundtrackController.js";
 import { createThemeController } from "./themeController.js";
-import { setAppState } from "../state/appStore.js";
+import { setAppState, subscribeToAppState } from "../state/appStore.js";
+import { READER_SETTING_RANGES } from "../state/readerSettingsStore.js";
+import { applyTranslations, t } from "../utils/i18n.js";
 
 export function createHeader(onNavigateHome) {
   let mounted = false;
@@ -14,8 +20,20 @@ export function createHeader(onNavigateHome) {
   let waitForRevealZoneExit = false;
   let keydownBound = false;
   const audioController = createAudioController();
+  const soundtrackController = createSoundtrackController(audioController);
+  const narrationController = createNarrationController({
+    onSpeakingChange: (speaking) => {
+      if (speaking) {
+        audioController.duckMusic();
+      } else {
+        audioController.restoreMusic();
+      }
+    },
+  });
   const fontController = createFontController();
   const themeController = createThemeController();
+  const languageController = createLanguageController();
+  const readerSettingsController = createReaderSettingsController();
 
   const setMobileMenuOpen = (open) => {
     const header = document.querySelector("header");
@@ -61,6 +79,26 @@ export function createHeader(onNavigateHome) {
       .join(" ");
   };
 
+  const getReaderRangeHtml = (key, labelKey) => {
+    const { min, max, step } = READER_SETTING_RANGES[key];
+    return `
+            <label class="reader-settings-field">
+              <span class="reader-settings-label">
+                <span data-i18n="${labelKey}">${t(labelKey)}</span>
+                <output class="reader-settings-value" data-reader-setting-value="${key}"></output>
+              </span>
+              <input type="range" min="${min}" max="${max}" step="${step}" data-reader-setting="${key}" />
+            </label>`;
+  };
+
+  const getReaderToggleHtml = (key, labelKey) => {
+    return `
+            <label class="reader-settings-toggle">
+              <input type="checkbox" data-reader-setting="${key}" />
+              <span data-i18n="${labelKey}">${t(labelKey)}</span>
+            </label>`;
+  };
+
   const updateAudioButton = () => {
     audioController.updateAudioButton();
   };
@@ -69,38 +107,67 @@ export function createHeader(onNavigateHome) {
     return `
       <button class="header-title" id="home-link">
         <span class="header-emoji">📖</span>
-        <span class="header-title-full">Choose Your Own Adventure</span>
+        <span class="header-title-full" data-i18n="header.title">${t("header.title")}</span>
         <span class="header-title-short">CYOA</span>
       </button>
-      <button class="mobile-menu-btn" id="mobile-menu-btn" title="Open menu" aria-label="Open menu" aria-expanded="false">
+      <button class="mobile-menu-btn" id="mobile-menu-btn" title="${t("header.openMenu")}" aria-label="${t("header.openMenu")}" aria-expanded="false" data-i18n-title="header.openMenu" data-i18n-aria-label="header.openMenu">
         <span class="mobile-menu-icon" aria-hidden="true">☰</span>
       </button>
       <div class="header-controls">
         <div class="audio-controls-row">
-          <button class="audio-control" id="audio-btn" title="Toggle background music">
+          <button class="audio-control" id="audio-btn" title="${t("header.toggleMusic")}" data-i18n-title="header.toggleMusic">
             <span class="speaker-wrap">
               <span class="speaker-icon">🔊</span>
               <span class="mute-cross" style="visibility:hidden"></span>
             </span>
           </button>
-          <select class="audio-track-select" id="audio-track-select" title="Select music track"></select>
+          <select class="audio-track-select" id="audio-track-select" title="${t("header.selectTrack")}" data-i18n-title="header.selectTrack"></select>
+        </div>
+        <div class="narration-controls-row">
+          <button class="narration-control" id="narration-btn" title="${t("header.readAloud")}" aria-pressed="false">
+            <span class="narration-icon" aria-hidden="true">🗣️</span>
+          </button>
+          <select class="audio-track-select narration-voice-select" id="narration-voice-select" title="${t("header.selectVoice")}" data-i18n-title="header.selectVoice"></select>
+          <select class="audio-track-select narration-rate-select" id="narration-rate-select" title="${t("header.selectRate")}" data-i18n-title="header.selectRate"></select>
+          <label class="narration-choices-toggle" title="${t("header.readChoicesTitle")}" data-i18n-title="header.readChoicesTitle">
+            <input type="checkbox" id="narration-choices-toggle" />
+            <span data-i18n="header.readChoices">${t("header.readChoices")}</span>
+          </label>
         </div>
         <div class="theme-controls-row">
-          <button class="theme-control" id="theme-btn" title="Change theme">
+          <button class="theme-control" id="theme-btn" title="${t("header.changeTheme")}" data-i18n-title="header.changeTheme">
             <span class="theme-icon" aria-hidden="true">🎨</span>
           </button>
-          <select class="audio-track-select theme-select" id="theme-select" title="Select theme"></select>
+          <select class="audio-track-select theme-select" id="theme-select" title="${t("header.selectTheme")}" data-i18n-title="header.selectTheme"></select>
         </div>
         <div class="font-controls-row">
-          <button class="font-control" id="font-btn" title="Change chapter font">
+          <button class="font-control" id="font-btn" title="${t("header.changeFont")}" data-i18n-title="header.changeFont">
             <span class="font-style-icon" aria-hidden="true">A</span>
           </button>
-          <select class="audio-track-select font-select" id="font-select" title="Select font"></select>
+          <select class="audio-track-select font-select" id="font-select" title="${t("header.selectFont")}" data-i18n-title="header.selectFont"></select>
+        </div>
+        <div class="reader-settings-row">
+          <button class="reader-settings-control" id="reader-settings-btn" title="${t("header.readerSettings")}" aria-label="${t("header.readerSettings")}" aria-expanded="false" aria-controls="reader-settings-panel" data-i18n-title="header.readerSettings" data-i18n-aria-label="header.readerSettings">
+            <span class="reader-settings-icon" aria-hidden="true">Aa</span>
+          </button>
+          <div class="reader-settings-panel" id="reader-settings-panel" role="group" aria-label="${t("header.readerSettings")}" data-i18n-aria-label="header.readerSettings" hidden>
+            ${getReaderRangeHtml("fontScale", "readerSettings.fontSize")}
+            ${getReaderRangeHtml("lineSpacing", "readerSettings.lineSpacing")}
+            ${getReaderRangeHtml("textWidth", "readerSettings.textWidth")}
+            ${getReaderToggleHtml("dyslexiaFont", "readerSettings.dyslexiaFont")}
+            ${getReaderToggleHtml("highContrast", "readerSettings.highContrast")}
+            ${getReaderToggleHtml("reducedMotion", "readerSettings.reducedMotion")}
+            <button type="button" class="reader-settings-reset" data-reader-settings-reset data-i18n="readerSettings.reset">${t("readerSettings.reset")}</button>
+          </div>
+        </div>
+        <div class="language-controls-row">
+          <span class="language-icon" aria-hidden="true">🌐</span>
+          <select class="audio-track-select language-select" id="language-select" title="${t("header.selectLanguage")}" aria-label="${t("header.selectLanguage")}" data-i18n-title="header.selectLanguage" data-i18n-aria-label="header.selectLanguage"></select>
         </div>
-        <button class="admin-control" id="admin-btn" title="Open admin">
+        <button class="admin-control" id="admin-btn" title="${t("header.openAdmin")}" data-i18n-title="header.openAdmin">
           <span class="admin-icon" aria-hidden="true">⚙️</span>
         </button>
-        <button class="header-toggle" id="header-toggle-btn" title="Hide header">
+        <button class="header-toggle" id="header-toggle-btn" title="${t("header.hideHeader")}" data-i18n-title="header.hideHeader">
           <svg class="header-toggle-icon" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
             <path d="M5 9l7-7 7 7" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path>
             <rect x="4" y="14" width="16" height="7" rx="2" fill="none" stroke="currentColor" stroke-width="2"></rect>
@@ -110,6 +177,18 @@ export function createHeader(onNavigateHome) {
     `;
   };
 
+  const bindLanguageUpdates = () => {
+    let currentLanguage = languageController.getCurrentLanguage();
+
+    subscribeToAppState((state) => {
+      if (state.language === currentLanguage) return;
+      currentLanguage = state.language;
+
+      const header = document.querySelector("header");
+      if (header) applyTranslations(header);
+    });
+  };
+
   const ensureHeaderElement = () => {
     return (
       document.querySelector("header") ||
@@ -149,6 +228,13 @@ export function createHeader(onNavigateHome) {
       trackSelect: audioTrackSelect,
     });
 
+    narrationController.setControls({
+      button: document.getElementById("narration-btn"),
+      voiceSelect: document.getElementById("narration-voice-select"),
+      rateSelect: document.getElementById("narration-rate-select"),
+      readChoicesToggle: document.getElementById("narration-choices-toggle"),
+    });
+
     const fontBtn = document.getElementById("font-btn");
     const fontSelect = document.getElementById("font-select");
     if (fontSelect) {
@@ -214,6 +300,24 @@ export function createHeader(onNavigateHome) {
       });
     }
 
+    readerSettingsController.setControls({
+      button: document.getElementById("reader-settings-btn"),
+      panel: document.getElementById("reader-settings-panel"),
+    });
+
+    const languageSelect = document.getElementById("language-select");
+    if (languageSelect) {
+      languageSelect.innerHTML = languageController
+        .getAvailableLanguages()
+        .map(({ code, label }) => `<option value="${code}">${label}</option>`)
+        .join("");
+      languageSelect.value = languageController.getCurrentLanguage();
+
+      languageSelect.addEventListener("change", (event) => {
+        languageController.applyLanguage(event.target.value);
+      });
+    }
+
     const adminBtn = document.getElementById("admin-btn");
     if (adminBtn) {
       adminBtn.addEventListener("click", (event) => {
@@ -244,7 +348,7 @@ export function createHeader(onNavigateHome) {
 
     document.addEventListener("keydown", (event) => {
       const key = event.key.toLowerCase();
-      if (key !== "f" && key !== "m" && key !== "t") return;
+      if (key !== "f" && key !== "m" && key !== "t" && key !== "n") return;
       if (event.metaKey || event.ctrlKey || event.altKey) return;
 
       const target = event.target;
@@ -273,6 +377,11 @@ export function createHeader(onNavigateHome) {
         return;
       }
 
+      if (key === "n") {
+        narrationController.toggleNarration();
+        return;
+      }
+
       audioController.toggleAudio();
     });
 
@@ -337,13 +446,18 @@ export function createHeader(onNavigateHome) {
 
     const header = ensureHeaderElement();
 
+    languageController.initialize();
     header.innerHTML = getHtml();
 
     themeController.initialize();
+    readerSettingsController.initialize();
     exposeAudioControl();
     bindHeaderControls();
+    bindLanguageUpdates();
 
     audioController.initialize();
+    soundtrackController.initialize();
+    narrationController.initialize();
 
     // Defer keyboard and edge-reveal listeners until idle so first route paint is less contested.
     scheduleNonCriticalWork(() => {
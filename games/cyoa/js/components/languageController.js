@@ -0,0 +1,56 @@
+import { setAppState } from "../state/appStore.js";
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+} from "../utils/i18n.js";
+
+export function createLanguageController() {
+  const STORAGE_KEY = "cyoaLanguage";
+
+  const readLanguageFromStorage = () => {
+    return localStorage.getItem(STORAGE_KEY);
+  };
+
+  const saveLanguageToStorage = (language) => {
+    localStorage.setItem(STORAGE_KEY, language);
+  };
+
+  const getBrowserLanguage = () => {
+    const languages =
+      typeof navigator !== "undefined" && Array.isArray(navigator.languages)
+        ? navigator.languages
+        : [];
+    return languages.map(normalizeLanguage).find(Boolean) || null;
+  };
+
+  let currentLanguage =
+    normalizeLanguage(readLanguageFromStorage()) ||
+    getBrowserLanguage() ||
+    DEFAULT_LANGUAGE;
+
+  const applyLanguage = (language) => {
+    const nextLanguage = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+
+    document.documentElement.lang = nextLanguage;
+    currentLanguage = nextLanguage;
+    saveLanguageToStorage(nextLanguage);
+    setAppState({ language: nextLanguage });
+    console.log(`[language] Switched to: ${nextLanguage}`);
+  };
+
+  const initialize = () => {
+    applyLanguage(currentLanguage);
+  };
+
+  const getAvailableLanguages = () => {
+    return SUPPORTED_LANGUAGES.map((language) => ({ ...language }));
+  };
+
+  return {
+    initialize,
+    applyLanguage,
+    getCurrentLanguage: () => currentLanguage,
+    getAvailableLanguages,
+  };
+}
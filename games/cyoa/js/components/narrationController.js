@@ -0,0 +1,317 @@
+import { setAppState } from "../state/appStore.js";
+import { buildNarrationQueue } from "../utils/narrationText.js";
+import { t } from "../utils/i18n.js";
+
+const STORAGE_KEY = "cyoaNarration";
+const NARRATION_RATES = [0.75, 1, 1.25, 1.5];
+
+export function createNarrationController({ onSpeakingChange } = {}) {
+  const synth =
+    typeof window !== "undefined" && "speechSynthesis" in window
+      ? window.speechSynthesis
+      : null;
+
+  let controls = {
+    button: null,
+    voiceSelect: null,
+    rateSelect: null,
+    readChoicesToggle: null,
+  };
+  let queue = [];
+  let queueIndex = 0;
+  let isSpeaking = false;
+  let isPaused = false;
+  // Bumped on every start/stop so callbacks from cancelled utterances are ignored.
+  let runId = 0;
+
+  const readSettingsFromStorage = () => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+      return {};
+    }
+  };
+
+  const persistedSettings = readSettingsFromStorage();
+  let settings = {
+    voiceURI:
+      typeof persistedSettings.voiceURI === "string"
+        ? persistedSettings.voiceURI
+        : "",
+    rate: NARRATION_RATES.includes(persistedSettings.rate)
+      ? persistedSettings.rate
+      : 1,
+    readChoices: persistedSettings.readChoices === true,
+  };
+
+  const saveSettings = (partialSettings) => {
+    settings = { ...settings, ...partialSettings };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn("[narration] Unable to save narration settings.", error);
+    }
+    syncNarrationStore();
+  };
+
+  const syncNarrationStore = () => {
+    setAppState({
+      narration: {
+        supported: Boolean(synth),
+        isSpeaking,
+        isPaused,
+        ...settings,
+      },
+    });
+  };
+
+  const updateNarrationButton = () => {
+    const { button } = controls;
+    if (!button) return;
+
+    const isActive = isSpeaking && !isPaused;
+    const icon = button.querySelector(".narration-icon");
+    if (icon) icon.textContent = isActive ? "⏸" : "🗣️";
+    button.classList.toggle("narration-active", isSpeaking);
+    button.setAttribute("aria-pressed", String(isActive));
+    button.title = t(
+      isActive
+        ? "header.pauseNarration"
+        : isPaused
+          ? "header.resumeNarration"
+          : "header.readAloud",
+    );
+  };
+
+  const setSpeakingState = (speaking, paused = false) => {
+    const wasAudible = isSpeaking && !isPaused;
+    isSpeaking = speaking;
+    isPaused = speaking && paused;
+    const audible = isSpeaking && !isPaused;
+
+    updateNarrationButton();
+    syncNarrationStore();
+    if (wasAudible !== audible && typeof onSpeakingChange === "function") {
+      onSpeakingChange(audible);
+    }
+  };
+
+  const getSelectedVoice = () => {
+    if (!synth || !settings.voiceURI) return null;
+    return (
+      synth.getVoices().find((voice) => voice.voiceURI === settings.voiceURI) ||
+      null
+    );
+  };
+
+  const readChapterFromDom = () => {
+    const chapterBody = document.querySelector("#app .chapter-body");
+    if (!chapterBody) return null;
+
+    const getText = (selector) =>
+      chapterBody.querySelector(selector)?.textContent || "";
+
+    return {
+      title: getText(".chapter-title"),
+      paragraphs: Array.from(
+        chapterBody.querySelectorAll(
+          ".chapter-content > p, .chapter-content > blockquote",
+        ),
+        (element) => element.textContent || "",
+      ),
+      choices: Array.from(
+        chapterBody.querySelectorAll(".choice-text"),
+        (element) => element.textContent || "",
+      ),
+      endingText: getText(".choices-ending-text"),
+    };
+  };
+
+  const speakNext = (currentRunId) => {
+    if (currentRunId !== runId) return;
+
+    if (queueIndex >= queue.length) {
+      stop();
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(queue[queueIndex]);
+    const voice = getSelectedVoice();
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    utterance.rate = settings.rate;
+
+    utterance.onend = () => {
+      if (currentRunId !== runId) return;
+      queueIndex += 1;
+      speakNext(currentRunId);
+    };
+    utterance.onerror = (event) => {
+      if (currentRunId !== runId) return;
+      if (event.error !== "interrupted" && event.error !== "canceled") {
+        console.warn("[narration] Speech synthesis failed.", event.error);
+      }
+      stop();
+    };
+
+    synth.speak(utterance);
+  };
+
+  const start = () => {
+    if (!synth) return;
+
+    const chapter = readChapterFromDom();
+    queue = chapter
+      ? buildNarrationQueue(chapter, { readChoices: settings.readChoices })
+      : [];
+    if (queue.length === 0) {
+      console.warn("[narration] Nothing to read on this page.");
+      return;
+    }
+
+    synth.cancel();
+    runId += 1;
+    queueIndex = 0;
+    setSpeakingState(true);
+    speakNext(runId);
+  };
+
+  function stop() {
+    runId += 1;
+    queue = [];
+    queueIndex = 0;
+    if (synth && (synth.speaking || synth.pending)) synth.cancel();
+    if (isSpeaking) setSpeakingState(false);
+  }
+
+  const pause = () => {
+    if (!synth || !isSpeaking || isPaused) return;
+    synth.pause();
+    setSpeakingState(true, true);
+  };
+
+  const resume = () => {
+    if (!synth || !isPaused) return;
+    synth.resume();
+    setSpeakingState(true, false);
+  };
+
+  const toggleNarration = () => {
+    if (!isSpeaking) {
+      start();
+    } else if (isPaused) {
+      resume();
+    } else {
+      pause();
+    }
+  };
+
+  // Restarts from the current utterance so a new voice or rate applies at once.
+  const restartCurrentUtterance = () => {
+    if (!isSpeaking || isPaused) return;
+    runId += 1;
+    synth.cancel();
+    speakNext(runId);
+  };
+
+  const updateVoiceSelect = () => {
+    const { voiceSelect } = controls;
+    if (!voiceSelect || !synth) return;
+
+    const voices = synth.getVoices();
+    voiceSelect.innerHTML = "";
+
+    const defaultOption = document.createElement("option");
+    defaultOption.value = "";
+    defaultOption.textContent = t("header.defaultVoice");
+    voiceSelect.appendChild(defaultOption);
+
+    voices.forEach((voice) => {
+      const option = document.createElement("option");
+      option.value = voice.voiceURI;
+      option.textContent = `${voice.name} (${voice.lang})`;
+      option.title = option.textContent;
+      voiceSelect.appendChild(option);
+    });
+
+    const hasSavedVoice = voices.some(
+      (voice) => voice.voiceURI === settings.voiceURI,
+    );
+    voiceSelect.value = hasSavedVoice ? settings.voiceURI : "";
+  };
+
+  const setControls = ({
+    button,
+    voiceSelect,
+    rateSelect,
+    readChoicesToggle,
+  }) => {
+    controls = { button, voiceSelect, rateSelect, readChoicesToggle };
+
+    if (!synth) {
+      const row = button && button.closest(".narration-controls-row");
+      if (row) row.hidden = true;
+      return;
+    }
+
+    if (button) {
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        toggleNarration();
+      });
+    }
+
+    if (voiceSelect) {
+      updateVoiceSelect();
+      synth.addEventListener("voiceschanged", updateVoiceSelect);
+      voiceSelect.addEventListener("change", (event) => {
+        saveSettings({ voiceURI: event.target.value });
+        restartCurrentUtterance();
+      });
+    }
+
+    if (rateSelect) {
+      rateSelect.innerHTML = NARRATION_RATES.map(
+        (rate) => `<option value="${rate}">${rate}×</option>`,
+      ).join("");
+      rateSelect.value = String(settings.rate);
+      rateSelect.addEventListener("change", (event) => {
+        const rate = Number.parseFloat(event.target.value);
+        if (!NARRATION_RATES.includes(rate)) return;
+        saveSettings({ rate });
+        restartCurrentUtterance();
+      });
+    }
+
+    if (readChoicesToggle) {
+      readChoicesToggle.checked = settings.readChoices;
+      readChoicesToggle.addEventListener("change", (event) => {
+        saveSettings({ readChoices: event.target.checked });
+      });
+    }
+
+    updateNarrationButton();
+  };
+
+  const initialize = () => {
+    if (synth) {
+      // Narration belongs to the chapter on screen; leaving it stops reading.
+      window.addEventListener("hashchange", stop);
+      window.addEventListener("pagehide", stop);
+    }
+    syncNarrationStore();
+  };
+
+  return {
+    initialize,
+    setControls,
+    toggleNarration,
+    stop,
+    isSupported: () => Boolean(synth),
+    isSpeaking: () => isSpeaking,
+  };
+}
@@ -0,0 +1,180 @@
+import { setAppState } from "../state/appStore.js";
+import {
+  DEFAULT_READER_SETTINGS,
+  createReaderSettingsStore,
+  normalizeReaderSettings,
+} from "../state/readerSettingsStore.js";
+
+const READER_CLASSES = {
+  dyslexiaFont: "reader-dyslexia-font",
+  highContrast: "reader-high-contrast",
+  reducedMotion: "reader-reduced-motion",
+};
+
+const prefersReducedMotion = () => {
+  return (
+    typeof window !== "undefined" &&
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches
+  );
+};
+
+const formatSettingValue = (key, value) => {
+  if (key === "textWidth") return `${value}em`;
+  return `${Math.round(value * 100)}%`;
+};
+
+export function createReaderSettingsController() {
+  // Until the reader picks a value, reduced motion follows the system setting;
+  // only settings the reader changes are saved.
+  const store = createReaderSettingsStore(undefined, {
+    ...DEFAULT_READER_SETTINGS,
+    reducedMotion: prefersReducedMotion(),
+  });
+
+  let settings = store.getReaderSettings();
+  let controls = {
+    button: null,
+    panel: null,
+  };
+
+  const applySettings = () => {
+    const html = document.documentElement;
+    html.style.setProperty("--reader-font-scale", String(settings.fontScale));
+    html.style.setProperty(
+      "--reader-line-spacing",
+      String(settings.lineSpacing),
+    );
+    html.style.setProperty("--reader-text-width", `${settings.textWidth}em`);
+
+    Object.entries(READER_CLASSES).forEach(([key, className]) => {
+      html.classList.toggle(className, settings[key]);
+    });
+
+    setAppState({ readerSettings: settings });
+  };
+
+  const syncControls = () => {
+    const { panel } = controls;
+    if (!panel) return;
+
+    panel.querySelectorAll("[data-reader-setting]").forEach((input) => {
+      const key = input.dataset.readerSetting;
+      if (!(key in settings)) return;
+
+      if (input.type === "checkbox") {
+        input.checked = settings[key];
+      } else {
+        input.value = String(settings[key]);
+      }
+    });
+
+    panel.querySelectorAll("[data-reader-setting-value]").forEach((output) => {
+      const key = output.dataset.readerSettingValue;
+      if (!(key in settings)) return;
+      output.textContent = formatSettingValue(key, settings[key]);
+    });
+  };
+
+  /**
+   * Shows a value without saving it, while a slider is being dragged.
+   */
+  const previewSetting = (key, value) => {
+    settings = normalizeReaderSettings({ ...settings, [key]: value }, settings);
+    applySettings();
+    syncControls();
+  };
+
+  const updateSetting = (key, value) => {
+    store.saveReaderSettings({ [key]: value });
+    previewSetting(key, value);
+    console.log(`[reader] ${key}: ${settings[key]}`);
+  };
+
+  const resetSettings = () => {
+    settings = store.resetReaderSettings();
+    applySettings();
+    syncControls();
+    console.log("[reader] Settings reset to defaults");
+  };
+
+  const isPanelOpen = () => Boolean(controls.panel && !controls.panel.hidden);
+
+  const setPanelOpen = (open) => {
+    const { button, panel } = controls;
+    if (!panel) return;
+
+    panel.hidden = !open;
+    if (button) button.setAttribute("aria-expanded", String(open));
+  };
+
+  const onDocumentClick = (event) => {
+    if (!isPanelOpen()) return;
+
+    const { button, panel } = controls;
+    if (panel.contains(event.target)) return;
+    if (button && button.contains(event.target)) return;
+    setPanelOpen(false);
+  };
+
+  const onDocumentKeydown = (event) => {
+    if (event.key !== "Escape" || !isPanelOpen()) return;
+
+    setPanelOpen(false);
+    if (controls.button) controls.button.focus();
+  };
+
+  const setControls = ({ button = null, panel = null } = {}) => {
+    controls = { button, panel };
+
+    if (button) {
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        setPanelOpen(!isPanelOpen());
+      });
+    }
+
+    if (!panel) return;
+
+    panel.querySelectorAll("[data-reader-setting]").forEach((input) => {
+      const key = input.dataset.readerSetting;
+      const readValue = () =>
+        input.type === "checkbox" ? input.checked : Number(input.value);
+
+      if (input.type === "range") {
+        input.addEventListener("input", () => {
+          previewSetting(key, readValue());
+        });
+      }
+      input.addEventListener("change", () => {
+        updateSetting(key, readValue());
+      });
+    });
+
+    const resetButton = panel.querySelector("[data-reader-settings-reset]");
+    if (resetButton) {
+      resetButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        resetSettings();
+      });
+    }
+
+    document.addEventListener("click", onDocumentClick);
+    document.addEventListener("keydown", onDocumentKeydown);
+    syncControls();
+  };
+
+  const initialize = () => {
+    applySettings();
+    syncControls();
+  };
+
+  return {
+    initialize,
+    setControls,
+    updateSetting,
+    resetSettings,
+    getSettings: () => settings,
+  };
+}
@@ -0,0 +1,157 @@
+import { getAppState, subscribeToAppState } from "../state/appStore.js";
+import { getStoriesMetadata } from "../services/storiesRepository.js";
+import { getMusicBaseFolder } from "../services/musicRepository.js";
+import { fadeAudioVolume } from "../utils/audioFade.js";
+import {
+  NO_SOUNDTRACK_CUE,
+  findStorySoundtrack,
+  resolveSoundtrackCue,
+  resolveSoundtrackSource,
+} from "../utils/soundtrack.js";
+import { DUCKED_VOLUME_RATIO, DUCK_FADE_MS } from "./audioController.js";
+
+const CROSSFADE_MS = 1200;
+const AMBIENT_VOLUME = 0.45;
+
+/**
+ * Two looping `<audio>` elements that take turns, so a new source fades in
+ * while the previous one fades out.
+ *
+ * @param {string} name
+ */
+function createCrossfadeLayer(name) {
+  const elements = [];
+  let activeIndex = 0;
+  let currentSource = null;
+
+  const getElement = (index) => {
+    if (!elements[index]) {
+      const audio = document.createElement("audio");
+      audio.id = `soundtrack-${name}-${index + 1}`;
+      audio.loop = true;
+      audio.style.display = "none";
+      audio.volume = 0;
+      document.body.appendChild(audio);
+      elements[index] = audio;
+    }
+    return elements[index];
+  };
+
+  const fadeOutAndPause = (audio) => {
+    fadeAudioVolume(audio, 0, CROSSFADE_MS).then((completed) => {
+      if (completed) audio.pause();
+    });
+  };
+
+  const startPlayback = (audio) => {
+    audio.play().catch((error) => {
+      console.warn(`[soundtrack] Unable to play ${name} cue.`, error);
+    });
+  };
+
+  /**
+   * @param {string|null} source null fades the layer out
+   * @param {number} volume
+   */
+  const play = (source, volume) => {
+    const activeElement = elements[activeIndex];
+
+    if (source === currentSource) {
+      if (!source || !activeElement) return;
+      if (activeElement.paused) startPlayback(activeElement);
+      fadeAudioVolume(activeElement, volume, DUCK_FADE_MS);
+      return;
+    }
+
+    if (activeElement && currentSource) {
+      fadeOutAndPause(activeElement);
+    }
+    currentSource = source;
+    if (!source) return;
+
+    activeIndex = elements.length === 0 ? 0 : 1 - activeIndex;
+    const nextElement = getElement(activeIndex);
+    nextElement.src = source;
+    nextElement.volume = 0;
+    startPlayback(nextElement);
+    fadeAudioVolume(nextElement, volume, CROSSFADE_MS);
+  };
+
+  return { play };
+}
+
+/**
+ * Plays per-story/per-chapter soundtrack cues for the chapter on screen
+ * (`reading` in the app store), crossfading between chapters and following
+ * the global mute and ducking state (`audio` in the app store).
+ *
+ * @param {{ setCueActive: (active: boolean) => void }} audioController
+ */
+export function createSoundtrackController(audioController) {
+  const trackLayer = createCrossfadeLayer("track");
+  const ambientLayer = createCrossfadeLayer("ambient");
+  let cue = NO_SOUNDTRACK_CUE;
+  let cueKey = "";
+  let cueRequestId = 0;
+  let lastAudioKey = "";
+
+  const applyCue = () => {
+    const { muted, ducked } = getAppState().audio;
+    const musicBaseFolder = getMusicBaseFolder("assets/music/");
+    const volumeScale = ducked ? DUCKED_VOLUME_RATIO : 1;
+
+    audioController.setCueActive(Boolean(cue.track));
+    trackLayer.play(
+      muted ? null : resolveSoundtrackSource(cue.track, musicBaseFolder),
+      volumeScale,
+    );
+    ambientLayer.play(
+      muted ? null : resolveSoundtrackSource(cue.ambient, musicBaseFolder),
+      AMBIENT_VOLUME * volumeScale,
+    );
+  };
+
+  /**
+   * @param {{ storyId: string|null, chapterNumber: number|null }} reading
+   */
+  const loadCue = async (reading) => {
+    const requestId = ++cueRequestId;
+    const nextCue = reading.storyId
+      ? resolveSoundtrackCue(
+          findStorySoundtrack(await getStoriesMetadata(), reading.storyId),
+          reading.chapterNumber,
+        )
+      : NO_SOUNDTRACK_CUE;
+
+    if (requestId !== cueRequestId) return;
+    cue = nextCue;
+    applyCue();
+  };
+
+  const onStateChange = (state) => {
+    const { reading, audio } = state;
+    const nextCueKey = `${reading.storyId ?? ""}/${reading.chapterNumber ?? ""}`;
+    const nextAudioKey = `${audio.muted}/${audio.ducked}`;
+
+    if (nextCueKey !== cueKey) {
+      cueKey = nextCueKey;
+      lastAudioKey = nextAudioKey;
+      void loadCue(reading);
+      return;
+    }
+
+    if (nextAudioKey !== lastAudioKey) {
+      lastAudioKey = nextAudioKey;
+      applyCue();
+    }
+  };
+
+  const initialize = () => {
+    subscribeToAppState(onStateChange);
+    onStateChange(getAppState());
+  };
+
+  return {
+    initialize,
+  };
+}
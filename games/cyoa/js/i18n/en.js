@@ -0,0 +1,108 @@
+/**
+ * English UI strings (default language)
+ *
+ * Keys are grouped by area (`header.*`, `home.*`, `error.*`, ...).
+ * `{name}` placeholders are filled by `t(key, params)`.
+ * Parser messages are not listed here: `PARSER_RULES` in `storyParser.js`
+ * already holds the English text.
+ */
+
+export const EN_MESSAGES = Object.freeze({
+  "header.title": "Choose Your Own Adventure",
+  "header.openMenu": "Open menu",
+  "header.toggleMusic": "Toggle background music",
+  "header.selectTrack": "Select music track",
+  "header.readAloud": "Read chapter aloud",
+  "header.pauseNarration": "Pause narration",
+  "header.resumeNarration": "Resume narration",
+  "header.selectVoice": "Select narration voice",
+  "header.defaultVoice": "Default voice",
+  "header.selectRate": "Select narration speed",
+  "header.readChoicesTitle": "Also read the choices at the end",
+  "header.readChoices": "Choices",
+  "header.changeTheme": "Change theme",
+  "header.selectTheme": "Select theme",
+  "header.changeFont": "Change chapter font",
+  "header.selectFont": "Select font",
+  "header.selectLanguage": "Select language",
+  "header.openAdmin": "Open admin",
+  "header.hideHeader": "Hide header",
+  "header.readerSettings": "Reading settings",
+
+  "readerSettings.fontSize": "Text size",
+  "readerSettings.lineSpacing": "Line spacing",
+  "readerSettings.textWidth": "Text width",
+  "readerSettings.dyslexiaFont": "Dyslexia-friendly font",
+  "readerSettings.highContrast": "High contrast",
+  "readerSettings.reducedMotion": "Reduce motion",
+  "readerSettings.reset": "Reset to defaults",
+
+  "home.title": "Choose Your Story",
+  "home.tagline": "What Happens Next Is Up to You",
+  "home.footerBrand": "Choose Your Own Adventure",
+  "home.openStory": "Open {title}",
+  "home.approved": "Approved",
+  "home.approvedSuffix": " (approved)",
+  "home.continue": "Continue",
+  "home.progress": "Chapter {chapter} · {count} chapters read",
+  "home.offlineAvailable": "📥 Available offline",
+  "home.offlineRemove": "Remove",
+  "home.offlineRemoveLabel": "Remove offline copy",
+  "home.offlineDownload": "Download for offline",
+  "home.offlineDownloading": "Downloading…",
+  "home.offlineDownloadingProgress": "Downloading… {done}/{total}",
+  "home.noMatches": "No stories match these filters.",
+  "home.resultsCountOne": "Showing {visible} of {total} story",
+  "home.resultsCountOther": "Showing {visible} of {total} stories",
+  "home.findStory": "Find a story",
+  "home.search": "Search titles and keywords",
+  "home.tone": "Tone",
+  "home.anyTone": "Any tone",
+  "home.length": "Length",
+  "home.anyLength": "Any length",
+  "home.keyword": "Keyword",
+  "home.anyKeyword": "Any keyword",
+  "home.approvedOnly": "Approved only",
+  "home.sortBy": "Sort by",
+  "home.sort.default": "Featured",
+  "home.sort.newest": "Newest",
+  "home.sort.shortest": "Shortest",
+  "home.sort.time": "Reading time",
+  "home.clearFilters": "Clear",
+
+  "endings.count": "{found} of {total} endings found ({percent}%)",
+  "endings.exportTitle": "Print or save",
+  "endings.exportPlaythrough": "📄 My playthrough",
+  "endings.exportGamebook": "📚 Whole story as a gamebook",
+
+  "story.whatDoYouDo": "What do you do?",
+  "story.seeEndings": "🏁 See which endings you have found",
+  "story.exportPlaythrough": "📄 Save this playthrough",
+  "story.loadErrorTitle": "Error loading story",
+  "story.chapterNotFoundTitle": "Chapter not found",
+  "story.chapterNotFoundDetails":
+    "The requested chapter does not exist in this story.",
+
+  "export.chapter": "Chapter {number}",
+  "export.section": "section {number}",
+  "export.turnTo": "turn to {link}",
+  "export.youChose": "You chose: {choice}",
+  "export.theEnd": "The End",
+  "export.playthroughSubtitleOne": "My playthrough · {count} chapter",
+  "export.playthroughSubtitleOther": "My playthrough · {count} chapters",
+  "export.gamebookSubtitle": "Start at section 1 and follow the choices.",
+  "export.conditionWith": "with {variable}",
+  "export.conditionWithout": "without {variable}",
+  "export.conditionOnly": "(only {conditions})",
+  "export.noPlaythrough": "Read at least one chapter to save a playthrough.",
+
+  "admin.confirmLeave":
+    "You have unsaved story edits. They are kept as a draft. Leave the editor?",
+
+  "error.title": "Error",
+  "error.notFoundTitle": "Page not found",
+  "error.notFoundDetails": "The page you requested does not exist.",
+  "error.loadTitle": "Unable to load content",
+  "error.inlineTitle": "An error occurred",
+  "error.renderTitle": "Error rendering page",
+});
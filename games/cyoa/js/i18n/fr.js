@@ -0,0 +1,155 @@
+/**
+ * French UI strings
+ *
+ * Missing keys fall back to `EN_MESSAGES`.
+ */
+
+export const FR_MESSAGES = Object.freeze({
+  "header.title": "Choisis ton aventure",
+  "header.openMenu": "Ouvrir le menu",
+  "header.toggleMusic": "Activer ou couper la musique",
+  "header.selectTrack": "Choisir la piste musicale",
+  "header.readAloud": "Lire le chapitre à voix haute",
+  "header.pauseNarration": "Mettre la lecture en pause",
+  "header.resumeNarration": "Reprendre la lecture",
+  "header.selectVoice": "Choisir la voix de lecture",
+  "header.defaultVoice": "Voix par défaut",
+  "header.selectRate": "Choisir la vitesse de lecture",
+  "header.readChoicesTitle": "Lire aussi les choix à la fin",
+  "header.readChoices": "Choix",
+  "header.changeTheme": "Changer de thème",
+  "header.selectTheme": "Choisir le thème",
+  "header.changeFont": "Changer la police des chapitres",
+  "header.selectFont": "Choisir la police",
+  "header.selectLanguage": "Choisir la langue",
+  "header.openAdmin": "Ouvrir l’administration",
+  "header.hideHeader": "Masquer l’en-tête",
+  "header.readerSettings": "Réglages de lecture",
+
+  "readerSettings.fontSize": "Taille du texte",
+  "readerSettings.lineSpacing": "Interligne",
+  "readerSettings.textWidth": "Largeur du texte",
+  "readerSettings.dyslexiaFont": "Police adaptée à la dyslexie",
+  "readerSettings.highContrast": "Contraste élevé",
+  "readerSettings.reducedMotion": "Réduire les animations",
+  "readerSettings.reset": "Rétablir les valeurs par défaut",
+
+  "home.title": "Choisis ton histoire",
+  "home.tagline": "La suite ne dépend que de toi",
+  "home.footerBrand": "Choisis ton aventure",
+  "home.openStory": "Ouvrir {title}",
+  "home.approved": "Approuvée",
+  "home.approvedSuffix": " (approuvée)",
+  "home.continue": "Reprendre",
+  "home.progress": "Chapitre {chapter} · {count} chapitres lus",
+  "home.offlineAvailable": "📥 Disponible hors ligne",
+  "home.offlineRemove": "Supprimer",
+  "home.offlineRemoveLabel": "Supprimer la copie hors ligne",
+  "home.offlineDownload": "Télécharger pour le hors ligne",
+  "home.offlineDownloading": "Téléchargement…",
+  "home.offlineDownloadingProgress": "Téléchargement… {done}/{total}",
+  "home.noMatches": "Aucune histoire ne correspond à ces filtres.",
+  "home.resultsCountOne": "{visible} histoire affichée sur {total}",
+  "home.resultsCountOther": "{visible} histoires affichées sur {total}",
+  "home.findStory": "Trouver une histoire",
+  "home.search": "Rechercher dans les titres et mots-clés",
+  "home.tone": "Ton",
+  "home.anyTone": "Tous les tons",
+  "home.length": "Longueur",
+  "home.anyLength": "Toutes les longueurs",
+  "home.keyword": "Mot-clé",
+  "home.anyKeyword": "Tous les mots-clés",
+  "home.approvedOnly": "Approuvées uniquement",
+  "home.sortBy": "Trier par",
+  "home.sort.default": "À la une",
+  "home.sort.newest": "Plus récentes",
+  "home.sort.shortest": "Plus courtes",
+  "home.sort.time": "Temps de lecture",
+  "home.clearFilters": "Effacer",
+
+  "endings.count": "{found} fins trouvées sur {total} ({percent} %)",
+  "endings.exportTitle": "Imprimer ou enregistrer",
+  "endings.exportPlaythrough": "📄 Mon parcours",
+  "endings.exportGamebook": "📚 Toute l’histoire en livre-jeu",
+
+  "story.whatDoYouDo": "Que fais-tu ?",
+  "story.seeEndings": "🏁 Voir les fins que tu as trouvées",
+  "story.exportPlaythrough": "📄 Enregistrer ce parcours",
+  "story.loadErrorTitle": "Erreur de chargement de l’histoire",
+  "story.chapterNotFoundTitle": "Chapitre introuvable",
+  "story.chapterNotFoundDetails":
+    "Le chapitre demandé n’existe pas dans cette histoire.",
+
+  "export.chapter": "Chapitre {number}",
+  "export.section": "paragraphe {number}",
+  "export.turnTo": "rendez-vous au {link}",
+  "export.youChose": "Tu as choisi : {choice}",
+  "export.theEnd": "Fin",
+  "export.playthroughSubtitleOne": "Mon parcours · {count} chapitre",
+  "export.playthroughSubtitleOther": "Mon parcours · {count} chapitres",
+  "export.gamebookSubtitle": "Commence au paragraphe 1 et suis les choix.",
+  "export.conditionWith": "avec {variable}",
+  "export.conditionWithout": "sans {variable}",
+  "export.conditionOnly": "(seulement {conditions})",
+  "export.noPlaythrough":
+    "Lis au moins un chapitre pour enregistrer un parcours.",
+
+  "admin.confirmLeave":
+    "Tes modifications ne sont pas enregistrées. Elles sont gardées en brouillon. Quitter l’éditeur ?",
+
+  "error.title": "Erreur",
+  "error.notFoundTitle": "Page introuvable",
+  "error.notFoundDetails": "La page demandée n’existe pas.",
+  "error.loadTitle": "Impossible de charger le contenu",
+  "error.inlineTitle": "Une erreur est survenue",
+  "error.renderTitle": "Erreur d’affichage de la page",
+
+  "parser.STORY_TITLE_HEADING":
+    "L’histoire doit commencer par un titre de premier niveau : # Titre de l’histoire",
+  "parser.SINGLE_STORY_TITLE":
+    "L’histoire ne doit contenir qu’un seul titre de premier niveau",
+  "parser.KEYWORDS_SECTION_REQUIRED":
+    "L’histoire doit inclure une section de mots-clés avant les chapitres : ## Keywords",
+  "parser.KEYWORDS_SECTION_POSITION":
+    "La section des mots-clés (## Keywords) doit précéder le premier chapitre",
+  "parser.KEYWORDS_FORMAT":
+    "La section des mots-clés doit contenir exactement 3 puces au format : - mot-clé",
+  "parser.CHAPTER_HEADING_FORMAT":
+    "Chaque titre de chapitre doit suivre : ## Chapter N",
+  "parser.CHAPTER_ASCENDING_ORDER":
+    "Les titres de chapitre doivent être classés par ordre numérique croissant",
+  "parser.CHAPTER_HEADING_BLANK_LINE":
+    "Chaque titre de chapitre doit être précédé d’une ligne vide",
+  "parser.UNIQUE_CHAPTER_NUMBERS":
+    "Les numéros de chapitre doivent être uniques",
+  "parser.VALID_SECTION_HEADINGS":
+    "Les titres de section doivent être : Title, Content ou Choices",
+  "parser.DUPLICATE_CHAPTER_SECTION":
+    "Chaque section de chapitre (Title, Content, Choices) ne peut apparaître qu’une fois",
+  "parser.CHOICE_LINE_FORMAT":
+    "Chaque ligne de choix doit suivre : 1. Texte du choix -> NuméroDeChapitre",
+  "parser.CHOICES_SECTION_FORMAT":
+    "La section Choices doit être une liste numérotée de choix ou exactement « The End »",
+  "parser.CHOICE_LIST_ORDER":
+    "Les choix doivent former une liste ordonnée croissante commençant à 1",
+  "parser.CHAPTER_REQUIRED_FIELDS":
+    "Chaque chapitre doit avoir un titre, un contenu et des choix",
+  "parser.CHOICE_TARGET_EXISTS":
+    "Les cibles des choix doivent désigner des chapitres existants",
+  "parser.CHOICE_NOT_SELF_REFERENTIAL":
+    "Un choix ne doit pas renvoyer vers le chapitre où il se trouve",
+  "parser.FIRST_CHAPTER_IS_ONE": "Le premier chapitre doit être le chapitre 1",
+  "parser.AT_LEAST_ONE_CHAPTER":
+    "Aucun chapitre trouvé. Ajoutez au moins un chapitre au format : ## Chapter N",
+  "parser.VARIABLES_SECTION_POSITION":
+    "La section des variables (## Variables) doit précéder le premier chapitre",
+  "parser.VARIABLES_FORMAT":
+    "La section des variables doit contenir une ou plusieurs puces au format : - nom_de_variable",
+  "parser.UNIQUE_VARIABLE_NAMES": "Les noms de variables doivent être uniques",
+  "parser.CHOICE_ANNOTATION_FORMAT":
+    "Les annotations de choix doivent être : [if nom], [if not nom], [set nom] ou [unset nom]",
+  "parser.CHOICE_VARIABLE_DECLARED":
+    "Les annotations de choix doivent utiliser des variables déclarées dans ## Variables",
+  "parser.UNCONDITIONAL_CHOICE_REQUIRED":
+    "Les chapitres avec des choix [if ...] doivent garder au moins un choix sans condition",
+});
@@ -1,44 +1,127 @@
 /**
- * Admin page - story editor with story-content validation
+ * Admin page - story editor with story-content validation, chapter graph,
+ * structural analysis, autosaved drafts, a diff against the published story,
+ * an in-place reader preview of the draft and new-story skeletons
  */
 
 import { getValidationExample } from "../utils/storyParser.js";
-import { getStoryContent } from "../services/storiesRepository.js";
+import {
+  getStoriesMetadata,
+  getStoryContent,
+} from "../services/storiesRepository.js";
+import { buildNewStoryFiles } from "../services/storyScaffoldService.js";
 import { createPage } from "../utils/pageContract.js";
+import { downloadTextFile } from "../utils/viewHelpers.js";
+import { t } from "../utils/i18n.js";
+import {
+  NEW_STORY_DRAFT_KEY,
+  clearAdminDraft,
+  getAdminDraft,
+  saveAdminDraft,
+} from "../state/adminDraftsStore.js";
 import {
   bindAdminPageEvents,
   clearValidationResultHtml,
   getAdminElements,
+  setDraftNoticeHtml,
+  setDraftStatusText,
   setEditorTextareaContent,
+  setNewStoryResultHtml,
+  setStoryAnalysisHtml,
+  setStoryDiffHtml,
+  setStoryGraphHtml,
+  setStoryPreviewHtml,
   setValidationResultHtml,
 } from "./admin.view.js";
-import { renderAdminPageTemplate } from "./admin.template.js";
+import {
+  renderAdminNewStoryError,
+  renderAdminNewStoryResult,
+  renderAdminPageTemplate,
+  renderAdminStoryPreview,
+} from "./admin.template.js";
 import {
   renderAdminStoryLoadError,
   renderAdminValidationResult,
   validateAdminStoryContent,
 } from "../utils/adminValidationUI.js";
+import {
+  buildAdminStoryGraph,
+  renderAdminStoryGraphResult,
+} from "../utils/adminStoryGraphUI.js";
+import {
+  buildAdminStoryAnalysis,
+  renderAdminStoryAnalysisResult,
+} from "../utils/adminStoryAnalysisUI.js";
+import {
+  buildAdminStoryDiff,
+  renderAdminStoryDiffResult,
+} from "../utils/adminStoryDiffUI.js";
+import {
+  buildAdminStoryPreview,
+  createStoryPreviewState,
+  stepPreviewBack,
+  takePreviewChoice,
+} from "../utils/adminStoryPreview.js";
+import { decodeChoiceEffects } from "../utils/storyState.js";
+import {
+  DOWNLOAD_FILE_NAME,
+  getAdminDraftStatusText,
+  renderAdminDraftNotice,
+} from "../utils/adminDraftUI.js";
 
 /** @typedef {import("../types.js").PageContract} PageContract */
 /** @typedef {import("../types.js").ValidationResult} ValidationResult */
 
+const AUTOSAVE_DELAY_MS = 800;
+const PREVIEW_REFRESH_DELAY_MS = 400;
+
+/**
+ * Editor session: the draft slot edits are saved to, the published text
+ * they are compared with, and whether a restore prompt is still open.
+ */
+const editorSession = {
+  draftKey: NEW_STORY_DRAFT_KEY,
+  baselineContent: "",
+  isRestorePending: false,
+  autosaveTimer: null,
+};
+
+/**
+ * Reader preview: once opened it re-renders the current step as the draft
+ * changes, until another story is loaded.
+ */
+const previewSession = {
+  isOpen: false,
+  state: createStoryPreviewState(),
+  refreshTimer: null,
+};
+
+/**
+ * Last "New story" result, whose metadata files the author can download.
+ *
+ * @type {import("../services/storyScaffoldService.js").NewStoryFiles|null}
+ */
+let newStoryFiles = null;
+
 /**
  * @param {ValidationResult["status"]} type
  * @param {string} message
+ * @param {ValidationResult["diagnostics"]} [diagnostics]
  * @returns {string}
  */
-function getValidationResultHtml(type, message) {
+function getValidationResultHtml(type, message, diagnostics) {
   return renderAdminValidationResult({
     status: type,
     message,
+    diagnostics,
   });
 }
 
-function setValidationResult(type, message = "") {
+function setValidationResult(type, message = "", diagnostics = undefined) {
   const { validationResult } = getAdminElements();
   setValidationResultHtml(
     validationResult,
-    getValidationResultHtml(type, message),
+    getValidationResultHtml(type, message, diagnostics),
   );
 }
 
@@ -53,6 +136,18 @@ function bindAdminEvents() {
     onValidate: validateContent,
     onLoad: loadStory,
     onStorySelectChange,
+    onShowGraph: showStoryGraph,
+    onAnalyze: analyzeStoryContent,
+    onEditorInput,
+    onDraftAction,
+    onDownload: downloadStory,
+    onOpenFile: openLocalStory,
+    onCompare: compareWithPublished,
+    onPreview: openStoryPreview,
+    onPreviewChoice,
+    onPreviewAction,
+    onCreateStory: createNewStory,
+    onNewStoryDownload: downloadNewStoryFile,
   });
 }
 
@@ -72,15 +167,257 @@ export async function renderAdminPage(model) {
 
 export async function bindAdminPage() {
   bindAdminEvents();
+  // A timer left from an earlier visit would save this page's fresh textarea.
+  clearTimeout(editorSession.autosaveTimer);
+  editorSession.autosaveTimer = null;
+  startEditorSession(NEW_STORY_DRAFT_KEY, "");
   return null;
 }
 
+function getDraftStoryLabel(draftKey) {
+  return draftKey === NEW_STORY_DRAFT_KEY ? "New Story" : `Story ${draftKey}`;
+}
+
+function hideDraftNotice() {
+  const { draftNotice } = getAdminElements();
+  editorSession.isRestorePending = false;
+  setDraftNoticeHtml(draftNotice, "");
+}
+
+/**
+ * Points autosave at `draftKey` and offers to restore a saved draft that
+ * differs from the published content. Edits still waiting for the autosave
+ * delay are saved to the previous draft first.
+ *
+ * @param {string} draftKey
+ * @param {string} baselineContent
+ */
+function startEditorSession(draftKey, baselineContent) {
+  flushAutosave();
+  editorSession.draftKey = draftKey;
+  editorSession.baselineContent = baselineContent;
+
+  const { draftNotice, draftStatus } = getAdminElements();
+  const draft = getAdminDraft(draftKey);
+  setDraftStatusText(draftStatus, "");
+
+  if (!draft || draft.content === baselineContent) {
+    hideDraftNotice();
+    return;
+  }
+
+  editorSession.isRestorePending = true;
+  setDraftNoticeHtml(
+    draftNotice,
+    renderAdminDraftNotice(draft, getDraftStoryLabel(draftKey)),
+  );
+}
+
+/**
+ * While a restore prompt is open, the stored draft is only replaced once
+ * the author actually changes the text.
+ */
+function autosaveDraft() {
+  editorSession.autosaveTimer = null;
+  const { textarea, draftStatus } = getAdminElements();
+  if (!textarea) return;
+
+  const content = textarea.value;
+  if (content === editorSession.baselineContent) {
+    if (!editorSession.isRestorePending) {
+      clearAdminDraft(editorSession.draftKey);
+      setDraftStatusText(draftStatus, "");
+    }
+    return;
+  }
+
+  hideDraftNotice();
+  const draft = saveAdminDraft(editorSession.draftKey, content);
+  setDraftStatusText(draftStatus, getAdminDraftStatusText(draft));
+}
+
+function flushAutosave() {
+  if (editorSession.autosaveTimer === null) return;
+
+  clearTimeout(editorSession.autosaveTimer);
+  autosaveDraft();
+}
+
+function scheduleAutosave() {
+  clearTimeout(editorSession.autosaveTimer);
+  editorSession.autosaveTimer = setTimeout(autosaveDraft, AUTOSAVE_DELAY_MS);
+}
+
+function onEditorInput() {
+  scheduleAutosave();
+  schedulePreviewRefresh();
+}
+
+function renderStoryPreview() {
+  const { textarea, storyPreview } = getAdminElements();
+  if (!textarea) return;
+
+  setStoryPreviewHtml(
+    storyPreview,
+    renderAdminStoryPreview(
+      buildAdminStoryPreview(textarea.value),
+      previewSession.state,
+    ),
+  );
+}
+
+function openStoryPreview() {
+  previewSession.isOpen = true;
+  previewSession.state = createStoryPreviewState();
+  renderStoryPreview();
+}
+
+function closeStoryPreview() {
+  const { storyPreview } = getAdminElements();
+  clearTimeout(previewSession.refreshTimer);
+  previewSession.isOpen = false;
+  setStoryPreviewHtml(storyPreview, "");
+}
+
+function schedulePreviewRefresh() {
+  if (!previewSession.isOpen) return;
+
+  clearTimeout(previewSession.refreshTimer);
+  previewSession.refreshTimer = setTimeout(
+    renderStoryPreview,
+    PREVIEW_REFRESH_DELAY_MS,
+  );
+}
+
+/**
+ * @param {number} chapterNumber
+ * @param {string} encodedEffects
+ */
+function onPreviewChoice(chapterNumber, encodedEffects) {
+  previewSession.state = takePreviewChoice(
+    previewSession.state,
+    chapterNumber,
+    decodeChoiceEffects(encodedEffects),
+  );
+  renderStoryPreview();
+}
+
+/**
+ * @param {"back"|"restart"} action
+ */
+function onPreviewAction(action) {
+  previewSession.state =
+    action === "back"
+      ? stepPreviewBack(previewSession.state)
+      : createStoryPreviewState();
+  renderStoryPreview();
+}
+
+/**
+ * @param {"restore"|"discard"} action
+ */
+function onDraftAction(action) {
+  const draft = getAdminDraft(editorSession.draftKey);
+  hideDraftNotice();
+
+  if (action === "restore" && draft) {
+    setEditorContent(draft.content);
+    clearValidationResult();
+    clearStoryStructure();
+    return;
+  }
+
+  clearAdminDraft(editorSession.draftKey);
+}
+
+function downloadStory() {
+  const { textarea } = getAdminElements();
+  if (!textarea) return;
+
+  downloadTextFile(DOWNLOAD_FILE_NAME, textarea.value);
+}
+
+/**
+ * @param {string} content
+ */
+function openLocalStory(content) {
+  flushAutosave();
+  setEditorContent(content);
+  clearValidationResult();
+  clearStoryStructure();
+}
+
 function validateContent() {
   const { textarea } = getAdminElements();
   if (!textarea) return;
 
   const result = validateAdminStoryContent(textarea.value);
-  setValidationResult(result.status, result.message || "");
+  setValidationResult(result.status, result.message || "", result.diagnostics);
+}
+
+function showStoryGraph() {
+  const { textarea, storyGraph } = getAdminElements();
+  if (!textarea) return;
+
+  setStoryGraphHtml(
+    storyGraph,
+    renderAdminStoryGraphResult(buildAdminStoryGraph(textarea.value)),
+  );
+}
+
+/**
+ * The published text is the baseline captured when the story was loaded,
+ * so the diff shows exactly what saving the draft would change.
+ */
+function compareWithPublished() {
+  const { textarea, storyDiff } = getAdminElements();
+  if (!textarea) return;
+
+  setStoryDiffHtml(
+    storyDiff,
+    renderAdminStoryDiffResult(
+      buildAdminStoryDiff(editorSession.baselineContent, textarea.value),
+    ),
+  );
+}
+
+function clearStoryStructure() {
+  const { storyGraph, storyAnalysis, storyDiff } = getAdminElements();
+  setStoryGraphHtml(storyGraph, "");
+  setStoryAnalysisHtml(storyAnalysis, "");
+  setStoryDiffHtml(storyDiff, "");
+  closeStoryPreview();
+}
+
+/**
+ * Length band of the selected story from metadata; `null` for new stories,
+ * in which case the analysis infers the band from the word count.
+ *
+ * @returns {Promise<import("../types.js").StoryLength|null>}
+ */
+async function getSelectedStoryLength() {
+  const { storySelect } = getAdminElements();
+  if (!storySelect?.value) return null;
+
+  const stories = await getStoriesMetadata();
+  const metadata = stories.find(
+    (story) => String(story.number) === storySelect.value,
+  );
+  return metadata?.length || null;
+}
+
+async function analyzeStoryContent() {
+  const { textarea } = getAdminElements();
+  if (!textarea) return;
+
+  const length = await getSelectedStoryLength();
+  const { storyAnalysis } = getAdminElements();
+  setStoryAnalysisHtml(
+    storyAnalysis,
+    renderAdminStoryAnalysisResult(
+      buildAdminStoryAnalysis(textarea.value, length),
+    ),
+  );
 }
 
 function setEditorContent(content) {
@@ -95,24 +432,91 @@ async function loadStory() {
   const storyNum = storySelect.value;
 
   if (!storyNum) {
+    startEditorSession(NEW_STORY_DRAFT_KEY, "");
     setEditorContent("");
     clearValidationResult();
+    clearStoryStructure();
     return;
   }
 
   try {
     const content = await getStoryContent(storyNum);
+    startEditorSession(storyNum, content);
     setEditorContent(content);
     clearValidationResult();
+    clearStoryStructure();
   } catch (error) {
     setValidationResult("error", renderAdminStoryLoadError(error));
   }
 }
 
+/**
+ * Puts a skeleton for the next story number in the editor, as a new-story
+ * draft, and offers both metadata files with the story added.
+ *
+ * @param {{ title: string, length: string }} options
+ */
+async function createNewStory(options) {
+  const { storySelect, newStoryResult } = getAdminElements();
+
+  try {
+    newStoryFiles = await buildNewStoryFiles(options);
+  } catch (error) {
+    newStoryFiles = null;
+    setNewStoryResultHtml(newStoryResult, renderAdminNewStoryError(error));
+    return;
+  }
+
+  if (storySelect) storySelect.value = "";
+  // The skeleton is the baseline, so it never replaces a saved new-story
+  // draft until the author edits it.
+  startEditorSession(NEW_STORY_DRAFT_KEY, newStoryFiles.markdown);
+  setEditorContent(newStoryFiles.markdown);
+  clearValidationResult();
+  clearStoryStructure();
+  setNewStoryResultHtml(
+    newStoryResult,
+    renderAdminNewStoryResult(newStoryFiles),
+  );
+}
+
+/**
+ * @param {string} fileName
+ */
+function downloadNewStoryFile(fileName) {
+  const file = newStoryFiles?.metadataFiles.find(
+    (candidate) => candidate.fileName === fileName,
+  );
+  if (!file) return;
+
+  downloadTextFile(
+    file.fileName,
+    file.content,
+    "application/json;charset=utf-8",
+  );
+}
+
 function onStorySelectChange() {
   clearValidationResult();
 }
 
+/**
+ * Leave guard for the router: edits that differ from the loaded story are
+ * flushed to the draft slot, then the author confirms leaving the editor.
+ *
+ * @returns {boolean}
+ */
+export function confirmLeaveAdminPage() {
+  const { textarea } = getAdminElements();
+  if (!textarea || textarea.value === editorSession.baselineContent) {
+    return true;
+  }
+
+  clearTimeout(editorSession.autosaveTimer);
+  autosaveDraft();
+  return window.confirm(t("admin.confirmLeave"));
+}
+
 /** @type {PageContract} */
 export const adminPage = createPage({
   load: loadAdminPageData,
@@ -1,5 +1,15 @@
-import { renderPageContainer } from "../utils/viewHelpers.js";
+import { escapeHtml, renderPageContainer } from "../utils/viewHelpers.js";
 import { highlightMarkdown } from "../utils/markdownHighlighter.js";
+import { getPreviewChapter } from "../utils/adminStoryPreview.js";
+import { renderStoryChapterBody } from "./story.template.js";
+import { STORY_LENGTH_BANDS } from "../utils/storyAnalysis.js";
+import { NEW_STORY_DEFAULT_LENGTH } from "../utils/storyScaffold.js";
+
+/** @typedef {import("../utils/adminStoryPreview.js").AdminStoryPreview} AdminStoryPreview */
+/** @typedef {import("../utils/adminStoryPreview.js").StoryPreviewState} StoryPreviewState */
+/** @typedef {import("../services/storyScaffoldService.js").NewStoryFiles} NewStoryFiles */
+
+export const PREVIEW_STORY_ID = "preview";
 
 const STORY_IDS = [1, 2, 3, 4, 5, 6, 7, 8];
 
@@ -9,6 +19,15 @@ function getStoryOptionsHtml() {
   ).join("");
 }
 
+function getNewStoryLengthOptionsHtml() {
+  return Object.entries(STORY_LENGTH_BANDS)
+    .map(
+      ([length, band]) =>
+        `<option value="${length}"${length === NEW_STORY_DEFAULT_LENGTH ? " selected" : ""}>${length} (${band.chapters[0]} chapters, ${band.endings[0]} endings)</option>`,
+    )
+    .join("");
+}
+
 /**
  * @param {string} example
  * @returns {string}
@@ -30,7 +49,17 @@ export function renderAdminPageTemplate(example) {
             </div>
             <div class="editor-actions">
               <button class="btn btn-primary" id="load-btn">Load Story</button>
+              <button type="button" class="btn btn-secondary" id="open-file-btn">Open Local File</button>
+              <input type="file" id="open-file-input" accept=".md,text/markdown,text/plain" hidden>
+            </div>
+            <div class="new-story-row">
+              <input type="text" class="new-story-title" id="new-story-title" placeholder="New story title" aria-label="New story title">
+              <select class="story-select" id="new-story-length" aria-label="New story length">
+                ${getNewStoryLengthOptionsHtml()}
+              </select>
+              <button type="button" class="btn btn-secondary" id="new-story-btn">Create Story Skeleton</button>
             </div>
+            <div id="new-story-result"></div>
           </div>
         </section>
 
@@ -42,7 +71,10 @@ export function renderAdminPageTemplate(example) {
               <div class="example-block markdown-highlight">${highlightMarkdown(example)}</div>
             </details>
 
+            <div class="draft-notice-slot" id="draft-notice"></div>
+
             <div class="editor-tools-row">
+              <span class="draft-status" id="draft-status" aria-live="polite"></span>
               <button type="button" class="markdown-toggle-link" id="markdown-toggle-btn" aria-pressed="true">Disable syntax highlighting</button>
             </div>
             <div class="editor-textarea-wrapper">
@@ -52,11 +84,133 @@ export function renderAdminPageTemplate(example) {
 
             <div class="editor-actions">
               <button class="btn btn-primary" id="validate-btn">Validate Syntax</button>
+              <button type="button" class="btn btn-secondary" id="diff-btn">Compare with Published</button>
+              <button type="button" class="btn btn-secondary" id="download-btn">Download story.md</button>
             </div>
 
             <div id="validation-result"></div>
+            <div id="story-diff"></div>
+          </div>
+        </section>
+
+        <section class="admin-section-group">
+          <h2 class="admin-section-title">Story Structure</h2>
+          <div class="editor-section">
+            <div class="editor-actions">
+              <button class="btn btn-primary" id="graph-btn">Show Story Graph</button>
+              <button class="btn btn-primary" id="analyze-btn">Analyze Story</button>
+            </div>
+            <p class="story-graph-hint">Click a chapter to jump to its heading in the editor.</p>
+            <div class="story-graph" id="story-graph"></div>
+            <div id="story-analysis"></div>
+          </div>
+        </section>
+
+        <section class="admin-section-group">
+          <h2 class="admin-section-title">Reader Preview</h2>
+          <div class="editor-section">
+            <div class="editor-actions">
+              <button class="btn btn-primary" id="preview-btn">Preview Story</button>
+            </div>
+            <p class="story-graph-hint">Play the draft as a reader would. The preview follows your edits and never touches saved progress.</p>
+            <div id="story-preview"></div>
           </div>
         </section>
     `,
   });
 }
+
+/**
+ * @param {StoryPreviewState} state
+ * @returns {string}
+ */
+function renderStoryPreviewToolbar(state) {
+  const isAtStart = state.trail.length <= 1;
+
+  return `
+    <div class="story-preview-toolbar">
+      <span class="story-preview-trail">Path: ${state.trail.join(" → ")}</span>
+      <button type="button" class="btn btn-secondary" data-preview-action="back"${isAtStart ? " disabled" : ""}>← Back</button>
+      <button type="button" class="btn btn-secondary" data-preview-action="restart">Restart</button>
+    </div>
+  `;
+}
+
+/**
+ * Plays the current preview step with the reader's own chapter template.
+ *
+ * @param {AdminStoryPreview} preview
+ * @param {StoryPreviewState} state
+ * @returns {string}
+ */
+export function renderAdminStoryPreview(preview, state) {
+  if (!preview || preview.status === "empty") {
+    return '<div class="validation-result validation-error">Please enter story content</div>';
+  }
+
+  if (preview.status === "error") {
+    return `
+      <div class="validation-result validation-error">
+        ✗ The preview needs a readable story:
+        <div class="error-details">${escapeHtml(preview.message || "Unknown validation error.")}</div>
+      </div>
+    `;
+  }
+
+  const chapter = getPreviewChapter(preview.chapters, state);
+  const { trail } = state;
+  const chapterHtml = chapter
+    ? renderStoryChapterBody(PREVIEW_STORY_ID, chapter, null, null, {
+        readerControls: false,
+      })
+    : `<p class="story-preview-missing">Chapter ${trail[trail.length - 1]} is not in the draft. Go back or restart.</p>`;
+  const problemsHtml =
+    preview.diagnosticCount > 0
+      ? `<p class="story-preview-problems">The draft has ${preview.diagnosticCount} validation problem${preview.diagnosticCount === 1 ? "" : "s"}; chapters that could not be read are skipped.</p>`
+      : "";
+
+  return `
+    <div class="story-preview">
+      ${renderStoryPreviewToolbar(state)}
+      ${problemsHtml}
+      <div class="story-preview-reader">${chapterHtml}</div>
+    </div>
+  `;
+}
+
+/**
+ * @param {NewStoryFiles} files
+ * @returns {string}
+ */
+export function renderAdminNewStoryResult(files) {
+  const downloadButtons = files.metadataFiles
+    .map(
+      ({ fileName }) =>
+        `<button type="button" class="btn btn-secondary" data-new-story-download="${escapeHtml(fileName)}">Download ${escapeHtml(fileName)}</button>`,
+    )
+    .join("");
+
+  return `
+    <div class="validation-result validation-success new-story-result">
+      ✓ Story ${files.storyNumber} skeleton is in the editor.
+      <ol class="new-story-steps">
+        <li>Save the editor content as <code>${escapeHtml(files.storyPath)}</code> (Download story.md).</li>
+        <li>Replace both files in <code>assets/stories/</code> with these copies, which list story ${files.storyNumber}:</li>
+      </ol>
+      <div class="editor-actions">${downloadButtons}</div>
+    </div>
+  `;
+}
+
+/**
+ * @param {unknown} error
+ * @returns {string}
+ */
+export function renderAdminNewStoryError(error) {
+  return `
+    <div class="validation-result validation-error">
+      ✗ Could not create the story skeleton:
+      <div class="error-details">${escapeHtml(error instanceof Error ? error.message : String(error))}</div>
+    </div>
+  `;
+}
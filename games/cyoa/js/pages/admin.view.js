@@ -2,7 +2,11 @@
  * Admin page view adapter: DOM getters and event binding.
  */
 
-import { setupAdminMarkdownHighlighting } from "../utils/adminEditorEnhancer.js";
+import {
+  focusEditorLine,
+  scrollEditorToChapter,
+  setupAdminMarkdownHighlighting,
+} from "../utils/adminEditorEnhancer.js";
 
 /**
  * @returns {{
@@ -11,6 +15,23 @@ import { setupAdminMarkdownHighlighting } from "../utils/adminEditorEnhancer.js"
  *   storySelect: HTMLSelectElement|null,
  *   textarea: HTMLTextAreaElement|null,
  *   validationResult: HTMLElement|null,
+ *   graphButton: HTMLButtonElement|null,
+ *   storyGraph: HTMLElement|null,
+ *   analyzeButton: HTMLButtonElement|null,
+ *   storyAnalysis: HTMLElement|null,
+ *   draftNotice: HTMLElement|null,
+ *   draftStatus: HTMLElement|null,
+ *   downloadButton: HTMLButtonElement|null,
+ *   openFileButton: HTMLButtonElement|null,
+ *   openFileInput: HTMLInputElement|null,
+ *   diffButton: HTMLButtonElement|null,
+ *   storyDiff: HTMLElement|null,
+ *   previewButton: HTMLButtonElement|null,
+ *   storyPreview: HTMLElement|null,
+ *   newStoryTitle: HTMLInputElement|null,
+ *   newStoryLength: HTMLSelectElement|null,
+ *   newStoryButton: HTMLButtonElement|null,
+ *   newStoryResult: HTMLElement|null,
  * }}
  */
 export function getAdminElements() {
@@ -20,6 +41,23 @@ export function getAdminElements() {
     storySelect: document.getElementById("story-select"),
     textarea: document.getElementById("story-editor"),
     validationResult: document.getElementById("validation-result"),
+    graphButton: document.getElementById("graph-btn"),
+    storyGraph: document.getElementById("story-graph"),
+    analyzeButton: document.getElementById("analyze-btn"),
+    storyAnalysis: document.getElementById("story-analysis"),
+    draftNotice: document.getElementById("draft-notice"),
+    draftStatus: document.getElementById("draft-status"),
+    downloadButton: document.getElementById("download-btn"),
+    openFileButton: document.getElementById("open-file-btn"),
+    openFileInput: document.getElementById("open-file-input"),
+    diffButton: document.getElementById("diff-btn"),
+    storyDiff: document.getElementById("story-diff"),
+    previewButton: document.getElementById("preview-btn"),
+    storyPreview: document.getElementById("story-preview"),
+    newStoryTitle: document.getElementById("new-story-title"),
+    newStoryLength: document.getElementById("new-story-length"),
+    newStoryButton: document.getElementById("new-story-btn"),
+    newStoryResult: document.getElementById("new-story-result"),
   };
 }
 
@@ -40,6 +78,139 @@ export function clearValidationResultHtml(validationResultElement) {
   validationResultElement.innerHTML = "";
 }
 
+/**
+ * @param {HTMLElement|null} storyGraphElement
+ * @param {string} html
+ */
+export function setStoryGraphHtml(storyGraphElement, html) {
+  if (!storyGraphElement) return;
+  storyGraphElement.innerHTML = html;
+}
+
+/**
+ * @param {HTMLElement|null} storyAnalysisElement
+ * @param {string} html
+ */
+export function setStoryAnalysisHtml(storyAnalysisElement, html) {
+  if (!storyAnalysisElement) return;
+  storyAnalysisElement.innerHTML = html;
+}
+
+/**
+ * @param {HTMLElement|null} storyDiffElement
+ * @param {string} html
+ */
+export function setStoryDiffHtml(storyDiffElement, html) {
+  if (!storyDiffElement) return;
+  storyDiffElement.innerHTML = html;
+}
+
+/**
+ * @param {HTMLElement|null} storyPreviewElement
+ * @param {string} html
+ */
+export function setStoryPreviewHtml(storyPreviewElement, html) {
+  if (!storyPreviewElement) return;
+  storyPreviewElement.innerHTML = html;
+}
+
+/**
+ * @param {HTMLElement|null} newStoryResultElement
+ * @param {string} html
+ */
+export function setNewStoryResultHtml(newStoryResultElement, html) {
+  if (!newStoryResultElement) return;
+  newStoryResultElement.innerHTML = html;
+}
+
+/**
+ * @param {HTMLElement|null} draftNoticeElement
+ * @param {string} html
+ */
+export function setDraftNoticeHtml(draftNoticeElement, html) {
+  if (!draftNoticeElement) return;
+  draftNoticeElement.innerHTML = html;
+}
+
+/**
+ * @param {HTMLElement|null} draftStatusElement
+ * @param {string} text
+ */
+export function setDraftStatusText(draftStatusElement, text) {
+  if (!draftStatusElement) return;
+  draftStatusElement.textContent = text;
+}
+
+/**
+ * Graph nodes are re-rendered on every refresh, so clicks and Enter/Space
+ * are delegated from the graph container.
+ *
+ * @param {HTMLElement|null} storyGraphElement
+ */
+function bindStoryGraphNavigation(storyGraphElement) {
+  if (!storyGraphElement) return;
+
+  const jumpToNodeChapter = (target) => {
+    const node =
+      target instanceof Element ? target.closest("[data-graph-chapter]") : null;
+    if (!node) return false;
+
+    scrollEditorToChapter(Number(node.getAttribute("data-graph-chapter")));
+    return true;
+  };
+
+  storyGraphElement.addEventListener("click", (event) => {
+    jumpToNodeChapter(event.target);
+  });
+
+  storyGraphElement.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter" && event.key !== " ") return;
+    if (jumpToNodeChapter(event.target)) {
+      event.preventDefault();
+    }
+  });
+}
+
+/**
+ * The preview reuses the reader's chapter markup, whose choice links point
+ * at `#/story/...`; clicks are intercepted so the draft is played in place
+ * instead of navigating away from the editor.
+ *
+ * @param {HTMLElement|null} storyPreviewElement
+ * @param {{
+ *   onPreviewChoice: (chapterNumber: number, encodedEffects: string) => void,
+ *   onPreviewAction: (action: "back"|"restart") => void,
+ * }} handlers
+ */
+function bindStoryPreviewNavigation(storyPreviewElement, handlers) {
+  if (!storyPreviewElement) return;
+
+  storyPreviewElement.addEventListener("click", (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const actionButton = event.target.closest("[data-preview-action]");
+    if (actionButton) {
+      handlers.onPreviewAction(
+        /** @type {"back"|"restart"} */ (
+          actionButton.getAttribute("data-preview-action")
+        ),
+      );
+      return;
+    }
+
+    const link = event.target.closest("a");
+    if (!link) return;
+
+    event.preventDefault();
+    if (link.hasAttribute("data-choice-target")) {
+      handlers.onPreviewChoice(
+        Number(link.getAttribute("data-choice-target")),
+        link.getAttribute("data-choice-effects") || "",
+      );
+    }
+  });
+}
+
 /**
  * @param {HTMLTextAreaElement|null} textareaElement
  * @param {string} content
@@ -55,11 +226,39 @@ export function setEditorTextareaContent(textareaElement, content) {
  *   validateButton: HTMLButtonElement|null,
  *   loadButton: HTMLButtonElement|null,
  *   storySelect: HTMLSelectElement|null,
+ *   validationResult: HTMLElement|null,
+ *   graphButton: HTMLButtonElement|null,
+ *   storyGraph: HTMLElement|null,
+ *   analyzeButton: HTMLButtonElement|null,
+ *   textarea: HTMLTextAreaElement|null,
+ *   draftNotice: HTMLElement|null,
+ *   downloadButton: HTMLButtonElement|null,
+ *   openFileButton: HTMLButtonElement|null,
+ *   openFileInput: HTMLInputElement|null,
+ *   diffButton: HTMLButtonElement|null,
+ *   previewButton: HTMLButtonElement|null,
+ *   storyPreview: HTMLElement|null,
+ *   newStoryTitle: HTMLInputElement|null,
+ *   newStoryLength: HTMLSelectElement|null,
+ *   newStoryButton: HTMLButtonElement|null,
+ *   newStoryResult: HTMLElement|null,
  * }} elements
  * @param {{
  *   onValidate: () => void,
  *   onLoad: () => void,
  *   onStorySelectChange: () => void,
+ *   onShowGraph: () => void,
+ *   onAnalyze: () => void,
+ *   onEditorInput: () => void,
+ *   onDraftAction: (action: "restore"|"discard") => void,
+ *   onDownload: () => void,
+ *   onOpenFile: (content: string) => void,
+ *   onCompare: () => void,
+ *   onPreview: () => void,
+ *   onPreviewChoice: (chapterNumber: number, encodedEffects: string) => void,
+ *   onPreviewAction: (action: "back"|"restart") => void,
+ *   onCreateStory: (options: { title: string, length: string }) => void,
+ *   onNewStoryDownload: (fileName: string) => void,
  * }} handlers
  */
 export function bindAdminPageEvents(elements, handlers) {
@@ -69,6 +268,68 @@ export function bindAdminPageEvents(elements, handlers) {
     "change",
     handlers.onStorySelectChange,
   );
+  elements.validationResult?.addEventListener("click", (event) => {
+    const item =
+      event.target instanceof Element
+        ? event.target.closest("[data-diagnostic-line]")
+        : null;
+    if (!item) return;
+
+    focusEditorLine(
+      Number(item.getAttribute("data-diagnostic-line")),
+      Number(item.getAttribute("data-diagnostic-column")),
+    );
+  });
+  elements.graphButton?.addEventListener("click", handlers.onShowGraph);
+  elements.analyzeButton?.addEventListener("click", handlers.onAnalyze);
+  bindStoryGraphNavigation(elements.storyGraph);
+
+  elements.textarea?.addEventListener("input", handlers.onEditorInput);
+  elements.draftNotice?.addEventListener("click", (event) => {
+    const button =
+      event.target instanceof Element
+        ? event.target.closest("[data-draft-action]")
+        : null;
+    if (!button) return;
+
+    handlers.onDraftAction(
+      /** @type {"restore"|"discard"} */ (
+        button.getAttribute("data-draft-action")
+      ),
+    );
+  });
+  elements.downloadButton?.addEventListener("click", handlers.onDownload);
+  elements.diffButton?.addEventListener("click", handlers.onCompare);
+  elements.previewButton?.addEventListener("click", handlers.onPreview);
+  bindStoryPreviewNavigation(elements.storyPreview, handlers);
+  elements.newStoryButton?.addEventListener("click", () => {
+    handlers.onCreateStory({
+      title: elements.newStoryTitle?.value || "",
+      length: elements.newStoryLength?.value || "",
+    });
+  });
+  elements.newStoryResult?.addEventListener("click", (event) => {
+    const button =
+      event.target instanceof Element
+        ? event.target.closest("[data-new-story-download]")
+        : null;
+    if (!button) return;
+
+    handlers.onNewStoryDownload(
+      button.getAttribute("data-new-story-download") || "",
+    );
+  });
+  elements.openFileButton?.addEventListener("click", () => {
+    elements.openFileInput?.click();
+  });
+  elements.openFileInput?.addEventListener("change", async () => {
+    const file = elements.openFileInput?.files?.[0];
+    if (!file) return;
+
+    handlers.onOpenFile(await file.text());
+    // Reset so choosing the same file again still fires `change`.
+    elements.openFileInput.value = "";
+  });
 
   setupAdminMarkdownHighlighting();
 }
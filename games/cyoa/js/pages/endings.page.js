@@ -0,0 +1,127 @@
+/**
+ * Endings page - gallery of found and undiscovered endings for one story
+ */
+
+import { getStoriesMetadata } from "../services/storiesRepository.js";
+import { loadStoryData } from "../services/storyPageDataService.js";
+import { getStoryEndings } from "../state/endingsStore.js";
+import { getStoryProgress } from "../state/readingProgressStore.js";
+import {
+  findEndingBranchChapter,
+  getEndingChapterNumbers,
+} from "../utils/storyGraph.js";
+import { createPage } from "../utils/pageContract.js";
+import { renderEndingsPageTemplate } from "./endings.template.js";
+import { renderStoryErrorState } from "./story.template.js";
+import { bindStoryExportActions } from "./story.view.js";
+import { saveStoryExport } from "./story.page.js";
+
+/** @typedef {import("../types.js").PageContract} PageContract */
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").EndingGalleryEntry} EndingGalleryEntry */
+
+/**
+ * @typedef {object} EndingsPageModel
+ * @property {string} storyId
+ * @property {string} storyTitle
+ * @property {EndingGalleryEntry[]} endings
+ * @property {boolean} hasPlaythrough whether a reading trail can be exported
+ * @property {string|null} error
+ */
+
+/**
+ * @param {Record<number, StoryChapter>} chapters
+ * @param {number[]} foundChapterNumbers
+ * @returns {EndingGalleryEntry[]}
+ */
+export function buildEndingGalleryEntries(chapters, foundChapterNumbers) {
+  const found = new Set(foundChapterNumbers);
+
+  return getEndingChapterNumbers(chapters).map((chapterNumber) => {
+    const branchChapterNumber = found.has(chapterNumber)
+      ? null
+      : findEndingBranchChapter(chapters, chapterNumber);
+
+    return {
+      chapterNumber,
+      title: chapters[chapterNumber].title,
+      found: found.has(chapterNumber),
+      branchChapterNumber,
+      branchChapterTitle:
+        branchChapterNumber !== null
+          ? chapters[branchChapterNumber].title
+          : null,
+    };
+  });
+}
+
+/**
+ * @param {{ storyId: string }} params
+ * @returns {Promise<EndingsPageModel>}
+ */
+export async function loadEndingsPageData(params) {
+  const storyId = params.storyId;
+
+  try {
+    const [chapters, stories] = await Promise.all([
+      loadStoryData(storyId),
+      getStoriesMetadata(),
+    ]);
+    const metadata = stories.find(
+      (story) => String(story.number) === String(storyId),
+    );
+
+    return {
+      storyId,
+      storyTitle: metadata?.title || `Story ${storyId}`,
+      endings: buildEndingGalleryEntries(
+        chapters,
+        getStoryEndings(storyId)?.found || [],
+      ),
+      hasPlaythrough: Boolean(getStoryProgress(storyId)),
+      error: null,
+    };
+  } catch (error) {
+    return {
+      storyId,
+      storyTitle: "",
+      endings: [],
+      hasPlaythrough: false,
+      error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/**
+ * @param {EndingsPageModel} model
+ * @returns {Promise<string>}
+ */
+export async function renderEndingsPage(model) {
+  if (model.error) {
+    return renderStoryErrorState(model.error);
+  }
+
+  return renderEndingsPageTemplate(model);
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {EndingsPageModel} model
+ * @returns {(() => void)|null}
+ */
+export function bindEndingsPage(container, model) {
+  if (model.error || !container?.addEventListener) {
+    return null;
+  }
+
+  return bindStoryExportActions(container, (kind) =>
+    saveStoryExport(model.storyId, kind),
+  );
+}
+
+/** @type {PageContract} */
+export const endingsPage = createPage({
+  load: loadEndingsPageData,
+  render: renderEndingsPage,
+  bind: bindEndingsPage,
+});
@@ -0,0 +1,97 @@
+import { escapeHtml, renderPageContainer } from "../utils/viewHelpers.js";
+import { t } from "../utils/i18n.js";
+
+/** @typedef {import("../types.js").EndingGalleryEntry} EndingGalleryEntry */
+
+/**
+ * @param {number} foundCount
+ * @param {number} total
+ * @returns {string}
+ */
+export function formatEndingsCount(foundCount, total) {
+  const percent = total > 0 ? Math.round((foundCount / total) * 100) : 0;
+  return t("endings.count", { found: foundCount, total, percent });
+}
+
+/**
+ * @param {string} storyId
+ * @param {EndingGalleryEntry} ending
+ * @returns {string}
+ */
+function renderEndingCard(storyId, ending) {
+  if (ending.found) {
+    return `
+      <li class="ending-card ending-card-found">
+        <span class="ending-card-icon" aria-hidden="true">🏁</span>
+        <div class="ending-card-body">
+          <span class="ending-card-title">${escapeHtml(ending.title)}</span>
+          <a class="ending-card-link" href="#/story/${storyId}/${ending.chapterNumber}">Read this ending again</a>
+        </div>
+      </li>
+    `;
+  }
+
+  const branchLink =
+    ending.branchChapterNumber !== null
+      ? `<a class="ending-card-link" href="#/story/${storyId}/${ending.branchChapterNumber}">Try a different choice in Chapter ${ending.branchChapterNumber}: ${escapeHtml(ending.branchChapterTitle)}</a>`
+      : "";
+
+  return `
+    <li class="ending-card ending-card-hidden">
+      <span class="ending-card-icon" aria-hidden="true">❔</span>
+      <div class="ending-card-body">
+        <span class="ending-card-title">Undiscovered ending</span>
+        ${branchLink}
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * @param {boolean} hasPlaythrough
+ * @returns {string}
+ */
+function renderEndingsExport(hasPlaythrough) {
+  const playthroughAttributes = hasPlaythrough
+    ? ""
+    : ` disabled title="${escapeHtml(t("export.noPlaythrough"))}"`;
+
+  return `
+    <section class="endings-export" aria-label="${escapeHtml(t("endings.exportTitle"))}">
+      <h2 class="endings-export-title">${t("endings.exportTitle")}</h2>
+      <button type="button" class="endings-export-button" data-story-export="playthrough"${playthroughAttributes}>${t("endings.exportPlaythrough")}</button>
+      <button type="button" class="endings-export-button" data-story-export="gamebook">${t("endings.exportGamebook")}</button>
+    </section>
+  `;
+}
+
+/**
+ * @param {{ storyId: string, storyTitle: string, endings: EndingGalleryEntry[], hasPlaythrough?: boolean }} model
+ * @returns {string}
+ */
+export function renderEndingsPageTemplate({
+  storyId,
+  storyTitle,
+  endings,
+  hasPlaythrough = false,
+}) {
+  const safeStoryId = escapeHtml(storyId);
+  const foundCount = endings.filter((ending) => ending.found).length;
+  const endingsHtml = endings
+    .map((ending) => renderEndingCard(safeStoryId, ending))
+    .join("");
+
+  return renderPageContainer({
+    mainClass: "endings-main",
+    containerClass: "endings-container",
+    content: `
+      <h1 class="endings-title">${escapeHtml(storyTitle)}</h1>
+      <p class="endings-summary">${formatEndingsCount(foundCount, endings.length)}</p>
+      <ul class="endings-list">
+        ${endingsHtml}
+      </ul>
+      <a class="endings-restart-link" href="#/story/${safeStoryId}/1">Start again from Chapter 1</a>
+      ${renderEndingsExport(hasPlaythrough)}
+    `,
+  });
+}
@@ -1,14 +1,59 @@
 /**
- * Home page - displays list of stories
+ * Home page - displays list of stories with search, filters and sorting
  */
 
 import { getStoriesMetadata } from "../services/storiesRepository.js";
+import {
+  downloadStoryForOffline,
+  getOfflineStoryIds,
+  isOfflineStorageSupported,
+  removeOfflineStory,
+} from "../services/offlineStoriesService.js";
+import { prefetchStoryContent } from "../services/prefetchService.js";
 import { createPage } from "../utils/pageContract.js";
-import { bindHomeStoryCardNavigation } from "./home.view.js";
-import { renderHomePageTemplate } from "./home.template.js";
+import { t } from "../utils/i18n.js";
+import { getAllStoryProgress } from "../state/readingProgressStore.js";
+import { getAllStoryEndings } from "../state/endingsStore.js";
+import {
+  DEFAULT_STORY_FILTERS,
+  filterAndSortStories,
+  getStoryFilterOptions,
+  parseStoryFilters,
+  serializeStoryFilters,
+} from "../utils/storyFilters.js";
+import {
+  bindHomeOfflineActions,
+  bindHomeStoryIntent,
+  bindHomeStoryCardNavigation,
+  bindHomeStoryContinueActions,
+  bindHomeStoryFilters,
+  replaceHomeHashQuery,
+  replaceHomeStoriesGrid,
+  replaceHomeStoryOffline,
+} from "./home.view.js";
+import {
+  formatHomeResultsCount,
+  renderHomePageTemplate,
+  renderStoriesGrid,
+  renderStoryCardOffline,
+} from "./home.template.js";
 
 /** @typedef {import("../types.js").StoryMetadata} StoryMetadata */
 /** @typedef {import("../types.js").PageContract} PageContract */
+/** @typedef {import("../types.js").StoryProgress} StoryProgress */
+/** @typedef {import("../types.js").StoryEndingsProgress} StoryEndingsProgress */
+/** @typedef {import("../types.js").StoryFilters} StoryFilters */
+
+/**
+ * @typedef {{
+ *   stories: StoryMetadata[],
+ *   progressByStory?: Record<string, StoryProgress>,
+ *   endingsByStory?: Record<string, StoryEndingsProgress>,
+ *   filters?: StoryFilters,
+ *   offlineSupported?: boolean,
+ *   offlineStoryIds?: string[],
+ * }} HomePageModel
+ */
 
 /**
  * @param {string|number} storyNum
@@ -18,30 +63,175 @@ function navigateToStory(storyNum) {
 }
 
 /**
- * @returns {Promise<{ stories: StoryMetadata[] }>}
+ * @param {string|number} storyNum
+ * @param {string|number} chapterNum
  */
-export async function loadHomePageData() {
+function navigateToChapter(storyNum, chapterNum) {
+  window.location.hash = `#/story/${storyNum}/${chapterNum}`;
+}
+
+/**
+ * @param {Record<string, string>} [params] route params, including the
+ * filter query (`#/?tone=Humorous`)
+ * @returns {Promise<HomePageModel>}
+ */
+export async function loadHomePageData(params = {}) {
   /** @type {StoryMetadata[]} */
-  const stories = await getStoriesMetadata();
-  return { stories };
+  const [stories, offlineStoryIds] = await Promise.all([
+    getStoriesMetadata(),
+    getOfflineStoryIds(),
+  ]);
+  return {
+    stories,
+    progressByStory: getAllStoryProgress(),
+    endingsByStory: getAllStoryEndings(),
+    filters: parseStoryFilters(new URLSearchParams(params)),
+    offlineSupported: isOfflineStorageSupported(),
+    offlineStoryIds,
+  };
+}
+
+/**
+ * @param {Partial<HomePageModel>} model
+ */
+function getReaderState(model = {}) {
+  return {
+    progressByStory: model.progressByStory || {},
+    endingsByStory: model.endingsByStory || {},
+    offlineSupported: Boolean(model.offlineSupported),
+    offlineStoryIds: model.offlineStoryIds || [],
+  };
 }
 
 /**
- * @param {{ stories?: StoryMetadata[] }} [model]
+ * @param {Partial<HomePageModel>} [model]
  * @returns {Promise<string>}
  */
 export async function renderHomePage(model = { stories: [] }) {
   const stories = Array.isArray(model.stories) ? model.stories : [];
-  return renderHomePageTemplate(stories);
+  const filters = model.filters || DEFAULT_STORY_FILTERS;
+
+  return renderHomePageTemplate(
+    filterAndSortStories(stories, filters),
+    getReaderState(model),
+    {
+      filters,
+      options: getStoryFilterOptions(stories),
+      totalCount: stories.length,
+    },
+  );
 }
 
 /**
+ * @param {HTMLElement|Document|Element} root
+ */
+function bindStoryCards(root) {
+  bindHomeStoryCardNavigation(root, navigateToStory);
+  bindHomeStoryContinueActions(root, navigateToChapter);
+}
+
+/**
+ * Downloads and removals update the card in place and the model, so a later
+ * filter re-render keeps showing the right offline state.
+ *
+ * @param {HTMLElement|Document|Element} container
+ * @param {HomePageModel} model
+ * @returns {() => void} cleanup
+ */
+function bindOfflineActions(container, model) {
+  const setOfflineHtml = (storyNum, offlineState) => {
+    replaceHomeStoryOffline(
+      container,
+      storyNum,
+      renderStoryCardOffline(storyNum, { supported: true, ...offlineState }),
+    );
+  };
+
+  const setStoryOffline = (storyNum, available) => {
+    const otherIds = (model.offlineStoryIds || []).filter(
+      (storyId) => storyId !== storyNum,
+    );
+    model.offlineStoryIds = available ? [...otherIds, storyNum] : otherIds;
+    setOfflineHtml(storyNum, { available });
+  };
+
+  return bindHomeOfflineActions(container, {
+    onDownload: async (storyNum) => {
+      setOfflineHtml(storyNum, {
+        available: false,
+        progressText: t("home.offlineDownloading"),
+      });
+      // Load the reader modules now so the service worker caches them too.
+      void import("./story.page.js").catch(() => null);
+
+      try {
+        await downloadStoryForOffline(storyNum, {
+          onProgress: (done, total) => {
+            setOfflineHtml(storyNum, {
+              available: false,
+              progressText: t("home.offlineDownloadingProgress", {
+                done,
+                total,
+              }),
+            });
+          },
+        });
+        setStoryOffline(storyNum, true);
+      } catch (error) {
+        console.warn(`[offline] Unable to download story ${storyNum}:`, error);
+        setStoryOffline(storyNum, false);
+      }
+    },
+    onRemove: async (storyNum) => {
+      try {
+        await removeOfflineStory(storyNum);
+        setStoryOffline(storyNum, false);
+      } catch (error) {
+        console.warn(`[offline] Unable to remove story ${storyNum}:`, error);
+      }
+    },
+  });
+}
+
+/**
+ * Filters only re-render the grid, so the search field keeps focus while
+ * typing; the hash is kept in sync so the filtered list can be shared.
+ *
  * @param {HTMLElement|{ querySelectorAll: (selector: string) => NodeListOf<Element>|Element[] }} container
- * @returns {Promise<null>}
+ * @param {HomePageModel} [model]
+ * @returns {Promise<(() => void)|null>}
  */
-export async function bindHomePage(container) {
-  bindHomeStoryCardNavigation(container, navigateToStory);
-  return null;
+export async function bindHomePage(container, model) {
+  bindStoryCards(container);
+  const cleanupOfflineActions = model?.offlineSupported
+    ? bindOfflineActions(container, model)
+    : null;
+  const cleanupStoryIntent = bindHomeStoryIntent(
+    /** @type {HTMLElement} */ (container),
+    prefetchStoryContent,
+  );
+
+  const stories = Array.isArray(model?.stories) ? model.stories : [];
+  bindHomeStoryFilters(
+    container,
+    (filters) => {
+      replaceHomeHashQuery(serializeStoryFilters(filters));
+      const visibleStories = filterAndSortStories(stories, filters);
+      const grid = replaceHomeStoriesGrid(
+        container,
+        renderStoriesGrid(visibleStories, getReaderState(model)),
+        formatHomeResultsCount(visibleStories.length, stories.length),
+      );
+      if (grid) {
+        bindStoryCards(grid);
+      }
+    },
+    DEFAULT_STORY_FILTERS,
+  );
+  return () => {
+    cleanupOfflineActions?.();
+    cleanupStoryIntent();
+  };
 }
 
 /** @type {PageContract} */
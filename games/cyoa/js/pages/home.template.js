@@ -1,6 +1,16 @@
-import { escapeHtml, renderPageContainer } from "../utils/viewHelpers.js";
+import {
+  escapeHtml,
+  escapeHtmlAttribute,
+  renderPageContainer,
+} from "../utils/viewHelpers.js";
+import { formatEndingsCount } from "./endings.template.js";
+import { STORY_SORT_LABELS } from "../utils/storyFilters.js";
+import { t } from "../utils/i18n.js";
 
 /** @typedef {import("../types.js").StoryMetadata} StoryMetadata */
+/** @typedef {import("../types.js").StoryFilters} StoryFilters */
+/** @typedef {import("../types.js").StoryProgress} StoryProgress */
+/** @typedef {import("../types.js").StoryEndingsProgress} StoryEndingsProgress */
 
 /**
  * @param {string[]|unknown} keywords
@@ -11,11 +21,93 @@ function formatKeywords(keywords) {
   return keywords.filter(Boolean).join(", ");
 }
 
+/**
+ * @param {string} storyNumber
+ * @param {StoryProgress|null|undefined} progress
+ * @returns {string}
+ */
+function renderStoryCardContinue(storyNumber, progress) {
+  const trail = Array.isArray(progress?.trail) ? progress.trail : [];
+  const lastChapter = trail[trail.length - 1];
+  if (!lastChapter || lastChapter === 1) {
+    return "";
+  }
+
+  const chapter = escapeHtml(lastChapter);
+  return `
+    <div class="story-card-progress">
+      <button type="button" class="story-card-continue" data-continue-story="${storyNumber}" data-continue-chapter="${chapter}">
+        ${t("home.continue")}
+      </button>
+      <span class="story-card-progress-label">${t("home.progress", { chapter, count: trail.length })}</span>
+    </div>
+  `;
+}
+
+/**
+ * @param {string} storyNumber
+ * @param {StoryEndingsProgress|null|undefined} endings
+ * @returns {string}
+ */
+function renderStoryCardEndings(storyNumber, endings) {
+  if (!endings || endings.total <= 0) {
+    return "";
+  }
+
+  return `<div class="story-card-meta-line story-card-meta-line-endings">
+          <span class="story-card-meta-icon" aria-hidden="true">🏁</span>
+          <a class="story-card-endings-link" href="#/endings/${storyNumber}">${formatEndingsCount(endings.found.length, endings.total)}</a>
+        </div>`;
+}
+
+/**
+ * @param {string} storyNumber escaped story number
+ * @param {{ supported: boolean, available: boolean, progressText?: string }} offline
+ * @returns {string} "" when the browser cannot store stories offline
+ */
+export function renderStoryCardOffline(
+  storyNumber,
+  { supported, available, progressText = "" },
+) {
+  if (!supported) {
+    return "";
+  }
+
+  if (progressText) {
+    return `
+    <div class="story-card-offline" data-offline-story="${storyNumber}">
+      <button type="button" class="story-card-offline-action" disabled>${escapeHtml(progressText)}</button>
+    </div>
+  `;
+  }
+
+  return available
+    ? `
+    <div class="story-card-offline" data-offline-story="${storyNumber}">
+      <span class="story-card-offline-badge">${t("home.offlineAvailable")}</span>
+      <button type="button" class="story-card-offline-action" data-offline-remove="${storyNumber}" aria-label="${t("home.offlineRemoveLabel")}">${t("home.offlineRemove")}</button>
+    </div>
+  `
+    : `
+    <div class="story-card-offline" data-offline-story="${storyNumber}">
+      <button type="button" class="story-card-offline-action" data-offline-download="${storyNumber}">${t("home.offlineDownload")}</button>
+    </div>
+  `;
+}
+
 /**
  * @param {StoryMetadata} story
+ * @param {{ progress?: StoryProgress|null, endings?: StoryEndingsProgress|null, offline?: { supported: boolean, available: boolean } }} [readerState]
  * @returns {string}
  */
-function renderStoryCard(story) {
+function renderStoryCard(
+  story,
+  {
+    progress = null,
+    endings = null,
+    offline = { supported: false, available: false },
+  } = {},
+) {
   const storyNumber = escapeHtml(story.number);
   const title = escapeHtml(story.title);
   const emoji = escapeHtml(story.emoji);
@@ -23,13 +115,13 @@ function renderStoryCard(story) {
   const keywords = escapeHtml(formatKeywords(story.keywords));
   const tone = story.tone ? escapeHtml(story.tone) : "";
   const approved = Boolean(story.approved);
-  const approvalLabel = approved ? " (approved)" : "";
+  const approvalLabel = approved ? t("home.approvedSuffix") : "";
 
   return `
-    <article class="story-card${approved ? " story-card-approved" : ""}" data-story="${storyNumber}" role="button" tabindex="0" aria-label="Open ${title}${approvalLabel}">
+    <article class="story-card${approved ? " story-card-approved" : ""}" data-story="${storyNumber}" role="button" tabindex="0" aria-label="${t("home.openStory", { title })}${approvalLabel}">
       ${
         approved
-          ? '<span class="story-card-approval-banner" aria-hidden="true">Approved</span>'
+          ? `<span class="story-card-approval-banner" aria-hidden="true">${t("home.approved")}</span>`
           : ""
       }
       <div class="story-card-title">
@@ -53,38 +145,172 @@ function renderStoryCard(story) {
         </div>`
             : ""
         }
+        ${renderStoryCardEndings(storyNumber, endings)}
       </div>
+      ${renderStoryCardContinue(storyNumber, progress)}
+      ${renderStoryCardOffline(storyNumber, offline)}
     </article>
   `;
 }
 
+/**
+ * @typedef {{
+ *   progressByStory?: Record<string, StoryProgress>,
+ *   endingsByStory?: Record<string, StoryEndingsProgress>,
+ *   offlineSupported?: boolean,
+ *   offlineStoryIds?: string[],
+ * }} HomeReaderState
+ */
+
+/**
+ * @typedef {{
+ *   filters: StoryFilters,
+ *   options: { tones: string[], lengths: string[], keywords: string[] },
+ *   totalCount: number,
+ * }} HomeBrowseState
+ */
+
 /**
  * @param {StoryMetadata[]} stories
+ * @param {HomeReaderState} [readerState]
  * @returns {string}
  */
-function renderStoriesGrid(stories) {
-  return stories.map((story) => renderStoryCard(story)).join("");
+export function renderStoriesGrid(
+  stories,
+  {
+    progressByStory = {},
+    endingsByStory = {},
+    offlineSupported = false,
+    offlineStoryIds = [],
+  } = {},
+) {
+  if (stories.length === 0) {
+    return `<p class="stories-empty">${t("home.noMatches")}</p>`;
+  }
+
+  const offlineStoryIdSet = new Set(offlineStoryIds.map(String));
+  return stories
+    .map((story) => {
+      const key = String(story.number);
+      return renderStoryCard(story, {
+        progress: progressByStory[key] || null,
+        endings: endingsByStory[key] || null,
+        offline: {
+          supported: offlineSupported,
+          available: offlineStoryIdSet.has(key),
+        },
+      });
+    })
+    .join("");
 }
 
 /**
- * @param {StoryMetadata[]} stories
+ * @param {number} visibleCount
+ * @param {number} totalCount
+ * @returns {string} "" when every story is shown
+ */
+export function formatHomeResultsCount(visibleCount, totalCount) {
+  if (visibleCount === totalCount) {
+    return "";
+  }
+
+  return t(
+    totalCount === 1 ? "home.resultsCountOne" : "home.resultsCountOther",
+    { visible: visibleCount, total: totalCount },
+  );
+}
+
+/**
+ * @param {string} name
+ * @param {string} label
+ * @param {string} anyLabel
+ * @param {string[]} values
+ * @param {string} selectedValue
+ * @returns {string}
+ */
+function renderFilterSelect(name, label, anyLabel, values, selectedValue) {
+  const optionsHtml = values
+    .map((value) => {
+      const selected = value === selectedValue ? " selected" : "";
+      return `<option value="${escapeHtmlAttribute(value)}"${selected}>${escapeHtml(value)}</option>`;
+    })
+    .join("");
+
+  return `
+    <select class="home-filter-select" name="${name}" aria-label="${label}">
+      <option value="">${anyLabel}</option>
+      ${optionsHtml}
+    </select>
+  `;
+}
+
+/**
+ * @param {HomeBrowseState} browseState
+ * @returns {string}
+ */
+function renderHomeFilters({ filters, options }) {
+  const sortOptionsHtml = Object.keys(STORY_SORT_LABELS)
+    .map(
+      (value) =>
+        `<option value="${value}"${value === filters.sort ? " selected" : ""}>${t(`home.sort.${value}`)}</option>`,
+    )
+    .join("");
+
+  return `
+    <form class="home-filters" id="home-filters" role="search" aria-label="${t("home.findStory")}">
+      <input
+        type="search"
+        class="home-filter-search"
+        name="q"
+        value="${escapeHtmlAttribute(filters.q)}"
+        placeholder="${t("home.search")}"
+        aria-label="${t("home.search")}"
+      />
+      ${renderFilterSelect("tone", t("home.tone"), t("home.anyTone"), options.tones, filters.tone)}
+      ${renderFilterSelect("length", t("home.length"), t("home.anyLength"), options.lengths, filters.length)}
+      ${renderFilterSelect("keyword", t("home.keyword"), t("home.anyKeyword"), options.keywords, filters.keyword)}
+      <label class="home-filter-approved">
+        <input type="checkbox" name="approved" value="1"${filters.approved ? " checked" : ""} />
+        ${t("home.approvedOnly")}
+      </label>
+      <select class="home-filter-select" name="sort" aria-label="${t("home.sortBy")}">
+        ${sortOptionsHtml}
+      </select>
+      <button type="button" class="home-filter-clear" data-clear-filters>${t("home.clearFilters")}</button>
+    </form>
+  `;
+}
+
+/**
+ * @param {StoryMetadata[]} stories visible stories, already filtered and sorted
+ * @param {HomeReaderState} [readerState]
+ * @param {HomeBrowseState|null} [browseState]
  * @returns {string}
  */
-export function renderHomePageTemplate(stories) {
-  const storiesHtml = renderStoriesGrid(stories);
+export function renderHomePageTemplate(
+  stories,
+  readerState = {},
+  browseState = null,
+) {
+  const storiesHtml = renderStoriesGrid(stories, readerState);
   const currentYear = new Date().getFullYear();
+  const resultsCount = browseState
+    ? formatHomeResultsCount(stories.length, browseState.totalCount)
+    : "";
 
   return renderPageContainer({
     mainClass: "home-main",
     containerClass: "home-container",
     content: `
-      <h1 class="home-title">Choose Your Story</h1>
-      <p class="home-tagline">What Happens Next Is Up to You</p>
-      <div class="stories-grid" role="list">
+      <h1 class="home-title">${t("home.title")}</h1>
+      <p class="home-tagline">${t("home.tagline")}</p>
+      ${browseState ? renderHomeFilters(browseState) : ""}
+      <p class="home-results-count" id="home-results-count" aria-live="polite">${resultsCount}</p>
+      <div class="stories-grid" id="stories-grid" role="list">
         ${storiesHtml}
       </div>
       <footer class="home-footer">
-        <span class="home-footer-brand">Choose Your Own Adventure</span>
+        <span class="home-footer-brand">${t("home.footerBrand")}</span>
         <span class="home-footer-year">${currentYear}</span>
       </footer>
     `,
@@ -2,6 +2,14 @@
  * Home page view adapter: DOM querying and event binding.
  */
 
+/**
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+function isNestedCardControl(target) {
+  return Boolean(target?.closest?.(".story-card a, .story-card button"));
+}
+
 /**
  * @param {HTMLElement|Document|Element} rootElement
  * @param {(storyNum: string) => void} onSelectStory
@@ -9,6 +17,7 @@
 export function bindHomeStoryCardNavigation(rootElement, onSelectStory) {
   rootElement.querySelectorAll(".story-card").forEach((card) => {
     card.addEventListener("click", (event) => {
+      if (isNestedCardControl(event.target)) return;
       const storyNum = event.currentTarget?.dataset?.story;
       if (storyNum) {
         onSelectStory(storyNum);
@@ -17,6 +26,7 @@ export function bindHomeStoryCardNavigation(rootElement, onSelectStory) {
 
     card.addEventListener("keydown", (event) => {
       if (event.key !== "Enter" && event.key !== " ") return;
+      if (isNestedCardControl(event.target)) return;
       event.preventDefault();
       const storyNum = event.currentTarget?.dataset?.story;
       if (storyNum) {
@@ -25,3 +35,176 @@ export function bindHomeStoryCardNavigation(rootElement, onSelectStory) {
     });
   });
 }
+
+/**
+ * @param {HTMLElement|Document|Element} rootElement
+ * @param {(storyNum: string, chapterNum: string) => void} onContinueStory
+ */
+export function bindHomeStoryContinueActions(rootElement, onContinueStory) {
+  rootElement.querySelectorAll(".story-card-continue").forEach((button) => {
+    button.addEventListener("click", (event) => {
+      const { continueStory, continueChapter } =
+        event.currentTarget?.dataset || {};
+      if (continueStory && continueChapter) {
+        onContinueStory(continueStory, continueChapter);
+      }
+    });
+  });
+}
+
+/**
+ * Reports a story card the reader points at or tabs to, once per entry.
+ * Delegated on the page root, so cards re-rendered by the filters keep working.
+ *
+ * @param {HTMLElement|Document|Element} rootElement
+ * @param {(storyNum: string) => void} onStoryIntent
+ * @returns {() => void} cleanup
+ */
+export function bindHomeStoryIntent(rootElement, onStoryIntent) {
+  const onEnter = (event) => {
+    const card = event.target?.closest?.(".story-card");
+    if (!card || card.contains(event.relatedTarget)) return;
+    const storyNum = card.dataset?.story;
+    if (storyNum) {
+      onStoryIntent(storyNum);
+    }
+  };
+
+  rootElement.addEventListener("pointerover", onEnter);
+  rootElement.addEventListener("focusin", onEnter);
+  return () => {
+    rootElement.removeEventListener("pointerover", onEnter);
+    rootElement.removeEventListener("focusin", onEnter);
+  };
+}
+
+/**
+ * Delegated on the page root, so cards re-rendered by the filters keep working.
+ *
+ * @param {HTMLElement|Document|Element} rootElement
+ * @param {{ onDownload: (storyNum: string) => void, onRemove: (storyNum: string) => void }} handlers
+ * @returns {() => void} cleanup
+ */
+export function bindHomeOfflineActions(rootElement, { onDownload, onRemove }) {
+  const onClick = (event) => {
+    const button = event.target?.closest?.(
+      "[data-offline-download], [data-offline-remove]",
+    );
+    if (!button) return;
+
+    const { offlineDownload, offlineRemove } = button.dataset;
+    if (offlineDownload) {
+      onDownload(offlineDownload);
+    } else if (offlineRemove) {
+      onRemove(offlineRemove);
+    }
+  };
+
+  rootElement.addEventListener("click", onClick);
+  return () => {
+    rootElement.removeEventListener("click", onClick);
+  };
+}
+
+/**
+ * @param {HTMLElement|Document|Element} rootElement
+ * @param {string} storyNum
+ * @param {string} offlineHtml
+ */
+export function replaceHomeStoryOffline(rootElement, storyNum, offlineHtml) {
+  const section = rootElement.querySelector?.(
+    `[data-offline-story="${CSS.escape(storyNum)}"]`,
+  );
+  if (section) {
+    section.outerHTML = offlineHtml;
+  }
+}
+
+/**
+ * Updates the shareable hash in place; `replaceState` does not fire
+ * `hashchange`, so the router keeps the current page and focus is kept.
+ *
+ * @param {string} query
+ */
+export function replaceHomeHashQuery(query) {
+  history.replaceState(history.state, "", query ? `#/?${query}` : "#/");
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @returns {import("../types.js").StoryFilters}
+ */
+function readHomeFilterForm(form) {
+  const data = new FormData(form);
+  return {
+    q: String(data.get("q") || ""),
+    tone: String(data.get("tone") || ""),
+    length: String(data.get("length") || ""),
+    keyword: String(data.get("keyword") || ""),
+    approved: data.get("approved") === "1",
+    sort: /** @type {import("../types.js").StorySortOrder} */ (
+      String(data.get("sort") || "default")
+    ),
+  };
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @param {import("../types.js").StoryFilters} filters
+ */
+function setHomeFilterForm(form, filters) {
+  form.elements.namedItem("q").value = filters.q;
+  form.elements.namedItem("tone").value = filters.tone;
+  form.elements.namedItem("length").value = filters.length;
+  form.elements.namedItem("keyword").value = filters.keyword;
+  form.elements.namedItem("approved").checked = filters.approved;
+  form.elements.namedItem("sort").value = filters.sort;
+}
+
+/**
+ * @param {HTMLElement|Document|Element} rootElement
+ * @param {(filters: import("../types.js").StoryFilters) => void} onFiltersChange
+ * @param {import("../types.js").StoryFilters} defaultFilters
+ */
+export function bindHomeStoryFilters(
+  rootElement,
+  onFiltersChange,
+  defaultFilters,
+) {
+  const form = rootElement.querySelector?.("#home-filters");
+  if (!form) return;
+
+  const notify = () => onFiltersChange(readHomeFilterForm(form));
+
+  // Text fields, selects and checkboxes all fire `input` on change.
+  form.addEventListener("input", notify);
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+  });
+  form.querySelector("[data-clear-filters]")?.addEventListener("click", () => {
+    setHomeFilterForm(form, defaultFilters);
+    notify();
+  });
+}
+
+/**
+ * @param {HTMLElement|Document|Element} rootElement
+ * @param {string} storiesHtml
+ * @param {string} resultsCountText
+ * @returns {Element|null} the refreshed grid, for re-binding card actions
+ */
+export function replaceHomeStoriesGrid(
+  rootElement,
+  storiesHtml,
+  resultsCountText,
+) {
+  const grid = rootElement.querySelector?.("#stories-grid");
+  const resultsCount = rootElement.querySelector?.("#home-results-count");
+  if (resultsCount) {
+    resultsCount.textContent = resultsCountText;
+  }
+  if (!grid) return null;
+
+  grid.innerHTML = storiesHtml;
+  return grid;
+}
@@ -9,14 +9,37 @@ import {
   loadStoryPageModel,
 } from "../services/storyPageDataService.js";
 import { createPage } from "../utils/pageContract.js";
+import {
+  applyChoiceEffects,
+  decodeChoiceEffects,
+  getChapterForVariables,
+} from "../utils/storyState.js";
+import {
+  getChapterVariables,
+  getStoryProgress,
+  recordChapterVisit,
+} from "../state/readingProgressStore.js";
+import { recordStoryEndings } from "../state/endingsStore.js";
+import { setAppState } from "../state/appStore.js";
+import { getTrailBackChapter } from "../utils/storyInput.js";
+import { downloadTextFile } from "../utils/viewHelpers.js";
+import { buildStoryExport } from "../services/storyExportService.js";
+import { prefetchNextChapterImages } from "../services/prefetchService.js";
 import {
   renderStoryChapterBody,
   renderStoryChapter,
   renderStoryErrorState,
   renderStoryMissingChapterState,
 } from "./story.template.js";
+import {
+  bindStoryExportActions,
+  bindStoryInput,
+  focusChapterStart,
+  hasFocusedChoice,
+} from "./story.view.js";
 
 /** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").ChapterImageSet} ChapterImageSet */
 /** @typedef {import("../types.js").PageContract} PageContract */
 
 /**
@@ -25,15 +48,41 @@ import {
  * @property {number} chapterNumber
  * @property {StoryChapter|null} chapter
  * @property {string[]|null} chapterImagePaths
+ * @property {ChapterImageSet|null} [chapterImageSet]
+ * @property {number[]} [endingChapterNumbers]
+ * @property {string[]} [variables] story state used to evaluate choice conditions
  * @property {string|null} error
  */
 
+/**
+ * Model currently shown per bound container. In-place updates swap the model
+ * without rebinding, so input handlers read it from here.
+ *
+ * @type {WeakMap<object, StoryPageModel>}
+ */
+const activeStoryModels = new WeakMap();
+
 /**
  * @param {{ storyId: string, chapterId?: string }} params
  * @returns {Promise<StoryPageModel>}
  */
 export async function loadStoryPageData(params) {
-  return loadStoryPageModel(params);
+  const model = await loadStoryPageModel(params);
+  return {
+    ...model,
+    variables: getChapterVariables(
+      getStoryProgress(model.storyId),
+      model.chapterNumber,
+    ),
+  };
+}
+
+/**
+ * @param {StoryPageModel} model
+ * @returns {StoryChapter}
+ */
+function getVisibleChapter(model) {
+  return getChapterForVariables(model.chapter, model.variables || []);
 }
 
 /**
@@ -51,11 +100,22 @@ export async function renderStoryPage(model) {
 
   return renderStoryChapter(
     model.storyId,
-    model.chapter,
+    getVisibleChapter(model),
     model.chapterImagePaths,
+    model.chapterImageSet,
   );
 }
 
+/**
+ * Warms the illustrations the reader's available choices lead to.
+ *
+ * @param {StoryPageModel|undefined} model
+ */
+function prefetchNextChapters(model) {
+  if (!model?.chapter || model.error) return;
+  void prefetchNextChapterImages(model.storyId, getVisibleChapter(model));
+}
+
 function getIllustrationFigure(image) {
   return image?.closest?.(".chapter-illustration") || null;
 }
@@ -75,6 +135,10 @@ function setFallbackSources(figure, sources) {
   figure.dataset.fallbackSources = sources.join("|");
 }
 
+/**
+ * The loaded class fades the image in; over a blur-up placeholder (which
+ * holds the figure's size meanwhile) that reads as the picture sharpening.
+ */
 function markIllustrationLoaded(image) {
   const figure = getIllustrationFigure(image);
   if (!figure) {
@@ -91,6 +155,13 @@ function tryLoadIllustrationFallback(image) {
     return;
   }
 
+  // A missing downscaled copy falls back to the full-size `src` first.
+  if (image.hasAttribute?.("srcset")) {
+    image.removeAttribute("srcset");
+    image.removeAttribute("sizes");
+    return;
+  }
+
   const remainingSources = getFallbackSources(figure);
   if (remainingSources.length === 0) {
     figure.setAttribute("hidden", "hidden");
@@ -122,11 +193,103 @@ function hydrateIllustrations(root) {
   });
 }
 
+/**
+ * @param {StoryPageModel|undefined} model
+ */
+function recordReadingProgress(model) {
+  if (!model || model.error || !model.chapter) {
+    return;
+  }
+
+  recordChapterVisit(model.storyId, model.chapterNumber);
+  recordStoryEndings(
+    model.storyId,
+    model.endingChapterNumbers || [],
+    model.chapterNumber,
+  );
+}
+
+/**
+ * Publishes the chapter on screen, e.g. for its soundtrack cue.
+ *
+ * @param {StoryPageModel|null|undefined} model
+ */
+function publishReadingLocation(model) {
+  const isReadable = Boolean(model && !model.error && model.chapter);
+  setAppState({
+    reading: {
+      storyId: isReadable ? model.storyId : null,
+      chapterNumber: isReadable ? model.chapterNumber : null,
+    },
+  });
+}
+
+/**
+ * Records the choice target together with the story state produced by the
+ * choice's effects, before the hash change renders the next chapter.
+ *
+ * @param {Element} choiceLink
+ */
+function recordChoiceTaken(choiceLink) {
+  const storyId = choiceLink.closest?.(".choices-list")?.dataset?.story;
+  const targetChapter = choiceLink.dataset?.choiceTarget;
+  if (!storyId || !targetChapter) {
+    return;
+  }
+
+  const progress = getStoryProgress(storyId);
+  const currentChapter = progress?.trail[progress.trail.length - 1];
+  const nextVariables = applyChoiceEffects(
+    getChapterVariables(progress, currentChapter),
+    decodeChoiceEffects(choiceLink.dataset.choiceEffects),
+  );
+  recordChapterVisit(storyId, targetChapter, nextVariables);
+}
+
+/**
+ * @param {StoryPageModel|undefined} model
+ * @param {number|null} chapterNumber
+ */
+function navigateToChapter(model, chapterNumber) {
+  if (!model || model.error || chapterNumber === null) {
+    return;
+  }
+
+  window.location.hash = `#/story/${model.storyId}/${chapterNumber}`;
+}
+
+/**
+ * Saves the reader's playthrough or the whole-story gamebook as a printable
+ * HTML file. Also used by the endings page.
+ *
+ * @param {string|undefined} storyId
+ * @param {"playthrough"|"gamebook"} kind
+ * @returns {Promise<void>}
+ */
+export async function saveStoryExport(storyId, kind) {
+  if (!storyId) return;
+
+  try {
+    const { fileName, html } = await buildStoryExport(
+      storyId,
+      kind,
+      getStoryProgress(storyId),
+    );
+    downloadTextFile(fileName, html, "text/html;charset=utf-8");
+  } catch (error) {
+    console.warn(`[export] Unable to export story ${storyId}:`, error);
+  }
+}
+
 /**
  * @param {HTMLElement|{ addEventListener?: Function, removeEventListener?: Function, querySelector?: (selector: string) => Element|null }} container
+ * @param {StoryPageModel} [model]
  * @returns {Promise<(() => void)|null>}
  */
-export async function bindStoryPage(container) {
+export async function bindStoryPage(container, model) {
+  recordReadingProgress(model);
+  publishReadingLocation(model);
+
   if (!container?.addEventListener || !container?.removeEventListener) {
     return null;
   }
@@ -147,13 +310,52 @@ export async function bindStoryPage(container) {
     tryLoadIllustrationFallback(target);
   };
 
+  const onChoiceClick = (event) => {
+    const choiceLink = event?.target?.closest?.(".choice-link");
+    if (choiceLink) {
+      recordChoiceTaken(choiceLink);
+    }
+  };
+
   container.addEventListener("load", onImageLoad, true);
   container.addEventListener("error", onImageError, true);
+  container.addEventListener("click", onChoiceClick);
   hydrateIllustrations(container);
+  prefetchNextChapters(model);
+
+  if (model) {
+    activeStoryModels.set(container, model);
+  }
+  const cleanupInput = bindStoryInput(/** @type {HTMLElement} */ (container), {
+    onBack: () => {
+      const activeModel = activeStoryModels.get(container);
+      if (!activeModel) return;
+      navigateToChapter(
+        activeModel,
+        getTrailBackChapter(
+          getStoryProgress(activeModel.storyId),
+          activeModel.chapterNumber,
+        ),
+      );
+    },
+    onRestart: () => {
+      navigateToChapter(activeStoryModels.get(container), 1);
+    },
+  });
+
+  const cleanupExport = bindStoryExportActions(
+    /** @type {HTMLElement} */ (container),
+    (kind) => saveStoryExport(activeStoryModels.get(container)?.storyId, kind),
+  );
 
   return () => {
     container.removeEventListener("load", onImageLoad, true);
     container.removeEventListener("error", onImageError, true);
+    container.removeEventListener("click", onChoiceClick);
+    cleanupInput();
+    cleanupExport();
+    activeStoryModels.delete(container);
+    publishReadingLocation(null);
   };
 }
 
@@ -172,13 +374,24 @@ export async function updateStoryPage(container, model) {
     return false;
   }
 
+  const hadChoiceFocus = hasFocusedChoice(storyContainer);
   storyContainer.innerHTML = renderStoryChapterBody(
     model.storyId,
-    model.chapter,
+    getVisibleChapter(model),
     model.chapterImagePaths,
+    model.chapterImageSet,
   );
   hydrateIllustrations(storyContainer);
-  
+  prefetchNextChapters(model);
+  recordReadingProgress(model);
+  publishReadingLocation(model);
+  if (activeStoryModels.has(container)) {
+    activeStoryModels.set(container, model);
+  }
+  if (hadChoiceFocus) {
+    focusChapterStart(storyContainer);
+  }
+
   // Scroll to top, accounting for header height
   const header = document.querySelector("header");
   const headerHeight = header && !header.classList.contains("header-collapsed") 
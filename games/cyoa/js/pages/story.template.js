@@ -1,7 +1,17 @@
 import { renderLoadErrorPage, renderNotFoundPage } from "../utils/errorUI.js";
-import { renderPageContainer } from "../utils/viewHelpers.js";
+import {
+  escapeHtmlAttribute,
+  renderPageContainer,
+} from "../utils/viewHelpers.js";
+import { encodeChoiceEffects } from "../utils/storyState.js";
+import { t } from "../utils/i18n.js";
+import {
+  renderInlineMarkdown,
+  renderStoryMarkdown,
+} from "../utils/storyMarkdown.js";
 
 /** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").ChapterImageSet} ChapterImageSet */
 
 function renderStoryLayout(content) {
   return renderPageContainer({
@@ -17,7 +27,7 @@ function renderStoryLayout(content) {
  */
 export function renderStoryErrorState(message) {
   return renderLoadErrorPage({
-    title: "Error loading story",
+    title: t("story.loadErrorTitle"),
     details: message,
     mainClass: "story-main",
     containerClass: "story-container",
@@ -29,33 +39,25 @@ export function renderStoryErrorState(message) {
  */
 export function renderStoryMissingChapterState() {
   return renderNotFoundPage({
-    title: "Chapter not found",
-    details: "The requested chapter does not exist in this story.",
+    title: t("story.chapterNotFoundTitle"),
+    details: t("story.chapterNotFoundDetails"),
   });
 }
 
 /**
- * @param {string} content
+ * With an image set the browser picks a width from `srcset`; a recorded
+ * placeholder is shown blurred, in the image's place, until it loads.
+ *
+ * @param {string} chapterTitle
+ * @param {string[]|string|null} chapterImagePaths
+ * @param {ChapterImageSet|null} [chapterImageSet]
  * @returns {string}
  */
-function formatChapterContent(content) {
-  return content
-    .split(/\n\s*\n/g)
-    .map((paragraph) => paragraph.trim())
-    .filter(Boolean)
-    .map((paragraph) => `<p>${paragraph.replace(/\n/g, "<br>")}</p>`)
-    .join("");
-}
-
-function escapeHtmlAttribute(value) {
-  return String(value)
-    .replace(/&/g, "&amp;")
-    .replace(/"/g, "&quot;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-}
-
-function renderChapterIllustration(chapterTitle, chapterImagePaths) {
+function renderChapterIllustration(
+  chapterTitle,
+  chapterImagePaths,
+  chapterImageSet = null,
+) {
   const imagePaths = Array.isArray(chapterImagePaths)
     ? chapterImagePaths.filter(Boolean)
     : chapterImagePaths
@@ -69,12 +71,25 @@ function renderChapterIllustration(chapterTitle, chapterImagePaths) {
   const imageAlt = escapeHtmlAttribute(`Illustration for ${chapterTitle}`);
   const imageSrc = escapeHtmlAttribute(imagePaths[0]);
   const fallbackSources = escapeHtmlAttribute(imagePaths.slice(1).join("|"));
+  const srcsetAttributes = chapterImageSet?.srcset
+    ? `
+        srcset="${escapeHtmlAttribute(chapterImageSet.srcset)}"
+        sizes="${escapeHtmlAttribute(chapterImageSet.sizes)}"`
+    : "";
+  const placeholder = chapterImageSet?.placeholder;
+  const figureClass = placeholder
+    ? "chapter-illustration chapter-illustration-blur-up"
+    : "chapter-illustration";
+  const placeholderHtml = placeholder
+    ? `
+      <img class="chapter-illustration-placeholder" src="${escapeHtmlAttribute(placeholder)}" alt="" aria-hidden="true" />`
+    : "";
 
   return `
-    <figure class="chapter-illustration" data-fallback-sources="${fallbackSources}">
+    <figure class="${figureClass}" data-fallback-sources="${fallbackSources}">${placeholderHtml}
       <img
         class="chapter-illustration-image"
-        src="${imageSrc}"
+        src="${imageSrc}"${srcsetAttributes}
         alt="${imageAlt}"
         loading="lazy"
         decoding="async"
@@ -85,15 +100,20 @@ function renderChapterIllustration(chapterTitle, chapterImagePaths) {
 
 /**
  * @param {string} storyId
- * @param {{ chapterNumber: number, text: string }} choice
+ * @param {import("../types.js").StoryChoice} choice
  * @returns {string}
  */
 function renderChoiceItem(storyId, choice) {
+  const effects = encodeChoiceEffects(choice.effects);
+  const effectsAttribute = effects
+    ? ` data-choice-effects="${escapeHtmlAttribute(effects)}"`
+    : "";
+
   return `
     <li class="choice-item">
       <span class="choice-emoji" aria-hidden="true">✨</span>
-      <a class="choice-link" href="#/story/${storyId}/${choice.chapterNumber}">
-        <span class="choice-text">${choice.text}</span>
+      <a class="choice-link" href="#/story/${storyId}/${choice.chapterNumber}" data-choice-target="${choice.chapterNumber}"${effectsAttribute}>
+        <span class="choice-text">${renderInlineMarkdown(choice.text)}</span>
       </a>
     </li>
   `;
@@ -102,9 +122,10 @@ function renderChoiceItem(storyId, choice) {
 /**
  * @param {string} storyId
  * @param {StoryChapter} chapter
+ * @param {boolean} readerControls
  * @returns {string}
  */
-function renderChoicesSection(storyId, chapter) {
+function renderChoicesSection(storyId, chapter, readerControls) {
   const hasChoicesList =
     Array.isArray(chapter.choices) && chapter.choices.length > 0;
   if (hasChoicesList) {
@@ -113,8 +134,8 @@ function renderChoicesSection(storyId, chapter) {
       .join("");
 
     return `
-      <h3 class="chapter-section-title">What do you do?</h3>
-      <ul class="choices-list">
+      <h3 class="chapter-section-title">${t("story.whatDoYouDo")}</h3>
+      <ul class="choices-list" data-story="${escapeHtmlAttribute(storyId)}">
         ${choicesHtml}
       </ul>
     `;
@@ -124,20 +145,45 @@ function renderChoicesSection(storyId, chapter) {
     typeof chapter.choicesEndingText === "string" &&
     chapter.choicesEndingText.trim().length > 0;
 
-  return hasChoicesEndingText
-    ? `<p class="choices-ending-text">${chapter.choicesEndingText}</p>`
+  if (!hasChoicesEndingText) {
+    return "";
+  }
+
+  const readerControlsHtml = readerControls
+    ? `
+      <p class="chapter-endings-link">
+        <a href="#/endings/${storyId}">${t("story.seeEndings")}</a>
+      </p>
+      <p class="chapter-export">
+        <button type="button" class="chapter-export-button" data-story-export="playthrough">${t("story.exportPlaythrough")}</button>
+      </p>`
     : "";
+
+  return `
+      <p class="choices-ending-text">${renderInlineMarkdown(chapter.choicesEndingText)}</p>${readerControlsHtml}
+    `;
 }
 
 /**
  * @param {string} storyId
  * @param {StoryChapter} chapter
  * @param {string[]|string|null} [chapterImagePaths]
+ * @param {ChapterImageSet|null} [chapterImageSet]
  * @returns {string}
  */
-export function renderStoryChapter(storyId, chapter, chapterImagePaths = null) {
+export function renderStoryChapter(
+  storyId,
+  chapter,
+  chapterImagePaths = null,
+  chapterImageSet = null,
+) {
   return renderStoryLayout(
-    renderStoryChapterBody(storyId, chapter, chapterImagePaths),
+    renderStoryChapterBody(
+      storyId,
+      chapter,
+      chapterImagePaths,
+      chapterImageSet,
+    ),
   );
 }
 
@@ -145,23 +191,34 @@ export function renderStoryChapter(storyId, chapter, chapterImagePaths = null) {
  * @param {string} storyId
  * @param {StoryChapter} chapter
  * @param {string[]|string|null} [chapterImagePaths]
+ * @param {ChapterImageSet|null} [chapterImageSet]
+ * @param {{ readerControls?: boolean }} [options] `readerControls: false`
+ *   leaves out the endings link and export button of ending chapters, for
+ *   the admin preview where the story has no reader routes
  * @returns {string}
  */
 export function renderStoryChapterBody(
   storyId,
   chapter,
   chapterImagePaths = null,
+  chapterImageSet = null,
+  { readerControls = true } = {},
 ) {
   const chapterImageHtml = renderChapterIllustration(
     chapter.title,
     chapterImagePaths,
+    chapterImageSet,
+  );
+  const chapterContentHtml = renderStoryMarkdown(chapter.content);
+  const choicesSectionHtml = renderChoicesSection(
+    storyId,
+    chapter,
+    readerControls,
   );
-  const chapterContentHtml = formatChapterContent(chapter.content);
-  const choicesSectionHtml = renderChoicesSection(storyId, chapter);
 
   return `
     <div class="chapter-body">
-      <h2 class="chapter-title">${chapter.title}</h2>
+      <h2 class="chapter-title">${renderInlineMarkdown(chapter.title)}</h2>
       <div class="chapter-content">${chapterImageHtml}${chapterContentHtml}</div>
       ${choicesSectionHtml}
     </div>
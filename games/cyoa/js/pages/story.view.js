@@ -0,0 +1,242 @@
+/**
+ * Story page view - keyboard/gamepad input, the choice focus ring and the
+ * export buttons (also used by the endings page)
+ *
+ * Everything is looked up in the DOM when an input arrives, so the bindings
+ * survive the in-place chapter swaps done by `updateStoryPage`.
+ */
+
+import {
+  getGamepadActions,
+  getNextFocusIndex,
+  getPressedGamepadInputs,
+  getStoryKeyAction,
+} from "../utils/storyInput.js";
+
+/** @typedef {import("../utils/storyInput.js").StoryInputAction} StoryInputAction */
+
+/**
+ * @param {ParentNode} root
+ * @returns {HTMLElement[]}
+ */
+function getChoiceLinks(root) {
+  return Array.from(root.querySelectorAll(".choice-link"));
+}
+
+/**
+ * @param {ParentNode} root
+ * @returns {number}
+ */
+function getFocusedChoiceIndex(root) {
+  return getChoiceLinks(root).indexOf(
+    /** @type {HTMLElement} */ (document.activeElement),
+  );
+}
+
+function isEditableTarget(target) {
+  const tagName = target?.tagName ? target.tagName.toLowerCase() : "";
+  return (
+    tagName === "input" ||
+    tagName === "textarea" ||
+    tagName === "select" ||
+    Boolean(target?.isContentEditable)
+  );
+}
+
+function isChoicesListInView(root) {
+  const rect = root.querySelector(".choices-list")?.getBoundingClientRect();
+  return Boolean(rect) && rect.top < window.innerHeight && rect.bottom > 0;
+}
+
+/**
+ * @param {ParentNode} root
+ * @returns {boolean} whether a choice link currently has focus
+ */
+export function hasFocusedChoice(root) {
+  return typeof document !== "undefined" && getFocusedChoiceIndex(root) !== -1;
+}
+
+/**
+ * Moves focus to the chapter title after an in-place chapter swap, so keyboard
+ * and screen reader users continue from the top of the new chapter.
+ *
+ * @param {ParentNode} root
+ */
+export function focusChapterStart(root) {
+  const title = root.querySelector(".chapter-title");
+  if (!title) return;
+
+  title.setAttribute("tabindex", "-1");
+  title.focus({ preventScroll: true });
+}
+
+/**
+ * @param {ParentNode} root
+ * @param {number} delta
+ * @returns {boolean} whether the focus ring moved
+ */
+function moveChoiceFocus(root, delta) {
+  const links = getChoiceLinks(root);
+  const nextIndex = getNextFocusIndex(
+    getFocusedChoiceIndex(root),
+    delta,
+    links.length,
+  );
+  if (nextIndex < 0) return false;
+
+  links[nextIndex].focus();
+  links[nextIndex].scrollIntoView({ block: "nearest" });
+  return true;
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {{ onBack: () => void, onRestart: () => void }} handlers
+ * @returns {(action: StoryInputAction) => boolean} whether the action was handled
+ */
+function createStoryActionRunner(container, handlers) {
+  return (action) => {
+    switch (action.type) {
+      case "choice": {
+        const link = getChoiceLinks(container)[action.index];
+        if (!link) return false;
+        link.click();
+        return true;
+      }
+      case "focus":
+        return moveChoiceFocus(container, action.delta);
+      case "activate": {
+        const links = getChoiceLinks(container);
+        const focusedLink = links[getFocusedChoiceIndex(container)];
+        if (focusedLink) {
+          focusedLink.click();
+          return true;
+        }
+        return moveChoiceFocus(container, 1);
+      }
+      case "back":
+        handlers.onBack();
+        return true;
+      case "restart":
+        handlers.onRestart();
+        return true;
+      default:
+        return false;
+    }
+  };
+}
+
+/**
+ * Polls connected gamepads once per frame while at least one is connected.
+ *
+ * @param {(action: StoryInputAction) => boolean} runAction
+ * @returns {() => void} cleanup
+ */
+function bindGamepadInput(runAction) {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) {
+    return () => null;
+  }
+
+  /** @type {Map<number, Set<string>>} */
+  const previousPressed = new Map();
+  let frameId = null;
+
+  const getConnectedGamepads = () =>
+    Array.from(navigator.getGamepads()).filter(Boolean);
+
+  const poll = () => {
+    const gamepads = getConnectedGamepads();
+
+    gamepads.forEach((gamepad) => {
+      const pressed = getPressedGamepadInputs(gamepad);
+      const actions = getGamepadActions(
+        previousPressed.get(gamepad.index) || new Set(),
+        pressed,
+      );
+      previousPressed.set(gamepad.index, pressed);
+      actions.forEach(runAction);
+    });
+
+    frameId = gamepads.length > 0 ? requestAnimationFrame(poll) : null;
+  };
+
+  const startPolling = () => {
+    if (frameId === null) frameId = requestAnimationFrame(poll);
+  };
+
+  window.addEventListener("gamepadconnected", startPolling);
+  if (getConnectedGamepads().length > 0) startPolling();
+
+  return () => {
+    window.removeEventListener("gamepadconnected", startPolling);
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+  };
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {{ onBack: () => void, onRestart: () => void }} handlers
+ * @returns {() => void} cleanup
+ */
+export function bindStoryInput(container, handlers) {
+  if (typeof document === "undefined" || !document.addEventListener) {
+    return () => null;
+  }
+
+  const runAction = createStoryActionRunner(container, handlers);
+
+  const onKeyDown = (event) => {
+    if (event.defaultPrevented || isEditableTarget(event.target)) return;
+
+    const action = getStoryKeyAction(event);
+    if (!action) return;
+
+    // Arrows keep scrolling the page until the reader reaches the choices.
+    if (
+      action.type === "focus" &&
+      !hasFocusedChoice(container) &&
+      !isChoicesListInView(container)
+    ) {
+      return;
+    }
+
+    if (runAction(action)) event.preventDefault();
+  };
+
+  document.addEventListener("keydown", onKeyDown);
+  const cleanupGamepad = bindGamepadInput(runAction);
+
+  return () => {
+    document.removeEventListener("keydown", onKeyDown);
+    cleanupGamepad();
+  };
+}
+
+/**
+ * Export buttons (`data-story-export="playthrough"|"gamebook"`) are delegated
+ * from the container; a button stays disabled while its export runs.
+ *
+ * @param {HTMLElement} container
+ * @param {(kind: "playthrough"|"gamebook") => Promise<void>} onExport
+ * @returns {() => void} cleanup
+ */
+export function bindStoryExportActions(container, onExport) {
+  const onClick = async (event) => {
+    const button = event.target?.closest?.("[data-story-export]");
+    if (!button || button.disabled) return;
+
+    event.preventDefault();
+    button.disabled = true;
+    try {
+      await onExport(button.dataset.storyExport);
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  container.addEventListener("click", onClick);
+  return () => {
+    container.removeEventListener("click", onClick);
+  };
+}
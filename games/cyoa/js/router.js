@@ -5,30 +5,56 @@
  * Route map format:
  * - Keys are route patterns (e.g. "/", "/admin", "/story/:storyId/:chapterId")
  * - Values are lifecycle objects: { load, render, bind }
+ * - Or redirect records: { redirect: "/story/:storyId/1" } (a function of
+ *   the params may return the target path instead)
  *
  * Matching behavior:
  * - The router reads the current location hash and strips the leading '#'
  * - Dynamic route segments use ":param" syntax
+ * - A "?query" suffix (e.g. "/?tone=Humorous") is ignored for matching
  * - Route patterns are converted to regex for matching
  *
  * Param extraction:
  * - Matched ":param" names become keys in the params object
  * - Captured URL segment values are assigned in order
+ * - Query parameters are added to the same object; path params win on a
+ *   name clash
+ *
+ * Guards and redirects:
+ * - Redirects replace the current history entry, then matching starts over
+ * - `beforeEach` (router option) and the page's own `beforeEnter` run
+ *   before a new path is loaded, with `(to, from)` navigation targets
+ * - A guard returns false to cancel, a path string to redirect, or anything
+ *   else to continue; a cancelled hash change is undone with
+ *   `history.back()`, so it leaves no extra history entry
+ *
+ * History:
+ * - `back(fallbackPath)` steps back in browser history when the reader
+ *   arrived from another route of this app, otherwise navigates to the
+ *   fallback path
  *
  * Rendering:
  * - If no route matches, a simple 404 page is rendered
  * - If matched, the lifecycle executes in order: load -> render -> bind
  * - Returned HTML is injected into the provided container
+ * - `render(container, { fullRender: true })` skips the in-place `update`
+ *   stage, e.g. to redraw the page after a language change
  */
 
 import { renderLoadErrorPage, renderNotFoundPage } from "./utils/errorUI.js";
 import { normalizePageContract } from "./utils/pageContract.js";
+import { t } from "./utils/i18n.js";
 
 /** @typedef {import("./types.js").RouteParams} RouteParams */
 /** @typedef {import("./types.js").PageContract} PageContract */
+/** @typedef {import("./types.js").RouteRedirect} RouteRedirect */
 /** @typedef {import("./types.js").MatchedRoute} MatchedRoute */
+/** @typedef {import("./types.js").NavigationTarget} NavigationTarget */
+/** @typedef {import("./types.js").NavigationGuard} NavigationGuard */
 /** @typedef {import("./types.js").RouterApi} RouterApi */
 
+const MAX_REDIRECTS = 10;
+
 /**
  * @typedef {{
  *   route: string,
@@ -55,15 +81,70 @@ function compileRoute(route) {
 }
 
 /**
- * @param {Record<string, PageContract>} routes
+ * @param {string} query
+ * @returns {RouteParams}
+ */
+function parseQueryParams(query) {
+  const params = {};
+  new URLSearchParams(query).forEach((value, key) => {
+    params[key] = value;
+  });
+  return params;
+}
+
+/**
+ * @param {PageContract|RouteRedirect} handler
+ * @returns {handler is RouteRedirect}
+ */
+function isRedirectRecord(handler) {
+  return Boolean(handler) && "redirect" in handler;
+}
+
+/**
+ * @param {RouteRedirect["redirect"]} redirect
+ * @param {RouteParams} params
+ * @returns {string}
+ */
+function resolveRedirectPath(redirect, params) {
+  if (typeof redirect === "function") {
+    return redirect(params);
+  }
+
+  return String(redirect).replace(/:([^/?]+)/g, (segment, name) =>
+    Object.hasOwn(params, name) ? params[name] : segment,
+  );
+}
+
+/**
+ * Rewrites the hash without adding a history entry or firing `hashchange`.
+ *
+ * @param {string} path
+ */
+function replaceHashPath(path) {
+  if (typeof window.history?.replaceState === "function") {
+    window.history.replaceState(window.history.state, "", `#${path}`);
+    return;
+  }
+  window.location.hash = `#${path}`;
+}
+
+/**
+ * @param {Record<string, PageContract|RouteRedirect>} routes
+ * @param {{ beforeEach?: NavigationGuard }} [options]
  * @returns {RouterApi}
  */
-export function createRouter(routes) {
+export function createRouter(routes, { beforeEach = null } = {}) {
   let currentCleanup = null;
   let activeRenderId = 0;
   let activeRoute = null;
   let activeModel = null;
   let activeParams = null;
+  /** @type {NavigationTarget|null} */
+  let activeTarget = null;
+  /** @type {string[]} */
+  const visitedPaths = [];
+  /** Set while `history.back()` undoes a hash change a guard cancelled. */
+  let isUndoingCancelledNavigation = false;
   const compiledRoutes = Object.keys(routes).map(compileRoute);
 
   const getCurrentRoute = () => {
@@ -75,6 +156,34 @@ export function createRouter(routes) {
     window.location.hash = `#${path}`;
   };
 
+  /**
+   * Going back to the previous path pops it; any other path is pushed.
+   *
+   * @param {string} path
+   */
+  const recordVisit = (path) => {
+    const lastIndex = visitedPaths.length - 1;
+    if (visitedPaths[lastIndex] === path) return;
+    if (visitedPaths[lastIndex - 1] === path) {
+      visitedPaths.pop();
+      return;
+    }
+    visitedPaths.push(path);
+  };
+
+  const canGoBack = () => visitedPaths.length > 1;
+
+  /**
+   * @param {string} [fallbackPath]
+   */
+  const back = (fallbackPath = "/") => {
+    if (canGoBack() && typeof window.history?.back === "function") {
+      window.history.back();
+      return;
+    }
+    navigate(fallbackPath);
+  };
+
   const clearCurrentRouteBindings = () => {
     if (typeof currentCleanup === "function") {
       currentCleanup();
@@ -97,10 +206,11 @@ export function createRouter(routes) {
   };
 
   /**
-   * @param {string} pathname
+   * @param {string} path
    * @returns {MatchedRoute|null}
    */
-  const getRouteParams = (pathname) => {
+  const getRouteParams = (path) => {
+    const [pathname, query = ""] = path.split("?");
     const matchedRoute = compiledRoutes.find((route) =>
       route.matcher.test(pathname),
     );
@@ -111,7 +221,7 @@ export function createRouter(routes) {
 
     const matches = pathname.match(matchedRoute.matcher);
 
-    const params = {};
+    const params = parseQueryParams(query);
     if (matches) {
       matchedRoute.paramNames.forEach((name, index) => {
         params[name] = matches[index + 1];
@@ -121,27 +231,139 @@ export function createRouter(routes) {
     return { params, route: matchedRoute.route };
   };
 
+  /**
+   * @param {NavigationGuard|null|undefined} guard
+   * @param {NavigationTarget} to
+   * @returns {Promise<boolean|string>} false to cancel, a path to redirect
+   */
+  const runGuard = async (guard, to) => {
+    if (typeof guard !== "function") {
+      return true;
+    }
+
+    const result = await guard(to, activeTarget);
+    if (result === false || typeof result === "string") {
+      return result;
+    }
+    return true;
+  };
+
+  /**
+   * Follows redirects and runs guards until a path is settled.
+   *
+   * @param {string} path
+   * @returns {Promise<{ path: string, routeData: MatchedRoute|null }|null>} null when a guard cancelled
+   */
+  const resolveNavigation = async (path) => {
+    let currentPath = path;
+
+    for (let attempt = 0; attempt <= MAX_REDIRECTS; attempt += 1) {
+      const routeData = getRouteParams(currentPath);
+      if (!routeData) {
+        return { path: currentPath, routeData: null };
+      }
+
+      const handler = routes[routeData.route];
+      let nextPath = null;
+
+      if (isRedirectRecord(handler)) {
+        nextPath = resolveRedirectPath(handler.redirect, routeData.params);
+      } else if (currentPath !== activeTarget?.path) {
+        const to = { path: currentPath, ...routeData };
+        let result = await runGuard(beforeEach, to);
+        if (result === true) {
+          result = await runGuard(handler?.beforeEnter, to);
+        }
+        if (result === false) {
+          return null;
+        }
+        if (typeof result === "string") {
+          nextPath = result;
+        }
+      }
+
+      if (nextPath === null) {
+        return { path: currentPath, routeData };
+      }
+
+      currentPath = nextPath;
+      replaceHashPath(currentPath);
+    }
+
+    throw new Error(`Too many redirects from ${path}`);
+  };
+
   /**
    * @param {HTMLElement|{ innerHTML: string }} container
+   * @param {{ fullRender?: boolean }} [options]
    * @returns {Promise<void>}
    */
-  const render = async (container) => {
+  const render = async (container, { fullRender = false } = {}) => {
+    if (isUndoingCancelledNavigation) {
+      isUndoingCancelledNavigation = false;
+      // Back on the page that stayed open: nothing to render.
+      if (getCurrentRoute() === activeTarget?.path) {
+        return;
+      }
+    }
+
     const renderId = ++activeRenderId;
-    const path = getCurrentRoute();
-    const routeData = getRouteParams(path);
 
-    if (!routeData) {
-      if (renderId !== activeRenderId) {
+    let navigation;
+    try {
+      navigation = await resolveNavigation(getCurrentRoute());
+    } catch (error) {
+      navigation = { error };
+    }
+    if (renderId !== activeRenderId) {
+      return;
+    }
+
+    if (navigation === null) {
+      if (!activeTarget) {
         return;
       }
+      if (typeof window.history?.back === "function") {
+        isUndoingCancelledNavigation = true;
+        window.history.back();
+      } else {
+        replaceHashPath(activeTarget.path);
+      }
+      return;
+    }
+
+    const clearActiveRoute = () => {
       clearCurrentRouteBindings();
       activeRoute = null;
       activeModel = null;
       activeParams = null;
+      activeTarget = null;
+    };
+
+    const renderError = (error) => {
+      clearActiveRoute();
+      container.innerHTML = renderLoadErrorPage({
+        title: t("error.renderTitle"),
+        details: error instanceof Error ? error.message : String(error),
+      });
+    };
+
+    if ("error" in navigation) {
+      renderError(navigation.error);
+      return;
+    }
+
+    const { path, routeData } = navigation;
+    recordVisit(path);
+
+    if (!routeData) {
+      clearActiveRoute();
       container.innerHTML = renderNotFoundPage();
       return;
     }
 
+    const target = { path, ...routeData };
+
     try {
       const lifecycle = normalizeRouteHandler(routes[routeData.route]);
       const model = await lifecycle.load(routeData.params);
@@ -150,6 +372,7 @@ export function createRouter(routes) {
       }
 
       const canUpdateInPlace =
+        !fullRender &&
         activeRoute === routeData.route &&
         typeof lifecycle.update === "function";
       if (canUpdateInPlace) {
@@ -170,6 +393,7 @@ export function createRouter(routes) {
         if (didUpdate) {
           activeModel = model;
           activeParams = routeData.params;
+          activeTarget = target;
           return;
         }
       }
@@ -190,18 +414,12 @@ export function createRouter(routes) {
       activeRoute = routeData.route;
       activeModel = model;
       activeParams = routeData.params;
+      activeTarget = target;
     } catch (error) {
       if (renderId !== activeRenderId) {
         return;
       }
-      clearCurrentRouteBindings();
-      activeRoute = null;
-      activeModel = null;
-      activeParams = null;
-      container.innerHTML = renderLoadErrorPage({
-        title: "Error rendering page",
-        details: error instanceof Error ? error.message : String(error),
-      });
+      renderError(error);
     }
   };
 
@@ -209,5 +427,7 @@ export function createRouter(routes) {
     navigate,
     render,
     getCurrentRoute,
+    back,
+    canGoBack,
   };
 }
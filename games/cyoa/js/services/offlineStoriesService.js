@@ -0,0 +1,211 @@
+/**
+ * Offline stories service
+ *
+ * Purpose:
+ * - Save a story (its `story.md` plus chapter images) into the Cache API so
+ *   the service worker (`sw.js`) can serve it without a network
+ * - Report which stories are saved, for the home page cards
+ *
+ * Cache model (`cyoa-stories-v1`, shared with `sw.js`):
+ * - One entry per downloaded URL
+ * - A story counts as available offline once its `story.md` is cached; it is
+ *   written last, so an interrupted download never looks complete
+ * - The reader's translation (`story.<language>.md`) is saved too when the
+ *   story has one
+ * - Chapters with responsive images also get their downscaled `srcset`
+ *   copies, since the reader asks for whichever width fits the screen
+ *
+ * Exposed API:
+ * - `createOfflineStoriesService(cacheStorage?)` for injected/testable behavior
+ * - `getOfflineStoryIds`, `downloadStoryForOffline`, ... as default app-level helpers
+ */
+
+import { getStoriesImageMetadata } from "./storiesRepository.js";
+import {
+  getChapterImageSetUrls,
+  getStoryChapterImageSets,
+  getStoryChapterImagePaths,
+  getStoryContentPath,
+} from "../utils/storyPaths.js";
+import { DEFAULT_LANGUAGE, getCurrentLanguage } from "../utils/i18n.js";
+
+export const OFFLINE_STORIES_CACHE_NAME = "cyoa-stories-v1";
+
+const STORY_CONTENT_URL_PATTERN = /\/assets\/stories\/([^/]+)\/story\.md$/;
+
+function getDefaultCacheStorage() {
+  return typeof caches === "undefined" ? null : caches;
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function getUrlPathname(url) {
+  try {
+    return new URL(url, "http://localhost").pathname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * @param {string|number} storyId
+ * @returns {Promise<string[]>}
+ */
+async function getStoryImageUrls(storyId) {
+  const imageMetadata = await getStoriesImageMetadata();
+  const urls = Array.from(getStoryChapterImageSets(imageMetadata, storyId))
+    .sort(([a], [b]) => a - b)
+    .flatMap(([chapterNumber, imageSet]) => [
+      ...getStoryChapterImagePaths(storyId, chapterNumber),
+      ...getChapterImageSetUrls(imageSet),
+    ]);
+  return [...new Set(urls)];
+}
+
+/**
+ * @param {CacheStorage|null} [cacheStorage]
+ */
+export function createOfflineStoriesService(
+  cacheStorage = getDefaultCacheStorage(),
+) {
+  const openCache = () => cacheStorage.open(OFFLINE_STORIES_CACHE_NAME);
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  const getOfflineStoryIds = async () => {
+    if (!cacheStorage) {
+      return [];
+    }
+
+    try {
+      const cache = await openCache();
+      const requests = await cache.keys();
+      return requests
+        .map((request) =>
+          getUrlPathname(request.url).match(STORY_CONTENT_URL_PATTERN),
+        )
+        .filter(Boolean)
+        .map((match) => decodeURIComponent(match[1]));
+    } catch (error) {
+      console.warn("[offline] Unable to read offline stories:", error);
+      return [];
+    }
+  };
+
+  /**
+   * Images that fail to download are skipped; the story page already hides
+   * missing illustrations.
+   *
+   * @param {string|number} storyId
+   * @param {{ onProgress?: (done: number, total: number) => void, language?: string }} [options]
+   * @returns {Promise<{ imageCount: number }>}
+   */
+  const downloadStory = async (
+    storyId,
+    { onProgress, language = getCurrentLanguage() } = {},
+  ) => {
+    if (!cacheStorage) {
+      throw new Error("Offline storage is not available in this browser");
+    }
+
+    const storyResponse = await fetch(getStoryContentPath(storyId));
+    if (!storyResponse.ok) {
+      throw new Error(`Failed to download story ${storyId}`);
+    }
+
+    const imageUrls = await getStoryImageUrls(storyId);
+    const cache = await openCache();
+    const total = imageUrls.length + 1;
+    let done = 0;
+    let imageCount = 0;
+
+    for (const imageUrl of imageUrls) {
+      try {
+        const imageResponse = await fetch(imageUrl);
+        if (imageResponse.ok) {
+          await cache.put(imageUrl, imageResponse);
+          imageCount += 1;
+        }
+      } catch {
+        // Skip unreachable images and keep the rest of the download going.
+      }
+      done += 1;
+      onProgress?.(done, total);
+    }
+
+    if (language !== DEFAULT_LANGUAGE) {
+      const translationUrl = getStoryContentPath(storyId, language);
+      try {
+        const translationResponse = await fetch(translationUrl);
+        if (translationResponse.ok) {
+          await cache.put(translationUrl, translationResponse);
+        }
+      } catch {
+        // The reader falls back to `story.md` when the translation is missing.
+      }
+    }
+
+    await cache.put(getStoryContentPath(storyId), storyResponse);
+    onProgress?.(total, total);
+    return { imageCount };
+  };
+
+  /**
+   * @param {string|number} storyId
+   * @returns {Promise<void>}
+   */
+  const removeStory = async (storyId) => {
+    if (!cacheStorage) {
+      return;
+    }
+
+    const cache = await openCache();
+    const storyPrefix = getUrlPathname(getStoryContentPath(storyId)).replace(
+      /story\.md$/,
+      "",
+    );
+    const requests = await cache.keys();
+    await Promise.all(
+      requests
+        .filter((request) =>
+          getUrlPathname(request.url).startsWith(storyPrefix),
+        )
+        .map((request) => cache.delete(request)),
+    );
+  };
+
+  return {
+    isSupported: () => Boolean(cacheStorage),
+    getOfflineStoryIds,
+    downloadStory,
+    removeStory,
+  };
+}
+
+const defaultOfflineStoriesService = createOfflineStoriesService();
+
+export function isOfflineStorageSupported() {
+  return defaultOfflineStoriesService.isSupported();
+}
+
+export function getOfflineStoryIds() {
+  return defaultOfflineStoriesService.getOfflineStoryIds();
+}
+
+/**
+ * @param {string|number} storyId
+ * @param {{ onProgress?: (done: number, total: number) => void, language?: string }} [options]
+ */
+export function downloadStoryForOffline(storyId, options) {
+  return defaultOfflineStoriesService.downloadStory(storyId, options);
+}
+
+/**
+ * @param {string|number} storyId
+ */
+export function removeOfflineStory(storyId) {
+  return defaultOfflineStoriesService.removeStory(storyId);
+}
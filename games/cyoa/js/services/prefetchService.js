@@ -0,0 +1,140 @@
+/**
+ * Prefetch service
+ *
+ * Purpose:
+ * - Warm the illustrations of every chapter reachable from the one being
+ *   read, so the next page shows its image without waiting
+ * - Warm the markdown of a story the reader hovers or focuses on the home
+ *   page, before they open it
+ *
+ * Work is handed to the idle-time scheduler (`prefetchScheduler.js`), which
+ * applies the budget and skips everything on Save-Data connections.
+ *
+ * Exposed API:
+ * - `createPrefetchService(dependencies?)` for injected/testable behavior
+ * - `prefetchNextChapterImages`, `prefetchStoryContent` as default
+ *   app-level helpers
+ */
+
+import { getStoryContent } from "./storiesRepository.js";
+import { loadStoryChapterImageSets } from "./storyPageDataService.js";
+import { getStoryChapterImagePaths } from "../utils/storyPaths.js";
+import { getCurrentLanguage } from "../utils/i18n.js";
+import { createPrefetchScheduler } from "../utils/prefetchScheduler.js";
+
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").ChapterImageSet} ChapterImageSet */
+
+/**
+ * Resolves once the browser has the image in its cache (or gave up). With
+ * an image set the browser picks the same width the reader will get.
+ *
+ * @param {string} src
+ * @param {ChapterImageSet|null} [imageSet]
+ * @returns {Promise<void>}
+ */
+function warmImage(src, imageSet = null) {
+  if (typeof Image === "undefined") {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.decoding = "async";
+    image.onload = () => resolve();
+    image.onerror = () => resolve();
+    if (imageSet?.srcset) {
+      image.sizes = imageSet.sizes;
+      image.srcset = imageSet.srcset;
+    }
+    image.src = src;
+  });
+}
+
+/**
+ * Chapters the reader can go to next, in choice order, without repeats.
+ *
+ * @param {StoryChapter|null|undefined} chapter
+ * @returns {number[]}
+ */
+export function getNextChapterNumbers(chapter) {
+  const chapterNumbers = (chapter?.choices || []).map(
+    (choice) => choice.chapterNumber,
+  );
+  return [...new Set(chapterNumbers)].filter(Number.isInteger);
+}
+
+/**
+ * @param {{
+ *   scheduler?: ReturnType<typeof createPrefetchScheduler>,
+ *   loadImageSets?: (storyId: string) => Promise<Map<number, ChapterImageSet|null>>,
+ *   loadStoryContent?: (storyId: string, language: string) => Promise<string>,
+ *   loadImage?: (src: string, imageSet: ChapterImageSet|null) => Promise<void>,
+ * }} [dependencies]
+ */
+export function createPrefetchService({
+  scheduler = createPrefetchScheduler(),
+  loadImageSets = loadStoryChapterImageSets,
+  loadStoryContent = getStoryContent,
+  loadImage = warmImage,
+} = {}) {
+  /**
+   * Earlier chapters' pending images are dropped: the reader has moved on.
+   *
+   * @param {string|number} storyId
+   * @param {StoryChapter|null|undefined} chapter
+   * @returns {Promise<number>} how many images were queued
+   */
+  const prefetchNextChapterImages = async (storyId, chapter) => {
+    scheduler.clearPending();
+    const nextChapterNumbers = getNextChapterNumbers(chapter);
+    if (nextChapterNumbers.length === 0 || !scheduler.isEnabled()) {
+      return 0;
+    }
+
+    const imageSets = await loadImageSets(String(storyId));
+    return nextChapterNumbers
+      .filter((chapterNumber) => imageSets.has(chapterNumber))
+      .filter((chapterNumber) => {
+        const [src] = getStoryChapterImagePaths(storyId, chapterNumber);
+        return scheduler.schedule(`image:${src}`, () =>
+          loadImage(src, imageSets.get(chapterNumber) ?? null),
+        );
+      }).length;
+  };
+
+  /**
+   * @param {string|number} storyId
+   * @returns {boolean} whether the story was queued
+   */
+  const prefetchStoryContent = (storyId) => {
+    const language = getCurrentLanguage();
+    return scheduler.schedule(`story:${storyId}:${language}`, () =>
+      loadStoryContent(String(storyId), language),
+    );
+  };
+
+  return {
+    prefetchNextChapterImages,
+    prefetchStoryContent,
+  };
+}
+
+const defaultPrefetchService = createPrefetchService();
+
+/**
+ * @param {string|number} storyId
+ * @param {StoryChapter|null|undefined} chapter
+ */
+export function prefetchNextChapterImages(storyId, chapter) {
+  return defaultPrefetchService
+    .prefetchNextChapterImages(storyId, chapter)
+    .catch(() => 0);
+}
+
+/**
+ * @param {string|number} storyId
+ */
+export function prefetchStoryContent(storyId) {
+  return defaultPrefetchService.prefetchStoryContent(storyId);
+}
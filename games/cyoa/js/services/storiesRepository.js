@@ -1,9 +1,10 @@
-import { withBasePath } from "../utils/pathResolver.js";
 import {
   getStoryContentPath,
   getStoriesImageMetadataPath,
+  getStoriesMetadataPath,
 } from "../utils/storyPaths.js";
 import { getOrCreateCachedRequest } from "../utils/requestCache.js";
+import { DEFAULT_LANGUAGE } from "../utils/i18n.js";
 
 /** @typedef {import("../types.js").StoryMetadata} StoryMetadata */
 
@@ -18,9 +19,7 @@ export async function getStoriesMetadata() {
     requestCache,
     "storiesMetadata",
     async () => {
-      const response = await fetch(
-        withBasePath("/assets/stories/metadata-stories.json"),
-      );
+      const response = await fetch(getStoriesMetadataPath());
       if (!response.ok) {
         throw new Error("Failed to load stories metadata");
       }
@@ -37,11 +36,37 @@ export async function getStoriesMetadata() {
 
 /**
  * @param {string|number} storyId
+ * @param {string} language
+ * @returns {Promise<string|null>} null when the story has no such translation
+ */
+async function fetchStoryTranslation(storyId, language) {
+  try {
+    const response = await fetch(getStoryContentPath(storyId, language));
+    return response.ok ? await response.text() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads `story.<language>.md` when it exists and falls back to the default
+ * language (`story.md`) otherwise.
+ *
+ * @param {string|number} storyId
+ * @param {string} [language]
  * @returns {Promise<string>}
  */
-export async function getStoryContent(storyId) {
-  const key = String(storyId);
+export async function getStoryContent(storyId, language = DEFAULT_LANGUAGE) {
+  const key =
+    language === DEFAULT_LANGUAGE ? String(storyId) : `${storyId}:${language}`;
   return getOrCreateCachedRequest(storyContentPromiseById, key, async () => {
+    if (language !== DEFAULT_LANGUAGE) {
+      const translatedContent = await fetchStoryTranslation(storyId, language);
+      if (translatedContent !== null) {
+        return translatedContent;
+      }
+    }
+
     const response = await fetch(getStoryContentPath(storyId));
     if (!response.ok) {
       throw new Error(`Failed to load story ${storyId}`);
@@ -0,0 +1,52 @@
+/**
+ * Story export service
+ *
+ * Builds the printable HTML documents from `js/utils/storyExport.js` for a
+ * story: the reader's playthrough transcript or the whole-story gamebook.
+ * Saving the file is left to the page (`downloadTextFile`).
+ */
+
+import { getStoriesMetadata } from "./storiesRepository.js";
+import { loadStoryData } from "./storyPageDataService.js";
+import {
+  getPlaythroughSteps,
+  getStoryExportFileName,
+  renderGamebookDocument,
+  renderPlaythroughDocument,
+} from "../utils/storyExport.js";
+
+/** @typedef {import("../types.js").StoryProgress} StoryProgress */
+
+/**
+ * @param {string|number} storyId
+ * @param {"playthrough"|"gamebook"} kind
+ * @param {StoryProgress|null} [progress] required for "playthrough"
+ * @returns {Promise<{ fileName: string, html: string }>}
+ */
+export async function buildStoryExport(storyId, kind, progress = null) {
+  const [chapters, stories] = await Promise.all([
+    loadStoryData(String(storyId)),
+    getStoriesMetadata(),
+  ]);
+  const metadata = stories.find(
+    (story) => String(story.number) === String(storyId),
+  );
+  const storyTitle = metadata?.title || `Story ${storyId}`;
+
+  if (kind === "gamebook") {
+    return {
+      fileName: getStoryExportFileName(storyId, kind),
+      html: renderGamebookDocument({ storyTitle, chapters }),
+    };
+  }
+
+  const steps = getPlaythroughSteps(chapters, progress);
+  if (steps.length === 0) {
+    throw new Error(`No reading progress to export for story ${storyId}`);
+  }
+
+  return {
+    fileName: getStoryExportFileName(storyId, "playthrough"),
+    html: renderPlaythroughDocument({ storyTitle, steps }),
+  };
+}
@@ -3,12 +3,18 @@ import {
   getStoryContent,
   getStoriesImageMetadata,
 } from "./storiesRepository.js";
-import { getStoryChapterImagePaths } from "../utils/storyPaths.js";
+import {
+  getStoryChapterImagePaths,
+  getStoryChapterImageSets,
+} from "../utils/storyPaths.js";
+import { getEndingChapterNumbers } from "../utils/storyGraph.js";
+import { DEFAULT_LANGUAGE, getCurrentLanguage } from "../utils/i18n.js";
 
 /** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").ChapterImageSet} ChapterImageSet */
 
 const parsedStoryPromiseById = new Map();
-const storyImageChapterNumbersPromiseById = new Map();
+const storyImageSetsPromiseById = new Map();
 const MAX_STORY_CACHE_ENTRIES = 5;
 const DEBUG_STORY_IMAGE_ELIGIBILITY = false;
 
@@ -50,23 +56,20 @@ function logImageEligibility({
   );
 }
 
-function normalizeChapterNumber(value) {
-  const parsed = Number.parseInt(String(value), 10);
-  return Number.isNaN(parsed) ? null : parsed;
-}
-
 /**
  * @param {string} storyId
+ * @param {string} [language] defaults to the reader's current language
  * @returns {Promise<Record<number, StoryChapter>>}
  */
-async function loadStoryData(storyId) {
-  const key = String(storyId);
+export async function loadStoryData(storyId, language = getCurrentLanguage()) {
+  const key =
+    language === DEFAULT_LANGUAGE ? String(storyId) : `${storyId}:${language}`;
   const cachedStory = touchLruEntry(parsedStoryPromiseById, key);
   if (cachedStory) {
     return cachedStory;
   }
 
-  const parsedPromise = getStoryContent(storyId)
+  const parsedPromise = getStoryContent(storyId, language)
     .then((storyContentText) => parseStory(storyContentText))
     .catch((error) => {
       parsedStoryPromiseById.delete(key);
@@ -83,61 +86,31 @@ async function loadStoryData(storyId) {
   return parsedPromise;
 }
 
-function getStoryImageChapterNumbers(imageMetadata, storyId) {
-  const storyIdAsString = String(storyId);
-  const storyIdAsNumber = Number.parseInt(storyIdAsString, 10);
-  const stories = Array.isArray(imageMetadata?.stories)
-    ? imageMetadata.stories
-    : [];
-  const entry = stories.find((storyImageEntry) => {
-    const number = storyImageEntry?.number;
-    return (
-      String(number) === storyIdAsString ||
-      (!Number.isNaN(storyIdAsNumber) && Number(number) === storyIdAsNumber)
-    );
-  });
-
-  if (!entry) {
-    return new Set();
-  }
-
-  const chapterNumbers = new Set();
-  for (const chapter of Array.isArray(entry?.chapters) ? entry.chapters : []) {
-    const chapterNumber = normalizeChapterNumber(chapter?.number);
-    if (chapterNumber !== null) {
-      chapterNumbers.add(chapterNumber);
-    }
-  }
-
-  return chapterNumbers;
-}
-
 /**
+ * Illustrated chapters of a story and their responsive image sets.
+ *
  * @param {string} storyId
- * @returns {Promise<Set<number>>}
+ * @returns {Promise<Map<number, ChapterImageSet|null>>}
  */
-async function loadStoryImageChapterNumbers(storyId) {
+export async function loadStoryChapterImageSets(storyId) {
   const key = String(storyId);
-  const cachedImageMetadata = touchLruEntry(
-    storyImageChapterNumbersPromiseById,
-    key,
-  );
+  const cachedImageMetadata = touchLruEntry(storyImageSetsPromiseById, key);
   if (cachedImageMetadata) {
     return cachedImageMetadata;
   }
 
-  const chapterNumbersPromise = getStoriesImageMetadata()
-    .then((imageMetadata) => getStoryImageChapterNumbers(imageMetadata, key))
-    .catch(() => new Set());
+  const imageSetsPromise = getStoriesImageMetadata()
+    .then((imageMetadata) => getStoryChapterImageSets(imageMetadata, key))
+    .catch(() => new Map());
 
   setLruEntry(
-    storyImageChapterNumbersPromiseById,
+    storyImageSetsPromiseById,
     key,
-    chapterNumbersPromise,
+    imageSetsPromise,
     MAX_STORY_CACHE_ENTRIES,
   );
 
-  return chapterNumbersPromise;
+  return imageSetsPromise;
 }
 
 function parseChapterNumber(chapterParam) {
@@ -147,19 +120,19 @@ function parseChapterNumber(chapterParam) {
 
 /**
  * @param {{ storyId: string, chapterId?: string }} params
- * @returns {Promise<{ storyId: string, chapterNumber: number, chapter: StoryChapter|null, chapterImagePaths: string[]|null, error: string|null }>}
+ * @returns {Promise<{ storyId: string, chapterNumber: number, chapter: StoryChapter|null, chapterImagePaths: string[]|null, chapterImageSet: ChapterImageSet|null, endingChapterNumbers: number[], error: string|null }>}
  */
 export async function loadStoryPageModel(params) {
   const storyId = params.storyId;
   const chapterNumber = parseChapterNumber(params.chapterId);
 
   try {
-    const [storyData, imageChapterNumbers] = await Promise.all([
+    const [storyData, imageSets] = await Promise.all([
       loadStoryData(storyId),
-      loadStoryImageChapterNumbers(storyId),
+      loadStoryChapterImageSets(storyId),
     ]);
     const hasChapter = Boolean(storyData?.[chapterNumber]);
-    const hasImageMetadata = imageChapterNumbers.has(chapterNumber);
+    const hasImageMetadata = imageSets.has(chapterNumber);
 
     logImageEligibility({
       storyId,
@@ -176,6 +149,11 @@ export async function loadStoryPageModel(params) {
         hasChapter && hasImageMetadata
           ? getStoryChapterImagePaths(storyId, chapterNumber)
           : null,
+      chapterImageSet:
+        hasChapter && hasImageMetadata
+          ? (imageSets.get(chapterNumber) ?? null)
+          : null,
+      endingChapterNumbers: getEndingChapterNumbers(storyData),
       error: null,
     };
   } catch (error) {
@@ -184,6 +162,8 @@ export async function loadStoryPageModel(params) {
       chapterNumber,
       chapter: null,
       chapterImagePaths: null,
+      chapterImageSet: null,
+      endingChapterNumbers: [],
       error: error instanceof Error ? error.message : String(error),
     };
   }
@@ -191,7 +171,7 @@ export async function loadStoryPageModel(params) {
 
 export function clearStoryPageDataCache() {
   parsedStoryPromiseById.clear();
-  storyImageChapterNumbersPromiseById.clear();
+  storyImageSetsPromiseById.clear();
 }
 
 export function getParsedStoryCacheSize() {
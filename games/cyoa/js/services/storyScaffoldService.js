@@ -0,0 +1,127 @@
+/**
+ * Story scaffold service
+ *
+ * Builds everything the admin "New story" flow hands to the author: the
+ * next free story number, a skeleton for the chosen length band, and both
+ * metadata files with the new story appended (`storyScaffold.js`,
+ * `metadataJson.js`). The site cannot write files, so the page offers them
+ * as downloads.
+ *
+ * The browser cannot list story folders the way the CLI does, so a number
+ * taken from the metadata files is only used once no `story.md` answers
+ * for it; a folder that was never listed moves the new story past it.
+ */
+
+import {
+  getStoriesImageMetadataPath,
+  getStoriesMetadataPath,
+  getStoryContentPath,
+} from "../utils/storyPaths.js";
+import {
+  createStoryScaffold,
+  getNextStoryNumber,
+} from "../utils/storyScaffold.js";
+import {
+  appendStoryImageMetadataEntry,
+  appendStoryMetadataEntry,
+} from "../utils/metadataJson.js";
+
+/** @typedef {import("../utils/storyScaffold.js").StoryScaffold} StoryScaffold */
+
+/**
+ * @typedef {StoryScaffold & {
+ *   storyPath: string,
+ *   metadataFiles: { fileName: string, content: string }[],
+ * }} NewStoryFiles
+ */
+
+/**
+ * Always the published file, not a cached copy: the new number must not
+ * collide with a story added since the page loaded.
+ *
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+async function fetchMetadataText(url) {
+  const response = await fetch(url, { cache: "no-store" });
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}`);
+  }
+  return response.text();
+}
+
+/** Unlisted folders in a row before giving up, rather than probing forever. */
+const MAX_UNLISTED_STORY_FOLDERS = 20;
+
+/**
+ * @param {number} storyNumber
+ * @returns {Promise<boolean>}
+ */
+async function storyFileExists(storyNumber) {
+  const url = getStoryContentPath(storyNumber);
+  let response;
+  try {
+    response = await fetch(url, { method: "HEAD", cache: "no-store" });
+  } catch {
+    throw new Error(`Could not check whether ${url} already exists`);
+  }
+  return response.ok;
+}
+
+/**
+ * @param {number} firstCandidate
+ * @returns {Promise<number>}
+ */
+async function findFreeStoryNumber(firstCandidate) {
+  for (
+    let storyNumber = firstCandidate;
+    storyNumber < firstCandidate + MAX_UNLISTED_STORY_FOLDERS;
+    storyNumber += 1
+  ) {
+    if (!(await storyFileExists(storyNumber))) {
+      return storyNumber;
+    }
+  }
+
+  throw new Error(
+    `Stories ${firstCandidate}-${firstCandidate + MAX_UNLISTED_STORY_FOLDERS - 1} all exist but are not in the metadata files; run "npm run story -- sync-metadata all" first`,
+  );
+}
+
+/**
+ * @param {{ title?: string, length?: string }} options
+ * @returns {Promise<NewStoryFiles>}
+ */
+export async function buildNewStoryFiles({ title, length }) {
+  const [metadataText, imageMetadataText] = await Promise.all([
+    fetchMetadataText(getStoriesMetadataPath()),
+    fetchMetadataText(getStoriesImageMetadataPath()),
+  ]);
+  const storyNumber = await findFreeStoryNumber(
+    getNextStoryNumber([
+      ...JSON.parse(metadataText).map((story) => story.number),
+      ...(JSON.parse(imageMetadataText).stories || []).map(
+        (story) => story.number,
+      ),
+    ]),
+  );
+  const scaffold = createStoryScaffold({ storyNumber, title, length });
+
+  return {
+    ...scaffold,
+    storyPath: `assets/stories/${storyNumber}/story.md`,
+    metadataFiles: [
+      {
+        fileName: "metadata-stories.json",
+        content: appendStoryMetadataEntry(metadataText, scaffold.metadataEntry),
+      },
+      {
+        fileName: "metadata-images.json",
+        content: appendStoryImageMetadataEntry(
+          imageMetadataText,
+          scaffold.imageMetadataEntry,
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Admin drafts store
+ *
+ * Purpose:
+ * - Autosave unpublished edits from the admin editor per story number
+ * - Let an author restore a draft after a reload instead of losing work
+ *
+ * Storage model (`cyoaAdminDrafts`):
+ * - `{ [draftKey]: { content: string, updatedAt: string } }`
+ * - `draftKey` is the story number, or `"new"` for a story not yet published
+ *
+ * Exposed API:
+ * - `createAdminDraftsStore(storage?)` for injected/testable behavior
+ * - `getAdminDraft`, `saveAdminDraft`, ... as default app-level helpers
+ */
+
+import {
+  createStoredJsonObject,
+  getDefaultStorage,
+  isPlainObject,
+} from "./storedJson.js";
+
+/** @typedef {import("../types.js").AdminDraft} AdminDraft */
+
+export const ADMIN_DRAFTS_STORAGE_KEY = "cyoaAdminDrafts";
+export const NEW_STORY_DRAFT_KEY = "new";
+
+/**
+ * @param {string|number|null|undefined} storyId
+ * @returns {string}
+ */
+export function getDraftKey(storyId) {
+  const key = String(storyId ?? "").trim();
+  return key || NEW_STORY_DRAFT_KEY;
+}
+
+/**
+ * @param {unknown} entry
+ * @returns {AdminDraft|null}
+ */
+function normalizeDraft(entry) {
+  if (!isPlainObject(entry) || typeof entry.content !== "string") {
+    return null;
+  }
+
+  return {
+    content: entry.content,
+    updatedAt: typeof entry.updatedAt === "string" ? entry.updatedAt : "",
+  };
+}
+
+/**
+ * @param {Storage|null} [storage]
+ */
+export function createAdminDraftsStore(storage = getDefaultStorage()) {
+  const stored = createStoredJsonObject(storage, ADMIN_DRAFTS_STORAGE_KEY, {
+    saveError: "[admin] Unable to save draft:",
+  });
+  const readAll = () => stored.read() || {};
+  const writeAll = stored.write;
+
+  /**
+   * @param {string|number|null} storyId
+   * @returns {AdminDraft|null}
+   */
+  const getAdminDraft = (storyId) => {
+    return normalizeDraft(readAll()[getDraftKey(storyId)]);
+  };
+
+  /**
+   * @param {string|number|null} storyId
+   * @param {string} content
+   * @returns {AdminDraft}
+   */
+  const saveAdminDraft = (storyId, content) => {
+    const draft = {
+      content: String(content ?? ""),
+      updatedAt: new Date().toISOString(),
+    };
+
+    writeAll({ ...readAll(), [getDraftKey(storyId)]: draft });
+    return draft;
+  };
+
+  /**
+   * @param {string|number|null} storyId
+   */
+  const clearAdminDraft = (storyId) => {
+    const { [getDraftKey(storyId)]: _removed, ...remaining } = readAll();
+    writeAll(remaining);
+  };
+
+  return {
+    getAdminDraft,
+    saveAdminDraft,
+    clearAdminDraft,
+  };
+}
+
+export function getAdminDraft(storyId) {
+  return createAdminDraftsStore().getAdminDraft(storyId);
+}
+
+export function saveAdminDraft(storyId, content) {
+  return createAdminDraftsStore().saveAdminDraft(storyId, content);
+}
+
+export function clearAdminDraft(storyId) {
+  createAdminDraftsStore().clearAdminDraft(storyId);
+}
@@ -7,9 +7,14 @@
  *
  * State model:
  * - `theme`: current theme key
+ * - `language`: current UI/story language code
  * - `fontIndex`: current chapter font index
- * - `audio`: muted/playing/track-selection snapshot
+ * - `audio`: muted/playing/ducked/track-selection snapshot
+ * - `narration`: speaking/paused state and the reader's voice settings
+ * - `readerSettings`: text size, spacing, width, font, contrast and motion
+ *   preferences (see `readerSettingsStore.js`)
  * - `header`: header visibility snapshot
+ * - `reading`: story and chapter on screen (null outside the reader)
  *
  * Update behavior:
  * - `setAppState` accepts only a partial state object (no updater function)
@@ -23,16 +28,38 @@
 
 const initialState = {
   theme: "yellow",
+  language: "en",
   fontIndex: 0,
   audio: {
     muted: true,
     isPlaying: false,
+    ducked: false,
     selectedTrackIndex: 0,
     trackCount: 0,
   },
+  narration: {
+    supported: false,
+    isSpeaking: false,
+    isPaused: false,
+    voiceURI: "",
+    rate: 1,
+    readChoices: false,
+  },
+  readerSettings: {
+    fontScale: 1,
+    lineSpacing: 1,
+    textWidth: 46,
+    dyslexiaFont: false,
+    highContrast: false,
+    reducedMotion: false,
+  },
   header: {
     hidden: false,
   },
+  reading: {
+    storyId: null,
+    chapterNumber: null,
+  },
 };
 
 let state = initialState;
@@ -0,0 +1,158 @@
+/**
+ * Endings collection store
+ *
+ * Purpose:
+ * - Remember which endings a reader has reached in each story
+ * - Keep the story's ending count alongside so home cards can show
+ *   completion without parsing every story
+ *
+ * Storage model (`cyoaEndings`):
+ * - `{ [storyId]: { found: number[], total: number, updatedAt: string } }`
+ * - `found` holds ending chapter numbers in the order they were reached
+ *
+ * Exposed API:
+ * - `createEndingsStore(storage?)` for injected/testable behavior
+ * - `getStoryEndings`, `recordStoryEndings`, ... as default app-level helpers
+ */
+
+import {
+  createStoredJsonObject,
+  getDefaultStorage,
+  isPlainObject,
+} from "./storedJson.js";
+
+/** @typedef {import("../types.js").StoryEndingsProgress} StoryEndingsProgress */
+
+export const ENDINGS_STORAGE_KEY = "cyoaEndings";
+
+function toChapterNumbers(values) {
+  return (Array.isArray(values) ? values : [])
+    .map((value) => Number.parseInt(String(value), 10))
+    .filter((value) => !Number.isNaN(value) && value > 0);
+}
+
+/**
+ * @param {unknown} entry
+ * @returns {StoryEndingsProgress|null}
+ */
+function normalizeStoryEndings(entry) {
+  if (!isPlainObject(entry)) {
+    return null;
+  }
+
+  const total = Number.parseInt(String(entry.total), 10);
+  return {
+    found: toChapterNumbers(entry.found),
+    total: Number.isNaN(total) || total < 0 ? 0 : total,
+    updatedAt: typeof entry.updatedAt === "string" ? entry.updatedAt : "",
+  };
+}
+
+/**
+ * @param {Storage|null} [storage]
+ */
+export function createEndingsStore(storage = getDefaultStorage()) {
+  const stored = createStoredJsonObject(storage, ENDINGS_STORAGE_KEY, {
+    saveError: "[endings] Unable to save endings:",
+  });
+  const readAll = () => stored.read() || {};
+  const writeAll = stored.write;
+
+  /**
+   * @param {string|number} storyId
+   * @returns {StoryEndingsProgress|null}
+   */
+  const getStoryEndings = (storyId) => {
+    return normalizeStoryEndings(readAll()[String(storyId)]);
+  };
+
+  /**
+   * @returns {Record<string, StoryEndingsProgress>}
+   */
+  const getAllStoryEndings = () => {
+    return Object.entries(readAll()).reduce((result, [storyId, entry]) => {
+      const endings = normalizeStoryEndings(entry);
+      return endings ? { ...result, [storyId]: endings } : result;
+    }, {});
+  };
+
+  /**
+   * Syncs the story's ending list and marks `visitedChapterNumber` as found
+   * when it is one of those endings. Found endings that no longer exist in
+   * the story (after an edit) are dropped.
+   *
+   * @param {string|number} storyId
+   * @param {number[]} endingChapterNumbers
+   * @param {number|null} [visitedChapterNumber]
+   * @returns {StoryEndingsProgress}
+   */
+  const recordStoryEndings = (
+    storyId,
+    endingChapterNumbers,
+    visitedChapterNumber = null,
+  ) => {
+    const key = String(storyId);
+    const endingsByStory = readAll();
+    const endingNumbers = new Set(toChapterNumbers(endingChapterNumbers));
+    const previousFound =
+      normalizeStoryEndings(endingsByStory[key])?.found || [];
+    const found = previousFound.filter((chapterNumber) =>
+      endingNumbers.has(chapterNumber),
+    );
+
+    if (
+      endingNumbers.has(visitedChapterNumber) &&
+      !found.includes(visitedChapterNumber)
+    ) {
+      found.push(visitedChapterNumber);
+    }
+
+    const endings = {
+      found,
+      total: endingNumbers.size,
+      updatedAt: new Date().toISOString(),
+    };
+
+    writeAll({ ...endingsByStory, [key]: endings });
+    return endings;
+  };
+
+  /**
+   * @param {string|number} storyId
+   */
+  const clearStoryEndings = (storyId) => {
+    const { [String(storyId)]: _removed, ...remaining } = readAll();
+    writeAll(remaining);
+  };
+
+  return {
+    getStoryEndings,
+    getAllStoryEndings,
+    recordStoryEndings,
+    clearStoryEndings,
+  };
+}
+
+export function getStoryEndings(storyId) {
+  return createEndingsStore().getStoryEndings(storyId);
+}
+
+export function getAllStoryEndings() {
+  return createEndingsStore().getAllStoryEndings();
+}
+
+export function recordStoryEndings(
+  storyId,
+  endingChapterNumbers,
+  visitedChapterNumber,
+) {
+  return createEndingsStore().recordStoryEndings(
+    storyId,
+    endingChapterNumbers,
+    visitedChapterNumber,
+  );
+}
+
+export function clearStoryEndings(storyId) {
+  createEndingsStore().clearStoryEndings(storyId);
+}
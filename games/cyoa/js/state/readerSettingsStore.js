@@ -0,0 +1,183 @@
+/**
+ * Reader settings store
+ *
+ * Purpose:
+ * - Remember the reader's accessibility and layout preferences
+ * - Persist them in localStorage as one versioned settings object
+ *
+ * Storage model (`cyoaReaderSettings`):
+ * - `{ version: 1, ...settings }` with any of `fontScale`, `lineSpacing`,
+ *   `textWidth`, `dyslexiaFont`, `highContrast` and `reducedMotion`
+ * - Only settings the reader changed are stored; the others keep following
+ *   the store's defaults (e.g. `reducedMotion` the system preference)
+ * - `fontScale` and `lineSpacing` multiply the chapter text's base size and
+ *   line height; `textWidth` is the reading column width in `em`
+ * - Numbers are clamped to `READER_SETTING_RANGES` and snapped to its steps;
+ *   values of the wrong type fall back to the defaults
+ * - A stored object with another `version` is ignored, so a future shape
+ *   change never feeds old values into new settings
+ *
+ * Exposed API:
+ * - `createReaderSettingsStore(storage?, defaults?)` for injected/testable behavior
+ * - `getReaderSettings`, `saveReaderSettings`, ... as default app-level helpers
+ */
+
+import {
+  createStoredJsonObject,
+  getDefaultStorage,
+  isPlainObject,
+} from "./storedJson.js";
+
+/** @typedef {import("../types.js").ReaderSettings} ReaderSettings */
+
+export const READER_SETTINGS_STORAGE_KEY = "cyoaReaderSettings";
+export const READER_SETTINGS_VERSION = 1;
+
+/** @type {Readonly<ReaderSettings>} */
+export const DEFAULT_READER_SETTINGS = Object.freeze({
+  fontScale: 1,
+  lineSpacing: 1,
+  textWidth: 46,
+  dyslexiaFont: false,
+  highContrast: false,
+  reducedMotion: false,
+});
+
+export const READER_SETTING_RANGES = Object.freeze({
+  fontScale: Object.freeze({ min: 0.8, max: 1.6, step: 0.1 }),
+  lineSpacing: Object.freeze({ min: 0.8, max: 1.4, step: 0.05 }),
+  textWidth: Object.freeze({ min: 32, max: 64, step: 2 }),
+});
+
+const BOOLEAN_SETTINGS = ["dyslexiaFont", "highContrast", "reducedMotion"];
+
+/**
+ * @param {unknown} value
+ * @param {{ min: number, max: number, step: number }} range
+ * @param {number} fallback
+ * @returns {number}
+ */
+function normalizeRangeValue(value, range, fallback) {
+  const parsed = typeof value === "string" ? Number(value) : value;
+  if (typeof parsed !== "number" || !Number.isFinite(parsed)) {
+    return fallback;
+  }
+
+  const clamped = Math.min(range.max, Math.max(range.min, parsed));
+  const steps = Math.round((clamped - range.min) / range.step);
+  // Rounding to 2 decimals drops float noise like 1.2000000000000002.
+  return Math.round((range.min + steps * range.step) * 100) / 100;
+}
+
+/**
+ * @param {unknown} value settings object, possibly partial or from storage
+ * @param {ReaderSettings} [defaults]
+ * @returns {ReaderSettings}
+ */
+export function normalizeReaderSettings(
+  value,
+  defaults = DEFAULT_READER_SETTINGS,
+) {
+  const source = isPlainObject(value) ? value : {};
+  const settings = { ...defaults };
+
+  Object.entries(READER_SETTING_RANGES).forEach(([key, range]) => {
+    settings[key] = normalizeRangeValue(source[key], range, defaults[key]);
+  });
+
+  BOOLEAN_SETTINGS.forEach((key) => {
+    settings[key] =
+      typeof source[key] === "boolean" ? source[key] : defaults[key];
+  });
+
+  return settings;
+}
+
+/**
+ * The valid settings present in `value`, without filling in defaults.
+ *
+ * @param {unknown} value
+ * @returns {Partial<ReaderSettings>}
+ */
+function pickExplicitSettings(value) {
+  const normalized = normalizeReaderSettings(
+    value,
+    /** @type {ReaderSettings} */ ({}),
+  );
+  return Object.fromEntries(
+    Object.entries(normalized).filter(([, setting]) => setting !== undefined),
+  );
+}
+
+/**
+ * @param {Storage|null} [storage]
+ * @param {ReaderSettings} [defaults] used for anything not stored, e.g. a
+ *   `reducedMotion` default taken from the system preference
+ */
+export function createReaderSettingsStore(
+  storage = getDefaultStorage(),
+  defaults = DEFAULT_READER_SETTINGS,
+) {
+  const baseSettings = normalizeReaderSettings(defaults);
+
+  const stored = createStoredJsonObject(storage, READER_SETTINGS_STORAGE_KEY, {
+    saveError: "[reader] Unable to save reader settings:",
+    removeError: "[reader] Unable to reset reader settings:",
+  });
+
+  const readStored = () => {
+    const parsed = stored.read();
+    return parsed?.version === READER_SETTINGS_VERSION ? parsed : null;
+  };
+
+  const writeStored = (settings) => {
+    stored.write({ version: READER_SETTINGS_VERSION, ...settings });
+  };
+
+  /**
+   * @returns {ReaderSettings}
+   */
+  const getReaderSettings = () => {
+    return normalizeReaderSettings(readStored(), baseSettings);
+  };
+
+  /**
+   * @param {Partial<ReaderSettings>} partialSettings the settings the reader
+   *   changed; they are stored next to earlier changes
+   * @returns {ReaderSettings}
+   */
+  const saveReaderSettings = (partialSettings) => {
+    const explicitSettings = pickExplicitSettings({
+      ...readStored(),
+      ...(isPlainObject(partialSettings) ? partialSettings : {}),
+    });
+    writeStored(explicitSettings);
+    return normalizeReaderSettings(explicitSettings, baseSettings);
+  };
+
+  /**
+   * @returns {ReaderSettings}
+   */
+  const resetReaderSettings = () => {
+    stored.remove();
+    return { ...baseSettings };
+  };
+
+  return {
+    getReaderSettings,
+    saveReaderSettings,
+    resetReaderSettings,
+  };
+}
+
+export function getReaderSettings() {
+  return createReaderSettingsStore().getReaderSettings();
+}
+
+export function saveReaderSettings(partialSettings) {
+  return createReaderSettingsStore().saveReaderSettings(partialSettings);
+}
+
+export function resetReaderSettings() {
+  return createReaderSettingsStore().resetReaderSettings();
+}
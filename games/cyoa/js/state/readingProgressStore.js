@@ -0,0 +1,203 @@
+/**
+ * Reading progress store
+ *
+ * Purpose:
+ * - Remember, per story, the chapter trail a reader followed
+ * - Persist that trail in localStorage so a story can be resumed later
+ *
+ * Storage model (`cyoaReadingProgress`):
+ * - `{ [storyId]: { trail: number[], variables: string[][], updatedAt: string } }`
+ * - `trail` lists visited chapter numbers in reading order
+ * - `variables[i]` is the story state (set variables) on arriving at `trail[i]`
+ *
+ * Trail behavior:
+ * - Visiting a new chapter appends it to the trail
+ * - Revisiting a chapter already on the trail (browser back, or Chapter 1
+ *   for a restart) truncates the trail back to that chapter, restoring the
+ *   story state recorded for it
+ * - Taking a choice records the target with explicit story state, which
+ *   replaces the recorded state when the target is already on the trail
+ *
+ * Exposed API:
+ * - `createReadingProgressStore(storage?)` for injected/testable behavior
+ * - `getStoryProgress`, `recordChapterVisit`, ... as default app-level helpers
+ */
+
+import { normalizeStoryVariables } from "../utils/storyState.js";
+import {
+  createStoredJsonObject,
+  getDefaultStorage,
+  isPlainObject,
+} from "./storedJson.js";
+
+/** @typedef {import("../types.js").StoryProgress} StoryProgress */
+
+export const READING_PROGRESS_STORAGE_KEY = "cyoaReadingProgress";
+
+function normalizeChapterNumber(value) {
+  const parsed = Number.parseInt(String(value), 10);
+  return Number.isNaN(parsed) || parsed < 1 ? null : parsed;
+}
+
+/**
+ * @param {unknown} entry
+ * @returns {StoryProgress|null}
+ */
+function normalizeStoryProgress(entry) {
+  if (!isPlainObject(entry) || !Array.isArray(entry.trail)) {
+    return null;
+  }
+
+  const trail = entry.trail
+    .map((chapterNumber) => normalizeChapterNumber(chapterNumber))
+    .filter((chapterNumber) => chapterNumber !== null);
+
+  if (trail.length === 0) {
+    return null;
+  }
+
+  const variables = Array.isArray(entry.variables) ? entry.variables : [];
+
+  return {
+    trail,
+    variables: trail.map((_, index) =>
+      normalizeStoryVariables(
+        Array.isArray(variables[index]) ? variables[index] : [],
+      ),
+    ),
+    updatedAt: typeof entry.updatedAt === "string" ? entry.updatedAt : "",
+  };
+}
+
+/**
+ * @param {number[]} trail
+ * @param {number} chapterNumber
+ * @returns {number[]}
+ */
+export function appendToTrail(trail, chapterNumber) {
+  const existingIndex = trail.indexOf(chapterNumber);
+  if (existingIndex >= 0) {
+    return trail.slice(0, existingIndex + 1);
+  }
+
+  return [...trail, chapterNumber];
+}
+
+/**
+ * Story state for a chapter: the state recorded when it was reached, or the
+ * latest state when the chapter is not on the trail (e.g. a deep link).
+ *
+ * @param {StoryProgress|null|undefined} progress
+ * @param {number} chapterNumber
+ * @returns {string[]}
+ */
+export function getChapterVariables(progress, chapterNumber) {
+  if (!progress || progress.trail.length === 0) {
+    return [];
+  }
+
+  const index = progress.trail.lastIndexOf(chapterNumber);
+  return (
+    progress.variables[index >= 0 ? index : progress.trail.length - 1] || []
+  );
+}
+
+/**
+ * @param {Storage|null} [storage]
+ */
+export function createReadingProgressStore(storage = getDefaultStorage()) {
+  const stored = createStoredJsonObject(storage, READING_PROGRESS_STORAGE_KEY, {
+    saveError: "[progress] Unable to save reading progress:",
+  });
+  const readAll = () => stored.read() || {};
+  const writeAll = stored.write;
+
+  /**
+   * @param {string|number} storyId
+   * @returns {StoryProgress|null}
+   */
+  const getStoryProgress = (storyId) => {
+    return normalizeStoryProgress(readAll()[String(storyId)]);
+  };
+
+  /**
+   * @returns {Record<string, StoryProgress>}
+   */
+  const getAllStoryProgress = () => {
+    return Object.entries(readAll()).reduce((result, [storyId, entry]) => {
+      const progress = normalizeStoryProgress(entry);
+      return progress ? { ...result, [storyId]: progress } : result;
+    }, {});
+  };
+
+  /**
+   * @param {string|number} storyId
+   * @param {string|number} chapterNumber
+   * @param {string[]|null} [variables] story state on arrival; when omitted,
+   *   the recorded state (revisit) or the latest state (new chapter) is kept
+   * @returns {StoryProgress|null}
+   */
+  const recordChapterVisit = (storyId, chapterNumber, variables = null) => {
+    const normalizedChapterNumber = normalizeChapterNumber(chapterNumber);
+    if (normalizedChapterNumber === null) {
+      return getStoryProgress(storyId);
+    }
+
+    const key = String(storyId);
+    const progressByStory = readAll();
+    const previous = normalizeStoryProgress(progressByStory[key]) || {
+      trail: [],
+      variables: [],
+    };
+    const trail = appendToTrail(previous.trail, normalizedChapterNumber);
+    const arrivalVariables = Array.isArray(variables)
+      ? normalizeStoryVariables(variables)
+      : getChapterVariables(previous, normalizedChapterNumber);
+    const progress = {
+      trail,
+      variables: [
+        ...previous.variables.slice(0, trail.length - 1),
+        arrivalVariables,
+      ],
+      updatedAt: new Date().toISOString(),
+    };
+
+    writeAll({ ...progressByStory, [key]: progress });
+    return progress;
+  };
+
+  /**
+   * @param {string|number} storyId
+   */
+  const clearStoryProgress = (storyId) => {
+    const { [String(storyId)]: _removed, ...remaining } = readAll();
+    writeAll(remaining);
+  };
+
+  return {
+    getStoryProgress,
+    getAllStoryProgress,
+    recordChapterVisit,
+    clearStoryProgress,
+  };
+}
+
+export function getStoryProgress(storyId) {
+  return createReadingProgressStore().getStoryProgress(storyId);
+}
+
+export function getAllStoryProgress() {
+  return createReadingProgressStore().getAllStoryProgress();
+}
+
+export function recordChapterVisit(storyId, chapterNumber, variables) {
+  return createReadingProgressStore().recordChapterVisit(
+    storyId,
+    chapterNumber,
+    variables,
+  );
+}
+
+export function clearStoryProgress(storyId) {
+  createReadingProgressStore().clearStoryProgress(storyId);
+}
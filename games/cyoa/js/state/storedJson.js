@@ -0,0 +1,68 @@
+/**
+ * localStorage access shared by the state stores
+ *
+ * Each store keeps one JSON object under its own key. Missing storage,
+ * corrupt JSON and non-object values all read as `null`; failed writes are
+ * logged, never thrown, so a full or blocked storage never breaks a page.
+ */
+
+export function getDefaultStorage() {
+  return typeof localStorage === "undefined" ? null : localStorage;
+}
+
+export function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {Storage|null} storage
+ * @param {string} key
+ * @param {{ saveError: string, removeError?: string }} messages console
+ *   warnings for failed writes, e.g. `"[admin] Unable to save draft:"`
+ */
+export function createStoredJsonObject(storage, key, messages) {
+  /**
+   * @returns {Record<string, any>|null}
+   */
+  const read = () => {
+    if (!storage) {
+      return null;
+    }
+
+    try {
+      const parsed = JSON.parse(storage.getItem(key) || "null");
+      return isPlainObject(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * @param {Record<string, any>} value
+   */
+  const write = (value) => {
+    if (!storage) {
+      return;
+    }
+
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(messages.saveError, error);
+    }
+  };
+
+  const remove = () => {
+    if (!storage) {
+      return;
+    }
+
+    try {
+      storage.removeItem(key);
+    } catch (error) {
+      console.warn(messages.removeError || messages.saveError, error);
+    }
+  };
+
+  return { read, write, remove };
+}
@@ -10,7 +10,12 @@
  */
 
 /**
- * @typedef {{ chapterNumber: number, text: string }} StoryChoice
+ * @typedef {{
+ *   chapterNumber: number,
+ *   text: string,
+ *   conditions?: { variable: string, negated: boolean }[],
+ *   effects?: { variable: string, value: boolean }[],
+ * }} StoryChoice
  */
 
 /**
@@ -22,6 +27,50 @@
  * }} StoryChapter
  */
 
+/**
+ * @typedef {{
+ *   chapterNumber: number,
+ *   title: string,
+ *   depth: number|null,
+ *   isEnding: boolean,
+ *   isReachable: boolean,
+ *   isDeadEnd: boolean,
+ *   isInCycle: boolean,
+ * }} StoryGraphNode
+ */
+
+/**
+ * @typedef {{
+ *   from: number,
+ *   to: number,
+ *   text: string,
+ *   isConditional: boolean,
+ *   isInCycle: boolean,
+ * }} StoryGraphEdge
+ */
+
+/**
+ * @typedef {{
+ *   nodes: StoryGraphNode[],
+ *   edges: StoryGraphEdge[],
+ * }} StoryGraph
+ */
+
+/**
+ * @typedef {{
+ *   track: string|null,
+ *   ambient: string|null,
+ * }} StorySoundtrackCue
+ */
+
+/**
+ * @typedef {{
+ *   track?: string|null,
+ *   ambient?: string|null,
+ *   chapters?: Record<string, string|null|{ track?: string|null, ambient?: string|null }>,
+ * }} StorySoundtrack
+ */
+
 /**
  * @typedef {{
  *   number: string|number,
@@ -31,18 +80,193 @@
  *   approxTime: string,
  *   keywords: string[],
  *   tone?: string,
+ *   length?: StoryLength,
+ *   chapters?: number,
+ *   soundtrack?: StorySoundtrack,
  * }} StoryMetadata
  */
 
+/**
+ * Responsive variant of a chapter illustration: `srcset` is empty when only
+ * the blur-up `placeholder` (a tiny inline data URI) was recorded.
+ *
+ * @typedef {{
+ *   srcset: string,
+ *   sizes: string,
+ *   placeholder: string|null,
+ * }} ChapterImageSet
+ */
+
+/**
+ * @typedef {"default"|"newest"|"shortest"|"time"} StorySortOrder
+ */
+
+/**
+ * @typedef {{
+ *   q: string,
+ *   tone: string,
+ *   length: string,
+ *   keyword: string,
+ *   approved: boolean,
+ *   sort: StorySortOrder,
+ * }} StoryFilters
+ */
+
+/**
+ * @typedef {"mini"|"short"|"medium"|"long"} StoryLength
+ */
+
+/**
+ * @typedef {{
+ *   value: number,
+ *   min: number,
+ *   max: number,
+ *   isWithinBand: boolean,
+ * }} StoryLengthBandCheck
+ */
+
+/**
+ * @typedef {{
+ *   chapterNumber: number,
+ *   title: string,
+ *   pathCount: number,
+ *   minDepth: number,
+ *   maxDepth: number,
+ *   minWords: number,
+ *   maxWords: number,
+ * }} StoryEndingAnalysis
+ */
+
+/**
+ * @typedef {{
+ *   chapterCount: number,
+ *   endingCount: number,
+ *   totalWords: number,
+ *   reachableChapterNumbers: number[],
+ *   orphanChapterNumbers: number[],
+ *   deadEndChapterNumbers: number[],
+ *   cycleChapterNumbers: number[],
+ *   pathCount: number,
+ *   isPathCountCapped: boolean,
+ *   pathDepth: { min: number, max: number, average: number },
+ *   pathWords: { min: number, max: number, average: number },
+ *   endings: StoryEndingAnalysis[],
+ *   lengthBand: {
+ *     length: StoryLength,
+ *     isInferred: boolean,
+ *     chapters: StoryLengthBandCheck,
+ *     endings: StoryLengthBandCheck,
+ *     words: StoryLengthBandCheck,
+ *   },
+ * }} StoryAnalysis
+ */
+
+/**
+ * @typedef {{
+ *   trail: number[],
+ *   variables: string[][],
+ *   updatedAt: string,
+ * }} StoryProgress
+ */
+
+/**
+ * @typedef {{
+ *   fontScale: number,
+ *   lineSpacing: number,
+ *   textWidth: number,
+ *   dyslexiaFont: boolean,
+ *   highContrast: boolean,
+ *   reducedMotion: boolean,
+ * }} ReaderSettings
+ */
+
+/**
+ * @typedef {{
+ *   found: number[],
+ *   total: number,
+ *   updatedAt: string,
+ * }} StoryEndingsProgress
+ */
+
+/**
+ * @typedef {{
+ *   content: string,
+ *   updatedAt: string,
+ * }} AdminDraft
+ */
+
+/**
+ * @typedef {{
+ *   type: "equal"|"added"|"removed",
+ *   text: string,
+ *   oldLine: number|null,
+ *   newLine: number|null,
+ * }} LineDiffEntry
+ */
+
+/**
+ * @typedef {{
+ *   chapterNumber: number,
+ *   choiceNumber: number,
+ *   type: "added"|"removed"|"retargeted"|"text",
+ *   oldText?: string,
+ *   newText?: string,
+ *   oldTarget?: number,
+ *   newTarget?: number,
+ * }} StoryChoiceChange
+ */
+
+/**
+ * @typedef {{
+ *   addedChapters: { chapterNumber: number, title: string }[],
+ *   removedChapters: { chapterNumber: number, title: string }[],
+ *   retitledChapters: { chapterNumber: number, oldTitle: string, newTitle: string }[],
+ *   contentChangedChapterNumbers: number[],
+ *   choiceChanges: StoryChoiceChange[],
+ * }} StoryStructureDiff
+ */
+
+/**
+ * @typedef {{
+ *   chapterNumber: number,
+ *   title: string,
+ *   found: boolean,
+ *   branchChapterNumber: number|null,
+ *   branchChapterTitle: string|null,
+ * }} EndingGalleryEntry
+ */
+
 /**
  * @typedef {{
  *   load?: (params: RouteParams) => Promise<any>|any,
  *   render: (model: any, params?: RouteParams) => Promise<string>|string,
  *   update?: (container: HTMLElement|{ innerHTML: string }, model: any, params?: RouteParams, previous?: { model?: any, params?: RouteParams, route?: string }) => Promise<boolean>|boolean,
  *   bind?: (container: HTMLElement|{ innerHTML: string }, model?: any, params?: RouteParams) => Promise<(() => void)|null|undefined>|(() => void)|null|undefined,
+ *   beforeEnter?: NavigationGuard,
  * }} PageContract
  */
 
+/**
+ * @typedef {{
+ *   redirect: string|((params: RouteParams) => string),
+ * }} RouteRedirect
+ */
+
+/**
+ * @typedef {{
+ *   path: string,
+ *   route: string,
+ *   params: RouteParams,
+ * }} NavigationTarget
+ */
+
+/**
+ * Returns false to cancel the navigation, a path to redirect to, or anything
+ * else to continue.
+ *
+ * @typedef {(to: NavigationTarget, from: NavigationTarget|null) => Promise<boolean|string|void>|boolean|string|void} NavigationGuard
+ */
+
 /**
  * @typedef {PageContract} RouteHandler
  */
@@ -57,15 +281,28 @@
 /**
  * @typedef {{
  *   navigate: (path: string) => void,
- *   render: (container: HTMLElement|{ innerHTML: string }) => Promise<void>,
+ *   render: (container: HTMLElement|{ innerHTML: string }, options?: { fullRender?: boolean }) => Promise<void>,
  *   getCurrentRoute: () => string,
+ *   back: (fallbackPath?: string) => void,
+ *   canGoBack: () => boolean,
  * }} RouterApi
  */
 
+/**
+ * @typedef {{
+ *   rule: string,
+ *   message: string,
+ *   details: string,
+ *   line: number,
+ *   column: number,
+ * }} StoryDiagnostic
+ */
+
 /**
  * @typedef {{
  *   status: "empty"|"success"|"error",
  *   message?: string,
+ *   diagnostics?: StoryDiagnostic[],
  * }} ValidationResult
  */
 
@@ -0,0 +1,55 @@
+/**
+ * Admin draft UI helpers (restore prompt + autosave status)
+ */
+
+import { escapeHtml } from "./viewHelpers.js";
+
+/** @typedef {import("../types.js").AdminDraft} AdminDraft */
+
+export const DOWNLOAD_FILE_NAME = "story.md";
+
+/**
+ * @param {string} isoTimestamp
+ * @returns {string} local date and time, or "" for invalid timestamps
+ */
+export function formatDraftTimestamp(isoTimestamp) {
+  const date = new Date(isoTimestamp);
+  return Number.isNaN(date.getTime()) ? "" : date.toLocaleString();
+}
+
+/**
+ * @param {AdminDraft|null} draft
+ * @param {string} storyLabel e.g. "Story 3" or "New Story"
+ * @returns {string}
+ */
+export function renderAdminDraftNotice(draft, storyLabel) {
+  if (!draft) {
+    return "";
+  }
+
+  const savedAt = formatDraftTimestamp(draft.updatedAt);
+  return `
+    <div class="draft-notice" role="status">
+      <span class="draft-notice-text">
+        You have an unsaved draft of ${escapeHtml(storyLabel)}${savedAt ? ` from ${escapeHtml(savedAt)}` : ""}.
+      </span>
+      <div class="draft-notice-actions">
+        <button type="button" class="btn btn-primary" data-draft-action="restore">Restore Draft</button>
+        <button type="button" class="btn btn-secondary" data-draft-action="discard">Discard Draft</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * @param {AdminDraft|null} draft
+ * @returns {string}
+ */
+export function getAdminDraftStatusText(draft) {
+  if (!draft) {
+    return "";
+  }
+
+  const savedAt = formatDraftTimestamp(draft.updatedAt);
+  return savedAt ? `Draft saved ${savedAt}` : "Draft saved";
+}
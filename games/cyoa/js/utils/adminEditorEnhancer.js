@@ -1,8 +1,45 @@
 /**
- * Admin editor enhancement helpers (highlight layer + toggle + scroll sync)
+ * Admin editor enhancement helpers (highlight layer + toggle + scroll sync,
+ * inline diagnostics, jump to chapter or line)
  */
 
 import { highlightMarkdown } from "./markdownHighlighter.js";
+import {
+  formatStoryDiagnostic,
+  parseStoryWithDiagnostics,
+} from "./storyParser.js";
+
+/** @typedef {import("../types.js").StoryDiagnostic} StoryDiagnostic */
+
+const INLINE_VALIDATION_DELAY_MS = 400;
+
+/**
+ * @param {string} source
+ * @returns {StoryDiagnostic[]}
+ */
+function getInlineDiagnostics(source) {
+  return source.trim() ? parseStoryWithDiagnostics(source).diagnostics : [];
+}
+
+/**
+ * Maps a pointer position over the textarea to a one-based line. The editor
+ * does not wrap lines (`white-space: pre`), so this is a plain division.
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @param {MouseEvent} event
+ * @returns {number}
+ */
+function getLineAtPointer(textarea, event) {
+  const style = window.getComputedStyle(textarea);
+  const lineHeight = Number.parseFloat(style.lineHeight) || 20;
+  const top =
+    event.clientY -
+    textarea.getBoundingClientRect().top -
+    Number.parseFloat(style.paddingTop || "0") -
+    Number.parseFloat(style.borderTopWidth || "0") +
+    textarea.scrollTop;
+  return Math.floor(top / lineHeight) + 1;
+}
 
 function getHighlightingElements() {
   return {
@@ -19,10 +56,39 @@ export function setupAdminMarkdownHighlighting() {
   if (!textarea || !highlightLayer || !toggleButton || !textareaWrapper) return;
 
   let highlightingEnabled = true;
+  let diagnostics = getInlineDiagnostics(textarea.value);
+  let validationTimer = null;
 
   const renderHighlight = () => {
     const source = textarea.value || " ";
-    highlightLayer.innerHTML = `${highlightMarkdown(source)}\n`;
+    highlightLayer.innerHTML = `${highlightMarkdown(source, diagnostics)}\n`;
+  };
+
+  // Underlines keep their previous lines while typing and catch up once the
+  // author pauses.
+  const scheduleValidation = () => {
+    clearTimeout(validationTimer);
+    validationTimer = setTimeout(() => {
+      diagnostics = getInlineDiagnostics(textarea.value);
+      renderHighlight();
+      textarea.removeAttribute("title");
+    }, INLINE_VALIDATION_DELAY_MS);
+  };
+
+  // The highlight layer sits under the textarea, so tooltips are driven by
+  // the pointer position over the textarea itself.
+  const updateDiagnosticTooltip = (event) => {
+    const line = getLineAtPointer(textarea, event);
+    const tooltip = diagnostics
+      .filter((diagnostic) => diagnostic.line === line)
+      .map(formatStoryDiagnostic)
+      .join("\n\n");
+
+    if (tooltip) {
+      textarea.setAttribute("title", tooltip);
+    } else {
+      textarea.removeAttribute("title");
+    }
   };
 
   const syncScroll = () => {
@@ -41,6 +107,12 @@ export function setupAdminMarkdownHighlighting() {
   textarea.addEventListener("input", () => {
     renderHighlight();
     syncScroll();
+    scheduleValidation();
+  });
+
+  textarea.addEventListener("mousemove", updateDiagnosticTooltip);
+  textarea.addEventListener("mouseleave", () => {
+    textarea.removeAttribute("title");
   });
 
   textarea.addEventListener("scroll", syncScroll);
@@ -53,3 +125,81 @@ export function setupAdminMarkdownHighlighting() {
   renderHighlight();
   applyHighlightingState();
 }
+
+/**
+ * How far down the textarea a character offset sits. Like
+ * `getLineAtPointer`, this relies on the editor never wrapping lines.
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} offset
+ * @returns {number}
+ */
+function measureTextareaOffsetTop(textarea, offset) {
+  const style = window.getComputedStyle(textarea);
+  const lineHeight = Number.parseFloat(style.lineHeight) || 20;
+  const lineIndex = textarea.value.slice(0, offset).split("\n").length - 1;
+  return lineIndex * lineHeight;
+}
+
+/**
+ * Selects `[start, end)` and scrolls the editor so the selection's line is
+ * at the top.
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} start
+ * @param {number} end
+ */
+function revealTextareaRange(textarea, start, end) {
+  textarea.focus({ preventScroll: true });
+  textarea.setSelectionRange(start, end);
+  textarea.scrollTop = measureTextareaOffsetTop(textarea, start);
+  textarea.scrollIntoView({ block: "nearest", behavior: "smooth" });
+}
+
+/**
+ * Scrolls the editor to the `## Chapter N` heading and selects it.
+ *
+ * @param {number} chapterNumber
+ * @returns {boolean} whether the heading was found
+ */
+export function scrollEditorToChapter(chapterNumber) {
+  const { textarea } = getHighlightingElements();
+  if (!textarea) return false;
+
+  const headingMatch = new RegExp(
+    `^##\\s+Chapter\\s+${chapterNumber}\\s*$`,
+    "m",
+  ).exec(textarea.value);
+  if (!headingMatch) return false;
+
+  const start = headingMatch.index;
+  revealTextareaRange(textarea, start, start + headingMatch[0].length);
+  return true;
+}
+
+/**
+ * Places the cursor at a one-based line and column (as reported by parser
+ * diagnostics) and scrolls it into view.
+ *
+ * @param {number} line
+ * @param {number} [column]
+ * @returns {boolean} whether the line exists
+ */
+export function focusEditorLine(line, column = 1) {
+  const { textarea } = getHighlightingElements();
+  if (!textarea) return false;
+
+  const lines = textarea.value.split("\n");
+  if (!Number.isInteger(line) || line < 1 || line > lines.length) {
+    return false;
+  }
+
+  const lineStart = lines
+    .slice(0, line - 1)
+    .reduce((offset, text) => offset + text.length + 1, 0);
+  const lineText = lines[line - 1];
+  const cursor =
+    lineStart + Math.min(Math.max((column || 1) - 1, 0), lineText.length);
+  revealTextareaRange(textarea, cursor, cursor);
+  return true;
+}
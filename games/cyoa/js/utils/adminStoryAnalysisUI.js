@@ -0,0 +1,149 @@
+/**
+ * Admin story analysis helpers: parse -> structural report -> HTML
+ */
+
+import { parseStory } from "./storyParser.js";
+import { analyzeStory, getStoryAnalysisWarnings } from "./storyAnalysis.js";
+import { escapeHtml } from "./viewHelpers.js";
+
+/** @typedef {import("../types.js").StoryAnalysis} StoryAnalysis */
+/** @typedef {import("../types.js").StoryLength} StoryLength */
+/** @typedef {import("../types.js").StoryLengthBandCheck} StoryLengthBandCheck */
+
+/**
+ * @param {string} content
+ * @param {StoryLength|null} [length]
+ * @returns {{ status: "empty"|"success"|"error", analysis?: StoryAnalysis, message?: string }}
+ */
+export function buildAdminStoryAnalysis(content, length = null) {
+  const normalizedContent = typeof content === "string" ? content.trim() : "";
+
+  if (!normalizedContent) {
+    return { status: "empty" };
+  }
+
+  try {
+    return {
+      status: "success",
+      analysis: analyzeStory(parseStory(normalizedContent), { length }),
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+function formatRange({ min, max }) {
+  return min === max ? String(min) : `${min}–${max}`;
+}
+
+function formatChapterList(chapterNumbers) {
+  return chapterNumbers.length > 0 ? chapterNumbers.join(", ") : "none";
+}
+
+/**
+ * @param {string} label
+ * @param {StoryLengthBandCheck} check
+ * @returns {string}
+ */
+function renderBandRow(label, check) {
+  const statusClass = check.isWithinBand ? "is-within-band" : "is-outside-band";
+  return `
+    <tr class="story-analysis-band ${statusClass}">
+      <th scope="row">${label}</th>
+      <td>${check.value}</td>
+      <td>${formatRange(check)}</td>
+      <td>${check.isWithinBand ? "✓" : "✗"}</td>
+    </tr>
+  `;
+}
+
+/**
+ * @param {StoryAnalysis} analysis
+ * @returns {string}
+ */
+export function renderAdminStoryAnalysis(analysis) {
+  const { lengthBand } = analysis;
+  const warnings = getStoryAnalysisWarnings(analysis);
+  const bandSource = lengthBand.isInferred
+    ? "inferred from word count"
+    : "from story metadata";
+
+  const warningsHtml =
+    warnings.length > 0
+      ? `<ul class="story-analysis-warnings">${warnings
+          .map((warning) => `<li>${escapeHtml(warning)}</li>`)
+          .join("")}</ul>`
+      : '<p class="story-analysis-ok">✓ Every chapter is reachable and every path leads to an ending.</p>';
+
+  const endingRows = analysis.endings
+    .map(
+      (ending) => `
+        <tr>
+          <th scope="row">${ending.chapterNumber}. ${escapeHtml(ending.title)}</th>
+          <td>${ending.pathCount}</td>
+          <td>${formatRange({ min: ending.minDepth, max: ending.maxDepth })}</td>
+          <td>${formatRange({ min: ending.minWords, max: ending.maxWords })}</td>
+        </tr>
+      `,
+    )
+    .join("");
+
+  return `
+    <div class="story-analysis">
+      ${warningsHtml}
+      <dl class="story-analysis-summary">
+        <div><dt>Distinct paths</dt><dd>${analysis.pathCount}${analysis.isPathCountCapped ? "+" : ""}</dd></div>
+        <div><dt>Choices per path</dt><dd>${formatRange(analysis.pathDepth)} (avg ${analysis.pathDepth.average})</dd></div>
+        <div><dt>Words per path</dt><dd>${formatRange(analysis.pathWords)} (avg ${analysis.pathWords.average})</dd></div>
+        <div><dt>Orphan chapters</dt><dd>${formatChapterList(analysis.orphanChapterNumbers)}</dd></div>
+        <div><dt>Chapters in cycles</dt><dd>${formatChapterList(analysis.cycleChapterNumbers)}</dd></div>
+      </dl>
+
+      <table class="story-analysis-table">
+        <caption>Length band: ${lengthBand.length} (${bandSource})</caption>
+        <thead>
+          <tr><th scope="col"></th><th scope="col">Story</th><th scope="col">Band</th><th scope="col"></th></tr>
+        </thead>
+        <tbody>
+          ${renderBandRow("Words", lengthBand.words)}
+          ${renderBandRow("Chapters", lengthBand.chapters)}
+          ${renderBandRow("Endings", lengthBand.endings)}
+        </tbody>
+      </table>
+
+      <table class="story-analysis-table">
+        <caption>Endings</caption>
+        <thead>
+          <tr><th scope="col">Ending</th><th scope="col">Paths</th><th scope="col">Choices</th><th scope="col">Words</th></tr>
+        </thead>
+        <tbody>
+          ${endingRows}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * @param {{ status: "empty"|"success"|"error", analysis?: StoryAnalysis, message?: string }} result
+ * @returns {string}
+ */
+export function renderAdminStoryAnalysisResult(result) {
+  if (!result || result.status === "empty") {
+    return '<div class="validation-result validation-error">Please enter story content</div>';
+  }
+
+  if (result.status === "error") {
+    return `
+      <div class="validation-result validation-error">
+        ✗ The analysis needs a valid story:
+        <div class="error-details">${escapeHtml(result.message || "Unknown validation error.")}</div>
+      </div>
+    `;
+  }
+
+  return renderAdminStoryAnalysis(result.analysis);
+}
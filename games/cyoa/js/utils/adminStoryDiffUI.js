@@ -0,0 +1,248 @@
+/**
+ * Admin story diff helpers: published vs draft -> structural summary and
+ * side-by-side line view
+ *
+ * Unchanged stretches are collapsed to a few lines of context around each
+ * change, like a code review diff.
+ */
+
+import { parseStory } from "./storyParser.js";
+import {
+  diffLines,
+  diffStoryStructure,
+  hasStructureChanges,
+  toSideBySideRows,
+} from "./storyDiff.js";
+import { escapeHtml } from "./viewHelpers.js";
+
+/** @typedef {import("../types.js").LineDiffEntry} LineDiffEntry */
+/** @typedef {import("../types.js").StoryStructureDiff} StoryStructureDiff */
+/** @typedef {import("../types.js").StoryChoiceChange} StoryChoiceChange */
+
+/**
+ * @typedef {{
+ *   status: "empty"|"unpublished"|"success",
+ *   lineDiff?: LineDiffEntry[],
+ *   structure?: StoryStructureDiff|null,
+ *   structureError?: string,
+ * }} AdminStoryDiffResult
+ */
+
+const CONTEXT_LINES = 2;
+
+/**
+ * @param {string} publishedContent
+ * @param {string} draftContent
+ * @returns {AdminStoryDiffResult}
+ */
+export function buildAdminStoryDiff(publishedContent, draftContent) {
+  const published =
+    typeof publishedContent === "string" ? publishedContent : "";
+  const draft = typeof draftContent === "string" ? draftContent : "";
+
+  if (!draft.trim()) {
+    return { status: "empty" };
+  }
+
+  if (!published.trim()) {
+    return { status: "unpublished" };
+  }
+
+  const result = {
+    status: "success",
+    lineDiff: diffLines(published, draft),
+    structure: null,
+  };
+
+  try {
+    result.structure = diffStoryStructure(
+      parseStory(published.trim()),
+      parseStory(draft.trim()),
+    );
+  } catch (error) {
+    result.structureError =
+      error instanceof Error ? error.message : String(error);
+  }
+
+  return result;
+}
+
+function formatChapter({ chapterNumber, title }) {
+  return `${chapterNumber}. ${escapeHtml(title)}`;
+}
+
+/**
+ * @param {StoryChoiceChange} change
+ * @returns {string}
+ */
+function formatChoiceChange(change) {
+  const label = `Chapter ${change.chapterNumber}, choice ${change.choiceNumber}`;
+
+  switch (change.type) {
+    case "added":
+      return `${label} added: “${escapeHtml(change.newText)}” → Chapter ${change.newTarget}`;
+    case "removed":
+      return `${label} removed: “${escapeHtml(change.oldText)}” → Chapter ${change.oldTarget}`;
+    case "retargeted":
+      return `${label} retargeted: Chapter ${change.oldTarget} → Chapter ${change.newTarget}`;
+    default:
+      return `${label} reworded: “${escapeHtml(change.oldText)}” → “${escapeHtml(change.newText)}”`;
+  }
+}
+
+/**
+ * @param {string} title
+ * @param {string[]} items
+ * @returns {string}
+ */
+function renderChangeGroup(title, items) {
+  if (items.length === 0) {
+    return "";
+  }
+
+  return `
+    <div class="story-diff-group">
+      <h3 class="story-diff-group-title">${title}</h3>
+      <ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>
+    </div>
+  `;
+}
+
+/**
+ * @param {StoryStructureDiff} structure
+ * @returns {string}
+ */
+export function renderStoryStructureDiff(structure) {
+  if (!hasStructureChanges(structure)) {
+    return '<p class="story-diff-summary">No structural changes: chapters, titles and choices match.</p>';
+  }
+
+  return `
+    <div class="story-diff-structure">
+      ${renderChangeGroup("Chapters added", structure.addedChapters.map(formatChapter))}
+      ${renderChangeGroup("Chapters removed", structure.removedChapters.map(formatChapter))}
+      ${renderChangeGroup(
+        "Titles changed",
+        structure.retitledChapters.map(
+          ({ chapterNumber, oldTitle, newTitle }) =>
+            `Chapter ${chapterNumber}: “${escapeHtml(oldTitle)}” → “${escapeHtml(newTitle)}”`,
+        ),
+      )}
+      ${renderChangeGroup("Choices changed", structure.choiceChanges.map(formatChoiceChange))}
+      ${renderChangeGroup(
+        "Text edited",
+        structure.contentChangedChapterNumbers.map(
+          (chapterNumber) => `Chapter ${chapterNumber}`,
+        ),
+      )}
+    </div>
+  `;
+}
+
+/**
+ * @param {LineDiffEntry|null} entry
+ * @param {"old"|"new"} side
+ * @returns {string}
+ */
+function renderDiffCells(entry, side) {
+  if (!entry) {
+    return '<td class="story-diff-line-number"></td><td class="story-diff-text is-blank"></td>';
+  }
+
+  const lineNumber = side === "old" ? entry.oldLine : entry.newLine;
+  return `<td class="story-diff-line-number">${lineNumber}</td><td class="story-diff-text">${escapeHtml(entry.text)}</td>`;
+}
+
+/**
+ * @param {LineDiffEntry[]} lineDiff
+ * @returns {string}
+ */
+export function renderSideBySideDiff(lineDiff) {
+  const rows = toSideBySideRows(lineDiff);
+  const changedIndexes = rows
+    .map((row, index) => (row.type === "equal" ? -1 : index))
+    .filter((index) => index >= 0);
+  const isNearChange = (index) =>
+    changedIndexes.some(
+      (changedIndex) => Math.abs(changedIndex - index) <= CONTEXT_LINES,
+    );
+
+  const bodyHtml = [];
+  let hiddenCount = 0;
+  const flushHidden = () => {
+    if (hiddenCount > 0) {
+      bodyHtml.push(
+        `<tr class="story-diff-gap"><td colspan="4">… ${hiddenCount} unchanged line${hiddenCount === 1 ? "" : "s"}</td></tr>`,
+      );
+      hiddenCount = 0;
+    }
+  };
+
+  rows.forEach((row, index) => {
+    if (row.type === "equal" && !isNearChange(index)) {
+      hiddenCount += 1;
+      return;
+    }
+
+    flushHidden();
+    bodyHtml.push(
+      `<tr class="story-diff-row is-${row.type}">${renderDiffCells(row.old, "old")}${renderDiffCells(row.new, "new")}</tr>`,
+    );
+  });
+  flushHidden();
+
+  return `
+    <table class="story-diff-table">
+      <thead>
+        <tr><th scope="col" colspan="2">Published</th><th scope="col" colspan="2">Draft</th></tr>
+      </thead>
+      <tbody>${bodyHtml.join("")}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * @param {AdminStoryDiffResult} result
+ * @returns {string}
+ */
+export function renderAdminStoryDiffResult(result) {
+  if (!result || result.status === "empty") {
+    return '<div class="validation-result validation-error">Please enter story content</div>';
+  }
+
+  if (result.status === "unpublished") {
+    return '<p class="story-diff-summary">This story has not been published yet, so there is nothing to compare against. Load a published story first.</p>';
+  }
+
+  const addedCount = result.lineDiff.filter(
+    (entry) => entry.type === "added",
+  ).length;
+  const removedCount = result.lineDiff.filter(
+    (entry) => entry.type === "removed",
+  ).length;
+
+  if (addedCount === 0 && removedCount === 0) {
+    return '<p class="story-diff-summary">✓ The draft matches the published story.</p>';
+  }
+
+  const structureHtml = result.structure
+    ? renderStoryStructureDiff(result.structure)
+    : `
+      <div class="validation-result validation-error">
+        ✗ Structural comparison needs a valid draft:
+        <div class="error-details">${escapeHtml(result.structureError || "Unknown validation error.")}</div>
+      </div>
+    `;
+
+  return `
+    <div class="story-diff">
+      <p class="story-diff-summary">
+        <span class="story-diff-count is-added">+${addedCount}</span>
+        <span class="story-diff-count is-removed">−${removedCount}</span>
+        lines changed against the published story.
+      </p>
+      ${structureHtml}
+      ${renderSideBySideDiff(result.lineDiff)}
+    </div>
+  `;
+}
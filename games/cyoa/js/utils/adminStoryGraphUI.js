@@ -0,0 +1,250 @@
+/**
+ * Admin story graph helpers: parse -> layered layout -> SVG markup
+ *
+ * Chapters are laid out in columns by their distance from Chapter 1;
+ * unreachable chapters go into a trailing column of their own.
+ */
+
+import { parseStory } from "./storyParser.js";
+import { buildStoryGraph } from "./storyGraph.js";
+import { escapeHtml, escapeHtmlAttribute } from "./viewHelpers.js";
+
+/** @typedef {import("../types.js").StoryGraph} StoryGraph */
+/** @typedef {import("../types.js").StoryGraphNode} StoryGraphNode */
+
+const NODE_WIDTH = 168;
+const NODE_HEIGHT = 48;
+const COLUMN_GAP = 64;
+const ROW_GAP = 18;
+const GRAPH_PADDING = 24;
+const NODE_TITLE_MAX_LENGTH = 20;
+
+/**
+ * @param {string} content
+ * @returns {{ status: "empty"|"success"|"error", graph?: StoryGraph, message?: string }}
+ */
+export function buildAdminStoryGraph(content) {
+  const normalizedContent = typeof content === "string" ? content.trim() : "";
+
+  if (!normalizedContent) {
+    return { status: "empty" };
+  }
+
+  try {
+    return {
+      status: "success",
+      graph: buildStoryGraph(parseStory(normalizedContent)),
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/**
+ * @param {StoryGraph} graph
+ * @returns {{
+ *   positions: Map<number, { x: number, y: number }>,
+ *   width: number,
+ *   height: number,
+ * }}
+ */
+export function layoutStoryGraph(graph) {
+  const maxDepth = graph.nodes.reduce(
+    (result, node) =>
+      node.depth === null ? result : Math.max(result, node.depth),
+    0,
+  );
+  const columns = [];
+
+  graph.nodes.forEach((node) => {
+    const columnIndex = node.depth === null ? maxDepth + 1 : node.depth;
+    columns[columnIndex] = [...(columns[columnIndex] || []), node];
+  });
+
+  const positions = new Map();
+  let tallestColumn = 0;
+
+  columns.forEach((columnNodes = [], columnIndex) => {
+    tallestColumn = Math.max(tallestColumn, columnNodes.length);
+    columnNodes.forEach((node, rowIndex) => {
+      positions.set(node.chapterNumber, {
+        x: GRAPH_PADDING + columnIndex * (NODE_WIDTH + COLUMN_GAP),
+        y: GRAPH_PADDING + rowIndex * (NODE_HEIGHT + ROW_GAP),
+      });
+    });
+  });
+
+  return {
+    positions,
+    width:
+      GRAPH_PADDING * 2 +
+      columns.length * NODE_WIDTH +
+      Math.max(columns.length - 1, 0) * COLUMN_GAP,
+    height:
+      GRAPH_PADDING * 2 +
+      tallestColumn * NODE_HEIGHT +
+      Math.max(tallestColumn - 1, 0) * ROW_GAP,
+  };
+}
+
+/**
+ * @param {StoryGraphNode} node
+ * @returns {string}
+ */
+function getNodeClassName(node) {
+  return [
+    "story-graph-node",
+    node.isEnding ? "is-ending" : "",
+    node.isReachable ? "" : "is-unreachable",
+    node.isDeadEnd ? "is-dead-end" : "",
+    node.isInCycle ? "is-cycle" : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * @param {StoryGraphNode} node
+ * @returns {string[]}
+ */
+function getNodeFlags(node) {
+  return [
+    node.isEnding ? "ending" : "",
+    node.isReachable ? "" : "unreachable",
+    node.isDeadEnd ? "dead end" : "",
+    node.isInCycle ? "in a cycle" : "",
+  ].filter(Boolean);
+}
+
+function truncateTitle(title) {
+  const text = String(title || "");
+  return text.length > NODE_TITLE_MAX_LENGTH
+    ? `${text.slice(0, NODE_TITLE_MAX_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Forward edges run left-to-right as a smooth curve; edges that point back
+ * to the same or an earlier column arc below both nodes so they stay visible.
+ */
+function getEdgePath(from, to) {
+  const startX = from.x + NODE_WIDTH;
+  const startY = from.y + NODE_HEIGHT / 2;
+  const endX = to.x;
+  const endY = to.y + NODE_HEIGHT / 2;
+
+  if (endX > startX) {
+    const bend = (endX - startX) / 2;
+    return `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`;
+  }
+
+  const arcY = Math.max(from.y, to.y) + NODE_HEIGHT + ROW_GAP;
+  return `M ${startX} ${startY} C ${startX + COLUMN_GAP} ${arcY}, ${endX - COLUMN_GAP} ${arcY}, ${endX} ${endY}`;
+}
+
+/**
+ * @param {StoryGraph} graph
+ * @returns {string}
+ */
+function renderGraphSummary(graph) {
+  const count = (predicate) => graph.nodes.filter(predicate).length;
+  const items = [
+    ["is-ending", "Endings", count((node) => node.isEnding)],
+    ["is-unreachable", "Unreachable", count((node) => !node.isReachable)],
+    ["is-dead-end", "Dead ends", count((node) => node.isDeadEnd)],
+    ["is-cycle", "In cycles", count((node) => node.isInCycle)],
+  ];
+
+  return `
+    <ul class="story-graph-legend">
+      <li class="story-graph-legend-item">${graph.nodes.length} chapters · ${graph.edges.length} choices</li>
+      ${items
+        .map(
+          ([className, label, value]) =>
+            `<li class="story-graph-legend-item"><span class="story-graph-swatch ${className}" aria-hidden="true"></span>${label}: ${value}</li>`,
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
+/**
+ * @param {StoryGraph} graph
+ * @returns {string}
+ */
+export function renderAdminStoryGraph(graph) {
+  const { positions, width, height } = layoutStoryGraph(graph);
+
+  const edgesSvg = graph.edges
+    .filter((edge) => positions.has(edge.from) && positions.has(edge.to))
+    .map((edge) => {
+      const className = [
+        "story-graph-edge",
+        edge.isConditional ? "is-conditional" : "",
+        edge.isInCycle ? "is-cycle" : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+      return `
+        <path class="${className}" d="${getEdgePath(positions.get(edge.from), positions.get(edge.to))}" marker-end="url(#story-graph-arrow)">
+          <title>${edge.from} → ${edge.to}: ${escapeHtml(edge.text)}</title>
+        </path>`;
+    })
+    .join("");
+
+  const nodesSvg = graph.nodes
+    .map((node) => {
+      const { x, y } = positions.get(node.chapterNumber);
+      const flags = getNodeFlags(node);
+      const label = escapeHtmlAttribute(
+        `Chapter ${node.chapterNumber}: ${node.title}${flags.length > 0 ? ` (${flags.join(", ")})` : ""}`,
+      );
+      return `
+        <g class="${getNodeClassName(node)}" data-graph-chapter="${node.chapterNumber}" transform="translate(${x} ${y})" tabindex="0" role="button" aria-label="${label}">
+          <title>${label}</title>
+          <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8" ry="8"></rect>
+          <text class="story-graph-node-number" x="12" y="20">${node.chapterNumber}</text>
+          <text class="story-graph-node-title" x="12" y="38">${escapeHtml(truncateTitle(node.title))}</text>
+        </g>`;
+    })
+    .join("");
+
+  return `
+    ${renderGraphSummary(graph)}
+    <div class="story-graph-scroll">
+      <svg class="story-graph-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="group" aria-label="Story chapter graph">
+        <defs>
+          <marker id="story-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z"></path>
+          </marker>
+        </defs>
+        ${edgesSvg}
+        ${nodesSvg}
+      </svg>
+    </div>
+  `;
+}
+
+/**
+ * @param {{ status: "empty"|"success"|"error", graph?: StoryGraph, message?: string }} result
+ * @returns {string}
+ */
+export function renderAdminStoryGraphResult(result) {
+  if (!result || result.status === "empty") {
+    return '<div class="validation-result validation-error">Please enter story content</div>';
+  }
+
+  if (result.status === "error") {
+    return `
+      <div class="validation-result validation-error">
+        ✗ The graph needs a valid story:
+        <div class="error-details">${escapeHtml(result.message || "Unknown validation error.")}</div>
+      </div>
+    `;
+  }
+
+  return renderAdminStoryGraph(result.graph);
+}
@@ -0,0 +1,118 @@
+/**
+ * Admin reader preview helpers: parse the draft and track a play-through
+ * without touching saved reading progress or endings.
+ *
+ * The preview keeps playing chapters that parse even while other parts of
+ * the draft still have validation problems, so authors can test-read the
+ * branch they just edited.
+ */
+
+import { parseStoryWithDiagnostics } from "./storyParser.js";
+import { FIRST_CHAPTER_NUMBER } from "./storyGraph.js";
+import { applyChoiceEffects, getChapterForVariables } from "./storyState.js";
+
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").StoryChoice} StoryChoice */
+
+/**
+ * @typedef {{
+ *   trail: number[],
+ *   variables: string[][],
+ * }} StoryPreviewState
+ */
+
+/**
+ * @typedef {{
+ *   status: "empty"|"success"|"error",
+ *   chapters?: Record<number, StoryChapter>,
+ *   diagnosticCount?: number,
+ *   message?: string,
+ * }} AdminStoryPreview
+ */
+
+/**
+ * @param {string} content
+ * @returns {AdminStoryPreview}
+ */
+export function buildAdminStoryPreview(content) {
+  const normalizedContent = typeof content === "string" ? content.trim() : "";
+
+  if (!normalizedContent) {
+    return { status: "empty" };
+  }
+
+  const { chapters, diagnostics } =
+    parseStoryWithDiagnostics(normalizedContent);
+  if (!chapters[FIRST_CHAPTER_NUMBER]) {
+    return {
+      status: "error",
+      message: `Chapter ${FIRST_CHAPTER_NUMBER} could not be read, so there is nothing to play yet.`,
+    };
+  }
+
+  return {
+    status: "success",
+    chapters,
+    diagnosticCount: diagnostics.length,
+  };
+}
+
+/**
+ * @returns {StoryPreviewState}
+ */
+export function createStoryPreviewState() {
+  return { trail: [FIRST_CHAPTER_NUMBER], variables: [[]] };
+}
+
+/**
+ * @param {StoryPreviewState} state
+ * @returns {{ chapterNumber: number, variables: string[] }}
+ */
+export function getCurrentPreviewStep(state) {
+  const lastIndex = state.trail.length - 1;
+  return {
+    chapterNumber: state.trail[lastIndex],
+    variables: state.variables[lastIndex] || [],
+  };
+}
+
+/**
+ * @param {StoryPreviewState} state
+ * @param {number} chapterNumber
+ * @param {StoryChoice["effects"]} [effects]
+ * @returns {StoryPreviewState}
+ */
+export function takePreviewChoice(state, chapterNumber, effects = []) {
+  const { variables } = getCurrentPreviewStep(state);
+  return {
+    trail: [...state.trail, chapterNumber],
+    variables: [...state.variables, applyChoiceEffects(variables, effects)],
+  };
+}
+
+/**
+ * @param {StoryPreviewState} state
+ * @returns {StoryPreviewState}
+ */
+export function stepPreviewBack(state) {
+  if (state.trail.length <= 1) {
+    return state;
+  }
+
+  return {
+    trail: state.trail.slice(0, -1),
+    variables: state.variables.slice(0, -1),
+  };
+}
+
+/**
+ * @param {Record<number, StoryChapter>} chapters
+ * @param {StoryPreviewState} state
+ * @returns {StoryChapter|null} the chapter with only the choices available in
+ *   the current story state, or `null` when the draft no longer has it
+ */
+export function getPreviewChapter(chapters, state) {
+  const { chapterNumber, variables } = getCurrentPreviewStep(state);
+  const chapter = chapters[chapterNumber];
+  return chapter ? getChapterForVariables(chapter, variables) : null;
+}
@@ -2,18 +2,40 @@
  * Admin validation and validation-result UI helpers
  */
 
-import { parseStory } from "./storyParser.js";
+import {
+  formatStoryDiagnostic,
+  parseStoryWithDiagnostics,
+} from "./storyParser.js";
+import { escapeHtml } from "./viewHelpers.js";
 
+/** @typedef {import("../types.js").ValidationResult} ValidationResult */
+/** @typedef {import("../types.js").StoryDiagnostic} StoryDiagnostic */
+
+/**
+ * Diagnostics keep the editor's line numbers, so the content is parsed
+ * untrimmed.
+ *
+ * @param {string} content
+ * @returns {ValidationResult}
+ */
 export function validateAdminStoryContent(content) {
-  const normalizedContent = typeof content === "string" ? content.trim() : "";
+  const source = typeof content === "string" ? content : "";
 
-  if (!normalizedContent) {
+  if (!source.trim()) {
     return { status: "empty" };
   }
 
   try {
-    parseStory(normalizedContent);
-    return { status: "success" };
+    const { diagnostics } = parseStoryWithDiagnostics(source);
+    if (diagnostics.length === 0) {
+      return { status: "success" };
+    }
+
+    return {
+      status: "error",
+      message: diagnostics.map(formatStoryDiagnostic).join("\n"),
+      diagnostics,
+    };
   } catch (error) {
     return {
       status: "error",
@@ -22,6 +44,31 @@ export function validateAdminStoryContent(content) {
   }
 }
 
+/**
+ * @param {StoryDiagnostic} diagnostic
+ * @returns {string}
+ */
+function renderDiagnosticItem(diagnostic) {
+  const details = diagnostic.details
+    ? `<span class="diagnostic-details">${escapeHtml(diagnostic.details)}</span>`
+    : "";
+
+  return `
+    <li>
+      <button type="button" class="diagnostic-item" data-diagnostic-line="${diagnostic.line}" data-diagnostic-column="${diagnostic.column}">
+        <span class="diagnostic-location">Line ${diagnostic.line}:${diagnostic.column}</span>
+        <span class="diagnostic-rule">${escapeHtml(diagnostic.rule)}</span>
+        <span class="diagnostic-message">${escapeHtml(diagnostic.message)}</span>
+        ${details}
+      </button>
+    </li>
+  `;
+}
+
+/**
+ * @param {ValidationResult} result
+ * @returns {string}
+ */
 export function renderAdminValidationResult(result) {
   if (!result || result.status === "empty") {
     return '<div class="validation-result validation-error">Please enter story content</div>';
@@ -31,6 +78,18 @@ export function renderAdminValidationResult(result) {
     return '<div class="validation-result validation-success">✓ Story syntax is valid!</div>';
   }
 
+  if (Array.isArray(result.diagnostics) && result.diagnostics.length > 0) {
+    const count = result.diagnostics.length;
+    return `
+      <div class="validation-result validation-error">
+        ✗ ${count} validation ${count === 1 ? "problem" : "problems"} found. Click one to jump to its line.
+        <ol class="diagnostic-list">
+          ${result.diagnostics.map(renderDiagnosticItem).join("")}
+        </ol>
+      </div>
+    `;
+  }
+
   const details = result.message || "Unknown validation error.";
   return `
     <div class="validation-result validation-error">
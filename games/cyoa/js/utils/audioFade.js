@@ -0,0 +1,58 @@
+/**
+ * Volume fades for `<audio>` elements (ducking and crossfades).
+ *
+ * Starting a fade on an element cancels the one already running on it, so
+ * quick route changes never leave two timers fighting over a volume.
+ */
+
+const FADE_STEP_MS = 30;
+
+/** @type {WeakMap<HTMLMediaElement, { timer: ReturnType<typeof setInterval>, resolve: (completed: boolean) => void }>} */
+const activeFades = new WeakMap();
+
+/**
+ * @param {HTMLMediaElement} element
+ */
+export function cancelAudioFade(element) {
+  const fade = activeFades.get(element);
+  if (!fade) return;
+
+  clearInterval(fade.timer);
+  activeFades.delete(element);
+  fade.resolve(false);
+}
+
+/**
+ * @param {HTMLMediaElement} element
+ * @param {number} targetVolume 0..1
+ * @param {number} durationMs
+ * @returns {Promise<boolean>} false when another fade replaced this one
+ */
+export function fadeAudioVolume(element, targetVolume, durationMs) {
+  cancelAudioFade(element);
+
+  const target = Math.min(1, Math.max(0, targetVolume));
+  const startVolume = element.volume;
+  const steps = Math.max(1, Math.round(durationMs / FADE_STEP_MS));
+
+  if (startVolume === target) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    let step = 0;
+    const timer = setInterval(() => {
+      step += 1;
+      element.volume = startVolume + (target - startVolume) * (step / steps);
+
+      if (step >= steps) {
+        element.volume = target;
+        clearInterval(timer);
+        activeFades.delete(element);
+        resolve(true);
+      }
+    }, FADE_STEP_MS);
+
+    activeFades.set(element, { timer, resolve });
+  });
+}
@@ -3,9 +3,10 @@
  */
 
 import { escapeHtml, renderPageContainer } from "./viewHelpers.js";
+import { t } from "./i18n.js";
 
 function renderMessage({ title, details = "", tone = "error" }) {
-  const safeTitle = escapeHtml(title || "Error");
+  const safeTitle = escapeHtml(title || t("error.title"));
   const safeDetails = escapeHtml(details || "");
   const hasDetails = safeDetails.trim().length > 0;
 
@@ -18,8 +19,8 @@ function renderMessage({ title, details = "", tone = "error" }) {
 }
 
 export function renderNotFoundPage({
-  title = "Page not found",
-  details = "The page you requested does not exist.",
+  title = t("error.notFoundTitle"),
+  details = t("error.notFoundDetails"),
 } = {}) {
   return renderPageContainer({
     content: renderMessage({ title, details, tone: "not-found" }),
@@ -27,7 +28,7 @@ export function renderNotFoundPage({
 }
 
 export function renderLoadErrorPage({
-  title = "Unable to load content",
+  title = t("error.loadTitle"),
   details = "",
   mainClass = "",
   containerClass = "",
@@ -40,7 +41,7 @@ export function renderLoadErrorPage({
 }
 
 export function renderInlineError({
-  title = "An error occurred",
+  title = t("error.inlineTitle"),
   details = "",
 } = {}) {
   return renderMessage({ title, details, tone: "error" });
@@ -0,0 +1,91 @@
+/**
+ * Locale helpers - UI string lookup and language resolution
+ *
+ * - The current language lives in the app store (`language`) and is set by
+ *   `components/languageController.js`
+ * - `t(key, params)` looks the key up in the current language, then in
+ *   English, then returns the key itself
+ * - Markup rendered once (the header) tags translatable nodes with
+ *   `data-i18n`, `data-i18n-title` or `data-i18n-aria-label`, and
+ *   `applyTranslations(root)` refreshes them after a language change
+ */
+
+import { getAppState } from "../state/appStore.js";
+import { EN_MESSAGES } from "../i18n/en.js";
+import { FR_MESSAGES } from "../i18n/fr.js";
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const SUPPORTED_LANGUAGES = Object.freeze([
+  { code: "en", label: "English" },
+  { code: "fr", label: "Français" },
+]);
+
+/** @type {Record<string, Readonly<Record<string, string>>>} */
+const MESSAGES_BY_LANGUAGE = {
+  en: EN_MESSAGES,
+  fr: FR_MESSAGES,
+};
+
+const TRANSLATED_ATTRIBUTES = [
+  ["data-i18n-title", "title"],
+  ["data-i18n-aria-label", "aria-label"],
+];
+
+/**
+ * Accepts language tags such as "fr-CA" and returns a supported code.
+ *
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+export function normalizeLanguage(value) {
+  if (typeof value !== "string") return null;
+  const [code] = value.trim().toLowerCase().split(/[-_]/);
+  return Object.hasOwn(MESSAGES_BY_LANGUAGE, code) ? code : null;
+}
+
+/**
+ * @returns {string}
+ */
+export function getCurrentLanguage() {
+  return normalizeLanguage(getAppState().language) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * @param {string} key
+ * @param {string} [language]
+ * @returns {string|undefined} undefined when the language has no such key
+ */
+export function getTranslation(key, language = getCurrentLanguage()) {
+  const messages = MESSAGES_BY_LANGUAGE[language];
+  return messages && Object.hasOwn(messages, key) ? messages[key] : undefined;
+}
+
+/**
+ * @param {string} key
+ * @param {Record<string, string|number>} [params]
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  const template =
+    getTranslation(key) ?? getTranslation(key, DEFAULT_LANGUAGE) ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.hasOwn(params, name) ? String(params[name]) : match,
+  );
+}
+
+/**
+ * @param {ParentNode} root
+ */
+export function applyTranslations(root) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.getAttribute("data-i18n"));
+  });
+
+  TRANSLATED_ATTRIBUTES.forEach(([dataAttribute, attribute]) => {
+    root.querySelectorAll(`[${dataAttribute}]`).forEach((element) => {
+      element.setAttribute(attribute, t(element.getAttribute(dataAttribute)));
+    });
+  });
+}
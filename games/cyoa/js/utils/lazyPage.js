@@ -4,7 +4,8 @@ import { normalizePageContract } from "./pageContract.js";
  * Creates a lazy-loaded page contract wrapper.
  *
  * The module is loaded once and cached; calls then delegate to
- * `load`, `render`, and optional `bind` on the resolved page contract.
+ * `load`, `render`, and optional `bind`/`beforeEnter` on the resolved page
+ * contract.
  *
  * @param {() => Promise<Record<string, any>>} moduleLoader
  * @param {string} exportName
@@ -12,7 +13,8 @@ import { normalizePageContract } from "./pageContract.js";
  *   load: (params: Record<string, string>) => Promise<any>,
  *   render: (model: any, params?: Record<string, string>) => Promise<string>,
  *   update: (container: HTMLElement|{ innerHTML: string }, model: any, params?: Record<string, string>, previous?: { model?: any, params?: Record<string, string>, route?: string }) => Promise<boolean>,
- *   bind: (container: HTMLElement|{ innerHTML: string }, model?: any, params?: Record<string, string>) => Promise<(() => void)|null>
+ *   bind: (container: HTMLElement|{ innerHTML: string }, model?: any, params?: Record<string, string>) => Promise<(() => void)|null>,
+ *   beforeEnter: (to: import("../types.js").NavigationTarget, from: import("../types.js").NavigationTarget|null) => Promise<boolean|string|void>
  * }}
  */
 export function createLazyPage(moduleLoader, exportName) {
@@ -55,5 +57,12 @@ export function createLazyPage(moduleLoader, exportName) {
       const page = await getPage();
       return page.bind(container, model, params);
     },
+    beforeEnter: async (to, from) => {
+      const page = await getPage();
+      if (typeof page.beforeEnter === "function") {
+        return page.beforeEnter(to, from);
+      }
+      return true;
+    },
   };
 }
@@ -4,6 +4,8 @@
 
 import { escapeHtml } from "./viewHelpers.js";
 
+/** @typedef {import("../types.js").StoryDiagnostic} StoryDiagnostic */
+
 function highlightMarkdownLine(line) {
   if (/^###\s+/.test(line)) {
     return `<span class="md-token md-h3">${line}</span>`;
@@ -17,9 +19,14 @@ function highlightMarkdownLine(line) {
     return `<span class="md-token md-h1">${line}</span>`;
   }
 
-  const choiceMatch = line.match(/^(\d+\.\s+)(.+?)(\s*-&gt;\s*\d+)$/);
+  const choiceMatch = line.match(
+    /^(\d+\.\s+)(.+?)(\s*-&gt;\s*\d+)((?:\s*\[[^\]]*\])*)$/,
+  );
   if (choiceMatch) {
-    return `<span class="md-token md-choice-number">${choiceMatch[1]}</span><span class="md-token md-choice-text">${choiceMatch[2]}</span><span class="md-token md-choice-target">${choiceMatch[3]}</span>`;
+    const annotationsHtml = choiceMatch[4]
+      ? `<span class="md-token md-choice-annotation">${choiceMatch[4]}</span>`
+      : "";
+    return `<span class="md-token md-choice-number">${choiceMatch[1]}</span><span class="md-token md-choice-text">${choiceMatch[2]}</span><span class="md-token md-choice-target">${choiceMatch[3]}</span>${annotationsHtml}`;
   }
 
   if (/^the\s+end$/i.test(line.trim())) {
@@ -29,10 +36,24 @@ function highlightMarkdownLine(line) {
   return line;
 }
 
-export function highlightMarkdown(text) {
+/**
+ * @param {string} text
+ * @param {StoryDiagnostic[]} [diagnostics] parser diagnostics to underline
+ *   on their (one-based) line
+ * @returns {string}
+ */
+export function highlightMarkdown(text, diagnostics = []) {
+  const diagnosticLines = new Set(
+    diagnostics.map((diagnostic) => diagnostic.line),
+  );
   const escaped = escapeHtml(text || "");
   return escaped
     .split("\n")
-    .map((line) => highlightMarkdownLine(line))
+    .map((line, index) => {
+      const highlighted = highlightMarkdownLine(line);
+      return diagnosticLines.has(index + 1)
+        ? `<span class="md-diagnostic">${highlighted || " "}</span>`
+        : highlighted;
+    })
     .join("\n");
 }
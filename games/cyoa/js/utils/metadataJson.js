@@ -0,0 +1,370 @@
+/**
+ * Text-level edits of the story metadata JSON files
+ * (`metadata-stories.json`, `metadata-images.json`).
+ *
+ * Values are changed or appended in place instead of re-serializing the
+ * whole file, so hand-written formatting survives: other keys, their order,
+ * and numbers such as `3.0`. New values are written the way the files are
+ * formatted (two-space indent, short arrays on one line).
+ */
+
+/** Same wrap width as the formatter used for the JSON files. */
+const MAX_INLINE_LINE_LENGTH = 80;
+
+/**
+ * Start/end offsets of the values inside a JSON object or array, at its top
+ * level only (nested objects such as `soundtrack` are skipped over).
+ *
+ * @param {string} text
+ * @param {number} start offset of the opening `{` or `[`
+ * @returns {{ entries: { key: string|null, valueStart: number, valueEnd: number }[], end: number }}
+ */
+function scanJsonContainer(text, start) {
+  const entries = [];
+  let depth = 0;
+  let key = null;
+  let valueStart = -1;
+  let lastValueEnd = -1;
+
+  for (let index = start; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (char === '"') {
+      let end = index + 1;
+      while (text[end] !== '"') {
+        end += text[end] === "\\" ? 2 : 1;
+      }
+      if (depth === 1 && text[start] === "{" && valueStart < 0) {
+        const afterString = text.slice(end + 1).match(/^\s*:/);
+        if (afterString) {
+          key = JSON.parse(text.slice(index, end + 1));
+          index = end + afterString[0].length;
+          continue;
+        }
+      }
+      if (depth === 1 && valueStart < 0) valueStart = index;
+      index = end;
+      lastValueEnd = end + 1;
+      continue;
+    }
+
+    if (char === "{" || char === "[") {
+      if (depth === 1 && valueStart < 0) valueStart = index;
+      depth += 1;
+      continue;
+    }
+
+    if (char === "}" || char === "]") {
+      depth -= 1;
+      if (depth === 0) {
+        if (valueStart >= 0) {
+          entries.push({ key, valueStart, valueEnd: lastValueEnd });
+        }
+        return { entries, end: index + 1 };
+      }
+      lastValueEnd = index + 1;
+      continue;
+    }
+
+    if (depth === 1 && char === ",") {
+      entries.push({ key, valueStart, valueEnd: lastValueEnd });
+      key = null;
+      valueStart = -1;
+      continue;
+    }
+
+    if (!/\s/.test(char)) {
+      if (depth === 1 && valueStart < 0) valueStart = index;
+      lastValueEnd = index + 1;
+    }
+  }
+
+  throw new Error("Unterminated JSON object or array");
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatMetadataValue(value) {
+  return Array.isArray(value)
+    ? `[${value.map((item) => JSON.stringify(item)).join(", ")}]`
+    : JSON.stringify(value);
+}
+
+/**
+ * @param {string} text
+ * @param {number} arrayStart offset of the array's `[`
+ * @param {number} number
+ * @returns {{ valueStart: number, valueEnd: number }|undefined} the item whose `number` matches
+ */
+function findNumberedEntry(text, arrayStart, number) {
+  return scanJsonContainer(text, arrayStart).entries.find(
+    ({ valueStart, valueEnd }) =>
+      JSON.parse(text.slice(valueStart, valueEnd))?.number === number,
+  );
+}
+
+/**
+ * Rewrites the given fields of the object starting at `objectStart`; missing
+ * fields are appended to it.
+ *
+ * @param {string} text
+ * @param {number} objectStart offset of the object's `{`
+ * @param {Record<string, unknown>} fields
+ * @returns {string}
+ */
+function updateJsonObjectFields(text, objectStart, fields) {
+  const { entries } = scanJsonContainer(text, objectStart);
+  const replacements = [];
+  const missingFields = [];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    const entry = entries.find((candidate) => candidate.key === key);
+    if (entry) {
+      replacements.push({ ...entry, text: formatMetadataValue(value) });
+    } else {
+      missingFields.push([key, value]);
+    }
+  });
+
+  if (missingFields.length > 0) {
+    const lastEntry = entries[entries.length - 1];
+    const lineStart = text.lastIndexOf("\n", lastEntry.valueStart) + 1;
+    const indent = text.slice(lineStart, lastEntry.valueStart).match(/^\s*/)[0];
+    replacements.push({
+      valueStart: lastEntry.valueEnd,
+      valueEnd: lastEntry.valueEnd,
+      text: missingFields
+        .map(
+          ([key, value]) =>
+            `,\n${indent}${JSON.stringify(key)}: ${formatMetadataValue(value)}`,
+        )
+        .join(""),
+    });
+  }
+
+  return replacements
+    .sort((left, right) => right.valueStart - left.valueStart)
+    .reduce(
+      (result, { valueStart, valueEnd, text: replacement }) =>
+        result.slice(0, valueStart) + replacement + result.slice(valueEnd),
+      text,
+    );
+}
+
+/**
+ * Rewrites the given fields of one story entry in `metadata-stories.json`
+ * text. Only those values change: the other keys, their order and number
+ * formatting (e.g. `3.0`) are left exactly as written. Missing fields are
+ * appended to the entry.
+ *
+ * @param {string} metadataText
+ * @param {number} storyNumber
+ * @param {Record<string, unknown>} fields
+ * @returns {string}
+ * @throws {Error} when the story has no metadata entry
+ */
+export function updateStoryMetadataText(metadataText, storyNumber, fields) {
+  const storyEntry = findNumberedEntry(
+    metadataText,
+    metadataText.indexOf("["),
+    storyNumber,
+  );
+  if (!storyEntry) {
+    throw new Error(`No metadata entry for story ${storyNumber}`);
+  }
+
+  return updateJsonObjectFields(metadataText, storyEntry.valueStart, fields);
+}
+
+/**
+ * @param {string} imageMetadataText
+ * @returns {number} offset of the `stories` array's `[`
+ * @throws {Error} when the file has no `stories` array
+ */
+function getImageStoriesArrayStart(imageMetadataText) {
+  const storiesEntry = scanJsonContainer(
+    imageMetadataText,
+    imageMetadataText.indexOf("{"),
+  ).entries.find(({ key }) => key === "stories");
+  if (!storiesEntry || imageMetadataText[storiesEntry.valueStart] !== "[") {
+    throw new Error('metadata-images.json has no "stories" array');
+  }
+  return storiesEntry.valueStart;
+}
+
+/**
+ * Rewrites the given fields of one chapter in `metadata-images.json` text,
+ * e.g. the responsive widths and placeholder written by the image tooling.
+ *
+ * @param {string} imageMetadataText
+ * @param {number} storyNumber
+ * @param {number} chapterNumber
+ * @param {Record<string, unknown>} fields
+ * @returns {string}
+ * @throws {Error} when the story or chapter is not listed
+ */
+export function updateChapterImageMetadataText(
+  imageMetadataText,
+  storyNumber,
+  chapterNumber,
+  fields,
+) {
+  const storyEntry = findNumberedEntry(
+    imageMetadataText,
+    getImageStoriesArrayStart(imageMetadataText),
+    storyNumber,
+  );
+  const chaptersEntry = storyEntry
+    ? scanJsonContainer(imageMetadataText, storyEntry.valueStart).entries.find(
+        ({ key }) => key === "chapters",
+      )
+    : null;
+  const chapterEntry =
+    chaptersEntry && imageMetadataText[chaptersEntry.valueStart] === "["
+      ? findNumberedEntry(
+          imageMetadataText,
+          chaptersEntry.valueStart,
+          chapterNumber,
+        )
+      : null;
+  if (!chapterEntry) {
+    throw new Error(
+      `metadata-images.json has no entry for story ${storyNumber} chapter ${chapterNumber}`,
+    );
+  }
+
+  return updateJsonObjectFields(
+    imageMetadataText,
+    chapterEntry.valueStart,
+    fields,
+  );
+}
+
+/**
+ * Formats a new value for insertion at `indent`: objects one key per line,
+ * arrays of plain values on one line when they fit.
+ *
+ * @param {unknown} value
+ * @param {string} indent indentation of the line the value starts on
+ * @param {number} column where the value starts on that line
+ * @returns {string}
+ */
+function formatJsonBlock(value, indent, column) {
+  const innerIndent = `${indent}  `;
+
+  if (Array.isArray(value)) {
+    const isFlat = value.every(
+      (item) => item === null || typeof item !== "object",
+    );
+    const inline = formatMetadataValue(value);
+    if (
+      value.length === 0 ||
+      (isFlat && column + inline.length < MAX_INLINE_LINE_LENGTH)
+    ) {
+      return inline;
+    }
+    return `[\n${value
+      .map(
+        (item) =>
+          `${innerIndent}${formatJsonBlock(item, innerIndent, innerIndent.length)}`,
+      )
+      .join(",\n")}\n${indent}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return "{}";
+    return `{\n${entries
+      .map(([key, item]) => {
+        const prefix = `${innerIndent}${JSON.stringify(key)}: `;
+        return `${prefix}${formatJsonBlock(item, innerIndent, prefix.length)}`;
+      })
+      .join(",\n")}\n${indent}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {string} leading whitespace of the line containing `offset`
+ */
+function getLineIndent(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * @param {string} text
+ * @param {number} arrayStart offset of the array's `[`
+ * @param {unknown} value
+ * @returns {string}
+ */
+function appendJsonArrayItem(text, arrayStart, value) {
+  const { entries, end } = scanJsonContainer(text, arrayStart);
+
+  if (entries.length === 0) {
+    const indent = getLineIndent(text, arrayStart);
+    const itemIndent = `${indent}  `;
+    return `${text.slice(0, arrayStart)}[\n${itemIndent}${formatJsonBlock(value, itemIndent, itemIndent.length)}\n${indent}]${text.slice(end)}`;
+  }
+
+  const lastEntry = entries[entries.length - 1];
+  const itemIndent = getLineIndent(text, lastEntry.valueStart);
+  return `${text.slice(0, lastEntry.valueEnd)},\n${itemIndent}${formatJsonBlock(value, itemIndent, itemIndent.length)}${text.slice(lastEntry.valueEnd)}`;
+}
+
+/**
+ * @param {string} text
+ * @param {number} arrayStart
+ * @param {number} storyNumber
+ * @param {string} fileLabel
+ */
+function assertStoryNumberIsFree(text, arrayStart, storyNumber, fileLabel) {
+  if (findNumberedEntry(text, arrayStart, storyNumber)) {
+    throw new Error(
+      `${fileLabel} already has an entry for story ${storyNumber}`,
+    );
+  }
+}
+
+/**
+ * Appends a story to `metadata-stories.json` text (a top-level array).
+ *
+ * @param {string} metadataText
+ * @param {{ number: number }} entry
+ * @returns {string}
+ * @throws {Error} when the story number is already listed
+ */
+export function appendStoryMetadataEntry(metadataText, entry) {
+  const arrayStart = metadataText.indexOf("[");
+  assertStoryNumberIsFree(
+    metadataText,
+    arrayStart,
+    entry.number,
+    "metadata-stories.json",
+  );
+  return appendJsonArrayItem(metadataText, arrayStart, entry);
+}
+
+/**
+ * Appends a story to the `stories` array of `metadata-images.json` text.
+ *
+ * @param {string} imageMetadataText
+ * @param {{ number: number }} entry
+ * @returns {string}
+ * @throws {Error} when the file has no `stories` array or already lists the story
+ */
+export function appendStoryImageMetadataEntry(imageMetadataText, entry) {
+  const arrayStart = getImageStoriesArrayStart(imageMetadataText);
+  assertStoryNumberIsFree(
+    imageMetadataText,
+    arrayStart,
+    entry.number,
+    "metadata-images.json",
+  );
+  return appendJsonArrayItem(imageMetadataText, arrayStart, entry);
+}
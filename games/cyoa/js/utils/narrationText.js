@@ -0,0 +1,106 @@
+/**
+ * Builds the utterance queue read aloud by the narration controller.
+ *
+ * Speech engines drop or cut off very long utterances, so paragraphs are
+ * split at sentence boundaries into chunks below a maximum length. Pure
+ * string functions: the controller collects text from the DOM and passes it in.
+ */
+
+import { stripInlineMarkdown } from "./storyMarkdown.js";
+
+export const NARRATION_MAX_UTTERANCE_LENGTH = 220;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeNarrationText(text) {
+  return stripInlineMarkdown(text).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Splits text into chunks of at most `maxLength` characters, preferring
+ * sentence ends, then word gaps.
+ *
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @returns {string[]}
+ */
+export function splitNarrationText(
+  text,
+  maxLength = NARRATION_MAX_UTTERANCE_LENGTH,
+) {
+  const normalized = normalizeNarrationText(text);
+  if (!normalized) return [];
+
+  const sentences = normalized.match(/[^.!?…]+(?:[.!?…]+["'”’)]*|$)\s*/g) || [
+    normalized,
+  ];
+  const chunks = [];
+  let current = "";
+
+  const pushWords = (sentence) => {
+    sentence.split(" ").forEach((word) => {
+      if (current && `${current} ${word}`.length > maxLength) {
+        chunks.push(current);
+        current = word;
+        return;
+      }
+      current = current ? `${current} ${word}` : word;
+    });
+  };
+
+  sentences
+    .map((sentence) => sentence.trim())
+    .filter(Boolean)
+    .forEach((sentence) => {
+      if (!current && sentence.length <= maxLength) {
+        current = sentence;
+      } else if (current && `${current} ${sentence}`.length <= maxLength) {
+        current = `${current} ${sentence}`;
+      } else if (sentence.length <= maxLength) {
+        chunks.push(current);
+        current = sentence;
+      } else {
+        pushWords(sentence);
+      }
+    });
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * @param {{
+ *   title?: string,
+ *   paragraphs?: string[],
+ *   choices?: string[],
+ *   endingText?: string,
+ * }} chapter
+ * @param {{ readChoices?: boolean, maxLength?: number }} [options]
+ * @returns {string[]}
+ */
+export function buildNarrationQueue(chapter, options = {}) {
+  const { readChoices = false, maxLength } = options;
+  const queue = [
+    ...splitNarrationText(chapter.title || "", maxLength),
+    ...(chapter.paragraphs || []).flatMap((paragraph) =>
+      splitNarrationText(paragraph, maxLength),
+    ),
+  ];
+
+  const choices = (chapter.choices || [])
+    .map(normalizeNarrationText)
+    .filter(Boolean);
+
+  if (readChoices && choices.length > 0) {
+    queue.push("What do you do?");
+    choices.forEach((choice, index) => {
+      queue.push(...splitNarrationText(`${index + 1}. ${choice}`, maxLength));
+    });
+  } else if (readChoices && chapter.endingText) {
+    queue.push(...splitNarrationText(chapter.endingText, maxLength));
+  }
+
+  return queue;
+}
@@ -2,6 +2,7 @@
 
 /**
  * Normalizes a page lifecycle contract to always expose load/render/bind.
+ * An optional `beforeEnter` route guard is kept as-is.
  *
  * @param {PageContract} page
  * @returns {PageContract}
@@ -16,6 +17,9 @@ export function normalizePageContract(page) {
     render: page.render,
     update: typeof page.update === "function" ? page.update : null,
     bind: page.bind || (async () => null),
+    ...(typeof page.beforeEnter === "function"
+      ? { beforeEnter: page.beforeEnter }
+      : {}),
   };
 }
 
@@ -0,0 +1,149 @@
+/**
+ * Idle-time prefetch scheduler
+ *
+ * Queues low-priority warmup tasks (next chapter illustrations, story
+ * markdown) and runs them while the browser is idle:
+ * - Each task has a key; a key is only ever run once
+ * - A budget caps how many tasks run in total, so a long session does not
+ *   keep downloading in the background
+ * - Nothing is queued when the reader asked to save data
+ *   (`navigator.connection.saveData`)
+ *
+ * Tasks are started, not awaited in order: failures are ignored since the
+ * real request will simply happen later.
+ */
+
+export const DEFAULT_PREFETCH_BUDGET = 24;
+
+/** Stop starting tasks once less idle time than this is left (ms). */
+const MIN_IDLE_TIME_MS = 2;
+const FALLBACK_IDLE_DELAY_MS = 200;
+
+/**
+ * @typedef {{ didTimeout?: boolean, timeRemaining: () => number }} IdleDeadline
+ */
+
+/**
+ * @returns {boolean}
+ */
+export function isSaveDataEnabled() {
+  return globalThis.navigator?.connection?.saveData === true;
+}
+
+/**
+ * Prefetching only makes sense in a browser, and not when saving data.
+ *
+ * @returns {boolean}
+ */
+function isPrefetchDisabled() {
+  return typeof globalThis.window === "undefined" || isSaveDataEnabled();
+}
+
+/**
+ * `requestIdleCallback` with a timer fallback (Safari); the fallback
+ * deadline lets one task run per call.
+ *
+ * @param {(deadline: IdleDeadline) => void} callback
+ */
+function requestIdleTask(callback) {
+  if (typeof globalThis.window?.requestIdleCallback === "function") {
+    globalThis.window.requestIdleCallback(callback);
+    return;
+  }
+
+  setTimeout(() => {
+    callback({ didTimeout: true, timeRemaining: () => 0 });
+  }, FALLBACK_IDLE_DELAY_MS);
+}
+
+/**
+ * @param {{
+ *   budget?: number,
+ *   requestIdle?: (callback: (deadline: IdleDeadline) => void) => void,
+ *   isDisabled?: () => boolean,
+ * }} [options]
+ */
+export function createPrefetchScheduler({
+  budget = DEFAULT_PREFETCH_BUDGET,
+  requestIdle = requestIdleTask,
+  isDisabled = isPrefetchDisabled,
+} = {}) {
+  /** @type {{ key: string, task: () => Promise<unknown>|unknown }[]} */
+  let queue = [];
+  const seenKeys = new Set();
+  let startedCount = 0;
+  let isIdleRequested = false;
+
+  const getRemainingBudget = () => Math.max(0, budget - startedCount);
+
+  const runTask = (task) => {
+    startedCount += 1;
+    Promise.resolve()
+      .then(task)
+      .catch(() => null);
+  };
+
+  /**
+   * @param {IdleDeadline} deadline
+   */
+  const runIdleTasks = (deadline) => {
+    isIdleRequested = false;
+
+    let ranTask = false;
+    while (queue.length > 0 && getRemainingBudget() > 0) {
+      if (ranTask && deadline.timeRemaining() < MIN_IDLE_TIME_MS) {
+        break;
+      }
+      runTask(queue.shift().task);
+      ranTask = true;
+    }
+
+    if (getRemainingBudget() === 0) {
+      queue = [];
+    }
+    requestIdleRun();
+  };
+
+  const requestIdleRun = () => {
+    if (isIdleRequested || queue.length === 0) return;
+    isIdleRequested = true;
+    requestIdle(runIdleTasks);
+  };
+
+  /**
+   * @returns {boolean}
+   */
+  const isEnabled = () => !isDisabled() && getRemainingBudget() > 0;
+
+  /**
+   * @param {string} key
+   * @param {() => Promise<unknown>|unknown} task
+   * @returns {boolean} whether the task was queued
+   */
+  const schedule = (key, task) => {
+    if (seenKeys.has(key)) return false;
+    if (queue.length >= getRemainingBudget() || !isEnabled()) return false;
+
+    seenKeys.add(key);
+    queue.push({ key, task });
+    requestIdleRun();
+    return true;
+  };
+
+  /**
+   * Drops queued tasks that have not started, e.g. when the reader moved on
+   * to another chapter. Their keys may be scheduled again.
+   */
+  const clearPending = () => {
+    queue.forEach(({ key }) => seenKeys.delete(key));
+    queue = [];
+  };
+
+  return {
+    schedule,
+    clearPending,
+    isEnabled,
+    getRemainingBudget,
+    getPendingCount: () => queue.length,
+  };
+}
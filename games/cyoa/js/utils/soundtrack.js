@@ -0,0 +1,113 @@
+/**
+ * Story soundtrack cues from `metadata-stories.json`.
+ *
+ * A story entry may carry a `soundtrack` block:
+ *
+ * ```json
+ * "soundtrack": {
+ *   "track": "lost-horizon.mp3",
+ *   "ambient": "sonar-hum.mp3",
+ *   "chapters": {
+ *     "4": "tomb-tensions.mp3",
+ *     "8": { "track": "the-longest-journey.mp3", "ambient": null }
+ *   }
+ * }
+ * ```
+ *
+ * - `track` replaces the selected background music; `ambient` loops quietly
+ *   on top of whatever music plays
+ * - A chapter entry overrides the story-level cue; a string is shorthand for
+ *   `{ "track": ... }`, and `null` silences that layer for the chapter
+ * - File names resolve against `assets/music/`; absolute paths and URLs are
+ *   used as-is
+ */
+
+/** @typedef {import("../types.js").StoryMetadata} StoryMetadata */
+/** @typedef {import("../types.js").StorySoundtrackCue} StorySoundtrackCue */
+
+/** @type {StorySoundtrackCue} */
+export const NO_SOUNDTRACK_CUE = Object.freeze({ track: null, ambient: null });
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string|null|undefined} undefined when the layer is not specified
+ */
+function normalizeCueFile(value) {
+  if (value === null) return null;
+  if (typeof value !== "string") return undefined;
+  return value.trim() || null;
+}
+
+/**
+ * @param {unknown} entry
+ * @returns {{ track?: string|null, ambient?: string|null }}
+ */
+function normalizeCueEntry(entry) {
+  if (typeof entry === "string" || entry === null) {
+    return { track: normalizeCueFile(entry) };
+  }
+  if (!isPlainObject(entry)) {
+    return {};
+  }
+
+  const cue = {};
+  const track = normalizeCueFile(entry.track);
+  const ambient = normalizeCueFile(entry.ambient);
+  if (track !== undefined) cue.track = track;
+  if (ambient !== undefined) cue.ambient = ambient;
+  return cue;
+}
+
+/**
+ * @param {StoryMetadata[]} stories
+ * @param {string|number} storyId
+ * @returns {StoryMetadata["soundtrack"]|null}
+ */
+export function findStorySoundtrack(stories, storyId) {
+  const story = (Array.isArray(stories) ? stories : []).find(
+    (entry) => String(entry?.number) === String(storyId),
+  );
+  return isPlainObject(story?.soundtrack) ? story.soundtrack : null;
+}
+
+/**
+ * @param {StoryMetadata["soundtrack"]|null|undefined} soundtrack
+ * @param {number} chapterNumber
+ * @returns {StorySoundtrackCue}
+ */
+export function resolveSoundtrackCue(soundtrack, chapterNumber) {
+  if (!isPlainObject(soundtrack)) {
+    return NO_SOUNDTRACK_CUE;
+  }
+
+  const storyCue = normalizeCueEntry(soundtrack);
+  const chapterCue = isPlainObject(soundtrack.chapters)
+    ? normalizeCueEntry(soundtrack.chapters[String(chapterNumber)])
+    : {};
+
+  return {
+    track:
+      chapterCue.track !== undefined
+        ? chapterCue.track
+        : (storyCue.track ?? null),
+    ambient:
+      chapterCue.ambient !== undefined
+        ? chapterCue.ambient
+        : (storyCue.ambient ?? null),
+  };
+}
+
+/**
+ * @param {string|null} file
+ * @param {string} musicBaseFolder e.g. "/cyoa/assets/music/"
+ * @returns {string|null}
+ */
+export function resolveSoundtrackSource(file, musicBaseFolder) {
+  if (!file) return null;
+  if (/^https?:\/\//i.test(file) || file.startsWith("/")) return file;
+  return `${musicBaseFolder}${file.replace(/^\.\//, "")}`;
+}
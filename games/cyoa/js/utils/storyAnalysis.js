@@ -0,0 +1,309 @@
+/**
+ * Structural story analysis built on `parseStory` output.
+ *
+ * Reports reachability, orphan chapters, distinct paths from Chapter 1 to
+ * every ending (depth and word count per path) and compares the story with
+ * the length bands from `story-pipeline/README.md`. Pure functions only, so
+ * the same report drives the admin page and `node --test` checks.
+ */
+
+import {
+  FIRST_CHAPTER_NUMBER,
+  getChapterNumbers,
+  getChoiceTargets,
+  getCycleChapterNumbers,
+  getDeadEndChapterNumbers,
+  getEndingChapterNumbers,
+  getReachableChapterNumbers,
+} from "./storyGraph.js";
+
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").StoryLength} StoryLength */
+/** @typedef {import("../types.js").StoryAnalysis} StoryAnalysis */
+/** @typedef {import("../types.js").StoryLengthBandCheck} StoryLengthBandCheck */
+
+/**
+ * Planning bands from the story pipeline. Word count is the hard constraint;
+ * chapter and ending counts are heuristics.
+ */
+export const STORY_LENGTH_BANDS = Object.freeze({
+  mini: Object.freeze({
+    chapters: [8, 10],
+    endings: [3, 3],
+    words: [500, 1000],
+  }),
+  short: Object.freeze({
+    chapters: [8, 10],
+    endings: [3, 3],
+    words: [1000, 1500],
+  }),
+  medium: Object.freeze({
+    chapters: [11, 14],
+    endings: [3, 4],
+    words: [1500, 3000],
+  }),
+  long: Object.freeze({
+    chapters: [15, 20],
+    endings: [4, 5],
+    words: [3000, 5000],
+  }),
+});
+
+/** Path enumeration stops here so a heavily looping draft cannot hang the UI. */
+export const MAX_ANALYZED_PATHS = 5000;
+
+/**
+ * Chapters stepped into during path enumeration, counting branches that loop
+ * back or dead-end before an ending, which `MAX_ANALYZED_PATHS` never sees.
+ */
+export const MAX_ANALYZED_STEPS = 100000;
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+export function countWords(text) {
+  const words = String(text || "")
+    .trim()
+    .match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu);
+  return words ? words.length : 0;
+}
+
+/**
+ * @param {StoryChapter|null|undefined} chapter
+ * @returns {number}
+ */
+export function countChapterWords(chapter) {
+  return countWords(chapter?.content);
+}
+
+/**
+ * Picks the band whose word range contains the total, falling back to the
+ * closest band for stories that are shorter or longer than every band.
+ *
+ * @param {number} totalWords
+ * @returns {StoryLength}
+ */
+export function classifyStoryLength(totalWords) {
+  const entries = Object.entries(STORY_LENGTH_BANDS);
+  const match = entries.find(
+    ([, band]) => totalWords >= band.words[0] && totalWords <= band.words[1],
+  );
+  if (match) {
+    return /** @type {StoryLength} */ (match[0]);
+  }
+
+  return totalWords < STORY_LENGTH_BANDS.mini.words[0] ? "mini" : "long";
+}
+
+/**
+ * Enumerates distinct paths (no chapter visited twice) from Chapter 1 to
+ * any ending. Stops, with `isCapped`, after `maxPaths` paths or `maxSteps`
+ * chapters stepped into, whichever comes first.
+ *
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @param {number} [maxPaths]
+ * @param {number} [maxSteps]
+ * @returns {{ paths: number[][], isCapped: boolean }}
+ */
+export function findEndingPaths(
+  chapters,
+  maxPaths = MAX_ANALYZED_PATHS,
+  maxSteps = MAX_ANALYZED_STEPS,
+) {
+  const endingNumbers = new Set(getEndingChapterNumbers(chapters));
+  const paths = [];
+  let steps = 0;
+  let isCapped = false;
+
+  const walk = (path, visited) => {
+    if (isCapped) return;
+    if (steps >= maxSteps) {
+      isCapped = true;
+      return;
+    }
+    steps += 1;
+
+    const current = path[path.length - 1];
+    if (endingNumbers.has(current)) {
+      if (paths.length >= maxPaths) {
+        isCapped = true;
+        return;
+      }
+      paths.push(path);
+      return;
+    }
+
+    getChoiceTargets(chapters, current).forEach((target) => {
+      if (chapters[target] && !visited.has(target)) {
+        walk([...path, target], new Set(visited).add(target));
+      }
+    });
+  };
+
+  if (chapters?.[FIRST_CHAPTER_NUMBER]) {
+    walk([FIRST_CHAPTER_NUMBER], new Set([FIRST_CHAPTER_NUMBER]));
+  }
+
+  return { paths, isCapped };
+}
+
+/**
+ * @param {number} value
+ * @param {[number, number]} range
+ * @returns {StoryLengthBandCheck}
+ */
+function checkRange(value, [min, max]) {
+  return { value, min, max, isWithinBand: value >= min && value <= max };
+}
+
+/**
+ * @param {number[]} values
+ * @returns {{ min: number, max: number, average: number }}
+ */
+function summarize(values) {
+  if (values.length === 0) {
+    return { min: 0, max: 0, average: 0 };
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    average: Math.round(total / values.length),
+  };
+}
+
+/**
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @param {{ length?: StoryLength|null }} [options] band to check against;
+ *   inferred from the total word count when omitted
+ * @returns {StoryAnalysis}
+ */
+export function analyzeStory(chapters, options = {}) {
+  const chapterNumbers = getChapterNumbers(chapters);
+  const endingNumbers = getEndingChapterNumbers(chapters);
+  const reachable = new Set(getReachableChapterNumbers(chapters));
+  const wordsByChapter = new Map(
+    chapterNumbers.map((chapterNumber) => [
+      chapterNumber,
+      countChapterWords(chapters[chapterNumber]),
+    ]),
+  );
+  const totalWords = [...wordsByChapter.values()].reduce(
+    (sum, words) => sum + words,
+    0,
+  );
+
+  const { paths, isCapped } = findEndingPaths(chapters);
+  const countPathWords = (path) =>
+    path.reduce(
+      (sum, chapterNumber) => sum + wordsByChapter.get(chapterNumber),
+      0,
+    );
+
+  const endings = endingNumbers.map((chapterNumber) => {
+    const endingPaths = paths.filter(
+      (path) => path[path.length - 1] === chapterNumber,
+    );
+    const depths = summarize(endingPaths.map((path) => path.length - 1));
+    const words = summarize(endingPaths.map(countPathWords));
+
+    return {
+      chapterNumber,
+      title: chapters[chapterNumber].title,
+      pathCount: endingPaths.length,
+      minDepth: depths.min,
+      maxDepth: depths.max,
+      minWords: words.min,
+      maxWords: words.max,
+    };
+  });
+
+  const requestedLength =
+    options.length && STORY_LENGTH_BANDS[options.length]
+      ? options.length
+      : null;
+  const length = requestedLength || classifyStoryLength(totalWords);
+  const band = STORY_LENGTH_BANDS[length];
+
+  return {
+    chapterCount: chapterNumbers.length,
+    endingCount: endingNumbers.length,
+    totalWords,
+    reachableChapterNumbers: chapterNumbers.filter((chapterNumber) =>
+      reachable.has(chapterNumber),
+    ),
+    orphanChapterNumbers: chapterNumbers.filter(
+      (chapterNumber) => !reachable.has(chapterNumber),
+    ),
+    deadEndChapterNumbers: getDeadEndChapterNumbers(chapters),
+    cycleChapterNumbers: getCycleChapterNumbers(chapters),
+    pathCount: paths.length,
+    isPathCountCapped: isCapped,
+    pathDepth: summarize(paths.map((path) => path.length - 1)),
+    pathWords: summarize(paths.map(countPathWords)),
+    endings,
+    lengthBand: {
+      length,
+      isInferred: !requestedLength,
+      chapters: checkRange(chapterNumbers.length, band.chapters),
+      endings: checkRange(endingNumbers.length, band.endings),
+      words: checkRange(totalWords, band.words),
+    },
+  };
+}
+
+/**
+ * Human-readable problems worth fixing before publishing.
+ *
+ * @param {StoryAnalysis} analysis
+ * @returns {string[]}
+ */
+export function getStoryAnalysisWarnings(analysis) {
+  const warnings = [];
+  const { lengthBand } = analysis;
+
+  if (analysis.orphanChapterNumbers.length > 0) {
+    warnings.push(
+      `Unreachable from Chapter 1: ${analysis.orphanChapterNumbers.join(", ")}`,
+    );
+  }
+  if (analysis.deadEndChapterNumbers.length > 0) {
+    warnings.push(
+      `No ending can be reached from: ${analysis.deadEndChapterNumbers.join(", ")}`,
+    );
+  }
+  analysis.endings
+    .filter((ending) => ending.pathCount === 0)
+    .forEach((ending) => {
+      warnings.push(
+        `Ending ${ending.chapterNumber} (${ending.title}) has no path from Chapter 1`,
+      );
+    });
+
+  if (analysis.isPathCountCapped) {
+    warnings.push(
+      `Stopped counting after ${analysis.pathCount} paths; path stats are partial`,
+    );
+  }
+
+  if (!lengthBand.words.isWithinBand) {
+    warnings.push(
+      `Total words ${lengthBand.words.value} outside ${lengthBand.length} band (${lengthBand.words.min}-${lengthBand.words.max})`,
+    );
+  }
+  [
+    ["chapters", "Chapters"],
+    ["endings", "Endings"],
+  ].forEach(([key, label]) => {
+    const check = lengthBand[key];
+    if (!check.isWithinBand) {
+      warnings.push(
+        `${label} ${check.value} outside the ${lengthBand.length} planning range (${check.min}-${check.max})`,
+      );
+    }
+  });
+
+  return warnings;
+}
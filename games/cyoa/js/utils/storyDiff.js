@@ -0,0 +1,283 @@
+/**
+ * Story diff helpers: line-level text diff plus a structural diff of parsed
+ * chapters (chapters added/removed, titles changed, choices retargeted).
+ *
+ * Pure functions only, so the admin diff view and tests share them.
+ */
+
+import { getChapterNumbers } from "./storyGraph.js";
+
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").LineDiffEntry} LineDiffEntry */
+/** @typedef {import("../types.js").StoryStructureDiff} StoryStructureDiff */
+
+/**
+ * Longest-common-subsequence line diff. Shared leading and trailing lines
+ * are peeled off first so typical revisions only pay for the changed middle.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {LineDiffEntry[]}
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = String(oldText ?? "").split("\n");
+  const newLines = String(newText ?? "").split("\n");
+
+  let prefixLength = 0;
+  while (
+    prefixLength < oldLines.length &&
+    prefixLength < newLines.length &&
+    oldLines[prefixLength] === newLines[prefixLength]
+  ) {
+    prefixLength += 1;
+  }
+
+  let suffixLength = 0;
+  while (
+    suffixLength < oldLines.length - prefixLength &&
+    suffixLength < newLines.length - prefixLength &&
+    oldLines[oldLines.length - 1 - suffixLength] ===
+      newLines[newLines.length - 1 - suffixLength]
+  ) {
+    suffixLength += 1;
+  }
+
+  const oldMiddle = oldLines.slice(
+    prefixLength,
+    oldLines.length - suffixLength,
+  );
+  const newMiddle = newLines.slice(
+    prefixLength,
+    newLines.length - suffixLength,
+  );
+
+  // lcs[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+  const lcs = Array.from({ length: oldMiddle.length + 1 }, () =>
+    new Array(newMiddle.length + 1).fill(0),
+  );
+  for (let i = oldMiddle.length - 1; i >= 0; i -= 1) {
+    for (let j = newMiddle.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] =
+        oldMiddle[i] === newMiddle[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const entries = oldLines.slice(0, prefixLength).map((text, index) => ({
+    type: "equal",
+    text,
+    oldLine: index + 1,
+    newLine: index + 1,
+  }));
+
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length || j < newMiddle.length) {
+    const oldLine = prefixLength + i + 1;
+    const newLine = prefixLength + j + 1;
+
+    if (
+      i < oldMiddle.length &&
+      j < newMiddle.length &&
+      oldMiddle[i] === newMiddle[j]
+    ) {
+      entries.push({ type: "equal", text: oldMiddle[i], oldLine, newLine });
+      i += 1;
+      j += 1;
+    } else if (
+      j < newMiddle.length &&
+      (i === oldMiddle.length || lcs[i][j + 1] >= lcs[i + 1][j])
+    ) {
+      entries.push({
+        type: "added",
+        text: newMiddle[j],
+        oldLine: null,
+        newLine,
+      });
+      j += 1;
+    } else {
+      entries.push({
+        type: "removed",
+        text: oldMiddle[i],
+        oldLine,
+        newLine: null,
+      });
+      i += 1;
+    }
+  }
+
+  const suffixOldStart = oldLines.length - suffixLength;
+  const suffixNewStart = newLines.length - suffixLength;
+  for (let index = 0; index < suffixLength; index += 1) {
+    entries.push({
+      type: "equal",
+      text: oldLines[suffixOldStart + index],
+      oldLine: suffixOldStart + index + 1,
+      newLine: suffixNewStart + index + 1,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Pairs a line diff up for a two-column view: each run of removed lines is
+ * laid beside the run of added lines that replaces it.
+ *
+ * @param {LineDiffEntry[]} entries
+ * @returns {{ type: "equal"|"changed"|"added"|"removed", old: LineDiffEntry|null, new: LineDiffEntry|null }[]}
+ */
+export function toSideBySideRows(entries) {
+  const rows = [];
+  let index = 0;
+
+  while (index < entries.length) {
+    if (entries[index].type === "equal") {
+      rows.push({ type: "equal", old: entries[index], new: entries[index] });
+      index += 1;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < entries.length && entries[index].type !== "equal") {
+      (entries[index].type === "removed" ? removed : added).push(
+        entries[index],
+      );
+      index += 1;
+    }
+
+    for (
+      let offset = 0;
+      offset < Math.max(removed.length, added.length);
+      offset += 1
+    ) {
+      const oldEntry = removed[offset] || null;
+      const newEntry = added[offset] || null;
+      rows.push({
+        type: oldEntry && newEntry ? "changed" : oldEntry ? "removed" : "added",
+        old: oldEntry,
+        new: newEntry,
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Compares choices by position (choice number), which is how authors and the
+ * parser number them.
+ *
+ * @param {number} chapterNumber
+ * @param {StoryChapter} oldChapter
+ * @param {StoryChapter} newChapter
+ */
+function diffChapterChoices(chapterNumber, oldChapter, newChapter) {
+  const oldChoices = oldChapter.choices || [];
+  const newChoices = newChapter.choices || [];
+  const changes = [];
+
+  for (
+    let index = 0;
+    index < Math.max(oldChoices.length, newChoices.length);
+    index += 1
+  ) {
+    const oldChoice = oldChoices[index];
+    const newChoice = newChoices[index];
+    const base = { chapterNumber, choiceNumber: index + 1 };
+
+    if (!oldChoice) {
+      changes.push({
+        ...base,
+        type: "added",
+        newText: newChoice.text,
+        newTarget: newChoice.chapterNumber,
+      });
+    } else if (!newChoice) {
+      changes.push({
+        ...base,
+        type: "removed",
+        oldText: oldChoice.text,
+        oldTarget: oldChoice.chapterNumber,
+      });
+    } else {
+      if (oldChoice.chapterNumber !== newChoice.chapterNumber) {
+        changes.push({
+          ...base,
+          type: "retargeted",
+          newText: newChoice.text,
+          oldTarget: oldChoice.chapterNumber,
+          newTarget: newChoice.chapterNumber,
+        });
+      }
+      if (oldChoice.text !== newChoice.text) {
+        changes.push({
+          ...base,
+          type: "text",
+          oldText: oldChoice.text,
+          newText: newChoice.text,
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * @param {Record<string|number, StoryChapter>} oldChapters
+ * @param {Record<string|number, StoryChapter>} newChapters
+ * @returns {StoryStructureDiff}
+ */
+export function diffStoryStructure(oldChapters, newChapters) {
+  const oldNumbers = getChapterNumbers(oldChapters);
+  const newNumbers = getChapterNumbers(newChapters);
+  const sharedNumbers = oldNumbers.filter((chapterNumber) =>
+    newNumbers.includes(chapterNumber),
+  );
+  const toSummary = (chapters) => (chapterNumber) => ({
+    chapterNumber,
+    title: chapters[chapterNumber].title,
+  });
+
+  return {
+    addedChapters: newNumbers
+      .filter((chapterNumber) => !oldNumbers.includes(chapterNumber))
+      .map(toSummary(newChapters)),
+    removedChapters: oldNumbers
+      .filter((chapterNumber) => !newNumbers.includes(chapterNumber))
+      .map(toSummary(oldChapters)),
+    retitledChapters: sharedNumbers
+      .filter(
+        (chapterNumber) =>
+          oldChapters[chapterNumber].title !== newChapters[chapterNumber].title,
+      )
+      .map((chapterNumber) => ({
+        chapterNumber,
+        oldTitle: oldChapters[chapterNumber].title,
+        newTitle: newChapters[chapterNumber].title,
+      })),
+    contentChangedChapterNumbers: sharedNumbers.filter(
+      (chapterNumber) =>
+        oldChapters[chapterNumber].content !==
+        newChapters[chapterNumber].content,
+    ),
+    choiceChanges: sharedNumbers.flatMap((chapterNumber) =>
+      diffChapterChoices(
+        chapterNumber,
+        oldChapters[chapterNumber],
+        newChapters[chapterNumber],
+      ),
+    ),
+  };
+}
+
+/**
+ * @param {StoryStructureDiff} structureDiff
+ * @returns {boolean}
+ */
+export function hasStructureChanges(structureDiff) {
+  return Object.values(structureDiff).some((changes) => changes.length > 0);
+}
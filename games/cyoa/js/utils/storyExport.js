@@ -0,0 +1,236 @@
+/**
+ * Printable story exports - standalone HTML documents built from
+ * `parseStory` output.
+ *
+ * - Playthrough transcript: the chapters a reader actually visited, in
+ *   order, each followed by the choice they took
+ * - Gamebook: every chapter as a numbered section whose choices read
+ *   "turn to section N" and link to that section
+ *
+ * Both documents inline their own stylesheet (screen and print), so they
+ * open and print without the app. Labels follow the current UI language.
+ * Pure string functions: no DOM needed.
+ */
+
+import { renderInlineMarkdown, renderStoryMarkdown } from "./storyMarkdown.js";
+import { isChoiceAvailable } from "./storyState.js";
+import { getCurrentLanguage, t } from "./i18n.js";
+import { escapeHtmlAttribute } from "./viewHelpers.js";
+
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").StoryChoice} StoryChoice */
+/** @typedef {import("../types.js").StoryProgress} StoryProgress */
+
+/**
+ * @typedef {{
+ *   chapterNumber: number,
+ *   chapter: StoryChapter,
+ *   choice: StoryChoice|null,
+ * }} PlaythroughStep
+ */
+
+const EXPORT_DOCUMENT_STYLES = `
+  body {
+    margin: 0 auto;
+    max-width: 42em;
+    padding: 2em 1.5em;
+    font-family: Georgia, "Times New Roman", serif;
+    font-size: 12pt;
+    line-height: 1.6;
+    color: #1f1f1f;
+    background: #fff;
+  }
+  h1 { font-size: 2em; margin: 0 0 0.2em; text-align: center; }
+  .export-subtitle { margin: 0 0 2.5em; text-align: center; font-style: italic; }
+  .export-section { margin: 0 0 2.5em; }
+  .export-section-number { display: block; font-size: 0.8em; letter-spacing: 0.12em; text-transform: uppercase; color: #666; }
+  h2 { font-size: 1.35em; margin: 0 0 0.6em; }
+  blockquote { margin: 1em 0; padding-left: 1em; border-left: 3px solid #bbb; font-style: italic; }
+  .scene-break { width: 30%; margin: 1.5em auto; border: 0; border-top: 1px solid #999; }
+  .chapter-dialogue { margin-left: 1em; }
+  .export-choice { margin: 1em 0 0; padding: 0.6em 0.9em; border-left: 3px solid #999; background: #f4f4f4; }
+  .export-choices { margin: 1em 0 0; padding-left: 1.4em; }
+  .export-choices li { margin: 0.3em 0; }
+  .export-choice-condition { color: #666; font-size: 0.9em; }
+  .export-ending { margin: 1em 0 0; font-weight: bold; text-align: center; }
+  a { color: inherit; }
+  @media print {
+    body { max-width: none; padding: 0; }
+    .export-section { break-inside: avoid-page; }
+    .export-gamebook .export-section { break-before: page; }
+    .export-gamebook .export-section:first-of-type { break-before: auto; }
+  }
+`;
+
+/**
+ * Pairs each visited chapter with the choice that led to the next one. When
+ * several choices share that target, the one available with the story state
+ * recorded on arrival wins.
+ *
+ * @param {Record<number, StoryChapter>} chapters
+ * @param {StoryProgress|null|undefined} progress
+ * @returns {PlaythroughStep[]}
+ */
+export function getPlaythroughSteps(chapters, progress) {
+  const trail = Array.isArray(progress?.trail) ? progress.trail : [];
+  const variablesByStep = Array.isArray(progress?.variables)
+    ? progress.variables
+    : [];
+
+  return trail
+    .map((chapterNumber, index) => {
+      const chapter = chapters?.[chapterNumber];
+      if (!chapter) return null;
+
+      const nextChapterNumber = trail[index + 1];
+      const candidates = (chapter.choices || []).filter(
+        (choice) => choice.chapterNumber === nextChapterNumber,
+      );
+      const choice =
+        candidates.find((candidate) =>
+          isChoiceAvailable(candidate, variablesByStep[index] || []),
+        ) ||
+        candidates[0] ||
+        null;
+
+      return { chapterNumber, chapter, choice };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * @param {string|number} storyId
+ * @param {"playthrough"|"gamebook"} kind
+ * @returns {string}
+ */
+export function getStoryExportFileName(storyId, kind) {
+  return `story-${String(storyId).replace(/[^\w-]+/g, "-")}-${kind}.html`;
+}
+
+/**
+ * @param {{ title: string, subtitle: string, bodyClass: string, sections: string }} document
+ * @returns {string}
+ */
+function renderExportDocument({ title, subtitle, bodyClass, sections }) {
+  const safeTitle = escapeHtmlAttribute(title);
+
+  return `<!doctype html>
+<html lang="${getCurrentLanguage()}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${safeTitle}</title>
+<style>${EXPORT_DOCUMENT_STYLES}</style>
+</head>
+<body class="${bodyClass}">
+<h1>${safeTitle}</h1>
+<p class="export-subtitle">${escapeHtmlAttribute(subtitle)}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {StoryChapter} chapter
+ * @returns {string}
+ */
+function renderEndingText(chapter) {
+  const endingText = chapter.choicesEndingText?.trim() || t("export.theEnd");
+  return `<p class="export-ending">${renderInlineMarkdown(endingText)}</p>`;
+}
+
+/**
+ * @param {{ storyTitle: string, steps: PlaythroughStep[] }} playthrough
+ * @returns {string}
+ */
+export function renderPlaythroughDocument({ storyTitle, steps }) {
+  const sections = steps
+    .map(({ chapterNumber, chapter, choice }, index) => {
+      const isLastStep = index === steps.length - 1;
+      const choiceHtml = choice
+        ? `<p class="export-choice">${t("export.youChose", { choice: renderInlineMarkdown(choice.text) })}</p>`
+        : isLastStep && !chapter.choices?.length
+          ? renderEndingText(chapter)
+          : "";
+
+      return `<section class="export-section">
+<span class="export-section-number">${t("export.chapter", { number: chapterNumber })}</span>
+<h2>${renderInlineMarkdown(chapter.title)}</h2>
+${renderStoryMarkdown(chapter.content)}
+${choiceHtml}
+</section>`;
+    })
+    .join("\n");
+
+  return renderExportDocument({
+    title: storyTitle,
+    subtitle: t(
+      steps.length === 1
+        ? "export.playthroughSubtitleOne"
+        : "export.playthroughSubtitleOther",
+      { count: steps.length },
+    ),
+    bodyClass: "export-playthrough",
+    sections,
+  });
+}
+
+/**
+ * @param {StoryChoice} choice
+ * @returns {string}
+ */
+function renderGamebookChoiceCondition(choice) {
+  if (!choice.conditions?.length) {
+    return "";
+  }
+
+  const conditions = choice.conditions
+    .map(({ variable, negated }) =>
+      t(negated ? "export.conditionWithout" : "export.conditionWith", {
+        variable,
+      }),
+    )
+    .join(", ");
+  return ` <span class="export-choice-condition">${escapeHtmlAttribute(t("export.conditionOnly", { conditions }))}</span>`;
+}
+
+/**
+ * @param {{ storyTitle: string, chapters: Record<number, StoryChapter> }} story
+ * @returns {string}
+ */
+export function renderGamebookDocument({ storyTitle, chapters }) {
+  const chapterNumbers = Object.keys(chapters || {})
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  const sections = chapterNumbers
+    .map((chapterNumber) => {
+      const chapter = chapters[chapterNumber];
+      const choicesHtml = chapter.choices?.length
+        ? `<ul class="export-choices">
+${chapter.choices
+  .map(
+    (choice) =>
+      `<li>${renderInlineMarkdown(choice.text)} — ${t("export.turnTo", { link: `<a href="#section-${choice.chapterNumber}">${t("export.section", { number: choice.chapterNumber })}</a>` })}${renderGamebookChoiceCondition(choice)}</li>`,
+  )
+  .join("\n")}
+</ul>`
+        : renderEndingText(chapter);
+
+      return `<section class="export-section" id="section-${chapterNumber}">
+<span class="export-section-number">${t("export.section", { number: chapterNumber })}</span>
+<h2>${renderInlineMarkdown(chapter.title)}</h2>
+${renderStoryMarkdown(chapter.content)}
+${choicesHtml}
+</section>`;
+    })
+    .join("\n");
+
+  return renderExportDocument({
+    title: storyTitle,
+    subtitle: t("export.gamebookSubtitle"),
+    bodyClass: "export-gamebook",
+    sections,
+  });
+}
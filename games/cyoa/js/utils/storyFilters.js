@@ -0,0 +1,169 @@
+/**
+ * Home page story filters: parse/serialize the hash query and apply
+ * search, filters and sorting to story metadata.
+ *
+ * Filters live in the hash route (e.g. `#/?tone=Humorous&sort=newest`) so a
+ * filtered list can be shared; default values are left out of the query.
+ */
+
+import { STORY_LENGTH_BANDS } from "./storyAnalysis.js";
+
+/** @typedef {import("../types.js").StoryMetadata} StoryMetadata */
+/** @typedef {import("../types.js").StoryFilters} StoryFilters */
+/** @typedef {import("../types.js").StorySortOrder} StorySortOrder */
+
+/** @type {Record<StorySortOrder, string>} */
+export const STORY_SORT_LABELS = {
+  default: "Featured",
+  newest: "Newest",
+  shortest: "Shortest",
+  time: "Reading time",
+};
+
+/** @type {StoryFilters} */
+export const DEFAULT_STORY_FILTERS = Object.freeze({
+  q: "",
+  tone: "",
+  length: "",
+  keyword: "",
+  approved: false,
+  sort: "default",
+});
+
+const LENGTH_ORDER = Object.keys(STORY_LENGTH_BANDS);
+
+/**
+ * @param {string|URLSearchParams|null|undefined} query e.g. `tone=Humorous&approved=1`
+ * @returns {StoryFilters}
+ */
+export function parseStoryFilters(query) {
+  const searchParams =
+    query instanceof URLSearchParams
+      ? query
+      : new URLSearchParams(String(query ?? "").replace(/^\?/, ""));
+  const sort = searchParams.get("sort") || "";
+
+  return {
+    q: (searchParams.get("q") || "").trim(),
+    tone: searchParams.get("tone") || "",
+    length: searchParams.get("length") || "",
+    keyword: searchParams.get("keyword") || "",
+    approved: searchParams.get("approved") === "1",
+    sort: Object.hasOwn(STORY_SORT_LABELS, sort)
+      ? /** @type {StorySortOrder} */ (sort)
+      : DEFAULT_STORY_FILTERS.sort,
+  };
+}
+
+/**
+ * @param {Partial<StoryFilters>} filters
+ * @returns {string} query string without the leading `?`, or "" for defaults
+ */
+export function serializeStoryFilters(filters) {
+  const searchParams = new URLSearchParams();
+  const { q, tone, length, keyword, approved, sort } = {
+    ...DEFAULT_STORY_FILTERS,
+    ...filters,
+  };
+
+  if (q.trim()) searchParams.set("q", q.trim());
+  if (tone) searchParams.set("tone", tone);
+  if (length) searchParams.set("length", length);
+  if (keyword) searchParams.set("keyword", keyword);
+  if (approved) searchParams.set("approved", "1");
+  if (sort !== DEFAULT_STORY_FILTERS.sort) searchParams.set("sort", sort);
+
+  return searchParams.toString();
+}
+
+/**
+ * @param {Partial<StoryFilters>} filters
+ * @returns {boolean}
+ */
+export function hasActiveStoryFilters(filters) {
+  return serializeStoryFilters(filters) !== "";
+}
+
+/**
+ * @param {string|null|undefined} approxTime e.g. "2-3 min"
+ * @returns {number} lower bound in minutes, or `Infinity` when unknown
+ */
+export function parseApproxMinutes(approxTime) {
+  const match = String(approxTime ?? "").match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : Number.POSITIVE_INFINITY;
+}
+
+function getLengthRank(length) {
+  const rank = LENGTH_ORDER.indexOf(length);
+  return rank === -1 ? LENGTH_ORDER.length : rank;
+}
+
+/**
+ * @param {StoryMetadata[]} stories
+ * @returns {{ tones: string[], lengths: string[], keywords: string[] }}
+ */
+export function getStoryFilterOptions(stories) {
+  const unique = (values) =>
+    Array.from(new Set(values.filter(Boolean).map(String)));
+
+  return {
+    tones: unique(stories.map((story) => story.tone)).sort(),
+    lengths: unique(stories.map((story) => story.length)).sort(
+      (left, right) => getLengthRank(left) - getLengthRank(right),
+    ),
+    keywords: unique(stories.flatMap((story) => story.keywords || [])).sort(),
+  };
+}
+
+/**
+ * @param {StoryMetadata} story
+ * @param {string} searchText lower-cased search text
+ * @returns {boolean}
+ */
+function matchesSearchText(story, searchText) {
+  if (!searchText) {
+    return true;
+  }
+
+  return [story.title, ...(story.keywords || [])].some((value) =>
+    String(value ?? "")
+      .toLowerCase()
+      .includes(searchText),
+  );
+}
+
+/** @type {Record<StorySortOrder, ((left: StoryMetadata, right: StoryMetadata) => number)|null>} */
+const STORY_COMPARATORS = {
+  default: null,
+  newest: (left, right) => Number(right.number) - Number(left.number),
+  shortest: (left, right) =>
+    getLengthRank(left.length) - getLengthRank(right.length) ||
+    (left.chapters ?? 0) - (right.chapters ?? 0),
+  time: (left, right) =>
+    parseApproxMinutes(left.approxTime) - parseApproxMinutes(right.approxTime),
+};
+
+/**
+ * @param {StoryMetadata[]} stories
+ * @param {Partial<StoryFilters>} filters
+ * @returns {StoryMetadata[]} a new array; ties keep metadata file order
+ */
+export function filterAndSortStories(stories, filters) {
+  const { q, tone, length, keyword, approved, sort } = {
+    ...DEFAULT_STORY_FILTERS,
+    ...filters,
+  };
+  const searchText = q.trim().toLowerCase();
+
+  const filtered = stories.filter(
+    (story) =>
+      (!tone || story.tone === tone) &&
+      (!length || story.length === length) &&
+      (!keyword || (story.keywords || []).includes(keyword)) &&
+      (!approved || Boolean(story.approved)) &&
+      matchesSearchText(story, searchText),
+  );
+
+  const comparator = STORY_COMPARATORS[sort];
+  return comparator ? filtered.sort(comparator) : filtered;
+}
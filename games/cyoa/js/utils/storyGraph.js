@@ -0,0 +1,307 @@
+/**
+ * Chapter graph helpers built on `parseStory` output.
+ *
+ * Chapters are nodes keyed by chapter number; choices are directed edges
+ * to their target chapter. Every helper is pure and works on the parsed
+ * `{ [chapterNumber]: chapter }` map.
+ */
+
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").StoryGraph} StoryGraph */
+
+export const FIRST_CHAPTER_NUMBER = 1;
+
+/**
+ * @param {StoryChapter|null|undefined} chapter
+ * @returns {boolean}
+ */
+export function isEndingChapter(chapter) {
+  return chapter?.choicesEndingText === "The End";
+}
+
+/**
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @returns {number[]}
+ */
+export function getChapterNumbers(chapters) {
+  return Object.keys(chapters || {})
+    .map((key) => Number.parseInt(key, 10))
+    .filter((chapterNumber) => !Number.isNaN(chapterNumber))
+    .sort((left, right) => left - right);
+}
+
+/**
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @returns {number[]}
+ */
+export function getEndingChapterNumbers(chapters) {
+  return getChapterNumbers(chapters).filter((chapterNumber) =>
+    isEndingChapter(chapters[chapterNumber]),
+  );
+}
+
+/**
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @param {number} chapterNumber
+ * @returns {number[]}
+ */
+export function getChoiceTargets(chapters, chapterNumber) {
+  const choices = chapters?.[chapterNumber]?.choices;
+  return Array.isArray(choices)
+    ? choices.map((choice) => choice.chapterNumber)
+    : [];
+}
+
+/**
+ * Breadth-first shortest path between two chapters.
+ *
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @param {number} fromChapter
+ * @param {number} toChapter
+ * @returns {number[]|null} chapter numbers from start to target, inclusive
+ */
+export function findShortestPath(chapters, fromChapter, toChapter) {
+  if (!chapters?.[fromChapter] || !chapters?.[toChapter]) {
+    return null;
+  }
+
+  const previousByChapter = new Map([[fromChapter, null]]);
+  const queue = [fromChapter];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === toChapter) {
+      const path = [];
+      let node = current;
+      while (node !== null) {
+        path.unshift(node);
+        node = previousByChapter.get(node);
+      }
+      return path;
+    }
+
+    getChoiceTargets(chapters, current).forEach((target) => {
+      if (!previousByChapter.has(target) && chapters[target]) {
+        previousByChapter.set(target, current);
+        queue.push(target);
+      }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Returns the last decision point (a chapter with two or more choices) on
+ * the shortest path from Chapter 1 to the given ending. Replaying from
+ * there is the quickest way to reach that ending.
+ *
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @param {number} endingChapterNumber
+ * @returns {number|null}
+ */
+export function findEndingBranchChapter(chapters, endingChapterNumber) {
+  const path = findShortestPath(
+    chapters,
+    FIRST_CHAPTER_NUMBER,
+    endingChapterNumber,
+  );
+  if (!path || path.length < 2) {
+    return null;
+  }
+
+  const decisionPoints = path
+    .slice(0, -1)
+    .filter(
+      (chapterNumber) => getChoiceTargets(chapters, chapterNumber).length > 1,
+    );
+
+  return decisionPoints.length > 0
+    ? decisionPoints[decisionPoints.length - 1]
+    : path[path.length - 2];
+}
+
+/**
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @returns {Map<number, number>} chapter number -> fewest choices from Chapter 1
+ */
+export function getChapterDepths(chapters) {
+  const depths = new Map();
+  if (!chapters?.[FIRST_CHAPTER_NUMBER]) {
+    return depths;
+  }
+
+  depths.set(FIRST_CHAPTER_NUMBER, 0);
+  const queue = [FIRST_CHAPTER_NUMBER];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    getChoiceTargets(chapters, current).forEach((target) => {
+      if (!depths.has(target) && chapters[target]) {
+        depths.set(target, depths.get(current) + 1);
+        queue.push(target);
+      }
+    });
+  }
+
+  return depths;
+}
+
+/**
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @returns {number[]}
+ */
+export function getReachableChapterNumbers(chapters) {
+  return [...getChapterDepths(chapters).keys()].sort(
+    (left, right) => left - right,
+  );
+}
+
+/**
+ * Chapters that sit on a loop (part of a strongly connected component with
+ * more than one chapter, or pointing at themselves).
+ *
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @returns {number[]}
+ */
+export function getCycleChapterNumbers(chapters) {
+  const indexByChapter = new Map();
+  const lowLinkByChapter = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycleChapters = new Set();
+  let nextIndex = 0;
+
+  const visit = (chapterNumber) => {
+    indexByChapter.set(chapterNumber, nextIndex);
+    lowLinkByChapter.set(chapterNumber, nextIndex);
+    nextIndex += 1;
+    stack.push(chapterNumber);
+    onStack.add(chapterNumber);
+
+    const targets = getChoiceTargets(chapters, chapterNumber).filter(
+      (target) => chapters[target],
+    );
+    targets.forEach((target) => {
+      if (!indexByChapter.has(target)) {
+        visit(target);
+        lowLinkByChapter.set(
+          chapterNumber,
+          Math.min(
+            lowLinkByChapter.get(chapterNumber),
+            lowLinkByChapter.get(target),
+          ),
+        );
+      } else if (onStack.has(target)) {
+        lowLinkByChapter.set(
+          chapterNumber,
+          Math.min(
+            lowLinkByChapter.get(chapterNumber),
+            indexByChapter.get(target),
+          ),
+        );
+      }
+    });
+
+    if (
+      lowLinkByChapter.get(chapterNumber) !== indexByChapter.get(chapterNumber)
+    ) {
+      return;
+    }
+
+    const component = [];
+    let member = null;
+    while (member !== chapterNumber) {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    }
+
+    if (component.length > 1 || targets.includes(chapterNumber)) {
+      component.forEach((value) => cycleChapters.add(value));
+    }
+  };
+
+  getChapterNumbers(chapters).forEach((chapterNumber) => {
+    if (!indexByChapter.has(chapterNumber)) {
+      visit(chapterNumber);
+    }
+  });
+
+  return [...cycleChapters].sort((left, right) => left - right);
+}
+
+/**
+ * Non-ending chapters from which no ending can be reached: either they have
+ * no choices at all or every path out of them loops back without ending.
+ *
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @returns {number[]}
+ */
+export function getDeadEndChapterNumbers(chapters) {
+  const chapterNumbers = getChapterNumbers(chapters);
+  const predecessorsByChapter = new Map(
+    chapterNumbers.map((chapterNumber) => [chapterNumber, []]),
+  );
+  chapterNumbers.forEach((chapterNumber) => {
+    getChoiceTargets(chapters, chapterNumber).forEach((target) => {
+      predecessorsByChapter.get(target)?.push(chapterNumber);
+    });
+  });
+
+  const leadsToEnding = new Set(getEndingChapterNumbers(chapters));
+  const queue = [...leadsToEnding];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    predecessorsByChapter.get(current).forEach((predecessor) => {
+      if (!leadsToEnding.has(predecessor)) {
+        leadsToEnding.add(predecessor);
+        queue.push(predecessor);
+      }
+    });
+  }
+
+  return chapterNumbers.filter(
+    (chapterNumber) => !leadsToEnding.has(chapterNumber),
+  );
+}
+
+/**
+ * Summarizes the chapter graph for visualizers: one node per chapter and one
+ * edge per choice, flagged with the structural problems worth reviewing.
+ *
+ * @param {Record<string|number, StoryChapter>} chapters
+ * @returns {StoryGraph}
+ */
+export function buildStoryGraph(chapters) {
+  const depths = getChapterDepths(chapters);
+  const cycleChapters = new Set(getCycleChapterNumbers(chapters));
+  const deadEndChapters = new Set(getDeadEndChapterNumbers(chapters));
+  const chapterNumbers = getChapterNumbers(chapters);
+
+  const nodes = chapterNumbers.map((chapterNumber) => ({
+    chapterNumber,
+    title: chapters[chapterNumber].title,
+    depth: depths.has(chapterNumber) ? depths.get(chapterNumber) : null,
+    isEnding: isEndingChapter(chapters[chapterNumber]),
+    isReachable: depths.has(chapterNumber),
+    isDeadEnd: deadEndChapters.has(chapterNumber),
+    isInCycle: cycleChapters.has(chapterNumber),
+  }));
+
+  const edges = chapterNumbers.flatMap((chapterNumber) =>
+    (chapters[chapterNumber].choices || []).map((choice) => ({
+      from: chapterNumber,
+      to: choice.chapterNumber,
+      text: choice.text,
+      isConditional: Array.isArray(choice.conditions),
+      isInCycle:
+        cycleChapters.has(chapterNumber) &&
+        cycleChapters.has(choice.chapterNumber) &&
+        findShortestPath(chapters, choice.chapterNumber, chapterNumber) !==
+          null,
+    })),
+  );
+
+  return { nodes, edges };
+}
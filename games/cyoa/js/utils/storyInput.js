@@ -0,0 +1,143 @@
+/**
+ * Keyboard and gamepad mappings for the story reader.
+ *
+ * Keyboard:
+ * - `1`-`9` take the matching choice
+ * - `Backspace` / `Alt+ArrowLeft` go back one step on the reading trail
+ * - `Home` restarts the story at chapter 1
+ * - arrow keys move the focus ring over the choices, `Enter` follows it
+ *
+ * Gamepad (standard mapping):
+ * - D-pad or left stick moves the focus ring, A takes the focused choice
+ * - B goes back, Start restarts
+ *
+ * Pure functions: the story view reads events/gamepads and applies actions.
+ */
+
+/**
+ * @typedef {{ type: "choice", index: number }
+ *   | { type: "focus", delta: number }
+ *   | { type: "activate" }
+ *   | { type: "back" }
+ *   | { type: "restart" }} StoryInputAction
+ */
+
+export const GAMEPAD_BUTTONS = {
+  a: 0,
+  b: 1,
+  start: 9,
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15,
+};
+
+const STICK_THRESHOLD = 0.6;
+
+/**
+ * @param {{ key: string, altKey?: boolean, ctrlKey?: boolean, metaKey?: boolean, shiftKey?: boolean }} event
+ * @returns {StoryInputAction|null}
+ */
+export function getStoryKeyAction(event) {
+  const { key, altKey, ctrlKey, metaKey, shiftKey } = event;
+
+  if (altKey && !ctrlKey && !metaKey && key === "ArrowLeft") {
+    return { type: "back" };
+  }
+  if (altKey || ctrlKey || metaKey) return null;
+
+  if (/^[1-9]$/.test(key)) {
+    return { type: "choice", index: Number(key) - 1 };
+  }
+
+  if (shiftKey) return null;
+
+  switch (key) {
+    case "Backspace":
+      return { type: "back" };
+    case "Home":
+      return { type: "restart" };
+    case "ArrowDown":
+    case "ArrowRight":
+      return { type: "focus", delta: 1 };
+    case "ArrowUp":
+    case "ArrowLeft":
+      return { type: "focus", delta: -1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Moves the focus ring, wrapping around. With nothing focused, moving down
+ * lands on the first choice and moving up on the last.
+ *
+ * @param {number} currentIndex -1 when no choice is focused
+ * @param {number} delta
+ * @param {number} count
+ * @returns {number} -1 when there is nothing to focus
+ */
+export function getNextFocusIndex(currentIndex, delta, count) {
+  if (count <= 0) return -1;
+  if (currentIndex < 0) return delta >= 0 ? 0 : count - 1;
+  return (((currentIndex + delta) % count) + count) % count;
+}
+
+/**
+ * Reduces a gamepad snapshot to its pressed inputs, folding the left stick
+ * into the D-pad directions.
+ *
+ * @param {{ buttons: ArrayLike<{ pressed: boolean }>, axes?: ArrayLike<number> }} gamepad
+ * @returns {Set<string>}
+ */
+export function getPressedGamepadInputs(gamepad) {
+  const pressed = new Set();
+
+  Object.entries(GAMEPAD_BUTTONS).forEach(([name, index]) => {
+    if (gamepad.buttons[index]?.pressed) pressed.add(name);
+  });
+
+  const [stickX = 0, stickY = 0] = Array.from(gamepad.axes || []);
+  if (stickY <= -STICK_THRESHOLD) pressed.add("up");
+  if (stickY >= STICK_THRESHOLD) pressed.add("down");
+  if (stickX <= -STICK_THRESHOLD) pressed.add("left");
+  if (stickX >= STICK_THRESHOLD) pressed.add("right");
+
+  return pressed;
+}
+
+/**
+ * Returns actions for inputs pressed since the previous poll, so holding a
+ * button fires once.
+ *
+ * @param {Set<string>} previousPressed
+ * @param {Set<string>} pressed
+ * @returns {StoryInputAction[]}
+ */
+export function getGamepadActions(previousPressed, pressed) {
+  /** @type {Record<string, StoryInputAction>} */
+  const actionsByInput = {
+    up: { type: "focus", delta: -1 },
+    left: { type: "focus", delta: -1 },
+    down: { type: "focus", delta: 1 },
+    right: { type: "focus", delta: 1 },
+    a: { type: "activate" },
+    b: { type: "back" },
+    start: { type: "restart" },
+  };
+
+  return Object.keys(actionsByInput)
+    .filter((input) => pressed.has(input) && !previousPressed.has(input))
+    .map((input) => actionsByInput[input]);
+}
+
+/**
+ * @param {{ trail: number[] }|null} progress
+ * @param {number} currentChapter
+ * @returns {number|null} the chapter read before `currentChapter`
+ */
+export function getTrailBackChapter(progress, currentChapter) {
+  const trail = progress?.trail || [];
+  const currentIndex = trail.lastIndexOf(currentChapter);
+  return currentIndex > 0 ? trail[currentIndex - 1] : null;
+}
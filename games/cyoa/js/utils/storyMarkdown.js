@@ -0,0 +1,108 @@
+/**
+ * Safe markdown rendering for chapter prose.
+ *
+ * Supported syntax (everything else is shown as escaped text):
+ * - `*emphasis*` / `_emphasis_` and `**strong**`
+ * - `--` typed as a dash becomes an em dash; a paragraph that opens with
+ *   `— ` is a line of dialogue
+ * - a line of `---`, `***` or `* * *` is a scene break
+ * - lines starting with `>` form a block quote (letters, logs, notes)
+ *
+ * Text is HTML-escaped before any markup is added, so story files can never
+ * inject tags. Pure string functions: no DOM needed, usable in Node tests.
+ */
+
+import { escapeHtmlAttribute } from "./viewHelpers.js";
+
+const SCENE_BREAK_PATTERN = /^(?:-{3,}|\*{3,}|(?:\* ){2,}\*)$/;
+const QUOTE_LINE_PATTERN = /^>\s?/;
+const DIALOGUE_DASH_PATTERN = /^(?:—|--)\s/;
+
+/**
+ * Renders one line or paragraph of inline markdown as safe HTML.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function renderInlineMarkdown(text) {
+  return escapeHtmlAttribute(text)
+    .replace(/(^|[^-])--(?!-)/g, "$1—")
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+/**
+ * @param {string} text
+ * @returns {string} the text without emphasis markers, e.g. for narration
+ */
+export function stripInlineMarkdown(text) {
+  return String(text ?? "")
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "$1")
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, "$1")
+    .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "$1$2");
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function renderParagraph(lines) {
+  const text = lines.map((line) => line.trim()).join("\n");
+  const className = DIALOGUE_DASH_PATTERN.test(text)
+    ? ' class="chapter-dialogue"'
+    : "";
+
+  return `<p${className}>${renderInlineMarkdown(text).replace(/\n/g, "<br>")}</p>`;
+}
+
+/**
+ * Renders chapter content: paragraphs, scene breaks and block quotes.
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+export function renderStoryMarkdown(content) {
+  const blocks = [];
+  /** @type {{ type: "paragraph"|"quote", lines: string[] }|null} */
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+
+    blocks.push(
+      current.type === "quote"
+        ? `<blockquote class="chapter-quote">${renderStoryMarkdown(current.lines.join("\n"))}</blockquote>`
+        : renderParagraph(current.lines),
+    );
+    current = null;
+  };
+
+  String(content ?? "")
+    .split("\n")
+    .forEach((line) => {
+      const trimmed = line.trim();
+
+      if (!trimmed) {
+        flush();
+      } else if (SCENE_BREAK_PATTERN.test(trimmed)) {
+        flush();
+        blocks.push('<hr class="scene-break">');
+      } else if (QUOTE_LINE_PATTERN.test(trimmed)) {
+        if (current?.type !== "quote") {
+          flush();
+          current = { type: "quote", lines: [] };
+        }
+        current.lines.push(trimmed.replace(QUOTE_LINE_PATTERN, ""));
+      } else {
+        if (current?.type !== "paragraph") {
+          flush();
+          current = { type: "paragraph", lines: [] };
+        }
+        current.lines.push(trimmed);
+      }
+    });
+  flush();
+
+  return blocks.join("");
+}
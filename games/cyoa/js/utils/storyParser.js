@@ -24,15 +24,36 @@
  * 7) Choice targets:
  *    - Must reference an existing chapter
  *    - Must not reference the same chapter
+ * 8) Optional variables section (story state flags):
+ *    - ## Variables, placed before the first chapter
+ *    - One or more bullet items in format: - variable_name
+ *    - Variable names must be unique
+ * 9) Choice annotations (after the target chapter):
+ *    - [if name] / [if not name] guard when the choice is shown
+ *    - [set name] / [unset name] change state when the choice is taken
+ *    - Annotations may only reference declared variables
+ *    - A chapter with guarded choices must keep one unguarded choice
+ *
+ * `parseStoryWithDiagnostics` reports every rule violation with its line,
+ * column and rule id; `parseStory` throws them all as one error.
  */
 
+import { getTranslation } from "./i18n.js";
+
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+/** @typedef {import("../types.js").StoryDiagnostic} StoryDiagnostic */
+
 const REGEX = {
   storyTitleHeading: /^#\s+.+$/,
   keywordsHeading: /^##\s+Keywords\s*$/i,
+  variablesHeading: /^##\s+Variables\s*$/i,
   chapterHeading: /##\s+Chapter\s+(\d+)/i,
   chapterSectionHeading: /###\s+(\w+)/i,
   keywordBullet: /^-\s+.+$/,
-  choiceLine: /^(\d+)\.\s+(.+?)\s*->\s*(\d+)$/,
+  choiceLine: /^(\d+)\.\s+(.+?)\s*->\s*(\d+)((?:\s*\[[^\]]*\])*)$/,
+  choiceAnnotation: /\[([^\]]*)\]/g,
+  choiceAnnotationBody: /^(if not|if|set|unset)\s+([a-z_][a-z0-9_]*)$/i,
+  variableBullet: /^-\s+([a-z_][a-z0-9_]*)$/i,
   theEndLine: /^the\s+end$/i,
 };
 
@@ -81,13 +102,81 @@ export const PARSER_RULES = Object.freeze({
   FIRST_CHAPTER_IS_ONE: "First chapter must be Chapter 1",
   AT_LEAST_ONE_CHAPTER:
     "No chapters found. Add at least one chapter in format: ## Chapter N",
+  VARIABLES_SECTION_POSITION:
+    "Variables section (## Variables) must appear before the first chapter",
+  VARIABLES_FORMAT:
+    "Variables section must contain one or more bullet items in format: - variable_name",
+  UNIQUE_VARIABLE_NAMES: "Variable names must be unique",
+  CHOICE_ANNOTATION_FORMAT:
+    "Choice annotations must be one of: [if name], [if not name], [set name], [unset name]",
+  CHOICE_VARIABLE_DECLARED:
+    "Choice annotations must reference variables declared in ## Variables",
+  UNCONDITIONAL_CHOICE_REQUIRED:
+    "Chapters with [if ...] choices must keep at least one choice without a condition",
 });
 
+/**
+ * `PARSER_RULES` holds the English text; other languages come from the UI
+ * string catalogs (`parser.<RULE>` keys).
+ *
+ * @param {string} ruleName
+ * @returns {string}
+ */
+function getRuleMessage(ruleName) {
+  if (!Object.hasOwn(PARSER_RULES, ruleName)) {
+    return "Unknown parser rule";
+  }
+  return getTranslation(`parser.${ruleName}`) ?? PARSER_RULES[ruleName];
+}
+
 function buildRuleError(ruleName, details) {
-  const base = PARSER_RULES[ruleName] || "Unknown parser rule";
+  const base = getRuleMessage(ruleName);
   return `[${ruleName}] ${base}${details ? `\n${details}` : ""}`;
 }
 
+/**
+ * @param {string} ruleName key of `PARSER_RULES`
+ * @param {string} details
+ * @param {number} lineIndex zero-based line index
+ * @param {number} [column] one-based column
+ * @returns {StoryDiagnostic}
+ */
+function createDiagnostic(ruleName, details, lineIndex, column = 1) {
+  return {
+    rule: ruleName,
+    message: getRuleMessage(ruleName),
+    details: details || "",
+    line: Math.max(lineIndex, 0) + 1,
+    column: Math.max(column, 1),
+  };
+}
+
+/**
+ * @param {StoryDiagnostic} diagnostic
+ * @returns {string} `[RULE] message` followed by the location and details
+ */
+export function formatStoryDiagnostic(diagnostic) {
+  const location = `Line ${diagnostic.line}, column ${diagnostic.column}`;
+  return buildRuleError(
+    diagnostic.rule,
+    diagnostic.details ? `${location}: ${diagnostic.details}` : `${location}.`,
+  );
+}
+
+function getLineIndentation(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * One-based column of `fragment` inside `line`, or the first non-blank
+ * column when the fragment cannot be found.
+ */
+function getColumn(line, fragment) {
+  const source = line || "";
+  const fragmentIndex = fragment ? source.indexOf(fragment) : -1;
+  return (fragmentIndex >= 0 ? fragmentIndex : getLineIndentation(source)) + 1;
+}
+
 function parseInteger(value) {
   return Number.parseInt(value, 10);
 }
@@ -96,16 +185,20 @@ function capitalizeFirstLetter(text) {
   return `${text[0].toUpperCase()}${text.slice(1)}`;
 }
 
-function applyChapterSectionContent(chapter, sectionName, text) {
+function applyChapterSectionContent(chapter, sectionName, text, lineEntries) {
   if (sectionName !== CHAPTER_SECTION_HEADING_NAMES.choices) {
-    return { ...chapter, [sectionName]: text };
+    return { chapter: { ...chapter, [sectionName]: text }, diagnostics: [] };
   }
 
-  const parsedChoices = parseChoicesSection(text);
+  const parsedChoices = parseChoicesSection(lineEntries);
   return {
-    ...chapter,
-    choices: parsedChoices.choices,
-    choicesEndingText: parsedChoices.choicesEndingText,
+    chapter: {
+      ...chapter,
+      choices: parsedChoices.choices,
+      choicesEndingText: parsedChoices.choicesEndingText,
+    },
+    choiceLineIndexes: parsedChoices.choiceLineIndexes,
+    diagnostics: parsedChoices.diagnostics,
   };
 }
 
@@ -116,6 +209,7 @@ function flushCurrentChapterSection(state) {
     currentChapterKey,
     currentChapterSection,
     currentChapterContent,
+    currentChapterContentLineIndexes,
   } = state;
 
   if (
@@ -127,11 +221,23 @@ function flushCurrentChapterSection(state) {
   }
 
   const text = currentChapterContent.join("\n").trim();
-  const updatedChapter = applyChapterSectionContent(
+  const lineEntries = currentChapterContent
+    .map((line, index) => ({
+      line,
+      lineIndex: currentChapterContentLineIndexes[index],
+    }))
+    .filter(({ line }) => line.trim());
+  const {
+    chapter: updatedChapter,
+    choiceLineIndexes,
+    diagnostics,
+  } = applyChapterSectionContent(
     currentChapter,
     currentChapterSection,
     text,
+    lineEntries,
   );
+  const location = state.chapterLocations[currentChapterKey];
 
   return {
     ...state,
@@ -139,84 +245,226 @@ function flushCurrentChapterSection(state) {
       ...chapters,
       [currentChapterKey]: updatedChapter,
     },
+    chapterLocations: choiceLineIndexes
+      ? {
+          ...state.chapterLocations,
+          [currentChapterKey]: {
+            ...location,
+            choiceLineIndexes,
+            hasChoiceErrors: diagnostics.length > 0,
+          },
+        }
+      : state.chapterLocations,
     currentChapter: updatedChapter,
     currentChapterContent: [],
+    currentChapterContentLineIndexes: [],
+    diagnostics: [...state.diagnostics, ...diagnostics],
   };
 }
 
-function assertStoryTitleHeading(lines) {
+/**
+ * @param {string[]} lines
+ * @returns {StoryDiagnostic[]}
+ */
+function collectStoryTitleDiagnostics(lines) {
   const firstNonEmptyLineIndex = lines.findIndex((line) => line.trim());
   if (firstNonEmptyLineIndex < 0) {
-    throw new Error(buildRuleError("STORY_TITLE_HEADING"));
+    return [createDiagnostic("STORY_TITLE_HEADING", "", 0)];
   }
 
-  const firstNonEmptyLine = lines[firstNonEmptyLineIndex].trim();
-  if (!REGEX.storyTitleHeading.test(firstNonEmptyLine)) {
-    throw new Error(buildRuleError("STORY_TITLE_HEADING"));
-  }
+  const firstNonEmptyLine = lines[firstNonEmptyLineIndex];
+  const titleDiagnostics = REGEX.storyTitleHeading.test(
+    firstNonEmptyLine.trim(),
+  )
+    ? []
+    : [
+        createDiagnostic(
+          "STORY_TITLE_HEADING",
+          `Found "${firstNonEmptyLine.trim()}" instead.`,
+          firstNonEmptyLineIndex,
+          getColumn(firstNonEmptyLine),
+        ),
+      ];
 
-  const extraStoryTitleLineIndex = lines.findIndex(
-    (line, index) =>
-      index > firstNonEmptyLineIndex &&
-      REGEX.storyTitleHeading.test(line.trim()),
+  const duplicateTitleDiagnostics = lines.flatMap((line, index) =>
+    index > firstNonEmptyLineIndex && REGEX.storyTitleHeading.test(line.trim())
+      ? [
+          createDiagnostic(
+            "SINGLE_STORY_TITLE",
+            `Duplicate top-level title found at line ${index + 1}.`,
+            index,
+            getColumn(line),
+          ),
+        ]
+      : [],
   );
 
-  if (extraStoryTitleLineIndex >= 0) {
-    throw new Error(
-      buildRuleError(
-        "SINGLE_STORY_TITLE",
-        `Duplicate top-level title found at line ${extraStoryTitleLineIndex + 1}.`,
-      ),
-    );
+  return [...titleDiagnostics, ...duplicateTitleDiagnostics];
+}
+
+function findFirstChapterLineIndex(lines) {
+  return lines.findIndex((line) => /^##\s+Chapter\s+\d+/i.test(line.trim()));
+}
+
+/**
+ * Non-empty lines between a `##` heading and the next `##` heading.
+ *
+ * @param {string[]} lines
+ * @param {number} headingIndex
+ * @returns {{ trimmed: string, lineIndex: number }[]}
+ */
+function collectSectionLines(lines, headingIndex) {
+  const sectionLines = [];
+  for (let index = headingIndex + 1; index < lines.length; index += 1) {
+    const trimmed = lines[index].trim();
+    if (trimmed.startsWith("## ")) {
+      break;
+    }
+
+    if (trimmed) {
+      sectionLines.push({ trimmed, lineIndex: index });
+    }
   }
+
+  return sectionLines;
 }
 
-function assertKeywordsSection(lines) {
+/**
+ * @param {string[]} lines
+ * @returns {StoryDiagnostic[]}
+ */
+function collectKeywordsDiagnostics(lines) {
   const keywordsHeadingIndex = lines.findIndex((line) =>
     REGEX.keywordsHeading.test(line.trim()),
   );
 
   if (keywordsHeadingIndex < 0) {
-    throw new Error(buildRuleError("KEYWORDS_SECTION_REQUIRED"));
+    return [createDiagnostic("KEYWORDS_SECTION_REQUIRED", "", 0)];
   }
 
-  const firstChapterIndex = lines.findIndex((line) =>
-    /^##\s+Chapter\s+\d+/i.test(line.trim()),
+  const firstChapterIndex = findFirstChapterLineIndex(lines);
+  const headingColumn = getColumn(lines[keywordsHeadingIndex]);
+  const positionDiagnostics =
+    firstChapterIndex >= 0 && keywordsHeadingIndex > firstChapterIndex
+      ? [
+          createDiagnostic(
+            "KEYWORDS_SECTION_POSITION",
+            "",
+            keywordsHeadingIndex,
+            headingColumn,
+          ),
+        ]
+      : [];
+
+  const sectionLines = collectSectionLines(lines, keywordsHeadingIndex);
+  const invalidLine = sectionLines.find(
+    ({ trimmed }) => !REGEX.keywordBullet.test(trimmed),
+  );
+  const formatDiagnostics =
+    sectionLines.length !== 3 || invalidLine
+      ? [
+          createDiagnostic(
+            "KEYWORDS_FORMAT",
+            invalidLine
+              ? `Invalid keyword line: "${invalidLine.trimmed}".`
+              : `Found ${sectionLines.length} keyword lines.`,
+            invalidLine ? invalidLine.lineIndex : keywordsHeadingIndex,
+            getColumn(
+              lines[invalidLine ? invalidLine.lineIndex : keywordsHeadingIndex],
+            ),
+          ),
+        ]
+      : [];
+
+  return [...positionDiagnostics, ...formatDiagnostics];
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {{ variableNames: string[], diagnostics: StoryDiagnostic[] }}
+ *   declared variable names (empty when no section exists)
+ */
+function parseVariablesSection(lines) {
+  const variablesHeadingIndex = lines.findIndex((line) =>
+    REGEX.variablesHeading.test(line.trim()),
   );
 
-  if (firstChapterIndex >= 0 && keywordsHeadingIndex > firstChapterIndex) {
-    throw new Error(buildRuleError("KEYWORDS_SECTION_POSITION"));
+  if (variablesHeadingIndex < 0) {
+    return { variableNames: [], diagnostics: [] };
   }
 
-  const sectionLines = [];
-  for (let index = keywordsHeadingIndex + 1; index < lines.length; index += 1) {
-    const trimmed = lines[index].trim();
-    if (trimmed.startsWith("## ")) {
-      break;
+  const firstChapterIndex = findFirstChapterLineIndex(lines);
+  const diagnostics =
+    firstChapterIndex >= 0 && variablesHeadingIndex > firstChapterIndex
+      ? [
+          createDiagnostic(
+            "VARIABLES_SECTION_POSITION",
+            "",
+            variablesHeadingIndex,
+            getColumn(lines[variablesHeadingIndex]),
+          ),
+        ]
+      : [];
+
+  const sectionLines = collectSectionLines(lines, variablesHeadingIndex);
+  if (sectionLines.length === 0) {
+    diagnostics.push(
+      createDiagnostic(
+        "VARIABLES_FORMAT",
+        "",
+        variablesHeadingIndex,
+        getColumn(lines[variablesHeadingIndex]),
+      ),
+    );
+  }
+
+  const variableNames = [];
+  sectionLines.forEach(({ trimmed, lineIndex }) => {
+    const variableMatch = trimmed.match(REGEX.variableBullet);
+    if (!variableMatch) {
+      diagnostics.push(
+        createDiagnostic(
+          "VARIABLES_FORMAT",
+          `Invalid variable line: "${trimmed}".`,
+          lineIndex,
+          getColumn(lines[lineIndex]),
+        ),
+      );
+      return;
     }
 
-    if (trimmed) {
-      sectionLines.push(trimmed);
+    const name = variableMatch[1].toLowerCase();
+    if (variableNames.includes(name)) {
+      diagnostics.push(
+        createDiagnostic(
+          "UNIQUE_VARIABLE_NAMES",
+          `Duplicate variable found: "${name}".`,
+          lineIndex,
+          getColumn(lines[lineIndex], variableMatch[1]),
+        ),
+      );
+      return;
     }
-  }
 
-  if (
-    sectionLines.length !== 3 ||
-    sectionLines.some((line) => !REGEX.keywordBullet.test(line))
-  ) {
-    throw new Error(buildRuleError("KEYWORDS_FORMAT"));
-  }
+    variableNames.push(name);
+  });
+
+  return { variableNames, diagnostics };
 }
 
 function createInitialParserState() {
   return {
     chapters: {},
+    chapterLocations: {},
     chapterSectionsSeen: {},
     lastChapterNumberSeen: null,
     currentChapter: null,
     currentChapterKey: null,
     currentChapterSection: null,
     currentChapterContent: [],
+    currentChapterContentLineIndexes: [],
+    isSkippingChapter: false,
+    diagnostics: [],
   };
 }
 
@@ -230,111 +478,165 @@ function createEmptyChapter(chapterKey) {
   };
 }
 
-function extractChapterKey(trimmed) {
+/**
+ * Lines of an invalid or duplicate chapter are ignored until the next
+ * chapter heading, so one bad heading does not cascade into section errors.
+ */
+function skipChapter(state, diagnostic) {
+  return {
+    ...state,
+    currentChapter: null,
+    currentChapterKey: null,
+    currentChapterSection: null,
+    currentChapterContent: [],
+    currentChapterContentLineIndexes: [],
+    isSkippingChapter: true,
+    diagnostics: [...state.diagnostics, diagnostic],
+  };
+}
+
+function handleChapterHeading(state, trimmed, lineIndex, lines) {
+  const flushedState = flushCurrentChapterSection(state);
+  const column = getColumn(lines[lineIndex]);
+  const blankLineDiagnostics =
+    lineIndex > 0 && lines[lineIndex - 1].trim() !== ""
+      ? [
+          createDiagnostic(
+            "CHAPTER_HEADING_BLANK_LINE",
+            `Chapter heading must be preceded by an empty line: "${trimmed}".`,
+            lineIndex,
+            column,
+          ),
+        ]
+      : [];
+  const stateWithBlankLineCheck = {
+    ...flushedState,
+    diagnostics: [...flushedState.diagnostics, ...blankLineDiagnostics],
+  };
+
   const chapterMatch = trimmed.match(REGEX.chapterHeading);
   if (!chapterMatch) {
-    throw new Error(
-      buildRuleError(
+    return skipChapter(
+      stateWithBlankLineCheck,
+      createDiagnostic(
         "CHAPTER_HEADING_FORMAT",
         `Invalid chapter format: "${trimmed}".`,
+        lineIndex,
+        column,
       ),
     );
   }
 
-  return chapterMatch[1];
-}
-
-function assertBlankLineBeforeChapterHeading(lines, lineIndex, trimmed) {
-  if (lineIndex > 0 && lines[lineIndex - 1].trim() !== "") {
-    throw new Error(
-      buildRuleError(
-        "CHAPTER_HEADING_BLANK_LINE",
-        `Chapter heading must be preceded by an empty line: "${trimmed}".`,
-      ),
-    );
-  }
-}
-
-function extractChapterSectionName(trimmed) {
-  const sectionMatch = trimmed.match(REGEX.chapterSectionHeading);
-  if (!sectionMatch) {
-    throw new Error(
-      buildRuleError(
-        "VALID_SECTION_HEADINGS",
-        `Invalid section format: "${trimmed}".`,
-      ),
-    );
-  }
-
-  const chapterSectionName = sectionMatch[1].toLowerCase();
-  if (!CHAPTER_SECTIONS.includes(chapterSectionName)) {
-    throw new Error(
-      buildRuleError(
-        "VALID_SECTION_HEADINGS",
-        `Invalid section name: "${chapterSectionName}".`,
-      ),
-    );
-  }
-
-  return chapterSectionName;
-}
-
-function handleChapterHeading(state, trimmed, lineIndex, lines) {
-  const flushedState = flushCurrentChapterSection(state);
-  assertBlankLineBeforeChapterHeading(lines, lineIndex, trimmed);
-
-  const chapterKey = extractChapterKey(trimmed);
+  const chapterKey = chapterMatch[1];
   const chapterNumber = parseInteger(chapterKey);
 
-  if (
-    typeof flushedState.lastChapterNumberSeen === "number" &&
-    chapterNumber <= flushedState.lastChapterNumberSeen
-  ) {
-    throw new Error(
-      buildRuleError(
-        "CHAPTER_ASCENDING_ORDER",
-        `Chapter ${chapterNumber} appears after Chapter ${flushedState.lastChapterNumberSeen}.`,
-      ),
-    );
-  }
-
-  if (flushedState.chapters[chapterKey]) {
-    throw new Error(
-      buildRuleError(
+  if (stateWithBlankLineCheck.chapters[chapterKey]) {
+    return skipChapter(
+      stateWithBlankLineCheck,
+      createDiagnostic(
         "UNIQUE_CHAPTER_NUMBERS",
         `Duplicate chapter number found: Chapter ${chapterKey}.`,
+        lineIndex,
+        column,
       ),
     );
   }
 
+  const orderDiagnostics =
+    typeof stateWithBlankLineCheck.lastChapterNumberSeen === "number" &&
+    chapterNumber <= stateWithBlankLineCheck.lastChapterNumberSeen
+      ? [
+          createDiagnostic(
+            "CHAPTER_ASCENDING_ORDER",
+            `Chapter ${chapterNumber} appears after Chapter ${stateWithBlankLineCheck.lastChapterNumberSeen}.`,
+            lineIndex,
+            column,
+          ),
+        ]
+      : [];
+
   const newChapter = createEmptyChapter(chapterKey);
   return {
-    ...flushedState,
+    ...stateWithBlankLineCheck,
     chapters: {
-      ...flushedState.chapters,
+      ...stateWithBlankLineCheck.chapters,
       [chapterKey]: newChapter,
     },
+    chapterLocations: {
+      ...stateWithBlankLineCheck.chapterLocations,
+      [chapterKey]: { headingLineIndex: lineIndex, choiceLineIndexes: [] },
+    },
     chapterSectionsSeen: {
-      ...flushedState.chapterSectionsSeen,
+      ...stateWithBlankLineCheck.chapterSectionsSeen,
       [chapterKey]: new Set(),
     },
-    lastChapterNumberSeen: chapterNumber,
+    lastChapterNumberSeen: Math.max(
+      chapterNumber,
+      stateWithBlankLineCheck.lastChapterNumberSeen ?? chapterNumber,
+    ),
     currentChapter: newChapter,
     currentChapterKey: chapterKey,
     currentChapterSection: null,
     currentChapterContent: [],
+    currentChapterContentLineIndexes: [],
+    isSkippingChapter: false,
+    diagnostics: [...stateWithBlankLineCheck.diagnostics, ...orderDiagnostics],
   };
 }
 
-function handleChapterSectionHeading(state, trimmed) {
+/**
+ * @returns {{ sectionName: string|null, details: string }}
+ */
+function extractChapterSectionName(trimmed) {
+  const sectionMatch = trimmed.match(REGEX.chapterSectionHeading);
+  if (!sectionMatch) {
+    return {
+      sectionName: null,
+      details: `Invalid section format: "${trimmed}".`,
+    };
+  }
+
+  const chapterSectionName = sectionMatch[1].toLowerCase();
+  if (!CHAPTER_SECTIONS.includes(chapterSectionName)) {
+    return {
+      sectionName: null,
+      details: `Invalid section name: "${chapterSectionName}".`,
+    };
+  }
+
+  return { sectionName: chapterSectionName, details: "" };
+}
+
+function handleChapterSectionHeading(state, trimmed, lineIndex, lines) {
   const flushedState = flushCurrentChapterSection(state);
-  const chapterSectionName = extractChapterSectionName(trimmed);
+  if (flushedState.isSkippingChapter) {
+    return flushedState;
+  }
+
+  const column = getColumn(lines[lineIndex]);
+  const ignoreSection = (diagnostic) => ({
+    ...flushedState,
+    currentChapterSection: null,
+    currentChapterContent: [],
+    currentChapterContentLineIndexes: [],
+    diagnostics: [...flushedState.diagnostics, diagnostic],
+  });
+
+  const { sectionName: chapterSectionName, details } =
+    extractChapterSectionName(trimmed);
+  if (!chapterSectionName) {
+    return ignoreSection(
+      createDiagnostic("VALID_SECTION_HEADINGS", details, lineIndex, column),
+    );
+  }
 
   if (!flushedState.currentChapterKey) {
-    throw new Error(
-      buildRuleError(
+    return ignoreSection(
+      createDiagnostic(
         "CHAPTER_HEADING_FORMAT",
         `Section found before chapter heading: "${trimmed}".`,
+        lineIndex,
+        column,
       ),
     );
   }
@@ -344,10 +646,12 @@ function handleChapterSectionHeading(state, trimmed) {
     flushedState.chapterSectionsSeen[chapterKey] || new Set();
 
   if (seenSections.has(chapterSectionName)) {
-    throw new Error(
-      buildRuleError(
+    return ignoreSection(
+      createDiagnostic(
         "DUPLICATE_CHAPTER_SECTION",
         `Chapter ${chapterKey} has duplicate ### ${capitalizeFirstLetter(chapterSectionName)} section.`,
+        lineIndex,
+        column,
       ),
     );
   }
@@ -363,10 +667,11 @@ function handleChapterSectionHeading(state, trimmed) {
     },
     currentChapterSection: chapterSectionName,
     currentChapterContent: [],
+    currentChapterContentLineIndexes: [],
   };
 }
 
-function appendChapterSectionContent(state, line, trimmed) {
+function appendChapterSectionContent(state, line, trimmed, lineIndex) {
   if (!state.currentChapter || !state.currentChapterSection) {
     return state;
   }
@@ -381,14 +686,26 @@ function appendChapterSectionContent(state, line, trimmed) {
   return {
     ...state,
     currentChapterContent: [...state.currentChapterContent, line],
+    currentChapterContentLineIndexes: [
+      ...state.currentChapterContentLineIndexes,
+      lineIndex,
+    ],
   };
 }
 
 function reduceStoryLine(state, lineIndex, line, lines) {
   const trimmed = line.trim();
 
-  if (REGEX.keywordsHeading.test(trimmed)) {
-    return state;
+  if (
+    REGEX.keywordsHeading.test(trimmed) ||
+    REGEX.variablesHeading.test(trimmed)
+  ) {
+    // A misplaced front-matter section ends the current chapter section so
+    // its bullets are not read as chapter content.
+    return {
+      ...flushCurrentChapterSection(state),
+      currentChapterSection: null,
+    };
   }
 
   if (trimmed.startsWith("## ")) {
@@ -396,84 +713,229 @@ function reduceStoryLine(state, lineIndex, line, lines) {
   }
 
   if (trimmed.startsWith("### ")) {
-    return handleChapterSectionHeading(state, trimmed);
+    return handleChapterSectionHeading(state, trimmed, lineIndex, lines);
   }
 
-  return appendChapterSectionContent(state, line, trimmed);
+  return appendChapterSectionContent(state, line, trimmed, lineIndex);
 }
 
-export function parseStory(markdown) {
+/**
+ * Parses a story and collects every problem instead of stopping at the
+ * first one. Chapters that could be read are returned even when
+ * diagnostics are present.
+ *
+ * @param {string} markdown
+ * @returns {{ chapters: Record<string, StoryChapter>, diagnostics: StoryDiagnostic[] }}
+ */
+export function parseStoryWithDiagnostics(markdown) {
   const lines = markdown.split("\n");
-  assertStoryTitleHeading(lines);
-  assertKeywordsSection(lines);
-
-  const finalState = lines
-    .entries()
-    .reduce(
-      (state, [lineIndex, line]) =>
-        reduceStoryLine(state, lineIndex, line, lines),
-      createInitialParserState(),
-    );
+  const { variableNames, diagnostics: variableDiagnostics } =
+    parseVariablesSection(lines);
+
+  const finalState = flushCurrentChapterSection(
+    lines
+      .entries()
+      .reduce(
+        (state, [lineIndex, line]) =>
+          reduceStoryLine(state, lineIndex, line, lines),
+        createInitialParserState(),
+      ),
+  );
+
+  const diagnostics = [
+    ...collectStoryTitleDiagnostics(lines),
+    ...collectKeywordsDiagnostics(lines),
+    ...variableDiagnostics,
+    ...finalState.diagnostics,
+    ...validateStory(finalState.chapters, {
+      variableNames,
+      lines,
+      chapterLocations: finalState.chapterLocations,
+    }),
+  ].sort((left, right) => left.line - right.line || left.column - right.column);
+
+  return { chapters: finalState.chapters, diagnostics };
+}
+
+/**
+ * Keywords listed under `## Keywords`, in order (the `- ` bullet removed).
+ * Format problems are reported by `parseStoryWithDiagnostics`.
+ *
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+export function parseStoryKeywords(markdown) {
+  const lines = markdown.split("\n");
+  const keywordsHeadingIndex = lines.findIndex((line) =>
+    REGEX.keywordsHeading.test(line.trim()),
+  );
+  if (keywordsHeadingIndex < 0) {
+    return [];
+  }
 
-  const chapters = flushCurrentChapterSection(finalState).chapters;
+  return collectSectionLines(lines, keywordsHeadingIndex)
+    .filter(({ trimmed }) => REGEX.keywordBullet.test(trimmed))
+    .map(({ trimmed }) => trimmed.slice(1).trim());
+}
 
-  // Validate structure
-  validateStory(chapters);
+/**
+ * Throwing wrapper around `parseStoryWithDiagnostics`: returns chapters for
+ * a valid story, otherwise throws one error listing every diagnostic.
+ *
+ * @param {string} markdown
+ * @returns {Record<string, StoryChapter>}
+ */
+export function parseStory(markdown) {
+  const { chapters, diagnostics } = parseStoryWithDiagnostics(markdown);
+
+  if (diagnostics.length > 0) {
+    throw new Error(diagnostics.map(formatStoryDiagnostic).join("\n"));
+  }
 
   return chapters;
 }
 
-function parseChoicesSection(choicesText) {
-  const lines = choicesText.split("\n").filter((l) => l.trim());
-
-  if (lines.length === 1 && REGEX.theEndLine.test(lines[0].trim())) {
+/**
+ * @param {{ line: string, lineIndex: number }[]} lineEntries non-empty lines
+ */
+function parseChoicesSection(lineEntries) {
+  if (
+    lineEntries.length === 1 &&
+    REGEX.theEndLine.test(lineEntries[0].line.trim())
+  ) {
     return {
       choices: [],
       choicesEndingText: "The End",
+      choiceLineIndexes: [],
+      diagnostics: [],
     };
   }
 
   return {
-    choices: parseChoicesList(lines),
+    ...parseChoicesList(lineEntries),
     choicesEndingText: "",
   };
 }
 
-function parseChoicesList(lines) {
-  return lines.reduce((choices, line, index) => {
-    const trimmedLine = line.trim();
-    const match = trimmedLine.match(REGEX.choiceLine);
-    if (!match) {
-      throw new Error(
-        buildRuleError(
-          "CHOICES_SECTION_FORMAT",
-          `Invalid choices section content: "${trimmedLine}".`,
+/**
+ * Invalid choice lines are reported and skipped; numbering is checked
+ * against each line's position in the list.
+ *
+ * @param {{ line: string, lineIndex: number }[]} lineEntries
+ */
+function parseChoicesList(lineEntries) {
+  return lineEntries.reduce(
+    (result, { line, lineIndex }, index) => {
+      const trimmedLine = line.trim();
+      const match = trimmedLine.match(REGEX.choiceLine);
+      if (!match) {
+        return {
+          ...result,
+          diagnostics: [
+            ...result.diagnostics,
+            createDiagnostic(
+              "CHOICES_SECTION_FORMAT",
+              `Invalid choices section content: "${trimmedLine}".`,
+              lineIndex,
+              getColumn(line),
+            ),
+          ],
+        };
+      }
+
+      const choiceNumber = parseInteger(match[1]);
+      const expectedChoiceNumber = index + 1;
+      const orderDiagnostics =
+        choiceNumber !== expectedChoiceNumber
+          ? [
+              createDiagnostic(
+                "CHOICE_LIST_ORDER",
+                `Expected choice number ${expectedChoiceNumber}, but found ${choiceNumber}.`,
+                lineIndex,
+                getColumn(line),
+              ),
+            ]
+          : [];
+      const annotations = parseChoiceAnnotations(match[4], line, lineIndex);
+
+      return {
+        choices: [
+          ...result.choices,
+          {
+            text: match[2],
+            chapterNumber: parseInteger(match[3]),
+            ...annotations.annotations,
+          },
+        ],
+        choiceLineIndexes: [...result.choiceLineIndexes, lineIndex],
+        diagnostics: [
+          ...result.diagnostics,
+          ...orderDiagnostics,
+          ...annotations.diagnostics,
+        ],
+      };
+    },
+    { choices: [], choiceLineIndexes: [], diagnostics: [] },
+  );
+}
+
+/**
+ * Annotations are only attached when present so unannotated choices keep
+ * their original `{ text, chapterNumber }` shape. Invalid annotations are
+ * reported and dropped.
+ *
+ * @param {string} annotationsText
+ * @param {string} line
+ * @param {number} lineIndex
+ * @returns {{
+ *   annotations: { conditions?: { variable: string, negated: boolean }[], effects?: { variable: string, value: boolean }[] },
+ *   diagnostics: StoryDiagnostic[],
+ * }}
+ */
+function parseChoiceAnnotations(annotationsText, line, lineIndex) {
+  const conditions = [];
+  const effects = [];
+  const diagnostics = [];
+
+  for (const [annotation, body] of (annotationsText || "").matchAll(
+    REGEX.choiceAnnotation,
+  )) {
+    const annotationMatch = body.trim().match(REGEX.choiceAnnotationBody);
+    if (!annotationMatch) {
+      diagnostics.push(
+        createDiagnostic(
+          "CHOICE_ANNOTATION_FORMAT",
+          `Invalid choice annotation "${annotation}" in: "${line.trim()}".`,
+          lineIndex,
+          getColumn(line, annotation),
         ),
       );
+      continue;
     }
 
-    const choiceNumber = parseInteger(match[1]);
-    const expectedChoiceNumber = index + 1;
-    if (choiceNumber !== expectedChoiceNumber) {
-      throw new Error(
-        buildRuleError(
-          "CHOICE_LIST_ORDER",
-          `Expected choice number ${expectedChoiceNumber}, but found ${choiceNumber}.`,
-        ),
-      );
+    const keyword = annotationMatch[1].toLowerCase();
+    const variable = annotationMatch[2].toLowerCase();
+
+    if (keyword === "if" || keyword === "if not") {
+      conditions.push({ variable, negated: keyword === "if not" });
+    } else {
+      effects.push({ variable, value: keyword === "set" });
     }
+  }
 
-    return [
-      ...choices,
-      {
-        text: match[2],
-        chapterNumber: parseInteger(match[3]),
-      },
-    ];
-  }, []);
+  return {
+    annotations: {
+      ...(conditions.length > 0 ? { conditions } : {}),
+      ...(effects.length > 0 ? { effects } : {}),
+    },
+    diagnostics,
+  };
 }
 
-function collectChapterRequiredFieldErrors(chapterNumber, chapter) {
+function collectChapterRequiredFieldErrors(chapterNumber, chapter, context) {
+  const location = context.chapterLocations[chapterNumber];
+  const lineIndex = location.headingLineIndex;
+  const column = getColumn(context.lines[lineIndex]);
   const hasChoicesList =
     Array.isArray(chapter.choices) && chapter.choices.length > 0;
   const hasChoicesEndingText =
@@ -483,40 +945,69 @@ function collectChapterRequiredFieldErrors(chapterNumber, chapter) {
   return [
     ...(!chapter.title
       ? [
-          buildRuleError(
+          createDiagnostic(
             "CHAPTER_REQUIRED_FIELDS",
             `Chapter ${chapterNumber} missing ### Title section.`,
+            lineIndex,
+            column,
           ),
         ]
       : []),
     ...(!chapter.content
       ? [
-          buildRuleError(
+          createDiagnostic(
             "CHAPTER_REQUIRED_FIELDS",
             `Chapter ${chapterNumber} missing ### Content section.`,
+            lineIndex,
+            column,
           ),
         ]
       : []),
-    ...(!hasChoicesList && !hasChoicesEndingText
+    // Choice lines that failed to parse were already reported on their line.
+    ...(!hasChoicesList && !hasChoicesEndingText && !location.hasChoiceErrors
       ? [
-          buildRuleError(
+          createDiagnostic(
             "CHAPTER_REQUIRED_FIELDS",
             `Chapter ${chapterNumber} missing ### Choices section or has invalid choices content.`,
+            lineIndex,
+            column,
           ),
         ]
       : []),
   ];
 }
 
-function collectChapterChoiceReferenceErrors(chapterNumber, chapter, chapters) {
-  return chapter.choices.flatMap((choice) => {
+function getChoiceLocation(chapterNumber, choiceIndex, context, fragment) {
+  const lineIndex =
+    context.chapterLocations[chapterNumber].choiceLineIndexes[choiceIndex];
+  return {
+    lineIndex,
+    column: getColumn(context.lines[lineIndex], fragment),
+  };
+}
+
+function collectChapterChoiceReferenceErrors(
+  chapterNumber,
+  chapter,
+  chapters,
+  context,
+) {
+  return chapter.choices.flatMap((choice, choiceIndex) => {
     const chapterNumberValue = parseInteger(chapterNumber);
+    const { lineIndex, column } = getChoiceLocation(
+      chapterNumber,
+      choiceIndex,
+      context,
+      "->",
+    );
 
     const missingTargetError = !chapters[choice.chapterNumber.toString()]
       ? [
-          buildRuleError(
+          createDiagnostic(
             "CHOICE_TARGET_EXISTS",
             `Chapter ${chapterNumber}: Choice refers to non-existent Chapter ${choice.chapterNumber}.`,
+            lineIndex,
+            column,
           ),
         ]
       : [];
@@ -524,9 +1015,11 @@ function collectChapterChoiceReferenceErrors(chapterNumber, chapter, chapters) {
     const selfReferenceError =
       choice.chapterNumber === chapterNumberValue
         ? [
-            buildRuleError(
+            createDiagnostic(
               "CHOICE_NOT_SELF_REFERENTIAL",
               `Chapter ${chapterNumber}: Choice cannot reference Chapter ${chapterNumber}.`,
+              lineIndex,
+              column,
             ),
           ]
         : [];
@@ -535,43 +1028,116 @@ function collectChapterChoiceReferenceErrors(chapterNumber, chapter, chapters) {
   });
 }
 
-function collectRequiredFieldErrors(chapterEntries) {
+function collectRequiredFieldErrors(chapterEntries, context) {
   return chapterEntries.flatMap(([chapterNumber, chapter]) =>
-    collectChapterRequiredFieldErrors(chapterNumber, chapter),
+    collectChapterRequiredFieldErrors(chapterNumber, chapter, context),
   );
 }
 
-function collectChoiceReferenceErrors(chapterEntries, chapters) {
+function collectChoiceReferenceErrors(chapterEntries, chapters, context) {
   return chapterEntries.flatMap(([chapterNumber, chapter]) =>
-    collectChapterChoiceReferenceErrors(chapterNumber, chapter, chapters),
+    collectChapterChoiceReferenceErrors(
+      chapterNumber,
+      chapter,
+      chapters,
+      context,
+    ),
+  );
+}
+
+function collectChapterVariableErrors(chapterNumber, chapter, context) {
+  const declared = new Set(context.variableNames);
+
+  const undeclaredErrors = chapter.choices.flatMap((choice, index) =>
+    [...(choice.conditions || []), ...(choice.effects || [])]
+      .filter(({ variable }) => !declared.has(variable))
+      .map(({ variable }) => {
+        const { lineIndex, column } = getChoiceLocation(
+          chapterNumber,
+          index,
+          context,
+          variable,
+        );
+        return createDiagnostic(
+          "CHOICE_VARIABLE_DECLARED",
+          `Chapter ${chapterNumber}: Choice ${index + 1} references undeclared variable "${variable}".`,
+          lineIndex,
+          column,
+        );
+      }),
   );
+
+  const hasConditionalChoice = chapter.choices.some(
+    (choice) => choice.conditions?.length > 0,
+  );
+  const hasUnconditionalChoice = chapter.choices.some(
+    (choice) => !choice.conditions?.length,
+  );
+  const { headingLineIndex } = context.chapterLocations[chapterNumber];
+  const fallbackErrors =
+    hasConditionalChoice && !hasUnconditionalChoice
+      ? [
+          createDiagnostic(
+            "UNCONDITIONAL_CHOICE_REQUIRED",
+            `Chapter ${chapterNumber}: every choice has an [if ...] condition.`,
+            headingLineIndex,
+            getColumn(context.lines[headingLineIndex]),
+          ),
+        ]
+      : [];
+
+  return [...undeclaredErrors, ...fallbackErrors];
 }
 
-function collectFirstChapterError(chapterEntries) {
+function collectVariableErrors(chapterEntries, context) {
+  return chapterEntries.flatMap(([chapterNumber, chapter]) =>
+    collectChapterVariableErrors(chapterNumber, chapter, context),
+  );
+}
+
+function collectFirstChapterError(chapterEntries, context) {
   const chapterNumbers = chapterEntries
     .map(([chapterNumber]) => Number(chapterNumber))
     .sort((a, b) => a - b);
 
-  return chapterNumbers[0] !== 1
-    ? [buildRuleError("FIRST_CHAPTER_IS_ONE")]
-    : [];
+  if (chapterNumbers[0] === 1) {
+    return [];
+  }
+
+  const { headingLineIndex } = context.chapterLocations[chapterNumbers[0]];
+  return [
+    createDiagnostic(
+      "FIRST_CHAPTER_IS_ONE",
+      `Found Chapter ${chapterNumbers[0]} first.`,
+      headingLineIndex,
+      getColumn(context.lines[headingLineIndex]),
+    ),
+  ];
 }
 
-function validateStory(chapters) {
+/**
+ * @param {Record<string, StoryChapter>} chapters
+ * @param {{
+ *   variableNames: string[],
+ *   lines: string[],
+ *   chapterLocations: Record<string, { headingLineIndex: number, choiceLineIndexes: number[], hasChoiceErrors?: boolean }>,
+ * }} context
+ * @returns {StoryDiagnostic[]}
+ */
+function validateStory(chapters, context) {
   const chapterEntries = Object.entries(chapters);
   if (chapterEntries.length === 0) {
-    throw new Error(buildRuleError("AT_LEAST_ONE_CHAPTER"));
+    return [
+      createDiagnostic("AT_LEAST_ONE_CHAPTER", "", context.lines.length - 1),
+    ];
   }
 
-  const errors = [
-    ...collectRequiredFieldErrors(chapterEntries),
-    ...collectChoiceReferenceErrors(chapterEntries, chapters),
-    ...collectFirstChapterError(chapterEntries),
+  return [
+    ...collectRequiredFieldErrors(chapterEntries, context),
+    ...collectChoiceReferenceErrors(chapterEntries, chapters, context),
+    ...collectVariableErrors(chapterEntries, context),
+    ...collectFirstChapterError(chapterEntries, context),
   ];
-
-  if (errors.length > 0) {
-    throw new Error(errors.join("\n"));
-  }
 }
 
 export function getValidationExample() {
@@ -582,6 +1148,9 @@ export function getValidationExample() {
 - adventure
 - discovery
 
+## Variables
+- has_map
+
 ## Chapter 1
 ### Title
 The Beginning
@@ -590,7 +1159,7 @@ The Beginning
 You wake up in a mysterious forest. The air is thick with fog and you hear strange sounds all around you.
 
 ### Choices
-1. Explore the forest -> 2
+1. Explore the forest -> 2 [set has_map]
 2. Find shelter -> 3
 
 ## Chapter 2
@@ -614,6 +1183,7 @@ You find an old cabin...
 ### Choices
 1. Enter the cabin -> 4
 2. Move on -> 2
+3. Follow the map home -> 4 [if has_map]
 
 ## Chapter 4
 ### Title
@@ -3,11 +3,36 @@
  */
 
 import { withBasePath } from "./pathResolver.js";
+import { DEFAULT_LANGUAGE } from "./i18n.js";
 
 const CHAPTER_IMAGE_EXTENSIONS = ["webp"];
 
-export function getStoryContentPath(storyId) {
-  return withBasePath(`/assets/stories/${storyId}/story.md`);
+/**
+ * Rendered width of a chapter illustration: the full column on narrow
+ * screens, capped by `.chapter-illustration { max-width: 46em }`.
+ */
+export const CHAPTER_IMAGE_SIZES = "(max-width: 46em) 100vw, 46em";
+
+/** @typedef {import("../types.js").ChapterImageSet} ChapterImageSet */
+
+/**
+ * Translations sit next to the original as `story.<language>.md`
+ * (e.g. `story.fr.md`); the default language uses `story.md`.
+ *
+ * @param {string|number} storyId
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function getStoryContentPath(storyId, language = DEFAULT_LANGUAGE) {
+  const fileName =
+    language && language !== DEFAULT_LANGUAGE
+      ? `story.${language}.md`
+      : "story.md";
+  return withBasePath(`/assets/stories/${storyId}/${fileName}`);
+}
+
+export function getStoriesMetadataPath() {
+  return withBasePath("/assets/stories/metadata-stories.json");
 }
 
 export function getStoriesImageMetadataPath() {
@@ -19,3 +44,142 @@ export function getStoryChapterImagePaths(storyId, chapterNumber) {
     withBasePath(`/assets/stories/${storyId}/${chapterNumber}.${extension}`),
   );
 }
+
+/**
+ * Downscaled copies written by `scripts/image-utils/png-to-webp.mjs`
+ * sit next to the chapter image as `<chapter>-<width>w.webp`.
+ *
+ * @param {string|number} chapterNumber
+ * @param {number} width
+ * @returns {string}
+ */
+export function getChapterImageVariantFileName(chapterNumber, width) {
+  return `${chapterNumber}-${width}w.webp`;
+}
+
+/**
+ * @param {string|number} storyId
+ * @param {string|number} chapterNumber
+ * @param {number} width
+ * @returns {string}
+ */
+export function getStoryChapterImageVariantPath(storyId, chapterNumber, width) {
+  return withBasePath(
+    `/assets/stories/${storyId}/${getChapterImageVariantFileName(chapterNumber, width)}`,
+  );
+}
+
+function normalizeChapterNumber(value) {
+  const parsed = Number.parseInt(String(value), 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function findStoryImageEntry(imageMetadata, storyId) {
+  const storyIdAsString = String(storyId);
+  const storyIdAsNumber = Number.parseInt(storyIdAsString, 10);
+  const stories = Array.isArray(imageMetadata?.stories)
+    ? imageMetadata.stories
+    : [];
+  return (
+    stories.find((storyImageEntry) => {
+      const number = storyImageEntry?.number;
+      return (
+        String(number) === storyIdAsString ||
+        (!Number.isNaN(storyIdAsNumber) && Number(number) === storyIdAsNumber)
+      );
+    }) || null
+  );
+}
+
+/**
+ * `srcset` needs the full-size image's width (`sourceWidth`) next to the
+ * downscaled `responsiveWidths`; without it only the placeholder is used.
+ *
+ * @param {string|number} storyId
+ * @param {number} chapterNumber
+ * @param {any} chapter image metadata entry of the chapter
+ * @returns {ChapterImageSet|null}
+ */
+function getChapterImageSet(storyId, chapterNumber, chapter) {
+  const sourceWidth = Number.parseInt(String(chapter?.sourceWidth), 10);
+  const widths = Array.isArray(chapter?.responsiveWidths)
+    ? chapter.responsiveWidths.filter(
+        (width) => Number.isInteger(width) && width > 0 && width < sourceWidth,
+      )
+    : [];
+  const placeholder =
+    typeof chapter?.placeholder === "string" &&
+    chapter.placeholder.startsWith("data:image/")
+      ? chapter.placeholder
+      : null;
+
+  if (widths.length === 0 && !placeholder) {
+    return null;
+  }
+
+  const [fullSizePath] = getStoryChapterImagePaths(storyId, chapterNumber);
+  const srcset = widths.length
+    ? [
+        ...widths.map(
+          (width) =>
+            `${getStoryChapterImageVariantPath(storyId, chapterNumber, width)} ${width}w`,
+        ),
+        `${fullSizePath} ${sourceWidth}w`,
+      ].join(", ")
+    : "";
+
+  return { srcset, sizes: CHAPTER_IMAGE_SIZES, placeholder };
+}
+
+/**
+ * Illustrated chapters of a story, with their responsive image set when
+ * the image tooling recorded one (`null` otherwise).
+ *
+ * @param {{ stories?: any[] }|null} imageMetadata
+ * @param {string|number} storyId
+ * @returns {Map<number, ChapterImageSet|null>}
+ */
+export function getStoryChapterImageSets(imageMetadata, storyId) {
+  const entry = findStoryImageEntry(imageMetadata, storyId);
+  const imageSets = new Map();
+
+  for (const chapter of Array.isArray(entry?.chapters) ? entry.chapters : []) {
+    const chapterNumber = normalizeChapterNumber(chapter?.number);
+    if (chapterNumber !== null) {
+      imageSets.set(
+        chapterNumber,
+        getChapterImageSet(storyId, chapterNumber, chapter),
+      );
+    }
+  }
+
+  return imageSets;
+}
+
+/**
+ * Every image URL a chapter's `srcset` can pick, full size included.
+ *
+ * @param {ChapterImageSet|null} imageSet
+ * @returns {string[]}
+ */
+export function getChapterImageSetUrls(imageSet) {
+  if (!imageSet?.srcset) {
+    return [];
+  }
+
+  return imageSet.srcset
+    .split(",")
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Chapter numbers that have an illustration listed in the image metadata.
+ *
+ * @param {{ stories?: any[] }|null} imageMetadata
+ * @param {string|number} storyId
+ * @returns {Set<number>}
+ */
+export function getStoryImageChapterNumbers(imageMetadata, storyId) {
+  return new Set(getStoryChapterImageSets(imageMetadata, storyId).keys());
+}
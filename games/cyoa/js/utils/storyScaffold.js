@@ -0,0 +1,221 @@
+/**
+ * New-story scaffolding shared by the admin "New story" flow and
+ * `npm run story -- new`.
+ *
+ * A scaffold is a story skeleton that already passes the parser (title,
+ * keywords, chapters wired to endings) sized to the lower bound of a length
+ * band from `STORY_LENGTH_BANDS`, plus the matching entries for
+ * `metadata-stories.json` and `metadata-images.json`. Authors then replace
+ * the placeholder text. Pure functions: writing files is left to callers.
+ */
+
+import { STORY_LENGTH_BANDS } from "./storyAnalysis.js";
+
+/** @typedef {import("../types.js").StoryLength} StoryLength */
+/** @typedef {import("../types.js").StoryMetadata} StoryMetadata */
+
+/**
+ * @typedef {{
+ *   number: number,
+ *   storyTitle: string,
+ *   chapters: { number: number, title: string, llmPrompt: string, endingType: string|null }[],
+ * }} StoryImageMetadata
+ */
+
+/**
+ * @typedef {{
+ *   storyNumber: number,
+ *   markdown: string,
+ *   metadataEntry: StoryMetadata,
+ *   imageMetadataEntry: StoryImageMetadata,
+ * }} StoryScaffold
+ */
+
+export const NEW_STORY_DEFAULT_LENGTH = "mini";
+export const NEW_STORY_DEFAULT_TITLE = "Untitled Story";
+export const NEW_STORY_DEFAULT_EMOJI = "📖";
+
+const PLACEHOLDER_KEYWORDS = Object.freeze([
+  "keyword-one",
+  "keyword-two",
+  "keyword-three",
+]);
+
+/** Placeholder ending types in the order the pipeline usually uses them. */
+const ENDING_TYPES = Object.freeze([
+  "successful",
+  "bittersweet",
+  "very_bad",
+  "bad",
+  "neutral_bad",
+]);
+
+const APPROX_TIME_BY_LENGTH = Object.freeze({
+  mini: "2-3 min",
+  short: "3-4 min",
+  medium: "5-7 min",
+  long: "8-12 min",
+});
+
+/**
+ * @param {Iterable<number|string>} storyNumbers every number in use (story
+ *   folders and both metadata files)
+ * @returns {number}
+ */
+export function getNextStoryNumber(storyNumbers) {
+  const numbers = [...storyNumbers]
+    .map((value) => Number.parseInt(String(value), 10))
+    .filter((value) => Number.isInteger(value) && value > 0);
+  return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+}
+
+/**
+ * @param {string} value
+ * @returns {StoryLength}
+ */
+function normalizeLength(value) {
+  return Object.hasOwn(STORY_LENGTH_BANDS, value)
+    ? /** @type {StoryLength} */ (value)
+    : NEW_STORY_DEFAULT_LENGTH;
+}
+
+/**
+ * Chapter layout for a band: a main path of story chapters followed by the
+ * ending chapters. Each main-path chapter goes on or branches off to an
+ * ending, and the last one offers every ending, so all are reachable.
+ *
+ * @param {StoryLength} length
+ * @returns {{ chapterNumber: number, targets: number[], endingType: string|null }[]}
+ */
+function getSkeletonChapters(length) {
+  const band = STORY_LENGTH_BANDS[length];
+  const chapterCount = band.chapters[0];
+  const endingCount = band.endings[0];
+  const pathChapterCount = chapterCount - endingCount;
+  const endingNumbers = Array.from(
+    { length: endingCount },
+    (_, index) => pathChapterCount + index + 1,
+  );
+
+  return Array.from({ length: chapterCount }, (_, index) => {
+    const chapterNumber = index + 1;
+    if (chapterNumber > pathChapterCount) {
+      return {
+        chapterNumber,
+        targets: [],
+        endingType:
+          ENDING_TYPES[
+            (chapterNumber - pathChapterCount - 1) % ENDING_TYPES.length
+          ],
+      };
+    }
+
+    const targets =
+      chapterNumber === pathChapterCount
+        ? endingNumbers
+        : [chapterNumber + 1, endingNumbers[index % endingCount]];
+    return { chapterNumber, targets, endingType: null };
+  });
+}
+
+/**
+ * @param {{ chapterNumber: number, targets: number[], endingType: string|null }} chapter
+ * @returns {string}
+ */
+function getSkeletonChapterTitle({ chapterNumber, endingType }) {
+  return endingType
+    ? `Ending ${chapterNumber}`
+    : `Chapter ${chapterNumber} Title`;
+}
+
+/**
+ * @param {{ chapterNumber: number, targets: number[], endingType: string|null }} chapter
+ * @returns {string}
+ */
+function renderSkeletonChapter(chapter) {
+  const { chapterNumber, targets, endingType } = chapter;
+  const content = endingType
+    ? `Write this ${endingType.replaceAll("_", " ")} ending here.`
+    : `Write chapter ${chapterNumber} here.`;
+  const choices = targets.length
+    ? targets
+        .map(
+          (target, index) => `${index + 1}. Choice ${index + 1} -> ${target}`,
+        )
+        .join("\n")
+    : "The End";
+
+  return `## Chapter ${chapterNumber}
+### Title
+${getSkeletonChapterTitle(chapter)}
+
+### Content
+${content}
+
+### Choices
+${choices}
+`;
+}
+
+/**
+ * @param {{
+ *   storyNumber: number,
+ *   title?: string,
+ *   length?: string,
+ *   keywords?: string[],
+ *   emoji?: string,
+ *   tone?: string,
+ * }} options
+ * @returns {StoryScaffold}
+ */
+export function createStoryScaffold({
+  storyNumber,
+  title = "",
+  length = NEW_STORY_DEFAULT_LENGTH,
+  keywords = [],
+  emoji = NEW_STORY_DEFAULT_EMOJI,
+  tone = "",
+}) {
+  const storyTitle = String(title).trim() || NEW_STORY_DEFAULT_TITLE;
+  const storyLength = normalizeLength(length);
+  const storyKeywords = PLACEHOLDER_KEYWORDS.map(
+    (placeholder, index) =>
+      String(keywords[index] ?? "")
+        .trim()
+        .toLowerCase() || placeholder,
+  );
+  const chapters = getSkeletonChapters(storyLength);
+
+  const markdown = `# ${storyTitle}
+
+## Keywords
+${storyKeywords.map((keyword) => `- ${keyword}`).join("\n")}
+
+${chapters.map(renderSkeletonChapter).join("\n")}`;
+
+  return {
+    storyNumber,
+    markdown,
+    metadataEntry: {
+      number: storyNumber,
+      approved: false,
+      length: storyLength,
+      title: storyTitle,
+      emoji,
+      approxTime: APPROX_TIME_BY_LENGTH[storyLength],
+      keywords: storyKeywords,
+      chapters: chapters.length,
+      tone,
+    },
+    imageMetadataEntry: {
+      number: storyNumber,
+      storyTitle,
+      chapters: chapters.map((chapter) => ({
+        number: chapter.chapterNumber,
+        title: getSkeletonChapterTitle(chapter),
+        llmPrompt: "",
+        endingType: chapter.endingType,
+      })),
+    },
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Story state (variables) helpers for conditional choices.
+ *
+ * Story state is a sorted list of variable names that are currently set.
+ * Choices may carry `conditions` (`[if name]`, `[if not name]`) that decide
+ * whether they are shown, and `effects` (`[set name]`, `[unset name]`) that
+ * are applied when the reader takes them.
+ */
+
+/** @typedef {import("../types.js").StoryChoice} StoryChoice */
+/** @typedef {import("../types.js").StoryChapter} StoryChapter */
+
+/**
+ * @param {Iterable<string>} variables
+ * @returns {string[]}
+ */
+export function normalizeStoryVariables(variables) {
+  return Array.from(new Set(Array.from(variables || []).map(String))).sort();
+}
+
+/**
+ * @param {StoryChoice} choice
+ * @param {string[]} variables
+ * @returns {boolean}
+ */
+export function isChoiceAvailable(choice, variables) {
+  const setVariables = new Set(variables || []);
+  return (choice.conditions || []).every(
+    ({ variable, negated }) => setVariables.has(variable) !== negated,
+  );
+}
+
+/**
+ * @param {StoryChapter} chapter
+ * @param {string[]} variables
+ * @returns {StoryChapter} chapter copy with only the choices the reader can take
+ */
+export function getChapterForVariables(chapter, variables) {
+  if (!Array.isArray(chapter?.choices) || chapter.choices.length === 0) {
+    return chapter;
+  }
+
+  return {
+    ...chapter,
+    choices: chapter.choices.filter((choice) =>
+      isChoiceAvailable(choice, variables),
+    ),
+  };
+}
+
+/**
+ * @param {string[]} variables
+ * @param {StoryChoice["effects"]} effects
+ * @returns {string[]}
+ */
+export function applyChoiceEffects(variables, effects) {
+  const nextVariables = new Set(variables || []);
+  (effects || []).forEach(({ variable, value }) => {
+    if (value) {
+      nextVariables.add(variable);
+    } else {
+      nextVariables.delete(variable);
+    }
+  });
+
+  return normalizeStoryVariables(nextVariables);
+}
+
+/**
+ * Serializes effects for a `data-choice-effects` attribute,
+ * e.g. `set:has_key unset:lantern_lit`.
+ *
+ * @param {StoryChoice["effects"]} effects
+ * @returns {string}
+ */
+export function encodeChoiceEffects(effects) {
+  return (effects || [])
+    .map(({ variable, value }) => `${value ? "set" : "unset"}:${variable}`)
+    .join(" ");
+}
+
+/**
+ * @param {string|null|undefined} encodedEffects
+ * @returns {{ variable: string, value: boolean }[]}
+ */
+export function decodeChoiceEffects(encodedEffects) {
+  return String(encodedEffects || "")
+    .split(/\s+/)
+    .map((token) => token.match(/^(set|unset):([a-z_][a-z0-9_]*)$/i))
+    .filter(Boolean)
+    .map(([, action, variable]) => ({
+      variable: variable.toLowerCase(),
+      value: action.toLowerCase() === "set",
+    }));
+}
@@ -8,6 +8,22 @@ export function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Like `escapeHtml`, but also encodes quotes, so the result is safe inside
+ * an HTML attribute value. Works without a DOM.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function escapeHtmlAttribute(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 export function renderPageContainer({
   content,
   mainClass = "",
@@ -25,6 +41,28 @@ export function renderPageContainer({
   `;
 }
 
+/**
+ * Saves `content` through a temporary object URL download link.
+ *
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} [type] MIME type of the saved file
+ */
+export function downloadTextFile(
+  fileName,
+  content,
+  type = "text/markdown;charset=utf-8",
+) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 // Defers work until after HTML returned by a page renderer has been inserted
 // into the DOM. `setTimeout(..., 0)` queues a macrotask for the next event-loop
 // turn, so the current synchronous render/update work finishes first.
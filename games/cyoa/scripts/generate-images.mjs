@@ -3,9 +3,12 @@ import path from "node:path";
 import process from "node:process";
 import sharp from "sharp";
 
+import { createImageProvider } from "./image-providers/index.mjs";
+
 const DEFAULT_INPUT = "story-pipeline/output/06-metadata.json";
 const DEFAULT_OUTPUT_DIR = "story-pipeline/output/07-images";
 const DEFAULT_MODEL = "gpt-image-1";
+const DEFAULT_PROVIDER = "openai";
 const API_IMAGE_SIZE = "1536x1024";
 const OUTPUT_WIDTH = 1536;
 const OUTPUT_HEIGHT = 864;
@@ -39,18 +42,6 @@ const RETRY_BASE_DELAY_MS = readPositiveIntEnv(
   1000,
 );
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function retryDelay(attempt) {
-  return RETRY_BASE_DELAY_MS * (attempt + 1);
-}
-
-function isRetryableStatus(status) {
-  return [408, 409, 429, 500, 502, 503, 504].includes(status);
-}
-
 async function fileExists(filePath) {
   try {
     await access(filePath);
@@ -64,22 +55,8 @@ function chapterFilename(chapter) {
   return `${chapter.number}.webp`;
 }
 
-function parseImagePayload(payload, fallbackModel) {
-  const data = payload?.data?.[0];
-  const modelVersionUsed = payload?.model || data?.model || fallbackModel;
-
-  if (!data?.b64_json) {
-    throw new Error("Image API response missing b64_json image data.");
-  }
-
-  return {
-    pngBuffer: Buffer.from(data.b64_json, "base64"),
-    modelVersionUsed,
-  };
-}
-
-async function renderWebp(pngBuffer) {
-  const imagePipeline = sharp(pngBuffer);
+async function renderWebp(sourceBuffer) {
+  const imagePipeline = sharp(sourceBuffer);
 
   if (ENABLE_CROP) {
     imagePipeline.resize(OUTPUT_WIDTH, OUTPUT_HEIGHT, {
@@ -112,90 +89,8 @@ function pickTargetChapters(chapters) {
   return [...selected.values()].sort((a, b) => a.number - b.number);
 }
 
-async function generateImage({ apiKey, model, size, prompt }) {
-  let apiCalls = 0;
-  let lastError;
-
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt += 1) {
-    const controller = new AbortController();
-    const timeoutHandle = setTimeout(
-      () => controller.abort(),
-      REQUEST_TIMEOUT_MS,
-    );
-
-    try {
-      apiCalls += 1;
-      const response = await fetch(
-        "https://api.openai.com/v1/images/generations",
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-            "Content-Type": "application/json",
-          },
-          signal: controller.signal,
-          body: JSON.stringify({
-            model,
-            prompt,
-            size,
-            quality: "high",
-          }),
-        },
-      );
-      if (!response.ok) {
-        const details = await response.text();
-        const statusError = new Error(
-          `Image API request failed (${response.status}): ${details}`,
-        );
-
-        if (attempt < MAX_RETRIES && isRetryableStatus(response.status)) {
-          lastError = statusError;
-          await sleep(retryDelay(attempt));
-          continue;
-        }
-
-        throw statusError;
-      }
-
-      const payload = await response.json();
-      const { pngBuffer, modelVersionUsed } = parseImagePayload(payload, model);
-      const imageBuffer = await renderWebp(pngBuffer);
-
-      return {
-        imageBuffer,
-        modelVersionUsed,
-        apiCalls,
-      };
-    } catch (error) {
-      const isAbort = error instanceof Error && error.name === "AbortError";
-      lastError = isAbort
-        ? new Error(
-            `Image API request timed out after ${REQUEST_TIMEOUT_MS}ms.`,
-          )
-        : error;
-
-      if (attempt < MAX_RETRIES) {
-        await sleep(retryDelay(attempt));
-        continue;
-      }
-
-      const message =
-        lastError instanceof Error ? lastError.message : String(lastError);
-      throw new Error(`Image API request failed after retries: ${message}`);
-    } finally {
-      clearTimeout(timeoutHandle);
-    }
-  }
-
-  throw lastError || new Error("Image generation failed.");
-}
-
 async function main() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("Missing OPENAI_API_KEY.");
-  }
-
+  const providerName = process.env.IMAGE_PROVIDER || DEFAULT_PROVIDER;
   const inputPath = process.env.IMAGE_INPUT || DEFAULT_INPUT;
   const outputDir = process.env.IMAGE_OUTPUT_DIR || DEFAULT_OUTPUT_DIR;
   const model = process.env.IMAGE_MODEL || DEFAULT_MODEL;
@@ -221,13 +116,57 @@ async function main() {
     );
   }
 
+  const { provider, close } = await createImageProvider(providerName, {
+    apiKey: process.env.OPENAI_API_KEY,
+    model,
+    size,
+    endpoint: process.env.IMAGE_API_URL || undefined,
+    requestTimeoutMs: REQUEST_TIMEOUT_MS,
+    maxRetries: MAX_RETRIES,
+    retryBaseDelayMs: RETRY_BASE_DELAY_MS,
+    mockScenario: process.env.IMAGE_MOCK_SCENARIO,
+  });
+
+  try {
+    await generateChapterImages({
+      provider,
+      storyMeta,
+      targets,
+      inputPath,
+      outputDir,
+      size,
+    });
+  } finally {
+    await close();
+  }
+}
+
+/**
+ * @param {{
+ *   provider: import("./image-providers/index.mjs").ImageProvider,
+ *   storyMeta: { number?: number, title?: string },
+ *   targets: { number: number, title?: string, endingType?: string|null, llmPrompt?: string }[],
+ *   inputPath: string,
+ *   outputDir: string,
+ *   size: string,
+ * }} options
+ */
+async function generateChapterImages({
+  provider,
+  storyMeta,
+  targets,
+  inputPath,
+  outputDir,
+  size,
+}) {
   await mkdir(outputDir, { recursive: true });
 
   const manifest = {
     storyNumber: storyMeta.number,
     storyTitle: storyMeta.title,
     generatedAt: new Date().toISOString(),
-    imageModelRequested: model,
+    imageProvider: provider.name,
+    imageModelRequested: provider.model,
     imageModelVersionsUsed: [],
     apiCallsMade: 0,
     size: ENABLE_CROP ? `${OUTPUT_WIDTH}x${OUTPUT_HEIGHT}` : "source",
@@ -271,13 +210,14 @@ async function main() {
     }
 
     try {
-      const { imageBuffer, modelVersionUsed, apiCalls } = await generateImage({
-        apiKey,
-        model,
-        size,
-        prompt: chapter.llmPrompt,
-      });
+      const { sourceBuffer, modelVersionUsed, apiCalls } =
+        await provider.generate({
+          prompt: chapter.llmPrompt,
+          chapter,
+          storyMeta,
+        });
       manifest.apiCallsMade += apiCalls;
+      const imageBuffer = await renderWebp(sourceBuffer);
 
       usedModelVersions.add(modelVersionUsed);
 
@@ -298,13 +238,15 @@ async function main() {
       successCount += 1;
       console.log(`Generated: ${outputPath}`);
     } catch (error) {
+      const apiCalls = error?.apiCalls ?? 0;
+      manifest.apiCallsMade += apiCalls;
       manifest.images.push({
         chapter: chapter.number,
         title: chapter.title,
         endingType: chapter.endingType ?? null,
         file,
         prompt: chapter.llmPrompt,
-        apiCalls: 0,
+        apiCalls,
         modelVersionUsed: null,
         status: "failed",
         error: error instanceof Error ? error.message : String(error),
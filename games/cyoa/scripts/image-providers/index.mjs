@@ -0,0 +1,99 @@
+/**
+ * Image providers for `scripts/generate-images.mjs` (`IMAGE_PROVIDER`):
+ * - `openai`      the image generations API (needs `OPENAI_API_KEY`)
+ * - `placeholder` labelled gradients rendered locally, no network
+ * - `mock`        the OpenAI provider against `mock-image-server.mjs`,
+ *   answering with `IMAGE_MOCK_SCENARIO` (e.g. `503,timeout,ok`)
+ */
+
+import { createOpenAiImageProvider } from "./openai-provider.mjs";
+import { createPlaceholderImageProvider } from "./placeholder-provider.mjs";
+import { startMockImageServer } from "./mock-image-server.mjs";
+
+export const IMAGE_PROVIDER_NAMES = Object.freeze([
+  "openai",
+  "placeholder",
+  "mock",
+]);
+
+/**
+ * @typedef {{
+ *   prompt: string,
+ *   chapter: { number: number, title?: string, endingType?: string|null },
+ *   storyMeta: { number?: number, title?: string },
+ * }} ImageRequest
+ */
+
+/**
+ * `sourceBuffer` is any image `sharp` can read (PNG from the API, SVG from
+ * the placeholder); the generator converts it to WebP. A provider that gives
+ * up throws, with `apiCalls` on the error when requests were made.
+ *
+ * @typedef {{
+ *   sourceBuffer: Buffer,
+ *   modelVersionUsed: string,
+ *   apiCalls: number,
+ * }} ImageResult
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   model: string,
+ *   generate: (request: ImageRequest) => Promise<ImageResult>,
+ * }} ImageProvider
+ */
+
+/**
+ * @param {string} name
+ * @param {{
+ *   apiKey?: string,
+ *   model: string,
+ *   size: string,
+ *   endpoint?: string,
+ *   requestTimeoutMs: number,
+ *   maxRetries: number,
+ *   retryBaseDelayMs: number,
+ *   mockScenario?: string,
+ * }} config
+ * @returns {Promise<{ provider: ImageProvider, close: () => Promise<void> }>}
+ */
+export async function createImageProvider(name, config) {
+  const { apiKey, mockScenario, ...openAiConfig } = config;
+
+  if (name === "placeholder") {
+    return {
+      provider: createPlaceholderImageProvider(),
+      close: async () => {},
+    };
+  }
+
+  if (name === "mock") {
+    const server = await startMockImageServer({ scenario: mockScenario });
+    return {
+      provider: {
+        ...createOpenAiImageProvider({
+          ...openAiConfig,
+          apiKey: "mock-api-key",
+          endpoint: server.url,
+        }),
+        name: "mock",
+      },
+      close: server.close,
+    };
+  }
+
+  if (name === "openai") {
+    if (!apiKey) {
+      throw new Error("Missing OPENAI_API_KEY.");
+    }
+    return {
+      provider: createOpenAiImageProvider({ ...openAiConfig, apiKey }),
+      close: async () => {},
+    };
+  }
+
+  throw new Error(
+    `Unknown IMAGE_PROVIDER '${name}': expected ${IMAGE_PROVIDER_NAMES.join(", ")}.`,
+  );
+}
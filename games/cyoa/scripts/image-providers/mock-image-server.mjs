@@ -0,0 +1,110 @@
+/**
+ * Local stand-in for the image generations endpoint, for exercising the
+ * OpenAI provider's retry and timeout handling without network.
+ *
+ * The server answers each request with the next step of a scenario; once the
+ * scenario runs out the last step repeats. Steps:
+ * - `ok`          200 with a tiny PNG as `b64_json`
+ * - `timeout`     never answers (the client's timeout has to fire)
+ * - `bad-payload` 200 without image data
+ * - `<status>`    that HTTP status with an error body, e.g. `503` or `400`
+ */
+
+import http from "node:http";
+
+export const MOCK_IMAGE_MODEL = "mock-image-1";
+
+/** 1x1 RGB PNG, so `sharp` has a real image to convert. */
+export const MOCK_PNG_BASE64 =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGNIaFgAAALEAYFIUgTEAAAAAElFTkSuQmCC";
+
+/**
+ * @param {string|string[]} scenario comma-separated string or list of steps
+ * @returns {string[]}
+ */
+export function parseMockScenario(scenario) {
+  const steps = (
+    Array.isArray(scenario) ? scenario : String(scenario).split(",")
+  )
+    .map((step) => String(step).trim())
+    .filter(Boolean);
+
+  steps.forEach((step) => {
+    if (
+      !["ok", "timeout", "bad-payload"].includes(step) &&
+      !/^\d{3}$/.test(step)
+    ) {
+      throw new Error(
+        `Invalid mock image scenario step '${step}': expected ok, timeout, bad-payload or an HTTP status.`,
+      );
+    }
+  });
+
+  return steps.length > 0 ? steps : ["ok"];
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * @param {{ scenario?: string|string[], port?: number }} [options]
+ * @returns {Promise<{
+ *   url: string,
+ *   requests: { headers: import("node:http").IncomingHttpHeaders, body: any }[],
+ *   close: () => Promise<void>,
+ * }>}
+ */
+export async function startMockImageServer({ scenario = "ok", port = 0 } = {}) {
+  const steps = parseMockScenario(scenario);
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => {
+      let body = null;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch {
+        body = null;
+      }
+
+      const step = steps[Math.min(requests.length, steps.length - 1)];
+      requests.push({ headers: request.headers, body });
+
+      if (step === "timeout") return;
+      if (step === "ok") {
+        sendJson(response, 200, {
+          model: MOCK_IMAGE_MODEL,
+          data: [{ b64_json: MOCK_PNG_BASE64 }],
+        });
+        return;
+      }
+      if (step === "bad-payload") {
+        sendJson(response, 200, { model: MOCK_IMAGE_MODEL, data: [] });
+        return;
+      }
+      sendJson(response, Number(step), {
+        error: { message: `Mock image server answered ${step}.` },
+      });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+
+  const { port: boundPort } = server.address();
+  return {
+    url: `http://127.0.0.1:${boundPort}/v1/images/generations`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
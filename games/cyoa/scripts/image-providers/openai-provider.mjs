@@ -0,0 +1,140 @@
+/**
+ * OpenAI image provider for `scripts/generate-images.mjs`.
+ *
+ * Calls the image generations endpoint with a per-request timeout and
+ * retries transient failures (rate limit, timeout, 5xx) with a linear
+ * backoff. `endpoint` can point at `mock-image-server.mjs` to exercise the
+ * retry and timeout paths without network.
+ */
+
+export const OPENAI_IMAGE_ENDPOINT =
+  "https://api.openai.com/v1/images/generations";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return [408, 409, 429, 500, 502, 503, 504].includes(status);
+}
+
+function parseImagePayload(payload, fallbackModel) {
+  const data = payload?.data?.[0];
+  const modelVersionUsed = payload?.model || data?.model || fallbackModel;
+
+  if (!data?.b64_json) {
+    throw new Error("Image API response missing b64_json image data.");
+  }
+
+  return {
+    sourceBuffer: Buffer.from(data.b64_json, "base64"),
+    modelVersionUsed,
+  };
+}
+
+/**
+ * @param {{
+ *   apiKey: string,
+ *   model: string,
+ *   size: string,
+ *   endpoint?: string,
+ *   requestTimeoutMs: number,
+ *   maxRetries: number,
+ *   retryBaseDelayMs: number,
+ * }} options
+ * @returns {import("./index.mjs").ImageProvider}
+ */
+export function createOpenAiImageProvider({
+  apiKey,
+  model,
+  size,
+  endpoint = OPENAI_IMAGE_ENDPOINT,
+  requestTimeoutMs,
+  maxRetries,
+  retryBaseDelayMs,
+}) {
+  const retryDelay = (attempt) => retryBaseDelayMs * (attempt + 1);
+
+  async function generate({ prompt }) {
+    let apiCalls = 0;
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+      const controller = new AbortController();
+      const timeoutHandle = setTimeout(
+        () => controller.abort(),
+        requestTimeoutMs,
+      );
+
+      try {
+        apiCalls += 1;
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+          },
+          signal: controller.signal,
+          body: JSON.stringify({
+            model,
+            prompt,
+            size,
+            quality: "high",
+          }),
+        });
+        if (!response.ok) {
+          const details = await response.text();
+          const statusError = new Error(
+            `Image API request failed (${response.status}): ${details}`,
+          );
+
+          if (!isRetryableStatus(response.status)) {
+            statusError.isRetryable = false;
+          }
+          throw statusError;
+        }
+
+        const payload = await response.json();
+        const { sourceBuffer, modelVersionUsed } = parseImagePayload(
+          payload,
+          model,
+        );
+
+        return {
+          sourceBuffer,
+          modelVersionUsed,
+          apiCalls,
+        };
+      } catch (error) {
+        const isAbort = error instanceof Error && error.name === "AbortError";
+        lastError = isAbort
+          ? new Error(
+              `Image API request timed out after ${requestTimeoutMs}ms.`,
+            )
+          : error;
+
+        if (attempt < maxRetries && lastError?.isRetryable !== false) {
+          await sleep(retryDelay(attempt));
+          continue;
+        }
+
+        const message =
+          lastError instanceof Error ? lastError.message : String(lastError);
+        throw Object.assign(
+          new Error(
+            lastError?.isRetryable === false
+              ? message
+              : `Image API request failed after retries: ${message}`,
+          ),
+          { apiCalls },
+        );
+      } finally {
+        clearTimeout(timeoutHandle);
+      }
+    }
+
+    throw lastError || new Error("Image generation failed.");
+  }
+
+  return { name: "openai", model, generate };
+}
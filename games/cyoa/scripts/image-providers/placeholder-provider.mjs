@@ -0,0 +1,125 @@
+/**
+ * Local placeholder provider for `scripts/generate-images.mjs`.
+ *
+ * Draws a labelled gradient per chapter (story title, chapter number and
+ * title, ending type) as SVG; the generator turns it into WebP with `sharp`
+ * like any other source image. Colors are derived from the story and chapter
+ * numbers, so the same input always gives the same files and the pipeline
+ * can run end to end offline.
+ */
+
+export const PLACEHOLDER_WIDTH = 1536;
+export const PLACEHOLDER_HEIGHT = 864;
+export const PLACEHOLDER_MODEL = "placeholder";
+
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * FNV-1a, enough to spread hues between chapters.
+ *
+ * @param {string} value
+ * @returns {number}
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (const character of value) {
+    hash ^= character.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function truncateLabel(value) {
+  return value.length > MAX_LABEL_LENGTH
+    ? `${value.slice(0, MAX_LABEL_LENGTH - 1)}…`
+    : value;
+}
+
+/**
+ * @param {{
+ *   storyNumber?: number|string,
+ *   storyTitle?: string,
+ *   chapter: { number: number, title?: string, endingType?: string|null },
+ *   width?: number,
+ *   height?: number,
+ * }} options
+ * @returns {string}
+ */
+export function renderPlaceholderSvg({
+  storyNumber = "",
+  storyTitle = "",
+  chapter,
+  width = PLACEHOLDER_WIDTH,
+  height = PLACEHOLDER_HEIGHT,
+}) {
+  const hue = hashString(`${storyNumber}:${chapter.number}`) % 360;
+  const endHue = (hue + 60) % 360;
+  const chapterLabel = truncateLabel(
+    `Chapter ${chapter.number}${chapter.title ? ` — ${chapter.title}` : ""}`,
+  );
+  const endingLabel = chapter.endingType
+    ? `Ending: ${String(chapter.endingType).replaceAll("_", " ")}`
+    : "";
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="hsl(${hue}, 55%, 38%)"/>
+      <stop offset="1" stop-color="hsl(${endHue}, 60%, 18%)"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#background)"/>
+  <g fill="#ffffff" font-family="sans-serif" text-anchor="middle">
+    <text x="50%" y="38%" font-size="40" opacity="0.8">${escapeXml(truncateLabel(storyTitle))}</text>
+    <text x="50%" y="52%" font-size="64" font-weight="bold">${escapeXml(chapterLabel)}</text>
+    <text x="50%" y="64%" font-size="36" opacity="0.8">${escapeXml(endingLabel)}</text>
+  </g>
+</svg>
+`;
+}
+
+/**
+ * @param {{ width?: number, height?: number }} [options]
+ * @returns {import("./index.mjs").ImageProvider}
+ */
+export function createPlaceholderImageProvider({
+  width = PLACEHOLDER_WIDTH,
+  height = PLACEHOLDER_HEIGHT,
+} = {}) {
+  return {
+    name: "placeholder",
+    model: PLACEHOLDER_MODEL,
+    async generate({ chapter, storyMeta }) {
+      const svg = renderPlaceholderSvg({
+        storyNumber: storyMeta?.number,
+        storyTitle: storyMeta?.title,
+        chapter,
+        width,
+        height,
+      });
+
+      return {
+        sourceBuffer: Buffer.from(svg, "utf8"),
+        modelVersionUsed: PLACEHOLDER_MODEL,
+        apiCalls: 0,
+      };
+    },
+  };
+}
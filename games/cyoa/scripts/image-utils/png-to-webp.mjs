@@ -2,7 +2,8 @@
 /**
  * png-to-webp.mjs
  *
- * Converts PNG images to WEBP format using sharp.
+ * Converts PNG images to WEBP format using sharp, and prepares chapter
+ * illustrations for responsive loading.
  * Designed for batch conversion in the current directory.
  *
  * Features
@@ -13,6 +14,11 @@
  * • Supports converting a single file or an entire directory
  * • Configurable quality parameter
  * • Preserves original image dimensions
+ * • Writes downscaled copies of every chapter image (`<n>.webp`) as
+ *   `<n>-<width>w.webp`, for the reader's `srcset`
+ * • Builds a tiny blurred-placeholder data URI per chapter image
+ * • With `--story <n>`, records `sourceWidth`, `responsiveWidths` and
+ *   `placeholder` for each chapter in `assets/stories/metadata-images.json`
  * • Logs progress to console
  *
  * Usage
@@ -25,6 +31,11 @@
  *
  *   node png-to-webp.mjs
  *
+ * Run it inside a story folder to also update the image metadata:
+ *
+ *   cd assets/stories/3
+ *   node ../../../scripts/image-utils/png-to-webp.mjs --story 3
+ *
  * Bash equivalent (ImageMagick example):
  *
  *   for f in *.png; do
@@ -35,8 +46,12 @@
 
 import fs from "fs/promises";
 import path from "path";
+import { fileURLToPath } from "url";
 import sharp from "sharp";
 
+import { updateChapterImageMetadataText } from "../../js/utils/metadataJson.js";
+import { getChapterImageVariantFileName } from "../../js/utils/storyPaths.js";
+
 ////////////////////////////////////////////////////////////
 // CONFIGURATION
 ////////////////////////////////////////////////////////////
@@ -47,6 +62,38 @@ const AUTO_CONVERT_DIRECTORY = true;
 const INPUT_DIR = process.cwd();
 const OUTPUT_DIR = process.cwd();
 
+// Downscaled copies; widths at or above the source width are skipped.
+const RESPONSIVE_WIDTHS = [480, 960];
+const RESPONSIVE_QUALITY = 80;
+
+// 16px wide keeps the data URI around 150 bytes; the reader blurs it.
+const PLACEHOLDER_WIDTH = 16;
+const PLACEHOLDER_QUALITY = 40;
+
+const CHAPTER_IMAGE_PATTERN = /^(\d+)\.webp$/;
+const DEFAULT_METADATA_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../assets/stories/metadata-images.json",
+);
+
+////////////////////////////////////////////////////////////
+// ARGUMENTS
+////////////////////////////////////////////////////////////
+
+function readOption(name) {
+  const args = process.argv.slice(2);
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+const STORY_NUMBER = readOption("story");
+const METADATA_PATH = readOption("metadata") || DEFAULT_METADATA_PATH;
+
+if (STORY_NUMBER !== undefined && !/^\d+$/.test(STORY_NUMBER)) {
+  console.error(`--story expects a story number, got '${STORY_NUMBER}'.`);
+  process.exit(1);
+}
+
 ////////////////////////////////////////////////////////////
 // START LOG
 ////////////////////////////////////////////////////////////
@@ -56,7 +103,11 @@ console.log("PNG → WEBP conversion started");
 console.log(`Directory: ${INPUT_DIR}`);
 console.log(`Quality: ${QUALITY}`);
 console.log("Dimensions: preserved from source image");
+console.log(`Responsive widths: ${RESPONSIVE_WIDTHS.join(", ")}`);
 console.log("Metadata: stripped");
+if (STORY_NUMBER !== undefined) {
+  console.log(`Image metadata: ${METADATA_PATH} (story ${STORY_NUMBER})`);
+}
 console.log("--------------------------------------------------");
 
 ////////////////////////////////////////////////////////////
@@ -81,6 +132,72 @@ async function convertImage(file) {
   }
 }
 
+////////////////////////////////////////////////////////////
+// RESPONSIVE VARIANTS AND PLACEHOLDER
+////////////////////////////////////////////////////////////
+
+/**
+ * @param {string} file chapter image, e.g. `3.webp`
+ * @returns {Promise<{ chapterNumber: number, fields: { sourceWidth: number, responsiveWidths: number[], placeholder: string } }|null>}
+ */
+async function prepareResponsiveImage(file) {
+  const chapterNumber = Number(file.match(CHAPTER_IMAGE_PATTERN)[1]);
+  const inputPath = path.join(OUTPUT_DIR, file);
+
+  try {
+    const { width: sourceWidth } = await sharp(inputPath).metadata();
+    const responsiveWidths = RESPONSIVE_WIDTHS.filter(
+      (width) => width < sourceWidth,
+    );
+
+    for (const width of responsiveWidths) {
+      const variantName = getChapterImageVariantFileName(chapterNumber, width);
+      await sharp(inputPath)
+        .resize({ width })
+        .webp({ quality: RESPONSIVE_QUALITY })
+        .toFile(path.join(OUTPUT_DIR, variantName));
+      console.log(`✔ Resized: ${file} → ${variantName}`);
+    }
+
+    const placeholderBuffer = await sharp(inputPath)
+      .resize({ width: PLACEHOLDER_WIDTH })
+      .webp({ quality: PLACEHOLDER_QUALITY })
+      .toBuffer();
+
+    return {
+      chapterNumber,
+      fields: {
+        sourceWidth,
+        responsiveWidths,
+        placeholder: `data:image/webp;base64,${placeholderBuffer.toString("base64")}`,
+      },
+    };
+  } catch (err) {
+    console.error(`✖ Failed: ${file}`, err.message);
+    return null;
+  }
+}
+
+async function recordImageMetadata(results) {
+  let metadataText = await fs.readFile(METADATA_PATH, "utf8");
+
+  for (const { chapterNumber, fields } of results) {
+    try {
+      metadataText = updateChapterImageMetadataText(
+        metadataText,
+        Number(STORY_NUMBER),
+        chapterNumber,
+        fields,
+      );
+    } catch (err) {
+      console.error(`✖ Not recorded: chapter ${chapterNumber}`, err.message);
+    }
+  }
+
+  await fs.writeFile(METADATA_PATH, metadataText, "utf8");
+  console.log(`✔ Updated: ${METADATA_PATH}`);
+}
+
 ////////////////////////////////////////////////////////////
 // DIRECTORY PROCESSING
 ////////////////////////////////////////////////////////////
@@ -92,13 +209,28 @@ async function processDirectory() {
 
   if (pngFiles.length === 0) {
     console.log("No PNG files found.");
-    return;
   }
 
   for (const file of pngFiles) {
     await convertImage(file);
   }
 
+  const chapterImages = (await fs.readdir(OUTPUT_DIR))
+    .filter((f) => CHAPTER_IMAGE_PATTERN.test(f))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  const results = [];
+
+  for (const file of chapterImages) {
+    const result = await prepareResponsiveImage(file);
+    if (result) {
+      results.push(result);
+    }
+  }
+
+  if (STORY_NUMBER !== undefined && results.length > 0) {
+    await recordImageMetadata(results);
+  }
+
   console.log("--------------------------------------------------");
   console.log("Conversion complete.");
   console.log("--------------------------------------------------");
@@ -0,0 +1,203 @@
+/**
+ * Story command-line tools
+ *
+ * Usage (from games/cyoa):
+ *   npm run story -- lint <id|path>...          validate story markdown
+ *   npm run story -- stats <id|path>...         print structure stats
+ *   npm run story -- sync-metadata <id|all>...  regenerate `length`,
+ *     `keywords` and `chapters` in metadata-stories.json from the markdown
+ *   npm run story -- new [--length mini|short|medium|long] [--tone <tone>] <title>
+ *     create assets/stories/<next>/story.md and list it in both metadata files
+ *
+ * Exit code is 1 when a story fails validation or a command fails.
+ */
+
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+
+import {
+  STORIES_DIR,
+  STORIES_IMAGE_METADATA_PATH,
+  STORIES_METADATA_PATH,
+  formatStoryStats,
+  getStoryMetadataFields,
+  getStoryStats,
+  lintStory,
+  parseNewStoryArgs,
+  resolveStoryTarget,
+} from "./story-tools.mjs";
+import {
+  appendStoryImageMetadataEntry,
+  appendStoryMetadataEntry,
+  updateStoryMetadataText,
+} from "../js/utils/metadataJson.js";
+import {
+  createStoryScaffold,
+  getNextStoryNumber,
+} from "../js/utils/storyScaffold.js";
+
+const USAGE = `Usage: npm run story -- <command> <id|path>...
+
+Commands:
+  lint <id|path>...          Validate story markdown (errors and warnings)
+  stats <id|path>...         Print chapters, endings, words and paths
+  sync-metadata <id|all>...  Regenerate length, keywords and chapters in
+                             ${STORIES_METADATA_PATH}
+  new [--length <band>] [--tone <tone>] <title>
+                             Create the next story from a skeleton and add it
+                             to both metadata files`;
+
+async function lintCommand(targets) {
+  let hasErrors = false;
+
+  for (const target of targets) {
+    const { storyPath } = resolveStoryTarget(target);
+    const { errors, warnings } = lintStory(await readFile(storyPath, "utf8"));
+
+    errors.forEach((error) => console.error(`${storyPath}: ${error}`));
+    warnings.forEach((warning) =>
+      console.warn(`${storyPath}: warning: ${warning}`),
+    );
+    if (errors.length === 0) {
+      console.log(
+        `${storyPath}: ok${warnings.length ? ` (${warnings.length} warning(s))` : ""}`,
+      );
+    }
+    hasErrors ||= errors.length > 0;
+  }
+
+  return hasErrors ? 1 : 0;
+}
+
+async function statsCommand(targets) {
+  for (const target of targets) {
+    const { storyPath } = resolveStoryTarget(target);
+    const analysis = getStoryStats(await readFile(storyPath, "utf8"));
+    console.log(storyPath);
+    formatStoryStats(analysis).forEach((line) => console.log(`  ${line}`));
+  }
+  return 0;
+}
+
+async function getAllStoryNumbers() {
+  const entries = await readdir(STORIES_DIR);
+  return entries
+    .filter((entry) => /^\d+$/.test(entry))
+    .map(Number)
+    .sort((left, right) => left - right);
+}
+
+async function syncMetadataCommand(targets) {
+  const storyNumbers = targets.includes("all")
+    ? await getAllStoryNumbers()
+    : targets.map((target) => {
+        const { storyNumber } = resolveStoryTarget(target);
+        if (storyNumber === null) {
+          throw new Error(
+            `sync-metadata expects story numbers or "all", got '${target}'.`,
+          );
+        }
+        return storyNumber;
+      });
+
+  const originalText = await readFile(STORIES_METADATA_PATH, "utf8");
+  const metadata = JSON.parse(originalText);
+  let metadataText = originalText;
+
+  for (const storyNumber of storyNumbers) {
+    const { storyPath } = resolveStoryTarget(String(storyNumber));
+    const hasEntry = metadata.some((story) => story.number === storyNumber);
+    // Listing a story publishes it, so unlisted folders are only reported.
+    if (!hasEntry) {
+      console.warn(
+        `Story ${storyNumber}: skipped (not listed in ${STORIES_METADATA_PATH}; add its entry by hand to publish it)`,
+      );
+      continue;
+    }
+
+    const fields = getStoryMetadataFields(await readFile(storyPath, "utf8"));
+    const nextText = updateStoryMetadataText(metadataText, storyNumber, fields);
+    console.log(
+      `Story ${storyNumber}: ${nextText === metadataText ? "up to date" : `updated (${fields.length}, ${fields.chapters} chapters, ${fields.keywords.join(", ")})`}`,
+    );
+    metadataText = nextText;
+  }
+
+  if (metadataText !== originalText) {
+    await writeFile(STORIES_METADATA_PATH, metadataText, "utf8");
+    console.log(`Wrote ${STORIES_METADATA_PATH}`);
+  }
+  return 0;
+}
+
+/**
+ * Story folders and both metadata files are checked, so a folder that is
+ * not listed yet (or the other way round) is never reused.
+ */
+async function newCommand(args) {
+  const { title, length, tone } = parseNewStoryArgs(args);
+  const [metadataText, imageMetadataText] = await Promise.all([
+    readFile(STORIES_METADATA_PATH, "utf8"),
+    readFile(STORIES_IMAGE_METADATA_PATH, "utf8"),
+  ]);
+  const storyNumber = getNextStoryNumber([
+    ...(await getAllStoryNumbers()),
+    ...JSON.parse(metadataText).map((story) => story.number),
+    ...JSON.parse(imageMetadataText).stories.map((story) => story.number),
+  ]);
+
+  const scaffold = createStoryScaffold({ storyNumber, title, length, tone });
+  const nextMetadataText = appendStoryMetadataEntry(
+    metadataText,
+    scaffold.metadataEntry,
+  );
+  const nextImageMetadataText = appendStoryImageMetadataEntry(
+    imageMetadataText,
+    scaffold.imageMetadataEntry,
+  );
+
+  const { storyPath } = resolveStoryTarget(String(storyNumber));
+  await mkdir(path.dirname(storyPath), { recursive: true });
+  await writeFile(storyPath, scaffold.markdown, {
+    encoding: "utf8",
+    flag: "wx",
+  });
+  await writeFile(STORIES_METADATA_PATH, nextMetadataText, "utf8");
+  await writeFile(STORIES_IMAGE_METADATA_PATH, nextImageMetadataText, "utf8");
+
+  console.log(
+    `Created story ${storyNumber} "${scaffold.metadataEntry.title}" (${scaffold.metadataEntry.length}, ${scaffold.metadataEntry.chapters} chapters)`,
+  );
+  console.log(`  ${storyPath}`);
+  console.log(`  ${STORIES_METADATA_PATH}`);
+  console.log(`  ${STORIES_IMAGE_METADATA_PATH}`);
+  return 0;
+}
+
+const COMMANDS = {
+  lint: lintCommand,
+  stats: statsCommand,
+  "sync-metadata": syncMetadataCommand,
+  new: newCommand,
+};
+
+async function main() {
+  const [commandName, ...targets] = process.argv.slice(2);
+  const command = COMMANDS[commandName];
+
+  if (!command || targets.length === 0) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  process.exitCode = await command(targets);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : String(error));
+  if (!process.exitCode) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * Story tooling shared by `scripts/story-cli.mjs` (and its tests).
+ *
+ * Everything here works on strings: reading and writing files is left to the
+ * CLI. Validation and analysis reuse the browser modules (`storyParser.js`,
+ * `storyAnalysis.js`), so the terminal reports exactly what the admin page
+ * shows.
+ */
+
+import path from "node:path";
+
+import {
+  formatStoryDiagnostic,
+  parseStoryKeywords,
+  parseStoryWithDiagnostics,
+} from "../js/utils/storyParser.js";
+import {
+  analyzeStory,
+  classifyStoryLength,
+  getStoryAnalysisWarnings,
+} from "../js/utils/storyAnalysis.js";
+
+export const STORIES_DIR = "assets/stories";
+export const STORIES_METADATA_PATH = "assets/stories/metadata-stories.json";
+export const STORIES_IMAGE_METADATA_PATH =
+  "assets/stories/metadata-images.json";
+
+/**
+ * `new` arguments: `--length <band>` and `--tone <tone>` options, every
+ * other word is part of the title.
+ *
+ * @param {string[]} args
+ * @returns {{ title: string, length?: string, tone?: string }}
+ */
+export function parseNewStoryArgs(args) {
+  const options = {};
+  const titleWords = [];
+
+  for (let index = 0; index < args.length; index += 1) {
+    const option = args[index].match(/^--(length|tone)(?:=(.*))?$/);
+    if (!option) {
+      titleWords.push(args[index]);
+      continue;
+    }
+    options[option[1]] = option[2] ?? args[(index += 1)] ?? "";
+  }
+
+  return { title: titleWords.join(" "), ...options };
+}
+
+/**
+ * A story number resolves to `assets/stories/<n>/story.md`; anything else is
+ * taken as a path to a markdown file.
+ *
+ * @param {string} target
+ * @returns {{ storyNumber: number|null, storyPath: string }}
+ */
+export function resolveStoryTarget(target) {
+  const value = String(target ?? "").trim();
+  if (/^\d+$/.test(value)) {
+    return {
+      storyNumber: Number(value),
+      storyPath: path.join(STORIES_DIR, value, "story.md"),
+    };
+  }
+
+  return { storyNumber: null, storyPath: value };
+}
+
+/**
+ * @param {string} markdown
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function lintStory(markdown) {
+  const { chapters, diagnostics } = parseStoryWithDiagnostics(markdown);
+  if (diagnostics.length > 0) {
+    return { errors: diagnostics.map(formatStoryDiagnostic), warnings: [] };
+  }
+
+  return {
+    errors: [],
+    warnings: getStoryAnalysisWarnings(analyzeStory(chapters)),
+  };
+}
+
+/**
+ * @param {string} markdown
+ * @returns {import("../js/types.js").StoryAnalysis}
+ * @throws {Error} when the story does not parse
+ */
+export function getStoryStats(markdown) {
+  const { chapters, diagnostics } = parseStoryWithDiagnostics(markdown);
+  if (diagnostics.length > 0) {
+    throw new Error(diagnostics.map(formatStoryDiagnostic).join("\n"));
+  }
+  return analyzeStory(chapters);
+}
+
+/**
+ * @param {import("../js/types.js").StoryAnalysis} analysis
+ * @returns {string[]}
+ */
+export function formatStoryStats(analysis) {
+  const { lengthBand } = analysis;
+  const formatList = (values) => (values.length ? values.join(", ") : "none");
+  const formatRange = ({ min, max, average }) =>
+    `${min}-${max} (avg ${average})`;
+
+  return [
+    `Chapters: ${analysis.chapterCount}`,
+    `Endings: ${analysis.endingCount}`,
+    `Words: ${analysis.totalWords}`,
+    `Length: ${lengthBand.length}${lengthBand.isInferred ? " (inferred from words)" : ""}`,
+    `Paths to an ending: ${analysis.pathCount}${analysis.isPathCountCapped ? "+" : ""}`,
+    `Path depth: ${formatRange(analysis.pathDepth)}`,
+    `Path words: ${formatRange(analysis.pathWords)}`,
+    `Orphan chapters: ${formatList(analysis.orphanChapterNumbers)}`,
+    `Dead ends: ${formatList(analysis.deadEndChapterNumbers)}`,
+    `Cycles through: ${formatList(analysis.cycleChapterNumbers)}`,
+    ...analysis.endings.map(
+      (ending) =>
+        `Ending ${ending.chapterNumber} "${ending.title}": ${ending.pathCount} path(s), depth ${ending.minDepth}-${ending.maxDepth}, ${ending.minWords}-${ending.maxWords} words`,
+    ),
+  ];
+}
+
+/**
+ * Metadata values derived from the markdown. Keywords are lower-cased like
+ * the rest of `metadata-stories.json`.
+ *
+ * @param {string} markdown
+ * @returns {{ length: import("../js/types.js").StoryLength, keywords: string[], chapters: number }}
+ * @throws {Error} when the story does not parse
+ */
+export function getStoryMetadataFields(markdown) {
+  const analysis = getStoryStats(markdown);
+  return {
+    length: classifyStoryLength(analysis.totalWords),
+    keywords: parseStoryKeywords(markdown).map((keyword) =>
+      keyword.toLowerCase(),
+    ),
+    chapters: analysis.chapterCount,
+  };
+}
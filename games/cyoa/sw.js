@@ -0,0 +1,112 @@
+/**
+ * Service worker - offline support
+ *
+ * Caches:
+ * - `cyoa-shell-v1`: app shell (HTML, CSS, JS modules, metadata JSON).
+ *   Requests go to the network first and refresh the cache; the cached copy
+ *   is the fallback when offline. The entry points are precached on install.
+ * - `cyoa-stories-v1`: stories downloaded from the home page (`story.md` and
+ *   chapter images), written by `js/services/offlineStoriesService.js`.
+ *   Served cache-first; stories that were not downloaded use the network.
+ *
+ * Music (`.mp3`) and cross-origin requests (web fonts) are not intercepted.
+ */
+
+const SHELL_CACHE_NAME = "cyoa-shell-v1";
+// Keep in sync with OFFLINE_STORIES_CACHE_NAME in offlineStoriesService.js.
+const STORIES_CACHE_NAME = "cyoa-stories-v1";
+const CACHE_NAME_PREFIX = "cyoa-";
+
+const SHELL_PRECACHE_PATHS = [
+  "./",
+  "index.html",
+  "css/style.css",
+  "js/app.js",
+  "assets/stories/metadata-stories.json",
+  "assets/stories/metadata-images.json",
+  "assets/music/tracks.json",
+  "assets/music/metadata.json",
+];
+
+const STORY_ASSET_PATTERN = /\/assets\/stories\/[^/]+\/[^/]+$/;
+
+function resolveScopedUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_PRECACHE_PATHS.map(resolveScopedUrl)))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const currentCacheNames = new Set([SHELL_CACHE_NAME, STORIES_CACHE_NAME]);
+
+  event.waitUntil(
+    caches
+      .keys()
+      .then((cacheNames) =>
+        Promise.all(
+          cacheNames
+            .filter(
+              (cacheName) =>
+                cacheName.startsWith(CACHE_NAME_PREFIX) &&
+                !currentCacheNames.has(cacheName),
+            )
+            .map((cacheName) => caches.delete(cacheName)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function respondFromStoriesCache(request) {
+  const cache = await caches.open(STORIES_CACHE_NAME);
+  const cachedResponse = await cache.match(request, { ignoreSearch: true });
+  return cachedResponse || fetch(request);
+}
+
+async function respondNetworkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.type === "basic") {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cachedResponse = await cache.match(request, { ignoreSearch: true });
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+
+    if (request.mode === "navigate") {
+      const shellResponse = await cache.match(resolveScopedUrl("index.html"));
+      if (shellResponse) {
+        return shellResponse;
+      }
+    }
+
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.endsWith(".mp3")) return;
+
+  event.respondWith(
+    STORY_ASSET_PATTERN.test(url.pathname)
+      ? respondFromStoriesCache(request)
+      : respondNetworkFirst(request),
+  );
+});
@@ -0,0 +1,156 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ADMIN_DRAFTS_STORAGE_KEY,
+  NEW_STORY_DRAFT_KEY,
+  createAdminDraftsStore,
+  getDraftKey,
+} from "../js/state/adminDraftsStore.js";
+import {
+  getAdminDraftStatusText,
+  renderAdminDraftNotice,
+} from "../js/utils/adminDraftUI.js";
+import { renderAdminPageTemplate } from "../js/pages/admin.template.js";
+import { bindAdminPage } from "../js/pages/admin.page.js";
+import { createMemoryStorage, withDomEnvironment } from "./testHelpers.mjs";
+
+test("adminDrafts: store saves, reads and clears drafts per story", () => {
+  const storage = createMemoryStorage();
+  const store = createAdminDraftsStore(storage);
+
+  assert.equal(store.getAdminDraft("3"), null);
+
+  const saved = store.saveAdminDraft(3, "# Edited");
+  store.saveAdminDraft("", "# Brand new");
+
+  assert.deepEqual(store.getAdminDraft("3"), saved);
+  assert.match(saved.updatedAt, /^\d{4}-\d{2}-\d{2}T/);
+  assert.equal(store.getAdminDraft(null)?.content, "# Brand new");
+  assert.deepEqual(
+    Object.keys(JSON.parse(storage.getItem(ADMIN_DRAFTS_STORAGE_KEY))),
+    ["3", NEW_STORY_DRAFT_KEY],
+  );
+
+  store.clearAdminDraft("3");
+  assert.equal(store.getAdminDraft("3"), null);
+  assert.equal(
+    store.getAdminDraft(NEW_STORY_DRAFT_KEY)?.content,
+    "# Brand new",
+  );
+});
+
+test("adminDrafts: store tolerates missing storage and corrupt entries", () => {
+  assert.equal(getDraftKey(undefined), NEW_STORY_DRAFT_KEY);
+  assert.equal(getDraftKey(" 5 "), "5");
+
+  const storeWithoutStorage = createAdminDraftsStore(null);
+  storeWithoutStorage.saveAdminDraft("1", "text");
+  assert.equal(storeWithoutStorage.getAdminDraft("1"), null);
+
+  const storage = createMemoryStorage({
+    [ADMIN_DRAFTS_STORAGE_KEY]: JSON.stringify({ 1: { content: 42 } }),
+  });
+  assert.equal(createAdminDraftsStore(storage).getAdminDraft("1"), null);
+});
+
+test("adminDrafts: restore prompt, status text and editor actions render", async () => {
+  await withDomEnvironment(async () => {
+    const draft = { content: "# Draft", updatedAt: "2026-01-02T03:04:05.000Z" };
+    const notice = renderAdminDraftNotice(draft, "Story <2>");
+
+    assert.match(notice, /unsaved draft of Story &lt;2&gt; from /);
+    assert.match(notice, /data-draft-action="restore"/);
+    assert.match(notice, /data-draft-action="discard"/);
+    assert.equal(renderAdminDraftNotice(null, "Story 2"), "");
+    assert.match(getAdminDraftStatusText(draft), /^Draft saved .+/);
+    assert.equal(
+      getAdminDraftStatusText({ content: "", updatedAt: "" }),
+      "Draft saved",
+    );
+
+    const html = renderAdminPageTemplate("# Example");
+    assert.match(html, /id="download-btn"[^>]*>Download story\.md</);
+    assert.match(html, /id="open-file-btn"/);
+    assert.match(html, /id="open-file-input"/);
+    assert.match(html, /id="draft-notice"/);
+    assert.match(html, /id="draft-status"/);
+  });
+});
+
+function createFakeElement() {
+  const listeners = {};
+  return {
+    value: "",
+    innerHTML: "",
+    textContent: "",
+    addEventListener(type, listener) {
+      (listeners[type] ||= []).push(listener);
+    },
+    dispatchEvent(event) {
+      (listeners[event.type] || []).forEach((listener) => listener(event));
+    },
+  };
+}
+
+test("adminDrafts: creating a story skeleton keeps an existing new-story draft", async () => {
+  const previousFetch = globalThis.fetch;
+  const previousStorage = globalThis.localStorage;
+  const storage = createMemoryStorage({
+    [ADMIN_DRAFTS_STORAGE_KEY]: JSON.stringify({
+      [NEW_STORY_DRAFT_KEY]: {
+        content: "# Unfinished story",
+        updatedAt: "2026-01-02T03:04:05.000Z",
+      },
+    }),
+  });
+  const elements = {
+    "story-editor": createFakeElement(),
+    "draft-notice": createFakeElement(),
+    "draft-status": createFakeElement(),
+    "new-story-title": createFakeElement(),
+    "new-story-length": createFakeElement(),
+    "new-story-btn": createFakeElement(),
+    "new-story-result": createFakeElement(),
+  };
+
+  globalThis.localStorage = storage;
+  globalThis.fetch = async (url, options = {}) => {
+    if (options.method === "HEAD") return { ok: false };
+    const text = /metadata-images\.json$/.test(url)
+      ? JSON.stringify({ stories: [{ number: 1 }] })
+      : JSON.stringify([{ number: 1 }]);
+    return { ok: true, text: async () => text };
+  };
+  mock.timers.enable({ apis: ["setTimeout"] });
+
+  try {
+    await withDomEnvironment(async () => {
+      globalThis.document.getElementById = (id) => elements[id] || null;
+      globalThis.document.querySelector = () => null;
+
+      await bindAdminPage();
+      assert.match(elements["draft-notice"].innerHTML, /data-draft-action/);
+
+      elements["new-story-title"].value = "Fresh";
+      elements["new-story-length"].value = "mini";
+      elements["new-story-btn"].dispatchEvent({ type: "click" });
+      await new Promise((resolve) => setImmediate(resolve));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      assert.match(elements["story-editor"].value, /^# Fresh/);
+      mock.timers.tick(1000);
+
+      assert.match(elements["draft-notice"].innerHTML, /data-draft-action/);
+      assert.equal(
+        createAdminDraftsStore(storage).getAdminDraft(NEW_STORY_DRAFT_KEY)
+          .content,
+        "# Unfinished story",
+      );
+    });
+  } finally {
+    mock.timers.reset();
+    globalThis.fetch = previousFetch;
+    globalThis.localStorage = previousStorage;
+  }
+});
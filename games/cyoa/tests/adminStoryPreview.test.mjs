@@ -0,0 +1,126 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildAdminStoryPreview,
+  createStoryPreviewState,
+  getPreviewChapter,
+  stepPreviewBack,
+  takePreviewChoice,
+} from "../js/utils/adminStoryPreview.js";
+import {
+  renderAdminPageTemplate,
+  renderAdminStoryPreview,
+} from "../js/pages/admin.template.js";
+import { withDomEnvironment } from "./testHelpers.mjs";
+
+const PREVIEW_STORY = `# Story Title
+
+## Keywords
+- mystery
+- adventure
+- discovery
+
+## Variables
+- has_key
+
+## Chapter 1
+### Title
+Start
+### Content
+A key glints on the floor.
+### Choices
+1. Take the key -> 2 [set has_key]
+2. Leave it -> 2
+
+## Chapter 2
+### Title
+Door
+### Content
+A locked door.
+### Choices
+1. Unlock the door -> 3 [if has_key]
+2. Walk away -> 9
+
+## Chapter 3
+### Title
+Inside
+### Content
+Warm light.
+### Choices
+The End`;
+
+test("adminStoryPreview: plays choices with effects and steps back", () => {
+  const preview = buildAdminStoryPreview(PREVIEW_STORY);
+  assert.equal(preview.status, "success");
+  // "Walk away -> 9" targets a missing chapter; the rest still plays.
+  assert.equal(preview.diagnosticCount, 1);
+
+  const start = createStoryPreviewState();
+  assert.equal(getPreviewChapter(preview.chapters, start).title, "Start");
+
+  const withKey = takePreviewChoice(start, 2, [
+    { variable: "has_key", value: true },
+  ]);
+  assert.deepEqual(withKey, { trail: [1, 2], variables: [[], ["has_key"]] });
+  assert.equal(getPreviewChapter(preview.chapters, withKey).choices.length, 2);
+
+  const withoutKey = takePreviewChoice(start, 2);
+  assert.deepEqual(
+    getPreviewChapter(preview.chapters, withoutKey).choices.map(
+      ({ text }) => text,
+    ),
+    ["Walk away"],
+  );
+
+  assert.equal(
+    getPreviewChapter(preview.chapters, takePreviewChoice(withoutKey, 9)),
+    null,
+  );
+  assert.deepEqual(stepPreviewBack(withKey), start);
+  assert.equal(stepPreviewBack(start), start);
+});
+
+test("adminStoryPreview: reports drafts without a playable first chapter", () => {
+  assert.equal(buildAdminStoryPreview("   ").status, "empty");
+
+  const preview = buildAdminStoryPreview("# Story Title\n\nNo chapters yet.");
+  assert.equal(preview.status, "error");
+  assert.match(preview.message, /Chapter 1 could not be read/);
+});
+
+test("adminStoryPreview: renders the reader chapter template with preview controls", async () => {
+  await withDomEnvironment(async () => {
+    const preview = buildAdminStoryPreview(PREVIEW_STORY);
+    const state = takePreviewChoice(createStoryPreviewState(), 2);
+    const html = renderAdminStoryPreview(preview, state);
+
+    assert.match(html, /class="chapter-title">Door</);
+    assert.match(html, /data-choice-target="9"/);
+    assert.doesNotMatch(html, /Unlock the door/);
+    assert.match(html, /Path: 1 → 2/);
+    assert.match(html, /data-preview-action="back">/);
+    assert.match(html, /1 validation problem;/);
+
+    assert.match(
+      renderAdminStoryPreview(preview, createStoryPreviewState()),
+      /data-preview-action="back" disabled/,
+    );
+    assert.match(
+      renderAdminStoryPreview(preview, takePreviewChoice(state, 9)),
+      /Chapter 9 is not in the draft/,
+    );
+
+    const endingHtml = renderAdminStoryPreview(
+      preview,
+      takePreviewChoice(state, 3),
+    );
+    assert.match(endingHtml, /class="choices-ending-text">The End</);
+    assert.doesNotMatch(endingHtml, /#\/endings\/preview/);
+    assert.doesNotMatch(endingHtml, /data-story-export/);
+
+    const pageHtml = renderAdminPageTemplate("# Example");
+    assert.match(pageHtml, /id="preview-btn"/);
+    assert.match(pageHtml, /id="story-preview"/);
+  });
+});
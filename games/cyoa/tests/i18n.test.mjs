@@ -0,0 +1,174 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { resetAppState, setAppState } from "../js/state/appStore.js";
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  getTranslation,
+  normalizeLanguage,
+  t,
+} from "../js/utils/i18n.js";
+import { EN_MESSAGES } from "../js/i18n/en.js";
+import { FR_MESSAGES } from "../js/i18n/fr.js";
+import {
+  PARSER_RULES,
+  formatStoryDiagnostic,
+} from "../js/utils/storyParser.js";
+import { getStoryContentPath } from "../js/utils/storyPaths.js";
+import { withBasePath } from "../js/utils/pathResolver.js";
+import {
+  renderStoryChapter,
+  renderStoryMissingChapterState,
+} from "../js/pages/story.template.js";
+import { getFreshModuleUrl, withDomEnvironment } from "./testHelpers.mjs";
+
+test("i18n: normalizeLanguage accepts region tags and rejects unknown languages", () => {
+  assert.equal(normalizeLanguage("fr-CA"), "fr");
+  assert.equal(normalizeLanguage(" EN_us "), "en");
+  assert.equal(normalizeLanguage("de"), null);
+  assert.equal(normalizeLanguage(null), null);
+  assert.deepEqual(
+    SUPPORTED_LANGUAGES.map(({ code }) => code),
+    [DEFAULT_LANGUAGE, "fr"],
+  );
+});
+
+test("i18n: t uses the current language, then English, then the key", () => {
+  try {
+    assert.equal(t("home.title"), "Choose Your Story");
+
+    setAppState({ language: "fr" });
+    assert.equal(t("home.title"), "Choisis ton histoire");
+    assert.equal(
+      t("endings.count", { found: 2, total: 5, percent: 40 }),
+      "2 fins trouvées sur 5 (40 %)",
+    );
+    assert.equal(t("missing.key"), "missing.key");
+    assert.equal(
+      t("home.progress", { chapter: 3 }),
+      "Chapitre 3 · {count} chapitres lus",
+    );
+  } finally {
+    resetAppState();
+  }
+});
+
+test("i18n: story chapter labels follow the current language", async () => {
+  await withDomEnvironment(async () => {
+    try {
+      setAppState({ language: "fr" });
+
+      assert.match(
+        renderStoryChapter("2", {
+          title: "Porte",
+          content: "Une porte.",
+          choices: [{ text: "Entrer", chapterNumber: 3 }],
+        }),
+        /Que fais-tu \?/,
+      );
+      assert.match(
+        renderStoryChapter("2", {
+          title: "Fin",
+          content: "C’est fini.",
+          choicesEndingText: "Fin",
+        }),
+        /Voir les fins que tu as trouvées/,
+      );
+      assert.match(renderStoryMissingChapterState(), /Chapitre introuvable/);
+    } finally {
+      resetAppState();
+    }
+  });
+});
+
+test("i18n: catalogs only translate known keys", () => {
+  const knownKeys = new Set([
+    ...Object.keys(EN_MESSAGES),
+    ...Object.keys(PARSER_RULES).map((rule) => `parser.${rule}`),
+  ]);
+
+  assert.deepEqual(
+    Object.keys(FR_MESSAGES).filter((key) => !knownKeys.has(key)),
+    [],
+  );
+  assert.deepEqual(
+    Object.keys(EN_MESSAGES).filter(
+      (key) => getTranslation(key, "fr") === undefined,
+    ),
+    [],
+  );
+});
+
+test("i18n: parser messages follow the current language", () => {
+  const diagnostic = {
+    rule: "FIRST_CHAPTER_IS_ONE",
+    message: PARSER_RULES.FIRST_CHAPTER_IS_ONE,
+    details: "",
+    line: 4,
+    column: 1,
+  };
+
+  try {
+    assert.match(
+      formatStoryDiagnostic(diagnostic),
+      /First chapter must be Chapter 1/,
+    );
+    setAppState({ language: "fr" });
+    assert.match(
+      formatStoryDiagnostic(diagnostic),
+      /\[FIRST_CHAPTER_IS_ONE\] Le premier chapitre doit être le chapitre 1/,
+    );
+  } finally {
+    resetAppState();
+  }
+});
+
+test("i18n: getStoryContentPath resolves per-language story files", () => {
+  assert.equal(
+    getStoryContentPath(3),
+    withBasePath("/assets/stories/3/story.md"),
+  );
+  assert.equal(
+    getStoryContentPath(3, DEFAULT_LANGUAGE),
+    withBasePath("/assets/stories/3/story.md"),
+  );
+  assert.equal(
+    getStoryContentPath(3, "fr"),
+    withBasePath("/assets/stories/3/story.fr.md"),
+  );
+});
+
+test("i18n: getStoryContent prefers the translation and falls back to story.md", async () => {
+  const previousFetch = globalThis.fetch;
+  const requestedUrls = [];
+
+  globalThis.fetch = async (url) => {
+    requestedUrls.push(url);
+    const ok = !url.endsWith("/2/story.fr.md");
+    return {
+      ok,
+      async text() {
+        return `content:${url}`;
+      },
+    };
+  };
+
+  try {
+    const { getStoryContent } = await import(
+      getFreshModuleUrl("../js/services/storiesRepository.js", import.meta.url)
+    );
+
+    assert.match(await getStoryContent(1, "fr"), /\/1\/story\.fr\.md$/);
+    assert.match(await getStoryContent(2, "fr"), /\/2\/story\.md$/);
+    assert.match(await getStoryContent(1), /\/1\/story\.md$/);
+    await getStoryContent(2, "fr");
+
+    assert.deepEqual(
+      requestedUrls.map((url) => url.split("/assets/stories/")[1]),
+      ["1/story.fr.md", "2/story.fr.md", "2/story.md", "1/story.md"],
+    );
+  } finally {
+    globalThis.fetch = previousFetch;
+  }
+});
@@ -0,0 +1,228 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+
+import { createOpenAiImageProvider } from "../scripts/image-providers/openai-provider.mjs";
+import {
+  createPlaceholderImageProvider,
+  renderPlaceholderSvg,
+} from "../scripts/image-providers/placeholder-provider.mjs";
+import {
+  MOCK_IMAGE_MODEL,
+  MOCK_PNG_BASE64,
+  parseMockScenario,
+  startMockImageServer,
+} from "../scripts/image-providers/mock-image-server.mjs";
+
+const runFile = promisify(execFile);
+
+const CHAPTER = { number: 1, title: "The Hall", endingType: null };
+
+/**
+ * @param {string} scenario
+ * @param {(server: Awaited<ReturnType<typeof startMockImageServer>>) => Promise<void>} run
+ */
+async function withMockServer(scenario, run) {
+  const server = await startMockImageServer({ scenario });
+  try {
+    await run(server);
+  } finally {
+    await server.close();
+  }
+}
+
+function createMockProvider(server, options = {}) {
+  return createOpenAiImageProvider({
+    apiKey: "test-key",
+    model: "gpt-image-1",
+    size: "1536x1024",
+    endpoint: server.url,
+    requestTimeoutMs: 1000,
+    maxRetries: 2,
+    retryBaseDelayMs: 0,
+    ...options,
+  });
+}
+
+test("imageProviders: mock scenarios accept known steps and HTTP statuses", () => {
+  assert.deepEqual(parseMockScenario("503, timeout,ok"), [
+    "503",
+    "timeout",
+    "ok",
+  ]);
+  assert.deepEqual(parseMockScenario(""), ["ok"]);
+  assert.throws(
+    () => parseMockScenario("ok,slow"),
+    /Invalid mock image scenario step 'slow'/,
+  );
+});
+
+test("imageProviders: openai provider retries transient statuses", async () => {
+  await withMockServer("503,429,ok", async (server) => {
+    const result = await createMockProvider(server).generate({
+      prompt: "A lantern in the fog",
+      chapter: CHAPTER,
+      storyMeta: {},
+    });
+
+    assert.equal(result.apiCalls, 3);
+    assert.equal(result.modelVersionUsed, MOCK_IMAGE_MODEL);
+    assert.equal(result.sourceBuffer.toString("base64"), MOCK_PNG_BASE64);
+    assert.equal(server.requests.length, 3);
+    assert.equal(server.requests[0].headers.authorization, "Bearer test-key");
+    assert.deepEqual(server.requests[0].body, {
+      model: "gpt-image-1",
+      prompt: "A lantern in the fog",
+      size: "1536x1024",
+      quality: "high",
+    });
+  });
+});
+
+test("imageProviders: openai provider times out, retries, then gives up", async () => {
+  await withMockServer("timeout", async (server) => {
+    const provider = createMockProvider(server, {
+      requestTimeoutMs: 50,
+      maxRetries: 1,
+    });
+
+    await assert.rejects(
+      provider.generate({ prompt: "p", chapter: CHAPTER, storyMeta: {} }),
+      (error) => {
+        assert.match(
+          error.message,
+          /^Image API request failed after retries: Image API request timed out after 50ms\.$/,
+        );
+        assert.equal(error.apiCalls, 2);
+        return true;
+      },
+    );
+    assert.equal(server.requests.length, 2);
+  });
+});
+
+test("imageProviders: openai provider does not retry invalid requests", async () => {
+  await withMockServer("400,ok", async (server) => {
+    await assert.rejects(
+      createMockProvider(server).generate({
+        prompt: "p",
+        chapter: CHAPTER,
+        storyMeta: {},
+      }),
+      /^Error: Image API request failed \(400\):/,
+    );
+    assert.equal(server.requests.length, 1);
+  });
+
+  await withMockServer("bad-payload,ok", async (server) => {
+    const result = await createMockProvider(server).generate({
+      prompt: "p",
+      chapter: CHAPTER,
+      storyMeta: {},
+    });
+    assert.equal(result.apiCalls, 2);
+  });
+});
+
+test("imageProviders: placeholder images are labelled and deterministic", async () => {
+  const storyMeta = { number: 7, title: "Salt & <Smoke>" };
+  const ending = { number: 9, title: "Ashore", endingType: "very_bad" };
+  const provider = createPlaceholderImageProvider();
+
+  const first = await provider.generate({
+    prompt: "",
+    chapter: ending,
+    storyMeta,
+  });
+  const second = await provider.generate({
+    prompt: "",
+    chapter: ending,
+    storyMeta,
+  });
+  const svg = first.sourceBuffer.toString("utf8");
+
+  assert.equal(first.apiCalls, 0);
+  assert.deepEqual(first.sourceBuffer, second.sourceBuffer);
+  assert.match(svg, /width="1536" height="864"/);
+  assert.match(svg, />Salt &amp; &lt;Smoke&gt;</);
+  assert.match(svg, />Chapter 9 — Ashore</);
+  assert.match(svg, />Ending: very bad</);
+  assert.notEqual(
+    renderPlaceholderSvg({ storyNumber: 7, chapter: CHAPTER }),
+    renderPlaceholderSvg({ storyNumber: 8, chapter: CHAPTER }),
+  );
+});
+
+test("imageProviders: generate-images runs end to end with local providers", async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), "cyoa-images-"));
+  const inputPath = path.join(tempDir, "metadata.json");
+  await writeFile(
+    inputPath,
+    JSON.stringify({
+      storyMeta: { number: 99, title: "Offline Story" },
+      imageMeta: {
+        chapters: [
+          { number: 1, title: "Start", llmPrompt: "start", endingType: null },
+          { number: 2, title: "Middle", llmPrompt: "middle", endingType: null },
+          { number: 3, title: "End", llmPrompt: "end", endingType: "bad" },
+        ],
+      },
+    }),
+  );
+
+  const runGenerator = (outputDir, env) =>
+    runFile(process.execPath, ["scripts/generate-images.mjs"], {
+      timeout: 60000,
+      env: {
+        ...process.env,
+        IMAGE_INPUT: inputPath,
+        IMAGE_OUTPUT_DIR: outputDir,
+        IMAGE_RETRY_BASE_DELAY_MS: "0",
+        ...env,
+      },
+    });
+  const readManifest = async (outputDir) =>
+    JSON.parse(await readFile(path.join(outputDir, "manifest.json"), "utf8"));
+
+  try {
+    const placeholderDir = path.join(tempDir, "placeholder");
+    await runGenerator(placeholderDir, { IMAGE_PROVIDER: "placeholder" });
+    const placeholderManifest = await readManifest(placeholderDir);
+    const image = await readFile(path.join(placeholderDir, "3.webp"));
+
+    assert.equal(placeholderManifest.imageProvider, "placeholder");
+    assert.equal(placeholderManifest.apiCallsMade, 0);
+    assert.deepEqual(
+      placeholderManifest.images.map(({ chapter, status }) => [
+        chapter,
+        status,
+      ]),
+      [
+        [1, "ok"],
+        [3, "ok"],
+      ],
+    );
+    assert.equal(image.subarray(8, 12).toString("ascii"), "WEBP");
+
+    const mockDir = path.join(tempDir, "mock");
+    await runGenerator(mockDir, {
+      IMAGE_PROVIDER: "mock",
+      IMAGE_MOCK_SCENARIO: "503,ok",
+    });
+    const mockManifest = await readManifest(mockDir);
+
+    assert.equal(mockManifest.imageProvider, "mock");
+    assert.deepEqual(mockManifest.imageModelVersionsUsed, [MOCK_IMAGE_MODEL]);
+    assert.equal(mockManifest.apiCallsMade, 3);
+    assert.deepEqual(
+      mockManifest.images.map(({ apiCalls }) => apiCalls),
+      [2, 1],
+    );
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
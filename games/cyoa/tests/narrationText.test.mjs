@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildNarrationQueue,
+  splitNarrationText,
+} from "../js/utils/narrationText.js";
+
+test("narrationText: splits long paragraphs at sentence ends and word gaps", () => {
+  assert.deepEqual(splitNarrationText("  The pump   clicks.  "), [
+    "The pump clicks.",
+  ]);
+  assert.deepEqual(splitNarrationText("One two. Three four! Five six?", 20), [
+    "One two. Three four!",
+    "Five six?",
+  ]);
+  assert.deepEqual(splitNarrationText("alpha beta gamma delta epsilon", 12), [
+    "alpha beta",
+    "gamma delta",
+    "epsilon",
+  ]);
+  assert.deepEqual(splitNarrationText("**Run** *now*"), ["Run now"]);
+  assert.deepEqual(splitNarrationText("   "), []);
+});
+
+test("narrationText: reads title and paragraphs, and choices only when asked", () => {
+  const chapter = {
+    title: "The Quiet Frequency",
+    paragraphs: ["The signal repeats.", "", "Then silence."],
+    choices: ["Follow the signal", "Surface"],
+  };
+
+  assert.deepEqual(buildNarrationQueue(chapter), [
+    "The Quiet Frequency",
+    "The signal repeats.",
+    "Then silence.",
+  ]);
+  assert.deepEqual(
+    buildNarrationQueue(chapter, { readChoices: true }).slice(3),
+    ["What do you do?", "1. Follow the signal", "2. Surface"],
+  );
+  assert.deepEqual(
+    buildNarrationQueue(
+      { title: "Home", paragraphs: ["Done."], endingText: "The End" },
+      { readChoices: true },
+    ),
+    ["Home", "Done.", "The End"],
+  );
+});
@@ -0,0 +1,185 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  OFFLINE_STORIES_CACHE_NAME,
+  createOfflineStoriesService,
+} from "../js/services/offlineStoriesService.js";
+import { renderStoriesGrid } from "../js/pages/home.template.js";
+import { withBasePath } from "../js/utils/pathResolver.js";
+import { withDomEnvironment } from "./testHelpers.mjs";
+
+function createMemoryCacheStorage() {
+  const caches = new Map();
+
+  return {
+    caches,
+    async open(name) {
+      if (!caches.has(name)) {
+        const entries = new Map();
+        caches.set(name, {
+          entries,
+          async keys() {
+            return Array.from(entries.keys(), (url) => ({ url }));
+          },
+          async put(url, response) {
+            entries.set(String(url), response);
+          },
+          async delete(request) {
+            return entries.delete(request.url);
+          },
+        });
+      }
+      return caches.get(name);
+    },
+  };
+}
+
+function stubFetch(responsesByUrl) {
+  const previousFetch = globalThis.fetch;
+  const requestedUrls = [];
+
+  globalThis.fetch = async (url) => {
+    requestedUrls.push(url);
+    if (url.endsWith("metadata-images.json")) {
+      return {
+        ok: true,
+        async json() {
+          // storiesRepository caches this, so every test shares it; story 5
+          // has responsive images.
+          return {
+            stories: [
+              { number: 3, chapters: [{ number: 1 }, { number: 4 }] },
+              {
+                number: 5,
+                chapters: [
+                  {
+                    number: 1,
+                    sourceWidth: 1536,
+                    responsiveWidths: [480, 960],
+                  },
+                ],
+              },
+            ],
+          };
+        },
+      };
+    }
+    return responsesByUrl[url] || { ok: false };
+  };
+
+  return {
+    requestedUrls,
+    restore: () => {
+      globalThis.fetch = previousFetch;
+    },
+  };
+}
+
+test("offline: downloads story markdown and available chapter images", async () => {
+  const cacheStorage = createMemoryCacheStorage();
+  const service = createOfflineStoriesService(cacheStorage);
+  const fetchStub = stubFetch({
+    [withBasePath("/assets/stories/3/story.md")]: { ok: true, body: "story" },
+    [withBasePath("/assets/stories/3/1.webp")]: { ok: true, body: "image" },
+  });
+  const progress = [];
+
+  try {
+    assert.deepEqual(await service.getOfflineStoryIds(), []);
+
+    const result = await service.downloadStory("3", {
+      onProgress: (done, total) => progress.push(`${done}/${total}`),
+    });
+
+    assert.deepEqual(result, { imageCount: 1 });
+    assert.deepEqual(progress, ["1/3", "2/3", "3/3"]);
+    assert.deepEqual(
+      Array.from(
+        cacheStorage.caches.get(OFFLINE_STORIES_CACHE_NAME).entries.keys(),
+      ),
+      [
+        withBasePath("/assets/stories/3/1.webp"),
+        withBasePath("/assets/stories/3/story.md"),
+      ],
+    );
+    assert.deepEqual(await service.getOfflineStoryIds(), ["3"]);
+
+    await service.removeStory("3");
+    assert.deepEqual(await service.getOfflineStoryIds(), []);
+    assert.equal(
+      cacheStorage.caches.get(OFFLINE_STORIES_CACHE_NAME).entries.size,
+      0,
+    );
+  } finally {
+    fetchStub.restore();
+  }
+});
+
+test("offline: downloads the srcset copies of responsive chapter images", async () => {
+  const cacheStorage = createMemoryCacheStorage();
+  const service = createOfflineStoriesService(cacheStorage);
+  const imageUrls = ["1.webp", "1-480w.webp", "1-960w.webp"].map((fileName) =>
+    withBasePath(`/assets/stories/5/${fileName}`),
+  );
+  const fetchStub = stubFetch({
+    [withBasePath("/assets/stories/5/story.md")]: { ok: true, body: "story" },
+    ...Object.fromEntries(
+      imageUrls.map((url) => [url, { ok: true, body: "image" }]),
+    ),
+  });
+
+  try {
+    assert.deepEqual(await service.downloadStory("5"), { imageCount: 3 });
+    assert.deepEqual(
+      Array.from(
+        cacheStorage.caches.get(OFFLINE_STORIES_CACHE_NAME).entries.keys(),
+      ),
+      [...imageUrls, withBasePath("/assets/stories/5/story.md")],
+    );
+  } finally {
+    fetchStub.restore();
+  }
+});
+
+test("offline: a failed story download caches nothing", async () => {
+  const cacheStorage = createMemoryCacheStorage();
+  const service = createOfflineStoriesService(cacheStorage);
+  const fetchStub = stubFetch({});
+
+  try {
+    await assert.rejects(
+      service.downloadStory("3"),
+      /Failed to download story 3/,
+    );
+    assert.deepEqual(await service.getOfflineStoryIds(), []);
+    assert.equal(createOfflineStoriesService(null).isSupported(), false);
+    assert.deepEqual(
+      await createOfflineStoriesService(null).getOfflineStoryIds(),
+      [],
+    );
+  } finally {
+    fetchStub.restore();
+  }
+});
+
+test("offline: home cards offer a download or show the offline badge", async () => {
+  const stories = [
+    { number: 1, title: "One", emoji: "📘", approxTime: "2 min", keywords: [] },
+    { number: 2, title: "Two", emoji: "📗", approxTime: "3 min", keywords: [] },
+  ];
+
+  await withDomEnvironment(async () => {
+    const html = renderStoriesGrid(stories, {
+      offlineSupported: true,
+      offlineStoryIds: ["2"],
+    });
+
+    assert.match(html, /data-offline-download="1"/);
+    assert.doesNotMatch(html, /data-offline-download="2"/);
+    assert.match(html, /Available offline/);
+    assert.match(html, /data-offline-remove="2"/);
+
+    assert.doesNotMatch(renderStoriesGrid(stories), /story-card-offline/);
+  });
+});
@@ -3,6 +3,7 @@ import assert from "node:assert/strict";
 
 import { renderHomePage } from "../js/pages/home.page.js";
 import { withBasePath } from "../js/utils/pathResolver.js";
+import { getStoryChapterImageSets } from "../js/utils/storyPaths.js";
 import {
   __storyPageTestHooks,
   bindStoryPage,
@@ -176,6 +177,43 @@ The End`;
   }
 });
 
+test("page: story.page image sets come from the recorded responsive widths", () => {
+  const imageSets = getStoryChapterImageSets(
+    {
+      stories: [
+        {
+          number: 902,
+          chapters: [
+            {
+              number: 1,
+              sourceWidth: 1536,
+              responsiveWidths: [480, 960, 2048],
+              placeholder: "data:image/webp;base64,UklGRg==",
+            },
+            { number: 2, responsiveWidths: [480] },
+            { number: 3 },
+          ],
+        },
+      ],
+    },
+    "902",
+  );
+
+  assert.deepEqual([...imageSets.keys()], [1, 2, 3]);
+  assert.deepEqual(imageSets.get(1), {
+    srcset: [
+      `${withBasePath("/assets/stories/902/1-480w.webp")} 480w`,
+      `${withBasePath("/assets/stories/902/1-960w.webp")} 960w`,
+      `${withBasePath("/assets/stories/902/1.webp")} 1536w`,
+    ].join(", "),
+    sizes: "(max-width: 46em) 100vw, 46em",
+    placeholder: "data:image/webp;base64,UklGRg==",
+  });
+  // Without `sourceWidth` the widths cannot be compared to the full size.
+  assert.equal(imageSets.get(2), null);
+  assert.equal(imageSets.get(3), null);
+});
+
 test("page: story.page parsed-story cache evicts least-recently-used entries", async () => {
   const previousFetch = globalThis.fetch;
 
@@ -304,3 +342,54 @@ test("page: story.page bindStoryPage handles illustration fallback chain", async
     cleanup();
   }
 });
+
+test("page: story.page drops a failing srcset before the fallback chain", async () => {
+  let onError = null;
+  const figure = {
+    dataset: { fallbackSources: "/assets/stories/2/fallback-2.webp" },
+    setAttribute(name, value) {
+      this[name] = value;
+    },
+  };
+  const attributes = new Map([
+    ["srcset", "/assets/stories/2/1-480w.webp 480w"],
+    ["sizes", "100vw"],
+  ]);
+  const image = {
+    src: "/assets/stories/2/1.webp",
+    complete: false,
+    classList: {
+      contains: (name) => name === "chapter-illustration-image",
+    },
+    closest: (selector) =>
+      selector === ".chapter-illustration" ? figure : null,
+    hasAttribute: (name) => attributes.has(name),
+    removeAttribute: (name) => attributes.delete(name),
+  };
+  const container = {
+    addEventListener(type, handler) {
+      if (type === "error") {
+        onError = handler;
+      }
+    },
+    removeEventListener() {},
+    querySelectorAll: () => [image],
+  };
+
+  const cleanup = await bindStoryPage(container);
+
+  onError({ target: image });
+  assert.equal(attributes.size, 0);
+  assert.equal(image.src, "/assets/stories/2/1.webp");
+  assert.equal(
+    figure.dataset.fallbackSources,
+    "/assets/stories/2/fallback-2.webp",
+  );
+
+  onError({ target: image });
+  assert.equal(image.src, "/assets/stories/2/fallback-2.webp");
+
+  if (typeof cleanup === "function") {
+    cleanup();
+  }
+});
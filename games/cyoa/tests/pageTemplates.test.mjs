@@ -57,6 +57,35 @@ test("template: story.template renders choices and ending states", async () => {
     );
     assert.match(chapterWithImageHtml, /chapter-illustration/);
     assert.match(chapterWithImageHtml, /assets\/stories\/2\/1\.webp/);
+    assert.doesNotMatch(chapterWithImageHtml, /srcset=|blur-up/);
+
+    const responsiveImageHtml = renderStoryChapter(
+      "2",
+      { title: "Fork", content: "Left", choices: [] },
+      ["/assets/stories/2/1.webp"],
+      {
+        srcset:
+          "/assets/stories/2/1-480w.webp 480w, /assets/stories/2/1.webp 1536w",
+        sizes: "(max-width: 46em) 100vw, 46em",
+        placeholder: "data:image/webp;base64,UklGRg==",
+      },
+    );
+    assert.match(
+      responsiveImageHtml,
+      /class="chapter-illustration chapter-illustration-blur-up"/,
+    );
+    assert.match(
+      responsiveImageHtml,
+      /<img class="chapter-illustration-placeholder" src="data:image\/webp;base64,UklGRg==" alt="" aria-hidden="true" \/>/,
+    );
+    assert.match(
+      responsiveImageHtml,
+      /srcset="\/assets\/stories\/2\/1-480w\.webp 480w, \/assets\/stories\/2\/1\.webp 1536w"/,
+    );
+    assert.match(
+      responsiveImageHtml,
+      /sizes="\(max-width: 46em\) 100vw, 46em"/,
+    );
 
     const endingHtml = renderStoryChapter("2", {
       title: "End",
@@ -0,0 +1,180 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createPrefetchScheduler } from "../js/utils/prefetchScheduler.js";
+import {
+  createPrefetchService,
+  getNextChapterNumbers,
+} from "../js/services/prefetchService.js";
+import { withBasePath } from "../js/utils/pathResolver.js";
+
+function createManualIdle() {
+  const callbacks = [];
+  return {
+    requestIdle: (callback) => callbacks.push(callback),
+    async flush(timeRemaining = 50) {
+      while (callbacks.length > 0) {
+        callbacks.shift()({ timeRemaining: () => timeRemaining });
+      }
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    },
+  };
+}
+
+test("prefetch: scheduler runs queued tasks at idle time, once per key", async () => {
+  const idle = createManualIdle();
+  const scheduler = createPrefetchScheduler({
+    requestIdle: idle.requestIdle,
+    isDisabled: () => false,
+  });
+  const ran = [];
+
+  assert.equal(
+    scheduler.schedule("a", () => ran.push("a")),
+    true,
+  );
+  assert.equal(
+    scheduler.schedule("a", () => ran.push("a again")),
+    false,
+  );
+  scheduler.schedule("b", async () => {
+    ran.push("b");
+    throw new Error("network down");
+  });
+  assert.deepEqual(ran, []);
+
+  await idle.flush();
+  assert.deepEqual(ran, ["a", "b"]);
+  assert.equal(
+    scheduler.schedule("a", () => ran.push("a again")),
+    false,
+  );
+});
+
+test("prefetch: scheduler yields when idle time runs out", async () => {
+  const callbacks = [];
+  const scheduler = createPrefetchScheduler({
+    requestIdle: (callback) => callbacks.push(callback),
+    isDisabled: () => false,
+  });
+  const ran = [];
+  ["a", "b", "c"].forEach((key) =>
+    scheduler.schedule(key, () => ran.push(key)),
+  );
+
+  callbacks.shift()({ timeRemaining: () => 0 });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(ran, ["a"]);
+  assert.equal(scheduler.getPendingCount(), 2);
+  assert.equal(callbacks.length, 1);
+});
+
+test("prefetch: scheduler stops at its budget and under Save-Data", async () => {
+  const idle = createManualIdle();
+  const scheduler = createPrefetchScheduler({
+    budget: 2,
+    requestIdle: idle.requestIdle,
+    isDisabled: () => false,
+  });
+  const ran = [];
+
+  ["a", "b", "c"].forEach((key) =>
+    scheduler.schedule(key, () => ran.push(key)),
+  );
+  await idle.flush();
+  assert.deepEqual(ran, ["a", "b"]);
+  assert.equal(scheduler.getRemainingBudget(), 0);
+  assert.equal(scheduler.isEnabled(), false);
+
+  let saveData = true;
+  const saveDataScheduler = createPrefetchScheduler({
+    requestIdle: idle.requestIdle,
+    isDisabled: () => saveData,
+  });
+  assert.equal(
+    saveDataScheduler.schedule("a", () => null),
+    false,
+  );
+  saveData = false;
+  assert.equal(
+    saveDataScheduler.schedule("a", () => null),
+    true,
+  );
+});
+
+test("prefetch: clearPending drops queued tasks so they can be queued again", async () => {
+  const idle = createManualIdle();
+  const scheduler = createPrefetchScheduler({
+    requestIdle: idle.requestIdle,
+    isDisabled: () => false,
+  });
+  const ran = [];
+
+  scheduler.schedule("a", () => ran.push("a"));
+  scheduler.clearPending();
+  scheduler.schedule("b", () => ran.push("b"));
+  assert.equal(
+    scheduler.schedule("a", () => ran.push("a")),
+    true,
+  );
+
+  await idle.flush();
+  assert.deepEqual(ran, ["b", "a"]);
+});
+
+test("prefetch: next chapter numbers come from the choices, without repeats", () => {
+  assert.deepEqual(
+    getNextChapterNumbers({
+      choices: [
+        { text: "Left", chapterNumber: 3 },
+        { text: "Right", chapterNumber: 2 },
+        { text: "Back left", chapterNumber: 3 },
+      ],
+    }),
+    [3, 2],
+  );
+  assert.deepEqual(getNextChapterNumbers({ choices: [] }), []);
+  assert.deepEqual(getNextChapterNumbers(null), []);
+});
+
+test("prefetch: service warms illustrated next chapters and hovered stories", async () => {
+  const idle = createManualIdle();
+  const loadedImages = [];
+  const loadedStories = [];
+  const service = createPrefetchService({
+    scheduler: createPrefetchScheduler({
+      requestIdle: idle.requestIdle,
+      isDisabled: () => false,
+    }),
+    loadImageSets: async () =>
+      new Map([
+        [2, null],
+        [4, { srcset: "4-480w.webp 480w", sizes: "100vw", placeholder: null }],
+      ]),
+    loadStoryContent: async (storyId, language) => {
+      loadedStories.push(`${storyId}:${language}`);
+      return "";
+    },
+    loadImage: async (src, imageSet) => {
+      loadedImages.push([src, imageSet?.srcset ?? null]);
+    },
+  });
+
+  const queued = await service.prefetchNextChapterImages("7", {
+    choices: [
+      { text: "Up", chapterNumber: 2 },
+      { text: "Down", chapterNumber: 3 },
+      { text: "Out", chapterNumber: 4 },
+    ],
+  });
+  assert.equal(queued, 2);
+  assert.equal(service.prefetchStoryContent(5), true);
+  assert.equal(service.prefetchStoryContent(5), false);
+
+  await idle.flush();
+  assert.deepEqual(loadedImages, [
+    [withBasePath("/assets/stories/7/2.webp"), null],
+    [withBasePath("/assets/stories/7/4.webp"), "4-480w.webp 480w"],
+  ]);
+  assert.deepEqual(loadedStories, ["5:en"]);
+});
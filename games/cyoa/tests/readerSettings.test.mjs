@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_READER_SETTINGS,
+  READER_SETTINGS_STORAGE_KEY,
+  READER_SETTINGS_VERSION,
+  createReaderSettingsStore,
+  normalizeReaderSettings,
+} from "../js/state/readerSettingsStore.js";
+import { getAppState, resetAppState } from "../js/state/appStore.js";
+import { createMemoryStorage } from "./testHelpers.mjs";
+
+test("readerSettings: normalizeReaderSettings clamps, snaps and type-checks", () => {
+  assert.deepEqual(normalizeReaderSettings(null), DEFAULT_READER_SETTINGS);
+  assert.deepEqual(
+    normalizeReaderSettings({
+      fontScale: 3,
+      lineSpacing: "1.13",
+      textWidth: 10,
+      dyslexiaFont: true,
+      highContrast: "yes",
+      reducedMotion: 1,
+    }),
+    {
+      fontScale: 1.6,
+      lineSpacing: 1.15,
+      textWidth: 32,
+      dyslexiaFont: true,
+      highContrast: false,
+      reducedMotion: false,
+    },
+  );
+  assert.equal(normalizeReaderSettings({ fontScale: 1.2 }).fontScale, 1.2);
+  assert.equal(normalizeReaderSettings({ textWidth: NaN }).textWidth, 46);
+});
+
+test("readerSettings: store persists one versioned settings object", () => {
+  const storage = createMemoryStorage();
+  const store = createReaderSettingsStore(storage);
+
+  assert.deepEqual(store.getReaderSettings(), DEFAULT_READER_SETTINGS);
+
+  store.saveReaderSettings({ fontScale: 1.3 });
+  const saved = store.saveReaderSettings({ highContrast: true });
+
+  assert.equal(saved.fontScale, 1.3);
+  assert.equal(saved.highContrast, true);
+  assert.deepEqual(JSON.parse(storage.getItem(READER_SETTINGS_STORAGE_KEY)), {
+    version: READER_SETTINGS_VERSION,
+    fontScale: 1.3,
+    highContrast: true,
+  });
+
+  assert.deepEqual(store.resetReaderSettings(), DEFAULT_READER_SETTINGS);
+  assert.equal(storage.getItem(READER_SETTINGS_STORAGE_KEY), null);
+});
+
+test("readerSettings: store ignores other versions and corrupt data", () => {
+  const otherVersion = createReaderSettingsStore(
+    createMemoryStorage({
+      [READER_SETTINGS_STORAGE_KEY]: JSON.stringify({
+        version: READER_SETTINGS_VERSION + 1,
+        fontScale: 1.5,
+      }),
+    }),
+  );
+  assert.deepEqual(otherVersion.getReaderSettings(), DEFAULT_READER_SETTINGS);
+
+  const corrupt = createReaderSettingsStore(
+    createMemoryStorage({ [READER_SETTINGS_STORAGE_KEY]: "{not json" }),
+  );
+  assert.deepEqual(corrupt.getReaderSettings(), DEFAULT_READER_SETTINGS);
+
+  const missing = createReaderSettingsStore(null);
+  assert.equal(missing.saveReaderSettings({ textWidth: 40 }).textWidth, 40);
+  assert.deepEqual(missing.getReaderSettings(), DEFAULT_READER_SETTINGS);
+});
+
+test("readerSettings: defaults fill unsaved values and match the app store", () => {
+  const storage = createMemoryStorage({
+    [READER_SETTINGS_STORAGE_KEY]: JSON.stringify({
+      version: READER_SETTINGS_VERSION,
+      lineSpacing: 1.2,
+    }),
+  });
+  const store = createReaderSettingsStore(storage, {
+    ...DEFAULT_READER_SETTINGS,
+    reducedMotion: true,
+  });
+
+  assert.equal(store.getReaderSettings().lineSpacing, 1.2);
+  assert.equal(store.getReaderSettings().reducedMotion, true);
+  assert.equal(
+    store.saveReaderSettings({ fontScale: 1.1 }).reducedMotion,
+    true,
+  );
+  assert.equal(
+    "reducedMotion" in JSON.parse(storage.getItem(READER_SETTINGS_STORAGE_KEY)),
+    false,
+  );
+  assert.equal(store.resetReaderSettings().reducedMotion, true);
+
+  resetAppState();
+  assert.deepEqual(getAppState().readerSettings, DEFAULT_READER_SETTINGS);
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  READING_PROGRESS_STORAGE_KEY,
+  appendToTrail,
+  createReadingProgressStore,
+} from "../js/state/readingProgressStore.js";
+import { renderHomePageTemplate } from "../js/pages/home.template.js";
+import { createMemoryStorage, withDomEnvironment } from "./testHelpers.mjs";
+
+test("progress: appendToTrail appends new chapters and truncates on revisit", () => {
+  assert.deepEqual(appendToTrail([], 1), [1]);
+  assert.deepEqual(appendToTrail([1, 3], 5), [1, 3, 5]);
+  assert.deepEqual(appendToTrail([1, 3, 5], 3), [1, 3]);
+  assert.deepEqual(appendToTrail([1, 3, 5], 1), [1]);
+});
+
+test("progress: recordChapterVisit persists a per-story trail", () => {
+  const storage = createMemoryStorage();
+  const store = createReadingProgressStore(storage);
+
+  store.recordChapterVisit("2", 1);
+  store.recordChapterVisit("2", "4");
+  store.recordChapterVisit(3, 1);
+
+  assert.deepEqual(store.getStoryProgress(2)?.trail, [1, 4]);
+  assert.deepEqual(store.getStoryProgress("3")?.trail, [1]);
+  assert.deepEqual(Object.keys(store.getAllStoryProgress()), ["2", "3"]);
+
+  const persisted = JSON.parse(storage.getItem(READING_PROGRESS_STORAGE_KEY));
+  assert.deepEqual(persisted["2"].trail, [1, 4]);
+
+  store.clearStoryProgress("2");
+  assert.equal(store.getStoryProgress("2"), null);
+});
+
+test("progress: store tolerates missing storage and corrupt entries", () => {
+  const missingStore = createReadingProgressStore(null);
+  assert.equal(missingStore.recordChapterVisit("1", 2)?.trail.length, 1);
+  assert.deepEqual(missingStore.getAllStoryProgress(), {});
+
+  const corruptStore = createReadingProgressStore(
+    createMemoryStorage({ [READING_PROGRESS_STORAGE_KEY]: "{not json" }),
+  );
+  assert.equal(corruptStore.getStoryProgress("1"), null);
+  assert.deepEqual(corruptStore.recordChapterVisit("1", 1)?.trail, [1]);
+});
+
+test("progress: home template shows a continue action for stories in progress", async () => {
+  await withDomEnvironment(async () => {
+    const stories = [
+      { number: 1, title: "One", emoji: "1", approxTime: "1 min" },
+      { number: 2, title: "Two", emoji: "2", approxTime: "2 min" },
+      { number: 3, title: "Three", emoji: "3", approxTime: "3 min" },
+    ];
+    const html = renderHomePageTemplate(stories, {
+      progressByStory: {
+        1: { trail: [1, 3, 6], updatedAt: "" },
+        2: { trail: [1], updatedAt: "" },
+      },
+    });
+
+    assert.match(html, /data-continue-story="1" data-continue-chapter="6"/);
+    assert.match(html, /Chapter 6 · 3 chapters read/);
+    assert.doesNotMatch(html, /data-continue-story="2"/);
+    assert.doesNotMatch(html, /data-continue-story="3"/);
+  });
+});
@@ -236,3 +236,205 @@ test("router: falls back to render when update hook returns false", async () =>
     { includeWindow: true },
   );
 });
+
+test("router: ignores the hash query string when matching routes", async () => {
+  await withDomEnvironment(
+    async () => {
+      const container = { innerHTML: "" };
+      const router = createRouter({
+        "/": {
+          render: async () => "<main>home</main>",
+        },
+      });
+
+      window.location.hash = "#/?tone=Humorous&sort=newest";
+      await router.render(container);
+      assert.equal(container.innerHTML, "<main>home</main>");
+    },
+    { includeWindow: true },
+  );
+});
+
+test("router: adds query parameters to params, path params win", async () => {
+  await withDomEnvironment(
+    async () => {
+      const container = { innerHTML: "" };
+      let receivedParams = null;
+      const router = createRouter({
+        "/story/:storyId": {
+          render: async (_model, params) => {
+            receivedParams = params;
+            return "<main>story</main>";
+          },
+        },
+      });
+
+      window.location.hash = "#/story/3?from=home&storyId=9";
+      await router.render(container);
+      assert.deepEqual(receivedParams, { from: "home", storyId: "3" });
+    },
+    { includeWindow: true },
+  );
+});
+
+test("router: follows declarative redirects with params", async () => {
+  await withDomEnvironment(
+    async () => {
+      const container = { innerHTML: "" };
+      const router = createRouter({
+        "/story/:storyId/:chapterId": {
+          render: async (_model, params) =>
+            `<main>${params.storyId}-${params.chapterId}</main>`,
+        },
+        "/story/:storyId": { redirect: "/story/:storyId/1" },
+        "/old/:storyId": {
+          redirect: (params) => `/story/${params.storyId}`,
+        },
+        "/loop": { redirect: "/loop" },
+      });
+
+      window.location.hash = "#/old/4";
+      await router.render(container);
+      assert.equal(container.innerHTML, "<main>4-1</main>");
+      assert.equal(window.location.hash, "#/story/4/1");
+
+      window.location.hash = "#/loop";
+      await router.render(container);
+      assert.match(container.innerHTML, /Too many redirects from \/loop/);
+    },
+    { includeWindow: true },
+  );
+});
+
+test("router: guards can cancel or redirect navigation", async () => {
+  await withDomEnvironment(
+    async () => {
+      const container = { innerHTML: "" };
+      const guardCalls = [];
+      let isAdminLocked = true;
+
+      const router = createRouter(
+        {
+          "/": { render: async () => "<main>home</main>" },
+          "/admin": { render: async () => "<main>admin</main>" },
+          "/secret": {
+            beforeEnter: async () => "/",
+            render: async () => "<main>secret</main>",
+          },
+        },
+        {
+          beforeEach: (to, from) => {
+            guardCalls.push(`${from?.path ?? "-"}>${to.path}`);
+            return !(from?.route === "/admin" && isAdminLocked);
+          },
+        },
+      );
+
+      window.location.hash = "#/admin";
+      await router.render(container);
+
+      window.location.hash = "#/";
+      await router.render(container);
+      assert.equal(container.innerHTML, "<main>admin</main>");
+      assert.equal(window.location.hash, "#/admin");
+
+      isAdminLocked = false;
+      window.location.hash = "#/secret";
+      await router.render(container);
+      assert.equal(container.innerHTML, "<main>home</main>");
+      assert.equal(window.location.hash, "#/");
+
+      await router.render(container, { fullRender: true });
+      assert.deepEqual(guardCalls, [
+        "->/admin",
+        "/admin>/",
+        "/admin>/secret",
+        "/admin>/",
+      ]);
+    },
+    { includeWindow: true },
+  );
+});
+
+test("router: a cancelled hash change steps back instead of adding an entry", async () => {
+  await withDomEnvironment(
+    async () => {
+      const container = { innerHTML: "" };
+      let bindCount = 0;
+      let backCalls = 0;
+
+      const router = createRouter(
+        {
+          "/": { render: async () => "<main>home</main>" },
+          "/admin": {
+            render: async () => "<main>admin</main>",
+            bind: () => {
+              bindCount += 1;
+            },
+          },
+        },
+        { beforeEach: (to, from) => from?.route !== "/admin" },
+      );
+
+      window.history = {
+        back: () => {
+          backCalls += 1;
+          window.location.hash = "#/admin";
+        },
+        replaceState: () => {
+          throw new Error("a cancelled navigation must not replace the entry");
+        },
+      };
+
+      window.location.hash = "#/admin";
+      await router.render(container);
+
+      window.location.hash = "#/";
+      await router.render(container);
+      assert.equal(backCalls, 1);
+      assert.equal(window.location.hash, "#/admin");
+
+      // The hashchange fired by `history.back()` keeps the open page.
+      await router.render(container);
+      assert.equal(container.innerHTML, "<main>admin</main>");
+      assert.equal(bindCount, 1);
+      assert.equal(router.canGoBack(), false);
+    },
+    { includeWindow: true },
+  );
+});
+
+test("router: back steps through history or falls back to a path", async () => {
+  await withDomEnvironment(
+    async () => {
+      const container = { innerHTML: "" };
+      const router = createRouter({
+        "/": { render: async () => "<main>home</main>" },
+        "/endings/:storyId": { render: async () => "<main>endings</main>" },
+      });
+
+      window.location.hash = "#/endings/2";
+      await router.render(container);
+      assert.equal(router.canGoBack(), false);
+
+      router.back("/");
+      assert.equal(window.location.hash, "#/");
+      await router.render(container);
+      assert.equal(router.canGoBack(), true);
+
+      let backCalls = 0;
+      window.history = {
+        back: () => {
+          backCalls += 1;
+          window.location.hash = "#/endings/2";
+        },
+      };
+      router.back();
+      await router.render(container);
+      assert.equal(backCalls, 1);
+      assert.equal(container.innerHTML, "<main>endings</main>");
+      assert.equal(router.canGoBack(), false);
+    },
+    { includeWindow: true },
+  );
+});
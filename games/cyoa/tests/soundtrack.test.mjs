@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+
+import {
+  NO_SOUNDTRACK_CUE,
+  findStorySoundtrack,
+  resolveSoundtrackCue,
+  resolveSoundtrackSource,
+} from "../js/utils/soundtrack.js";
+
+const SOUNDTRACK = {
+  track: "lost-horizon.mp3",
+  ambient: "sonar.mp3",
+  chapters: {
+    4: "tomb-tensions.mp3",
+    8: { track: "journey.mp3", ambient: null },
+    9: null,
+  },
+};
+
+test("soundtrack: chapter cues override the story cue per layer", () => {
+  assert.deepEqual(resolveSoundtrackCue(SOUNDTRACK, 1), {
+    track: "lost-horizon.mp3",
+    ambient: "sonar.mp3",
+  });
+  assert.deepEqual(resolveSoundtrackCue(SOUNDTRACK, 4), {
+    track: "tomb-tensions.mp3",
+    ambient: "sonar.mp3",
+  });
+  assert.deepEqual(resolveSoundtrackCue(SOUNDTRACK, 8), {
+    track: "journey.mp3",
+    ambient: null,
+  });
+  assert.deepEqual(resolveSoundtrackCue(SOUNDTRACK, 9), {
+    track: null,
+    ambient: "sonar.mp3",
+  });
+  assert.deepEqual(resolveSoundtrackCue(undefined, 1), NO_SOUNDTRACK_CUE);
+  assert.deepEqual(resolveSoundtrackCue({ chapters: { 2: "a.mp3" } }, 3), {
+    track: null,
+    ambient: null,
+  });
+});
+
+test("soundtrack: finds a story block and resolves files against the music folder", () => {
+  const stories = [
+    { number: 1, title: "One" },
+    { number: 3, title: "Three", soundtrack: SOUNDTRACK },
+  ];
+
+  assert.equal(findStorySoundtrack(stories, "3"), SOUNDTRACK);
+  assert.equal(findStorySoundtrack(stories, 1), null);
+  assert.equal(findStorySoundtrack(null, 1), null);
+
+  assert.equal(
+    resolveSoundtrackSource("a.mp3", "/cyoa/assets/music/"),
+    "/cyoa/assets/music/a.mp3",
+  );
+  assert.equal(
+    resolveSoundtrackSource("https://cdn.example/a.mp3", "/x/"),
+    "https://cdn.example/a.mp3",
+  );
+  assert.equal(resolveSoundtrackSource(null, "/x/"), null);
+});
+
+test("soundtrack: published cues point at listed music tracks", () => {
+  const musicDir = path.resolve("assets/music");
+  const tracks = new Set(
+    JSON.parse(readFileSync(path.join(musicDir, "tracks.json"), "utf8")),
+  );
+  const stories = JSON.parse(
+    readFileSync(path.resolve("assets/stories/metadata-stories.json"), "utf8"),
+  );
+
+  stories
+    .filter((story) => story.soundtrack)
+    .forEach((story) => {
+      const entries = [
+        story.soundtrack,
+        ...Object.values(story.soundtrack.chapters || {}),
+      ];
+      entries
+        .flatMap((entry) =>
+          typeof entry === "string" ? [entry] : [entry?.track, entry?.ambient],
+        )
+        .filter((file) => typeof file === "string")
+        .forEach((file) => {
+          assert.ok(
+            tracks.has(file),
+            `story ${story.number} soundtrack "${file}" is not in tracks.json`,
+          );
+        });
+    });
+});
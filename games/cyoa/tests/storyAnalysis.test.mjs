@@ -0,0 +1,168 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+
+import { parseStory } from "../js/utils/storyParser.js";
+import {
+  STORY_LENGTH_BANDS,
+  analyzeStory,
+  classifyStoryLength,
+  countWords,
+  findEndingPaths,
+  getStoryAnalysisWarnings,
+} from "../js/utils/storyAnalysis.js";
+import {
+  buildAdminStoryAnalysis,
+  renderAdminStoryAnalysisResult,
+} from "../js/utils/adminStoryAnalysisUI.js";
+import { buildOutlineChapters, withDomEnvironment } from "./testHelpers.mjs";
+
+const STORIES_DIR = path.resolve("assets/stories");
+
+// Two routes reach ending 4, one reaches ending 5, chapter 6 is orphaned.
+const DIAMOND_CHAPTERS = buildOutlineChapters({
+  1: { words: 100, targets: [2, 3] },
+  2: { words: 50, targets: [3, 4] },
+  3: { words: 20, targets: [4, 5] },
+  4: { words: 10, targets: "end" },
+  5: { words: 30, targets: "end" },
+  6: { words: 40, targets: [4] },
+});
+
+test("storyAnalysis: counts words and classifies length bands", () => {
+  assert.equal(countWords("It’s a well-known fact — really."), 5);
+  assert.equal(countWords("   "), 0);
+  assert.equal(classifyStoryLength(300), "mini");
+  assert.equal(classifyStoryLength(1000), "mini");
+  assert.equal(classifyStoryLength(1200), "short");
+  assert.equal(classifyStoryLength(2500), "medium");
+  assert.equal(classifyStoryLength(4000), "long");
+  assert.equal(classifyStoryLength(9000), "long");
+});
+
+test("storyAnalysis: enumerates distinct ending paths and caps runaway drafts", () => {
+  assert.deepEqual(findEndingPaths(DIAMOND_CHAPTERS).paths, [
+    [1, 2, 3, 4],
+    [1, 2, 3, 5],
+    [1, 2, 4],
+    [1, 3, 4],
+    [1, 3, 5],
+  ]);
+
+  const capped = findEndingPaths(DIAMOND_CHAPTERS, 2);
+  assert.equal(capped.paths.length, 2);
+  assert.equal(capped.isCapped, true);
+});
+
+test("storyAnalysis: caps the search on drafts whose paths never reach an ending", () => {
+  // Chapters 1-12 all link to each other (11! loop-free walks); the ending
+  // is never linked, so no path completes and only the step cap stops it.
+  const outline = { 13: "end" };
+  for (let number = 1; number <= 12; number += 1) {
+    outline[number] = Array.from(
+      { length: 12 },
+      (_, index) => index + 1,
+    ).filter((target) => target !== number);
+  }
+
+  const result = findEndingPaths(buildOutlineChapters(outline), 5000, 1000);
+  assert.deepEqual(result, { paths: [], isCapped: true });
+  assert.equal(
+    analyzeStory(buildOutlineChapters(outline)).isPathCountCapped,
+    true,
+  );
+});
+
+test("storyAnalysis: reports reachability, depth per ending and words per path", () => {
+  const analysis = analyzeStory(DIAMOND_CHAPTERS, { length: "mini" });
+
+  assert.equal(analysis.chapterCount, 6);
+  assert.equal(analysis.endingCount, 2);
+  assert.equal(analysis.totalWords, 250);
+  assert.deepEqual(analysis.orphanChapterNumbers, [6]);
+  assert.deepEqual(analysis.reachableChapterNumbers, [1, 2, 3, 4, 5]);
+  assert.equal(analysis.pathCount, 5);
+  assert.deepEqual(analysis.pathDepth, { min: 2, max: 3, average: 2 });
+  assert.deepEqual(analysis.pathWords, { min: 130, max: 200, average: 164 });
+  assert.deepEqual(
+    analysis.endings.map(({ chapterNumber, pathCount, minDepth, maxDepth }) => [
+      chapterNumber,
+      pathCount,
+      minDepth,
+      maxDepth,
+    ]),
+    [
+      [4, 3, 2, 3],
+      [5, 2, 2, 3],
+    ],
+  );
+  assert.equal(analysis.lengthBand.length, "mini");
+  assert.equal(analysis.lengthBand.isInferred, false);
+  assert.equal(analysis.lengthBand.words.isWithinBand, false);
+
+  const warnings = getStoryAnalysisWarnings(analysis);
+  assert.ok(warnings.includes("Unreachable from Chapter 1: 6"));
+  assert.ok(warnings.includes("Total words 250 outside mini band (500-1000)"));
+});
+
+test("storyAnalysis: admin report renders band checks and ending rows", async () => {
+  await withDomEnvironment(async () => {
+    const storyMarkdown = readFileSync(
+      path.join(STORIES_DIR, "1", "story.md"),
+      "utf8",
+    );
+    const html = renderAdminStoryAnalysisResult(
+      buildAdminStoryAnalysis(storyMarkdown, "mini"),
+    );
+
+    assert.match(html, /Length band: mini \(from story metadata\)/);
+    assert.match(html, /story-analysis-band is-within-band/);
+    assert.match(html, /Every chapter is reachable/);
+    assert.match(html, /<caption>Endings<\/caption>/);
+
+    assert.match(
+      renderAdminStoryAnalysisResult(buildAdminStoryAnalysis("# Nope")),
+      /The analysis needs a valid story/,
+    );
+  });
+});
+
+test("storyAnalysis: published stories are fully reachable and within their word band", () => {
+  const stories = JSON.parse(
+    readFileSync(path.join(STORIES_DIR, "metadata-stories.json"), "utf8"),
+  );
+
+  for (const story of stories) {
+    const storyFile = `${story.number}/story.md`;
+    const analysis = analyzeStory(
+      parseStory(readFileSync(path.join(STORIES_DIR, storyFile), "utf8")),
+      { length: story.length },
+    );
+
+    assert.ok(
+      STORY_LENGTH_BANDS[story.length],
+      `${storyFile}: unknown length "${story.length}"`,
+    );
+    assert.deepEqual(
+      analysis.orphanChapterNumbers,
+      [],
+      `${storyFile}: chapters unreachable from Chapter 1`,
+    );
+    assert.deepEqual(
+      analysis.deadEndChapterNumbers,
+      [],
+      `${storyFile}: chapters that cannot reach an ending`,
+    );
+    analysis.endings.forEach((ending) => {
+      assert.ok(
+        ending.pathCount > 0,
+        `${storyFile}: ending ${ending.chapterNumber} has no path`,
+      );
+    });
+    assert.ok(
+      analysis.lengthBand.words.isWithinBand,
+      `${storyFile}: ${analysis.totalWords} words outside ${story.length} band`,
+    );
+  }
+});
@@ -0,0 +1,222 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+
+import {
+  formatStoryStats,
+  getStoryMetadataFields,
+  getStoryStats,
+  lintStory,
+  resolveStoryTarget,
+} from "../scripts/story-tools.mjs";
+import {
+  updateChapterImageMetadataText,
+  updateStoryMetadataText,
+} from "../js/utils/metadataJson.js";
+import { parseStoryKeywords } from "../js/utils/storyParser.js";
+
+const CLI_STORY = `# Two Doors
+
+## Keywords
+- Doors
+- choice
+- hallway
+
+## Chapter 1
+### Title
+The Hall
+
+### Content
+Two doors wait at the end of the hall.
+
+### Choices
+1. Left door -> 2
+2. Right door -> 3
+
+## Chapter 2
+### Title
+Left
+
+### Content
+A garden.
+
+### Choices
+The End
+
+## Chapter 3
+### Title
+Right
+
+### Content
+A library.
+
+### Choices
+The End
+`;
+
+const METADATA_TEXT = `[
+  {
+    "number": 1,
+    "length": "long",
+    "title": "Two Doors",
+    "keywords": ["old", "stale", "words"],
+    "chapters": 12,
+    "revisedWithStoryPipelineVersion": 3.0,
+    "soundtrack": {
+      "track": "calm.mp3",
+      "chapters": {
+        "2": "garden.mp3"
+      }
+    }
+  },
+  {
+    "number": 2,
+    "title": "Elsewhere",
+    "chapters": 9
+  }
+]
+`;
+
+test("storyCli: targets are story numbers or markdown paths", () => {
+  assert.deepEqual(resolveStoryTarget("7"), {
+    storyNumber: 7,
+    storyPath: path.join("assets/stories", "7", "story.md"),
+  });
+  assert.deepEqual(resolveStoryTarget("drafts/new.md"), {
+    storyNumber: null,
+    storyPath: "drafts/new.md",
+  });
+});
+
+test("storyCli: lint reports parser errors, then analysis warnings", () => {
+  const broken = lintStory(CLI_STORY.replace("-> 3", "-> 9"));
+  assert.equal(broken.errors.length, 1);
+  assert.match(
+    broken.errors[0],
+    /^\[CHOICE_TARGET_EXISTS\][^]*Line 17, column 15/,
+  );
+  assert.deepEqual(broken.warnings, []);
+
+  const valid = lintStory(CLI_STORY);
+  assert.deepEqual(valid.errors, []);
+  assert.ok(valid.warnings.some((warning) => /Total words/.test(warning)));
+});
+
+test("storyCli: stats summarize the story structure", () => {
+  const lines = formatStoryStats(getStoryStats(CLI_STORY));
+  assert.ok(lines.includes("Chapters: 3"));
+  assert.ok(lines.includes("Endings: 2"));
+  assert.ok(lines.includes("Paths to an ending: 2"));
+  assert.ok(lines.includes("Orphan chapters: none"));
+  assert.throws(() => getStoryStats("# Broken"), /Line/);
+});
+
+test("storyCli: metadata fields come from the markdown", () => {
+  assert.deepEqual(parseStoryKeywords(CLI_STORY), [
+    "Doors",
+    "choice",
+    "hallway",
+  ]);
+  assert.deepEqual(getStoryMetadataFields(CLI_STORY), {
+    length: "mini",
+    keywords: ["doors", "choice", "hallway"],
+    chapters: 3,
+  });
+});
+
+test("storyCli: metadata sync rewrites only the synced fields of one entry", () => {
+  const updated = updateStoryMetadataText(
+    METADATA_TEXT,
+    1,
+    getStoryMetadataFields(CLI_STORY),
+  );
+
+  assert.equal(
+    updated,
+    METADATA_TEXT.replace('"length": "long"', '"length": "mini"')
+      .replace('["old", "stale", "words"]', '["doors", "choice", "hallway"]')
+      .replace('"chapters": 12', '"chapters": 3'),
+  );
+  assert.match(updated, /"revisedWithStoryPipelineVersion": 3\.0,/);
+  assert.deepEqual(JSON.parse(updated)[0].soundtrack, {
+    track: "calm.mp3",
+    chapters: { 2: "garden.mp3" },
+  });
+});
+
+test("storyCli: metadata sync appends missing fields and rejects unknown stories", () => {
+  const updated = updateStoryMetadataText(METADATA_TEXT, 2, {
+    length: "short",
+    keywords: ["a", "b", "c"],
+    chapters: 8,
+  });
+
+  assert.match(
+    updated,
+    /"title": "Elsewhere",\n {4}"chapters": 8,\n {4}"length": "short",\n {4}"keywords": \["a", "b", "c"\]\n {2}\}/,
+  );
+  assert.deepEqual(JSON.parse(updated)[1], {
+    number: 2,
+    title: "Elsewhere",
+    chapters: 8,
+    length: "short",
+    keywords: ["a", "b", "c"],
+  });
+  assert.throws(
+    () => updateStoryMetadataText(METADATA_TEXT, 5, { chapters: 1 }),
+    /No metadata entry for story 5/,
+  );
+});
+
+test("storyCli: chapter image fields are written into metadata-images.json text", () => {
+  const imageMetadataText = `{
+  "imageSpec": { "quality": 90 },
+  "stories": [
+    {
+      "number": 4,
+      "chapters": [
+        { "number": 1, "endingType": null },
+        {
+          "number": 2,
+          "endingType": "bad",
+          "responsiveWidths": [480]
+        }
+      ]
+    }
+  ]
+}
+`;
+
+  assert.equal(
+    updateChapterImageMetadataText(imageMetadataText, 4, 2, {
+      sourceWidth: 1536,
+      responsiveWidths: [480, 960],
+    }),
+    `{
+  "imageSpec": { "quality": 90 },
+  "stories": [
+    {
+      "number": 4,
+      "chapters": [
+        { "number": 1, "endingType": null },
+        {
+          "number": 2,
+          "endingType": "bad",
+          "responsiveWidths": [480, 960],
+          "sourceWidth": 1536
+        }
+      ]
+    }
+  ]
+}
+`,
+  );
+  assert.throws(
+    () => updateChapterImageMetadataText(imageMetadataText, 4, 3, {}),
+    /no entry for story 4 chapter 3/,
+  );
+  assert.throws(
+    () => updateChapterImageMetadataText(imageMetadataText, 5, 1, {}),
+    /no entry for story 5 chapter 1/,
+  );
+});
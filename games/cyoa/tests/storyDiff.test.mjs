@@ -0,0 +1,190 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseStory } from "../js/utils/storyParser.js";
+import {
+  diffLines,
+  diffStoryStructure,
+  hasStructureChanges,
+  toSideBySideRows,
+} from "../js/utils/storyDiff.js";
+import {
+  buildAdminStoryDiff,
+  renderAdminStoryDiffResult,
+} from "../js/utils/adminStoryDiffUI.js";
+import { withDomEnvironment } from "./testHelpers.mjs";
+
+const PUBLISHED_STORY = `# Story Title
+
+## Keywords
+- garden
+- gate
+- wall
+
+## Chapter 1
+### Title
+The Gate
+### Content
+A gate stands open.
+### Choices
+1. Walk through -> 2
+2. Climb the wall -> 3
+
+## Chapter 2
+### Title
+The Garden
+### Content
+Roses everywhere.
+### Choices
+The End
+
+## Chapter 3
+### Title
+The Wall
+### Content
+You fall.
+### Choices
+The End`;
+
+const DRAFT_STORY = `# Story Title
+
+## Keywords
+- garden
+- gate
+- wall
+
+## Chapter 1
+### Title
+The Iron Gate
+### Content
+A gate stands open.
+### Choices
+1. Walk through -> 4
+2. Climb the tall wall -> 2
+3. Wait -> 2
+
+## Chapter 2
+### Title
+The Garden
+### Content
+Roses everywhere, and thorns.
+### Choices
+The End
+
+## Chapter 4
+### Title
+The Path
+### Content
+A path winds on.
+### Choices
+The End`;
+
+test("storyDiff: line diff keeps shared lines and numbers both sides", () => {
+  const entries = diffLines("a\nb\nc\nd", "a\nc\nx\nd");
+
+  assert.deepEqual(
+    entries.map(({ type, text }) => `${type}:${text}`),
+    ["equal:a", "removed:b", "equal:c", "added:x", "equal:d"],
+  );
+  assert.deepEqual(entries[2], {
+    type: "equal",
+    text: "c",
+    oldLine: 3,
+    newLine: 2,
+  });
+  assert.deepEqual(entries[4], {
+    type: "equal",
+    text: "d",
+    oldLine: 4,
+    newLine: 4,
+  });
+  assert.ok(
+    diffLines("same\ntext", "same\ntext").every(({ type }) => type === "equal"),
+  );
+});
+
+test("storyDiff: side-by-side rows pair replaced lines", () => {
+  const rows = toSideBySideRows(diffLines("a\nb\nc\nd", "a\nB\nd\ne"));
+
+  assert.deepEqual(
+    rows.map((row) => [row.type, row.old?.text ?? null, row.new?.text ?? null]),
+    [
+      ["equal", "a", "a"],
+      ["changed", "b", "B"],
+      ["removed", "c", null],
+      ["equal", "d", "d"],
+      ["added", null, "e"],
+    ],
+  );
+});
+
+test("storyDiff: structural diff reports chapters, titles, choices and text", () => {
+  const structure = diffStoryStructure(
+    parseStory(PUBLISHED_STORY),
+    parseStory(DRAFT_STORY),
+  );
+
+  assert.deepEqual(structure.addedChapters, [
+    { chapterNumber: 4, title: "The Path" },
+  ]);
+  assert.deepEqual(structure.removedChapters, [
+    { chapterNumber: 3, title: "The Wall" },
+  ]);
+  assert.deepEqual(structure.retitledChapters, [
+    { chapterNumber: 1, oldTitle: "The Gate", newTitle: "The Iron Gate" },
+  ]);
+  assert.deepEqual(structure.contentChangedChapterNumbers, [2]);
+  assert.deepEqual(
+    structure.choiceChanges.map(({ chapterNumber, choiceNumber, type }) => [
+      chapterNumber,
+      choiceNumber,
+      type,
+    ]),
+    [
+      [1, 1, "retargeted"],
+      [1, 2, "retargeted"],
+      [1, 2, "text"],
+      [1, 3, "added"],
+    ],
+  );
+  assert.equal(structure.choiceChanges[0].oldTarget, 2);
+  assert.equal(structure.choiceChanges[0].newTarget, 4);
+
+  const unchanged = parseStory(PUBLISHED_STORY);
+  assert.equal(
+    hasStructureChanges(diffStoryStructure(unchanged, unchanged)),
+    false,
+  );
+});
+
+test("storyDiff: admin view renders summary, structure and collapsed table", async () => {
+  await withDomEnvironment(async () => {
+    const html = renderAdminStoryDiffResult(
+      buildAdminStoryDiff(PUBLISHED_STORY, DRAFT_STORY),
+    );
+
+    assert.match(html, /Chapters added/);
+    assert.match(html, /Chapter 1, choice 1 retargeted: Chapter 2 → Chapter 4/);
+    assert.match(html, /Titles changed/);
+    assert.match(html, /class="story-diff-table"/);
+    assert.match(html, /story-diff-row is-changed/);
+    assert.match(html, /unchanged line/);
+
+    assert.match(
+      renderAdminStoryDiffResult(
+        buildAdminStoryDiff(PUBLISHED_STORY, PUBLISHED_STORY),
+      ),
+      /The draft matches the published story/,
+    );
+    assert.match(
+      renderAdminStoryDiffResult(buildAdminStoryDiff("", DRAFT_STORY)),
+      /has not been published yet/,
+    );
+
+    const brokenHtml = renderAdminStoryDiffResult(
+      buildAdminStoryDiff(PUBLISHED_STORY, "# Story Title\n\n<b>broken</b>"),
+    );
+    assert.match(brokenHtml, /Structural comparison needs a valid draft/);
+    assert.match(brokenHtml, /&lt;b&gt;broken&lt;\/b&gt;/);
+  });
+});
@@ -0,0 +1,180 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { getValidationExample, parseStory } from "../js/utils/storyParser.js";
+import {
+  findEndingBranchChapter,
+  findShortestPath,
+  getEndingChapterNumbers,
+} from "../js/utils/storyGraph.js";
+import {
+  ENDINGS_STORAGE_KEY,
+  createEndingsStore,
+} from "../js/state/endingsStore.js";
+import { buildEndingGalleryEntries } from "../js/pages/endings.page.js";
+import { renderEndingsPageTemplate } from "../js/pages/endings.template.js";
+import { renderHomePageTemplate } from "../js/pages/home.template.js";
+import { createMemoryStorage, withDomEnvironment } from "./testHelpers.mjs";
+
+const BRANCHING_STORY = `# Branching
+
+## Keywords
+- one
+- two
+- three
+
+## Chapter 1
+### Title
+Start
+
+### Content
+Begin.
+
+### Choices
+1. Left -> 2
+2. Right -> 3
+
+## Chapter 2
+### Title
+Corridor
+
+### Content
+A long corridor.
+
+### Choices
+1. Walk on -> 4
+
+## Chapter 3
+### Title
+Crossroads
+
+### Content
+Two doors.
+
+### Choices
+1. Red door -> 5
+2. Blue door -> 6
+
+## Chapter 4
+### Title
+Exit
+
+### Content
+Daylight.
+
+### Choices
+The End
+
+## Chapter 5
+### Title
+Trapdoor
+
+### Content
+You fall.
+
+### Choices
+The End
+
+## Chapter 6
+### Title
+Treasure
+
+### Content
+Gold.
+
+### Choices
+The End`;
+
+test("endings: graph helpers find endings, shortest paths and branch chapters", () => {
+  const chapters = parseStory(BRANCHING_STORY);
+
+  assert.deepEqual(getEndingChapterNumbers(chapters), [4, 5, 6]);
+  assert.deepEqual(findShortestPath(chapters, 1, 4), [1, 2, 4]);
+  assert.deepEqual(findShortestPath(chapters, 1, 6), [1, 3, 6]);
+  assert.equal(findShortestPath(chapters, 4, 1), null);
+
+  assert.equal(findEndingBranchChapter(chapters, 4), 1);
+  assert.equal(findEndingBranchChapter(chapters, 5), 3);
+  assert.equal(findEndingBranchChapter(chapters, 1), null);
+
+  assert.deepEqual(
+    getEndingChapterNumbers(parseStory(getValidationExample())),
+    [4],
+  );
+});
+
+test("endings: store records reached endings and drops stale ones", () => {
+  const storage = createMemoryStorage();
+  const store = createEndingsStore(storage);
+
+  store.recordStoryEndings("7", [4, 5, 6], 1);
+  assert.deepEqual(store.getStoryEndings("7")?.found, []);
+  assert.equal(store.getStoryEndings("7")?.total, 3);
+
+  store.recordStoryEndings("7", [4, 5, 6], 6);
+  store.recordStoryEndings("7", [4, 5, 6], 6);
+  store.recordStoryEndings("7", [4, 5, 6], 4);
+  assert.deepEqual(store.getStoryEndings("7")?.found, [6, 4]);
+
+  store.recordStoryEndings("7", [5, 6], 1);
+  assert.deepEqual(store.getStoryEndings("7")?.found, [6]);
+  assert.equal(store.getStoryEndings("7")?.total, 2);
+
+  const persisted = JSON.parse(storage.getItem(ENDINGS_STORAGE_KEY));
+  assert.deepEqual(persisted["7"].found, [6]);
+  assert.deepEqual(Object.keys(store.getAllStoryEndings()), ["7"]);
+});
+
+test("endings: gallery lists found endings and points unfound ones at a branch", async () => {
+  const chapters = parseStory(BRANCHING_STORY);
+  const entries = buildEndingGalleryEntries(chapters, [6]);
+
+  assert.deepEqual(
+    entries.map(({ chapterNumber, found, branchChapterNumber }) => [
+      chapterNumber,
+      found,
+      branchChapterNumber,
+    ]),
+    [
+      [4, false, 1],
+      [5, false, 3],
+      [6, true, null],
+    ],
+  );
+
+  await withDomEnvironment(async () => {
+    const html = renderEndingsPageTemplate({
+      storyId: "7",
+      storyTitle: "<Branching>",
+      endings: entries,
+    });
+
+    assert.match(html, /&lt;Branching&gt;/);
+    assert.match(html, /1 of 3 endings found \(33%\)/);
+    assert.match(html, /href="#\/story\/7\/6">Read this ending again/);
+    assert.match(
+      html,
+      /href="#\/story\/7\/3">Try a different choice in Chapter 3: Crossroads/,
+    );
+    assert.doesNotMatch(html, /Trapdoor/);
+  });
+});
+
+test("endings: home cards show endings found per story", async () => {
+  await withDomEnvironment(async () => {
+    const html = renderHomePageTemplate(
+      [
+        { number: 1, title: "One", emoji: "1", approxTime: "1 min" },
+        { number: 2, title: "Two", emoji: "2", approxTime: "2 min" },
+      ],
+      {
+        endingsByStory: {
+          1: { found: [6, 8], total: 4, updatedAt: "" },
+        },
+      },
+    );
+
+    assert.match(html, /href="#\/endings\/1">2 of 4 endings found \(50%\)/);
+    assert.doesNotMatch(html, /#\/endings\/2/);
+  });
+});
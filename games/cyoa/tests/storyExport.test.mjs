@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseStory } from "../js/utils/storyParser.js";
+import {
+  getPlaythroughSteps,
+  getStoryExportFileName,
+  renderGamebookDocument,
+  renderPlaythroughDocument,
+} from "../js/utils/storyExport.js";
+
+const EXPORT_STORY = `# Lantern Hill
+
+## Keywords
+- lantern
+- hill
+- night
+
+## Variables
+- has_key
+
+## Chapter 1
+### Title
+The Gate
+
+### Content
+A gate blocks the *old* path.
+
+### Choices
+1. Climb over -> 2
+2. Search the grass -> 2 [set has_key]
+
+## Chapter 2
+### Title
+The Door
+
+### Content
+A locked door & a rusty bell.
+
+### Choices
+1. Unlock it -> 3 [if has_key]
+2. Ring the bell -> 3
+
+## Chapter 3
+### Title
+The Tower <Top>
+
+### Content
+The lantern is lit.
+
+### Choices
+The End
+`;
+
+test("export: playthrough steps pair each chapter with the choice taken", () => {
+  const chapters = parseStory(EXPORT_STORY);
+  const steps = getPlaythroughSteps(chapters, {
+    trail: [1, 2, 3],
+    variables: [[], ["has_key"], ["has_key"]],
+    updatedAt: "",
+  });
+
+  assert.deepEqual(
+    steps.map(({ chapterNumber, choice }) => [chapterNumber, choice?.text]),
+    [
+      [1, "Climb over"],
+      [2, "Unlock it"],
+      [3, undefined],
+    ],
+  );
+
+  const withoutKey = getPlaythroughSteps(chapters, {
+    trail: [1, 2, 3],
+    variables: [[], [], []],
+    updatedAt: "",
+  });
+  assert.equal(withoutKey[1].choice.text, "Ring the bell");
+
+  assert.deepEqual(getPlaythroughSteps(chapters, null), []);
+  assert.deepEqual(
+    getPlaythroughSteps(chapters, { trail: [1, 9], variables: [] }).map(
+      ({ chapterNumber }) => chapterNumber,
+    ),
+    [1],
+  );
+});
+
+test("export: playthrough document lists the visited chapters and choices", () => {
+  const chapters = parseStory(EXPORT_STORY);
+  const html = renderPlaythroughDocument({
+    storyTitle: "Lantern <Hill>",
+    steps: getPlaythroughSteps(chapters, {
+      trail: [1, 2, 3],
+      variables: [[], [], []],
+    }),
+  });
+
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /<title>Lantern &lt;Hill&gt;<\/title>/);
+  assert.match(html, /My playthrough · 3 chapters/);
+  assert.match(html, /A gate blocks the <em>old<\/em> path\./);
+  assert.match(html, /You chose: Climb over/);
+  assert.match(html, /You chose: Ring the bell/);
+  assert.match(html, /<h2>The Tower &lt;Top&gt;<\/h2>/);
+  assert.match(html, /class="export-ending">The End</);
+  assert.ok(html.indexOf("The Gate") < html.indexOf("The Door"));
+  assert.match(html, /@media print/);
+});
+
+test("export: gamebook document numbers sections and links choices", () => {
+  const html = renderGamebookDocument({
+    storyTitle: "Lantern Hill",
+    chapters: parseStory(EXPORT_STORY),
+  });
+
+  assert.match(html, /<section class="export-section" id="section-1">/);
+  assert.match(html, /<section class="export-section" id="section-3">/);
+  assert.match(
+    html,
+    /Climb over — turn to <a href="#section-2">section 2<\/a>/,
+  );
+  assert.match(
+    html,
+    /Unlock it — turn to <a href="#section-3">section 3<\/a> <span class="export-choice-condition">\(only with has_key\)<\/span>/,
+  );
+  assert.match(html, /A locked door &amp; a rusty bell\./);
+  assert.match(html, /Start at section 1 and follow the choices\./);
+});
+
+test("export: file names are safe and say what they contain", () => {
+  assert.equal(getStoryExportFileName(3, "gamebook"), "story-3-gamebook.html");
+  assert.equal(
+    getStoryExportFileName("../a b", "playthrough"),
+    "story--a-b-playthrough.html",
+  );
+});
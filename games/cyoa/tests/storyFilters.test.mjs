@@ -0,0 +1,167 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_STORY_FILTERS,
+  filterAndSortStories,
+  getStoryFilterOptions,
+  hasActiveStoryFilters,
+  parseApproxMinutes,
+  parseStoryFilters,
+  serializeStoryFilters,
+} from "../js/utils/storyFilters.js";
+import { renderHomePage } from "../js/pages/home.page.js";
+import { withDomEnvironment } from "./testHelpers.mjs";
+
+const STORIES = [
+  {
+    number: 1,
+    title: "The Cooperative Alibi",
+    emoji: "🕵️",
+    approxTime: "2-3 min",
+    keywords: ["detective", "alibi", "humor"],
+    chapters: 8,
+    length: "mini",
+    tone: "Humorous",
+    approved: false,
+  },
+  {
+    number: 2,
+    title: "Midnight at Hollow Moon Museum",
+    emoji: "🏺",
+    approxTime: "5-7 min",
+    keywords: ["museum", "conspiracy", "paranormal"],
+    chapters: 10,
+    length: "medium",
+    tone: "Suspenseful",
+    approved: true,
+  },
+  {
+    number: 3,
+    title: "The Quiet Frequency",
+    emoji: "🌊",
+    approxTime: "4-5 min",
+    keywords: ["deep-sea", "signal", "silence"],
+    chapters: 9,
+    length: "medium",
+    tone: "Mysterious",
+    approved: true,
+  },
+];
+
+const numbers = (stories) => stories.map((story) => story.number);
+
+test("storyFilters: parses and serializes the hash query, skipping defaults", () => {
+  assert.deepEqual(parseStoryFilters(""), DEFAULT_STORY_FILTERS);
+  assert.equal(serializeStoryFilters(DEFAULT_STORY_FILTERS), "");
+  assert.equal(hasActiveStoryFilters(DEFAULT_STORY_FILTERS), false);
+
+  const filters = parseStoryFilters(
+    "?q=%20moon%20&tone=Suspenseful&approved=1&sort=time&keyword=museum",
+  );
+  assert.deepEqual(filters, {
+    q: "moon",
+    tone: "Suspenseful",
+    length: "",
+    keyword: "museum",
+    approved: true,
+    sort: "time",
+  });
+  assert.deepEqual(parseStoryFilters(serializeStoryFilters(filters)), filters);
+  assert.equal(parseStoryFilters("sort=bogus").sort, "default");
+});
+
+test("storyFilters: filters by tone, length, keyword, approval and free text", () => {
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { tone: "Humorous" })),
+    [1],
+  );
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { length: "medium" })),
+    [2, 3],
+  );
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { keyword: "signal" })),
+    [3],
+  );
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { approved: true })),
+    [2, 3],
+  );
+  assert.deepEqual(numbers(filterAndSortStories(STORIES, { q: "MOON" })), [2]);
+  assert.deepEqual(numbers(filterAndSortStories(STORIES, { q: "alib" })), [1]);
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { q: "the", approved: true })),
+    [3],
+  );
+});
+
+test("storyFilters: sorts by newest, shortest and reading time", () => {
+  assert.deepEqual(numbers(filterAndSortStories(STORIES, {})), [1, 2, 3]);
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { sort: "newest" })),
+    [3, 2, 1],
+  );
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { sort: "shortest" })),
+    [1, 3, 2],
+  );
+  assert.deepEqual(
+    numbers(filterAndSortStories(STORIES, { sort: "time" })),
+    [1, 3, 2],
+  );
+  assert.equal(parseApproxMinutes("10-12 min"), 10);
+  assert.equal(parseApproxMinutes(""), Number.POSITIVE_INFINITY);
+});
+
+test("storyFilters: home page renders the filter bar from metadata and the active filters", async () => {
+  assert.deepEqual(getStoryFilterOptions(STORIES), {
+    tones: ["Humorous", "Mysterious", "Suspenseful"],
+    lengths: ["mini", "medium"],
+    keywords: [
+      "alibi",
+      "conspiracy",
+      "deep-sea",
+      "detective",
+      "humor",
+      "museum",
+      "paranormal",
+      "signal",
+      "silence",
+    ],
+  });
+
+  await withDomEnvironment(async () => {
+    const html = await renderHomePage({
+      stories: STORIES,
+      filters: parseStoryFilters("tone=Mysterious&sort=newest"),
+    });
+
+    assert.match(html, /id="home-filters"/);
+    assert.match(html, /<option value="Mysterious" selected>/);
+    assert.match(html, /<option value="newest" selected>Newest/);
+    assert.match(html, /Showing 1 of 3 stories/);
+    assert.match(html, /data-story="3"/);
+    assert.doesNotMatch(html, /data-story="1"/);
+
+    const emptyHtml = await renderHomePage({
+      stories: STORIES,
+      filters: parseStoryFilters("q=dragons"),
+    });
+    assert.match(emptyHtml, /No stories match these filters/);
+  });
+});
+
+test("storyFilters: home page escapes quotes in the shared search query", async () => {
+  await withDomEnvironment(async () => {
+    const html = await renderHomePage({
+      stories: STORIES,
+      filters: parseStoryFilters(
+        `q=${encodeURIComponent('" autofocus onfocus="alert(1)')}`,
+      ),
+    });
+
+    assert.match(html, /value="&quot; autofocus onfocus=&quot;alert\(1\)"/);
+    assert.doesNotMatch(html, /" autofocus/);
+  });
+});
@@ -0,0 +1,126 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildStoryGraph,
+  getChapterDepths,
+  getCycleChapterNumbers,
+  getDeadEndChapterNumbers,
+  getReachableChapterNumbers,
+} from "../js/utils/storyGraph.js";
+import {
+  buildAdminStoryGraph,
+  layoutStoryGraph,
+  renderAdminStoryGraph,
+  renderAdminStoryGraphResult,
+} from "../js/utils/adminStoryGraphUI.js";
+import { getValidationExample } from "../js/utils/storyParser.js";
+import { buildOutlineChapters, withDomEnvironment } from "./testHelpers.mjs";
+
+// 1 -> 2 -> 4 (end); 1 -> 3 <-> 5 loops forever; 6 is never linked.
+const PROBLEM_CHAPTERS = buildOutlineChapters({
+  1: [2, 3],
+  2: [4],
+  3: [5],
+  4: "end",
+  5: [3],
+  6: [4],
+});
+
+test("storyGraph: finds depths, reachability, cycles and dead ends", () => {
+  assert.deepEqual(
+    [...getChapterDepths(PROBLEM_CHAPTERS)],
+    [
+      [1, 0],
+      [2, 1],
+      [3, 1],
+      [4, 2],
+      [5, 2],
+    ],
+  );
+  assert.deepEqual(
+    getReachableChapterNumbers(PROBLEM_CHAPTERS),
+    [1, 2, 3, 4, 5],
+  );
+  assert.deepEqual(getCycleChapterNumbers(PROBLEM_CHAPTERS), [3, 5]);
+  assert.deepEqual(getDeadEndChapterNumbers(PROBLEM_CHAPTERS), [3, 5]);
+});
+
+test("storyGraph: builds flagged nodes and edges", () => {
+  const graph = buildStoryGraph(PROBLEM_CHAPTERS);
+  const nodeByNumber = new Map(
+    graph.nodes.map((node) => [node.chapterNumber, node]),
+  );
+
+  assert.equal(graph.nodes.length, 6);
+  assert.equal(graph.edges.length, 6);
+  assert.equal(nodeByNumber.get(4)?.isEnding, true);
+  assert.equal(nodeByNumber.get(6)?.isReachable, false);
+  assert.equal(nodeByNumber.get(6)?.depth, null);
+  assert.equal(nodeByNumber.get(6)?.isDeadEnd, false);
+  assert.equal(nodeByNumber.get(5)?.isInCycle, true);
+  assert.equal(nodeByNumber.get(2)?.isInCycle, false);
+  assert.deepEqual(
+    graph.edges
+      .filter((edge) => edge.isInCycle)
+      .map(({ from, to }) => [from, to]),
+    [
+      [3, 5],
+      [5, 3],
+    ],
+  );
+});
+
+test("storyGraph: layout puts unreachable chapters in a trailing column", () => {
+  const { positions, width, height } = layoutStoryGraph(
+    buildStoryGraph(PROBLEM_CHAPTERS),
+  );
+
+  assert.equal(positions.get(1)?.y, positions.get(2)?.y);
+  assert.ok(positions.get(2).x > positions.get(1).x);
+  assert.equal(positions.get(2)?.x, positions.get(3)?.x);
+  assert.ok(positions.get(3).y > positions.get(2).y);
+  assert.ok(positions.get(6).x > positions.get(4).x);
+  assert.ok(width > positions.get(6).x);
+  assert.ok(height > positions.get(3).y);
+});
+
+test("storyGraph: admin graph renders clickable chapter nodes or a parse error", async () => {
+  await withDomEnvironment(async () => {
+    const html = renderAdminStoryGraphResult(
+      buildAdminStoryGraph(getValidationExample()),
+    );
+
+    assert.match(html, /<svg class="story-graph-svg"/);
+    assert.match(html, /data-graph-chapter="1"/);
+    assert.match(
+      html,
+      /class="story-graph-node is-ending" data-graph-chapter="4"/,
+    );
+    assert.match(html, /story-graph-edge is-conditional/);
+
+    const errorHtml = renderAdminStoryGraphResult(
+      buildAdminStoryGraph("# Broken <story>"),
+    );
+    assert.match(errorHtml, /The graph needs a valid story/);
+
+    assert.match(
+      renderAdminStoryGraphResult(buildAdminStoryGraph("   ")),
+      /Please enter story content/,
+    );
+  });
+});
+
+test("storyGraph: node labels escape quotes in chapter titles", async () => {
+  const chapters = buildOutlineChapters({ 1: [2], 2: "end" });
+  chapters[2].title = 'The "Last" <Door> & Key';
+
+  await withDomEnvironment(async () => {
+    const html = renderAdminStoryGraph(buildStoryGraph(chapters));
+
+    assert.match(
+      html,
+      /aria-label="Chapter 2: The &quot;Last&quot; &lt;Door&gt; &amp; Key \(ending\)"/,
+    );
+  });
+});
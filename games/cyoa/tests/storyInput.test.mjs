@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  GAMEPAD_BUTTONS,
+  getGamepadActions,
+  getNextFocusIndex,
+  getPressedGamepadInputs,
+  getStoryKeyAction,
+  getTrailBackChapter,
+} from "../js/utils/storyInput.js";
+
+test("storyInput: maps number keys, back, restart and arrows to actions", () => {
+  assert.deepEqual(getStoryKeyAction({ key: "1" }), {
+    type: "choice",
+    index: 0,
+  });
+  assert.deepEqual(getStoryKeyAction({ key: "9" }), {
+    type: "choice",
+    index: 8,
+  });
+  assert.equal(getStoryKeyAction({ key: "0" }), null);
+  assert.deepEqual(getStoryKeyAction({ key: "Backspace" }), { type: "back" });
+  assert.deepEqual(getStoryKeyAction({ key: "ArrowLeft", altKey: true }), {
+    type: "back",
+  });
+  assert.deepEqual(getStoryKeyAction({ key: "Home" }), { type: "restart" });
+  assert.deepEqual(getStoryKeyAction({ key: "ArrowDown" }), {
+    type: "focus",
+    delta: 1,
+  });
+  assert.deepEqual(getStoryKeyAction({ key: "ArrowUp" }), {
+    type: "focus",
+    delta: -1,
+  });
+  assert.equal(getStoryKeyAction({ key: "2", ctrlKey: true }), null);
+  assert.equal(getStoryKeyAction({ key: "Home", shiftKey: true }), null);
+  assert.equal(getStoryKeyAction({ key: "m" }), null);
+});
+
+test("storyInput: focus ring wraps and enters from either end", () => {
+  assert.equal(getNextFocusIndex(-1, 1, 3), 0);
+  assert.equal(getNextFocusIndex(-1, -1, 3), 2);
+  assert.equal(getNextFocusIndex(2, 1, 3), 0);
+  assert.equal(getNextFocusIndex(0, -1, 3), 2);
+  assert.equal(getNextFocusIndex(-1, 1, 0), -1);
+});
+
+test("storyInput: gamepad buttons and stick fire once per press", () => {
+  const buttons = Array.from({ length: 16 }, () => ({ pressed: false }));
+  buttons[GAMEPAD_BUTTONS.a] = { pressed: true };
+  const pressed = getPressedGamepadInputs({ buttons, axes: [0, 0.9] });
+
+  assert.deepEqual([...pressed].sort(), ["a", "down"]);
+  assert.deepEqual(getGamepadActions(new Set(), pressed), [
+    { type: "focus", delta: 1 },
+    { type: "activate" },
+  ]);
+  assert.deepEqual(getGamepadActions(pressed, pressed), []);
+  assert.deepEqual(getGamepadActions(pressed, new Set(["b", "start"])), [
+    { type: "back" },
+    { type: "restart" },
+  ]);
+});
+
+test("storyInput: back follows the reading trail", () => {
+  assert.equal(getTrailBackChapter({ trail: [1, 3, 6] }, 6), 3);
+  assert.equal(getTrailBackChapter({ trail: [1, 3, 6] }, 3), 1);
+  assert.equal(getTrailBackChapter({ trail: [1] }, 1), null);
+  assert.equal(getTrailBackChapter(null, 4), null);
+});
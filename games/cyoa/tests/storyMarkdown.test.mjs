@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  renderInlineMarkdown,
+  renderStoryMarkdown,
+  stripInlineMarkdown,
+} from "../js/utils/storyMarkdown.js";
+import { renderStoryChapter } from "../js/pages/story.template.js";
+import { withDomEnvironment } from "./testHelpers.mjs";
+
+test("storyMarkdown: renders emphasis, strong and em dashes inline", () => {
+  assert.equal(
+    renderInlineMarkdown("Her final log entry ends mid-sentence: *remember*"),
+    "Her final log entry ends mid-sentence: <em>remember</em>",
+  );
+  assert.equal(
+    renderInlineMarkdown("**DON'T LEAVE YET.**"),
+    "<strong>DON&#39;T LEAVE YET.</strong>",
+  );
+  assert.equal(
+    renderInlineMarkdown("Just *he.* *Him.* and _her_ -- nobody else"),
+    "Just <em>he.</em> <em>Him.</em> and <em>her</em> — nobody else",
+  );
+  assert.equal(renderInlineMarkdown("2 * 3 * 4"), "2 * 3 * 4");
+  assert.equal(renderInlineMarkdown("snake_case_name"), "snake_case_name");
+  assert.equal(stripInlineMarkdown("**Run** *now*"), "Run now");
+});
+
+test("storyMarkdown: escapes HTML before adding markup", () => {
+  assert.equal(
+    renderInlineMarkdown('<img src=x onerror="alert(1)"> & *a < b*'),
+    "&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; <em>a &lt; b</em>",
+  );
+  assert.doesNotMatch(renderStoryMarkdown("<script>x</script>"), /<script>/);
+});
+
+test("storyMarkdown: renders paragraphs, scene breaks, dialogue and block quotes", () => {
+  const html = renderStoryMarkdown(
+    [
+      "The pump clicks.",
+      "Then silence.",
+      "",
+      "---",
+      "",
+      "— Heading far? she asks.",
+      "",
+      "> Day 3: the signal repeats.",
+      ">",
+      "> *remember*",
+      "After the log.",
+    ].join("\n"),
+  );
+
+  assert.equal(
+    html,
+    [
+      "<p>The pump clicks.<br>Then silence.</p>",
+      '<hr class="scene-break">',
+      '<p class="chapter-dialogue">— Heading far? she asks.</p>',
+      '<blockquote class="chapter-quote"><p>Day 3: the signal repeats.</p><p><em>remember</em></p></blockquote>',
+      "<p>After the log.</p>",
+    ].join(""),
+  );
+});
+
+test("storyMarkdown: story template renders titles, content and choices safely", async () => {
+  await withDomEnvironment(async () => {
+    const html = renderStoryChapter("3", {
+      title: "The *Quiet* Frequency",
+      content: "Signal <b>lost</b>.\n\n* * *\n\n*remember*",
+      choices: [{ text: "Follow <the> *signal*", chapterNumber: 4 }],
+    });
+
+    assert.match(html, /class="chapter-title">The <em>Quiet<\/em> Frequency/);
+    assert.match(html, /Signal &lt;b&gt;lost&lt;\/b&gt;\./);
+    assert.match(html, /<hr class="scene-break">/);
+    assert.match(html, /<p><em>remember<\/em><\/p>/);
+    assert.match(html, /Follow &lt;the&gt; <em>signal<\/em>/);
+  });
+});
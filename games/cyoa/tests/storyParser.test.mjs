@@ -1,7 +1,17 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { getValidationExample, parseStory } from "../js/utils/storyParser.js";
+import {
+  getValidationExample,
+  parseStory,
+  parseStoryWithDiagnostics,
+} from "../js/utils/storyParser.js";
+import {
+  renderAdminValidationResult,
+  validateAdminStoryContent,
+} from "../js/utils/adminValidationUI.js";
+import { highlightMarkdown } from "../js/utils/markdownHighlighter.js";
+import { withDomEnvironment } from "./testHelpers.mjs";
 
 test("parser: parseStory parses the bundled validation example", () => {
   const parsed = parseStory(getValidationExample());
@@ -92,3 +102,198 @@ Hello
       error.message.includes("[CHOICE_NOT_SELF_REFERENTIAL]"),
   );
 });
+
+const VARIABLES_STORY = `# Story Title
+
+## Keywords
+- mystery
+- adventure
+- discovery
+
+## Variables
+- has_key
+
+## Chapter 1
+### Title
+Start
+
+### Content
+A key glints on the floor.
+
+### Choices
+1. Take the key -> 2 [set has_key]
+2. Leave it -> 2
+
+## Chapter 2
+### Title
+Door
+
+### Content
+A locked door.
+
+### Choices
+1. Unlock the door -> 3 [if has_key] [unset has_key]
+2. Walk away -> 4 [if not has_key]
+3. Knock -> 4
+
+## Chapter 3
+### Title
+Inside
+
+### Content
+Warm light.
+
+### Choices
+The End
+
+## Chapter 4
+### Title
+Outside
+
+### Content
+Cold wind.
+
+### Choices
+The End`;
+
+test("parser: parseStory parses variables, choice guards and effects", () => {
+  const parsed = parseStory(VARIABLES_STORY);
+
+  assert.deepEqual(parsed[1].choices[0].effects, [
+    { variable: "has_key", value: true },
+  ]);
+  assert.deepEqual(parsed[1].choices[1], {
+    text: "Leave it",
+    chapterNumber: 2,
+  });
+  assert.deepEqual(parsed[2].choices[0].conditions, [
+    { variable: "has_key", negated: false },
+  ]);
+  assert.deepEqual(parsed[2].choices[0].effects, [
+    { variable: "has_key", value: false },
+  ]);
+  assert.deepEqual(parsed[2].choices[1].conditions, [
+    { variable: "has_key", negated: true },
+  ]);
+});
+
+test("parser: parseStory rejects invalid variables and choice annotations", () => {
+  const expectRule = (markdown, ruleName) =>
+    assert.throws(
+      () => parseStory(markdown),
+      (error) =>
+        error instanceof Error && error.message.includes(`[${ruleName}]`),
+    );
+
+  expectRule(
+    VARIABLES_STORY.replace("- has_key\n", "- has key\n"),
+    "VARIABLES_FORMAT",
+  );
+  expectRule(
+    VARIABLES_STORY.replace("- has_key\n", "- has_key\n- has_key\n"),
+    "UNIQUE_VARIABLE_NAMES",
+  );
+  expectRule(
+    VARIABLES_STORY.replace("[set has_key]", "[grab has_key]"),
+    "CHOICE_ANNOTATION_FORMAT",
+  );
+  expectRule(
+    VARIABLES_STORY.replace("[set has_key]", "[set has_lamp]"),
+    "CHOICE_VARIABLE_DECLARED",
+  );
+  expectRule(
+    VARIABLES_STORY.replace("3. Knock -> 4", "3. Knock -> 4 [if has_key]"),
+    "UNCONDITIONAL_CHOICE_REQUIRED",
+  );
+  expectRule(
+    VARIABLES_STORY.replace("\n## Variables\n- has_key\n", "").replace(
+      "## Chapter 2",
+      "## Variables\n- has_key\n\n## Chapter 2",
+    ),
+    "VARIABLES_SECTION_POSITION",
+  );
+});
+
+const BROKEN_STORY = getValidationExample()
+  .replace("- discovery\n", "")
+  .replace("## Chapter 2", "## Chaptr 2")
+  .replace("1. Enter the cabin -> 4", "1. Enter the cabin => 4")
+  .replace("2. Move on -> 2", "2. Move on -> 3 [grab has_map]");
+
+test("parser: parseStoryWithDiagnostics reports every problem with its location", () => {
+  const { chapters, diagnostics } = parseStoryWithDiagnostics(BROKEN_STORY);
+
+  assert.deepEqual(
+    diagnostics.map(({ rule, line, column }) => [rule, line, column]),
+    [
+      ["KEYWORDS_FORMAT", 3, 1],
+      ["CHOICE_TARGET_EXISTS", 18, 23],
+      ["CHAPTER_HEADING_FORMAT", 21, 1],
+      ["CHOICES_SECTION_FORMAT", 40, 1],
+      ["CHOICE_NOT_SELF_REFERENTIAL", 41, 12],
+      ["CHOICE_ANNOTATION_FORMAT", 41, 17],
+    ],
+  );
+  assert.equal(
+    diagnostics[2].details,
+    'Invalid chapter format: "## Chaptr 2".',
+  );
+  assert.equal(
+    diagnostics[2].message,
+    "Each chapter heading must follow: ## Chapter N",
+  );
+  assert.deepEqual(Object.keys(chapters), ["1", "3", "4"]);
+  assert.deepEqual(
+    parseStoryWithDiagnostics(getValidationExample()).diagnostics,
+    [],
+  );
+});
+
+test("parser: parseStory throws every diagnostic in one error", () => {
+  assert.throws(
+    () => parseStory(BROKEN_STORY),
+    (error) =>
+      error instanceof Error &&
+      error.message.includes("[KEYWORDS_FORMAT]") &&
+      error.message.includes("[CHAPTER_HEADING_FORMAT]") &&
+      error.message.includes("Line 41, column 17: Invalid choice annotation"),
+  );
+});
+
+test("parser: admin validation lists diagnostics as clickable lines", async () => {
+  await withDomEnvironment(async () => {
+    const result = validateAdminStoryContent(`\n${BROKEN_STORY}`);
+    assert.equal(result.status, "error");
+    assert.equal(result.diagnostics?.[0].line, 4);
+
+    const html = renderAdminValidationResult(result);
+    assert.match(html, /6 validation problems found/);
+    assert.match(html, /data-diagnostic-line="22" data-diagnostic-column="1"/);
+    assert.match(html, /Invalid chapter format: &quot;## Chaptr 2&quot;/);
+
+    assert.equal(
+      validateAdminStoryContent(getValidationExample()).status,
+      "success",
+    );
+  });
+});
+
+test("parser: highlight layer underlines lines with diagnostics", async () => {
+  await withDomEnvironment(async () => {
+    const { diagnostics } = parseStoryWithDiagnostics(BROKEN_STORY);
+    const highlightedLines = highlightMarkdown(BROKEN_STORY, diagnostics).split(
+      "\n",
+    );
+
+    assert.match(
+      highlightedLines[20],
+      /^<span class="md-diagnostic"><span class="md-token md-h2">## Chaptr 2<\/span><\/span>$/,
+    );
+    assert.doesNotMatch(highlightedLines[19], /md-diagnostic/);
+    assert.equal(
+      highlightedLines.filter((line) => line.includes("md-diagnostic")).length,
+      5,
+    );
+    assert.doesNotMatch(highlightMarkdown(BROKEN_STORY), /md-diagnostic/);
+  });
+});
@@ -0,0 +1,197 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createStoryScaffold,
+  getNextStoryNumber,
+} from "../js/utils/storyScaffold.js";
+import {
+  appendStoryImageMetadataEntry,
+  appendStoryMetadataEntry,
+} from "../js/utils/metadataJson.js";
+import { parseStoryWithDiagnostics } from "../js/utils/storyParser.js";
+import { STORY_LENGTH_BANDS, analyzeStory } from "../js/utils/storyAnalysis.js";
+import { parseNewStoryArgs } from "../scripts/story-tools.mjs";
+import { buildNewStoryFiles } from "../js/services/storyScaffoldService.js";
+
+test("storyScaffold: next story number follows the highest number in use", () => {
+  assert.equal(getNextStoryNumber([]), 1);
+  assert.equal(getNextStoryNumber([1, "9", 3, 10, "draft"]), 11);
+});
+
+test("storyScaffold: skeletons parse cleanly and fit each band's structure", () => {
+  Object.entries(STORY_LENGTH_BANDS).forEach(([length, band]) => {
+    const scaffold = createStoryScaffold({
+      storyNumber: 12,
+      title: "The Lighthouse Key",
+      length,
+    });
+    const { chapters, diagnostics } = parseStoryWithDiagnostics(
+      scaffold.markdown,
+    );
+    const analysis = analyzeStory(chapters, { length });
+
+    assert.deepEqual(diagnostics, [], length);
+    assert.equal(analysis.chapterCount, band.chapters[0], length);
+    assert.equal(analysis.endingCount, band.endings[0], length);
+    assert.deepEqual(analysis.orphanChapterNumbers, [], length);
+    assert.deepEqual(analysis.deadEndChapterNumbers, [], length);
+    assert.equal(scaffold.metadataEntry.chapters, band.chapters[0]);
+    assert.equal(
+      scaffold.imageMetadataEntry.chapters.filter(
+        ({ endingType }) => endingType,
+      ).length,
+      band.endings[0],
+    );
+  });
+});
+
+test("storyScaffold: metadata entries agree with the skeleton", () => {
+  const scaffold = createStoryScaffold({
+    storyNumber: 12,
+    title: "  ",
+    length: "epic",
+    keywords: ["Harbor", ""],
+    tone: "Mysterious",
+  });
+
+  assert.match(
+    scaffold.markdown,
+    /^# Untitled Story\n\n## Keywords\n- harbor\n- keyword-two\n- keyword-three\n/,
+  );
+  assert.deepEqual(scaffold.metadataEntry, {
+    number: 12,
+    approved: false,
+    length: "mini",
+    title: "Untitled Story",
+    emoji: "📖",
+    approxTime: "2-3 min",
+    keywords: ["harbor", "keyword-two", "keyword-three"],
+    chapters: 8,
+    tone: "Mysterious",
+  });
+  assert.equal(scaffold.imageMetadataEntry.storyTitle, "Untitled Story");
+  assert.deepEqual(scaffold.imageMetadataEntry.chapters[5], {
+    number: 6,
+    title: "Ending 6",
+    llmPrompt: "",
+    endingType: "successful",
+  });
+});
+
+test("storyScaffold: entries are appended in the files' own formatting", () => {
+  const metadataText = `[
+  {
+    "number": 1,
+    "title": "First",
+    "revisedWithStoryPipelineVersion": 3.0
+  }
+]
+`;
+  const updated = appendStoryMetadataEntry(metadataText, {
+    number: 2,
+    title: "Second",
+    keywords: ["a", "b", "c"],
+  });
+
+  assert.equal(
+    updated,
+    `[
+  {
+    "number": 1,
+    "title": "First",
+    "revisedWithStoryPipelineVersion": 3.0
+  },
+  {
+    "number": 2,
+    "title": "Second",
+    "keywords": ["a", "b", "c"]
+  }
+]
+`,
+  );
+  assert.throws(
+    () => appendStoryMetadataEntry(updated, { number: 2 }),
+    /metadata-stories\.json already has an entry for story 2/,
+  );
+
+  const imagesText = `{
+  "imageSpec": { "format": "webp" },
+  "stories": []
+}
+`;
+  const updatedImages = appendStoryImageMetadataEntry(imagesText, {
+    number: 2,
+    storyTitle: "Second",
+    chapters: [{ number: 1, endingType: null }],
+  });
+  assert.equal(
+    updatedImages,
+    `{
+  "imageSpec": { "format": "webp" },
+  "stories": [
+    {
+      "number": 2,
+      "storyTitle": "Second",
+      "chapters": [
+        {
+          "number": 1,
+          "endingType": null
+        }
+      ]
+    }
+  ]
+}
+`,
+  );
+  assert.throws(
+    () => appendStoryImageMetadataEntry("{}", { number: 1 }),
+    /no "stories" array/,
+  );
+});
+
+test("storyScaffold: CLI arguments split options from the title", () => {
+  assert.deepEqual(
+    parseNewStoryArgs([
+      "--length",
+      "medium",
+      "The",
+      "Lighthouse",
+      "--tone=Mysterious",
+    ]),
+    { title: "The Lighthouse", length: "medium", tone: "Mysterious" },
+  );
+  assert.deepEqual(parseNewStoryArgs(["Solo"]), { title: "Solo" });
+});
+
+test("storyScaffold: admin flow skips story folders missing from the metadata", async () => {
+  const previousFetch = globalThis.fetch;
+  const headRequests = [];
+
+  globalThis.fetch = async (url, options = {}) => {
+    if (options.method === "HEAD") {
+      headRequests.push(url);
+      // Folder 3 exists without a metadata entry; 4 is free.
+      return { ok: /\/stories\/3\/story\.md$/.test(url) };
+    }
+    const text = /metadata-images\.json$/.test(url)
+      ? JSON.stringify({ stories: [{ number: 1 }, { number: 2 }] })
+      : JSON.stringify([{ number: 1 }, { number: 2 }]);
+    return { ok: true, text: async () => text };
+  };
+
+  try {
+    const files = await buildNewStoryFiles({ title: "Fresh", length: "mini" });
+
+    assert.equal(files.storyNumber, 4);
+    assert.equal(files.storyPath, "assets/stories/4/story.md");
+    assert.equal(headRequests.length, 2);
+    assert.match(headRequests[0], /\/assets\/stories\/3\/story\.md$/);
+    assert.deepEqual(
+      JSON.parse(files.metadataFiles[0].content).map(({ number }) => number),
+      [1, 2, 4],
+    );
+  } finally {
+    globalThis.fetch = previousFetch;
+  }
+});
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  applyChoiceEffects,
+  decodeChoiceEffects,
+  encodeChoiceEffects,
+  getChapterForVariables,
+} from "../js/utils/storyState.js";
+import {
+  createReadingProgressStore,
+  getChapterVariables,
+} from "../js/state/readingProgressStore.js";
+import { renderStoryChapter } from "../js/pages/story.template.js";
+import { createMemoryStorage, withDomEnvironment } from "./testHelpers.mjs";
+
+const DOOR_CHAPTER = {
+  title: "Door",
+  content: "A locked door.",
+  choices: [
+    {
+      text: "Unlock the door",
+      chapterNumber: 3,
+      conditions: [{ variable: "has_key", negated: false }],
+      effects: [{ variable: "has_key", value: false }],
+    },
+    {
+      text: "Walk away",
+      chapterNumber: 4,
+      conditions: [{ variable: "has_key", negated: true }],
+    },
+    { text: "Knock", chapterNumber: 4 },
+  ],
+};
+
+test("state: getChapterForVariables keeps only choices whose guards pass", () => {
+  const withKey = getChapterForVariables(DOOR_CHAPTER, ["has_key"]);
+  const withoutKey = getChapterForVariables(DOOR_CHAPTER, []);
+
+  assert.deepEqual(
+    withKey.choices.map((choice) => choice.text),
+    ["Unlock the door", "Knock"],
+  );
+  assert.deepEqual(
+    withoutKey.choices.map((choice) => choice.text),
+    ["Walk away", "Knock"],
+  );
+});
+
+test("state: effects apply and round-trip through the DOM encoding", () => {
+  const effects = [
+    { variable: "has_key", value: true },
+    { variable: "lamp_lit", value: false },
+  ];
+
+  assert.deepEqual(applyChoiceEffects(["lamp_lit", "met_guard"], effects), [
+    "has_key",
+    "met_guard",
+  ]);
+  assert.equal(encodeChoiceEffects(effects), "set:has_key unset:lamp_lit");
+  assert.deepEqual(decodeChoiceEffects("set:has_key unset:lamp_lit"), effects);
+  assert.deepEqual(decodeChoiceEffects(""), []);
+});
+
+test("state: reading trail carries story state per playthrough step", () => {
+  const store = createReadingProgressStore(createMemoryStorage());
+
+  store.recordChapterVisit("5", 1);
+  store.recordChapterVisit("5", 2, ["has_key"]);
+  store.recordChapterVisit("5", 2);
+  store.recordChapterVisit("5", 4);
+
+  let progress = store.getStoryProgress("5");
+  assert.deepEqual(progress?.trail, [1, 2, 4]);
+  assert.deepEqual(getChapterVariables(progress, 4), ["has_key"]);
+
+  store.recordChapterVisit("5", 2);
+  progress = store.getStoryProgress("5");
+  assert.deepEqual(progress?.trail, [1, 2]);
+  assert.deepEqual(getChapterVariables(progress, 2), ["has_key"]);
+
+  store.recordChapterVisit("5", 1);
+  progress = store.getStoryProgress("5");
+  assert.deepEqual(getChapterVariables(progress, 1), []);
+  assert.deepEqual(getChapterVariables(progress, 9), []);
+});
+
+test("state: story template exposes choice targets and effects for binding", async () => {
+  await withDomEnvironment(async () => {
+    const html = renderStoryChapter(
+      "3",
+      getChapterForVariables(DOOR_CHAPTER, ["has_key"]),
+    );
+
+    assert.match(html, /data-story="3"/);
+    assert.match(
+      html,
+      /data-choice-target="3" data-choice-effects="unset:has_key"/,
+    );
+    assert.doesNotMatch(html, /Walk away/);
+  });
+});
@@ -61,3 +61,59 @@ export function getFreshModuleUrl(relativePath, importMetaUrl) {
   const baseUrl = new URL(relativePath, importMetaUrl).href;
   return `${baseUrl}?t=${Date.now()}-${Math.random()}`;
 }
+
+/**
+ * In-memory `Storage` stand-in for localStorage-backed modules.
+ *
+ * @param {Record<string, string>} [initialEntries]
+ */
+export function createMemoryStorage(initialEntries = {}) {
+  const entries = new Map(Object.entries(initialEntries));
+
+  return {
+    getItem(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    setItem(key, value) {
+      entries.set(key, String(value));
+    },
+    removeItem(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Parsed-story chapters from an outline, for graph and analysis tests.
+ * Each entry is its choice targets (or `"end"` for an ending), optionally
+ * wrapped as `{ words, targets }` to give the chapter that many words.
+ *
+ * @param {Record<number, number[]|"end"|{ words?: number, targets: number[]|"end" }>} outline
+ */
+export function buildOutlineChapters(outline) {
+  return Object.fromEntries(
+    Object.entries(outline).map(([key, entry]) => {
+      const number = Number(key);
+      const { words = 0, targets } =
+        Array.isArray(entry) || entry === "end" ? { targets: entry } : entry;
+      const chapter =
+        targets === "end"
+          ? { choicesEndingText: "The End" }
+          : {
+              choices: targets.map((chapterNumber) => ({
+                text: `Go to ${chapterNumber}`,
+                chapterNumber,
+              })),
+            };
+      return [
+        number,
+        {
+          number,
+          title: `Chapter ${number}`,
+          content: Array(words).fill("word").join(" "),
+          ...chapter,
+        },
+      ];
+    }),
+  );
+}